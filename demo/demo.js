@@ -10,6 +10,28 @@ let viewer = (window.viewer = OpenSeadragon({
 }));
 //https://modis-vi-nasa.s3-us-west-2.amazonaws.com//MOD13A1.006/2018.01.01.tif
 
+// Show world and WGS84 coordinates under the cursor for georeferenced images
+new OpenSeadragon.MouseTracker({
+  element: viewer.element,
+  moveHandler: function (event) {
+    let readout = document.getElementById("coordinates");
+    let tiledImage = viewer.world.getItemAt(0);
+    let tileSource = tiledImage && tiledImage.source;
+    if (!tileSource || !tileSource.getGeoTransform || !tileSource.getGeoTransform()) {
+      readout.textContent = "";
+      return;
+    }
+    let image = tiledImage.viewportToImageCoordinates(viewer.viewport.pointFromPixel(event.position));
+    let world = tileSource.imageToWorld(image);
+    let text = "x " + world.x.toFixed(2) + ", y " + world.y.toFixed(2);
+    if (OpenSeadragon.GeoTIFFTileSource.getProjection(tileSource.getCoordinateReferenceSystem())) {
+      let lonLat = tileSource.imageToLonLat(image);
+      text += " (lon " + lonLat.x.toFixed(5) + ", lat " + lonLat.y.toFixed(5) + ")";
+    }
+    readout.textContent = text;
+  },
+});
+
 document.getElementById("file-picker").onchange = function (ev) {
   viewer.close();
   clearImageInfo();
@@ -0,0 +1,110 @@
+/**
+ * Aperio SVS Reader
+ *
+ * Aperio (Leica) SVS files describe the slide in the ImageDescription of the first
+ * IFD: a header line with the library version, the image size and compression,
+ * followed by "|"-separated "key = value" pairs (MPP, AppMag, Date, ScanScope ID...).
+ * Associated images are identified by the second line of their ImageDescription.
+ *
+ * Aperio Digital Slides and Third-party data interchange (pg 14)
+ * https://web.archive.org/web/20120420105738/http://www.aperio.com/documents/api/Aperio_Digital_Slides_and_Third-party_data_interchange.pdf
+ *
+ * OpenSlide Aperio format
+ * https://openslide.org/formats/aperio/
+ */
+
+/**
+ * @typedef {Object} AperioMetadata
+ * @property {string} format always "aperio"
+ * @property {string|null} version Aperio Image Library version, e.g. "v10.0.51"
+ * @property {string} header image size / region / compression line
+ * @property {Object<string, string|number>} properties all key = value pairs, numeric values as numbers
+ * @property {number|null} mpp microns per pixel of the full resolution image
+ * @property {number|null} appMag apparent objective magnification
+ * @property {string|null} date
+ * @property {string|null} time
+ * @property {string|null} scanScopeId
+ * @property {string|null} filename
+ * @property {string|null} user
+ */
+
+/**
+ * Check whether the ImageDescription was written by the Aperio Image Library.
+ *
+ * @param {string} description
+ * @returns {boolean}
+ */
+export const isAperioDescription = (description) =>
+  typeof description === "string" && description.startsWith("Aperio");
+
+const parseValue = (value) => {
+  const number = Number(value);
+  return value !== "" && Number.isFinite(number) ? number : value;
+};
+
+/**
+ * Parse an Aperio ImageDescription.
+ *
+ * @param {string} description
+ * @returns {AperioMetadata|null} null if the description is not an Aperio description
+ */
+export const parseAperioDescription = (description) => {
+  if (!isAperioDescription(description)) return null;
+
+  // ASCII tags keep their NUL terminator
+  const [head, ...pairs] = description.replace(/\0+$/, "").split("|");
+  const lines = head.split(/\r?\n/).map((line) => line.trim());
+
+  const properties = {};
+  for (const pair of pairs) {
+    const separator = pair.indexOf("=");
+    if (separator === -1) continue;
+    const key = pair.slice(0, separator).trim();
+    if (key) properties[key] = parseValue(pair.slice(separator + 1).trim());
+  }
+
+  const text = (key) => (properties[key] === undefined ? null : String(properties[key]));
+  const number = (key) => (typeof properties[key] === "number" ? properties[key] : null);
+
+  return {
+    format: "aperio",
+    version: lines[0].match(/v[\d.]+/)?.[0] ?? null,
+    header: lines.slice(1).join(" "),
+    properties,
+    mpp: number("MPP"),
+    appMag: number("AppMag"),
+    date: text("Date"),
+    time: text("Time"),
+    scanScopeId: text("ScanScope ID"),
+    filename: text("Filename"),
+    user: text("User"),
+  };
+};
+
+/**
+ * Parse the Aperio metadata of a file from its first image.
+ *
+ * @param {GeoTIFFImage} firstImage
+ * @returns {AperioMetadata|null}
+ */
+export const parseAperioMetadata = (firstImage) =>
+  parseAperioDescription(firstImage?.fileDirectory?.["ImageDescription"]);
+
+/**
+ * Detect the role of an associated image of an SVS file.
+ *
+ * Labels and macros name themselves on the second line, the thumbnail (second IFD)
+ * only gives its size reduction ("46000x32914 -> 1024x732") while pyramid levels also
+ * describe their region and tile size ("46000x32914 [0,0 46000x32914] (256x256) -> ...").
+ *
+ * @param {string} description
+ * @returns {"label"|"macro"|"thumbnail"|null}
+ */
+export const getAperioImageRole = (description) => {
+  if (!isAperioDescription(description)) return null;
+  const line = description.split(/\r?\n/)[1] ?? "";
+  if (/^\s*label\b/i.test(line)) return "label";
+  if (/^\s*macro\b/i.test(line)) return "macro";
+  if (/^\s*\d+x\d+\s*->\s*\d+x\d+/.test(line)) return "thumbnail";
+  return null;
+};
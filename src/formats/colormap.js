@@ -0,0 +1,263 @@
+/**
+ * Colormaps
+ *
+ * Single band data (elevation, NDVI, fluorescence) is easier to read with a colormap than in
+ * gray levels. format.image.colormap selects one for image interpretation: a built-in name, or
+ * custom stops { stops: [[position, color], ...] } with positions in 0..1 and colors as
+ * "#rrggbb" or [r, g, b] in 0..255. Values are windowed as format.toneMap does (range of the
+ * band statistics or of the sample type by default, toneMap window, clip and curve if given),
+ * then looked up in a 256 entry table.
+ *
+ * The tables are also available to gpuTextureSet consumers, which apply them in shaders.
+ * viridis, magma, inferno: matplotlib colormaps by Nathaniel J. Smith, Stefan van der Walt
+ * and Eric Firing (CC0), their 256 entry tables
+ * https://bids.github.io/colormap/
+ *
+ * turbo: polynomial approximation by Anton Mikhailov (Apache 2.0)
+ * https://ai.googleblog.com/2019/08/turbo-improved-rainbow-colormap-for.html
+ */
+
+import { resolveBandToneMap, toneMapBand } from "./toneMap.js";
+
+/**
+ * @typedef {Object} CustomColormap
+ * @property {Array<[number, string|number[]]>} stops positions in 0..1 and their colors, "#rrggbb" or [r, g, b]
+ */
+
+/**
+ * @typedef {string|CustomColormap} Colormap name of a built-in colormap, or custom stops
+ */
+
+const WHITE_IS_ZERO = 0;
+const BLACK_IS_ZERO = 1;
+
+// turbo polynomial coefficients of t^0..t^5, per color
+const TURBO = [
+  [0.13572138, 4.6153926, -42.66032258, 132.13108234, -152.94239396, 59.28637943],
+  [0.09140261, 2.19418839, 4.84296658, -14.18503333, 4.27729857, 2.82956604],
+  [0.1066733, 12.64194608, -60.58204836, 110.36276771, -89.90310912, 27.34824973],
+];
+
+const turbo = (t) =>
+  TURBO.map((coefficients) =>
+    Math.round(
+      Math.max(
+        0,
+        Math.min(
+          1,
+          coefficients.reduce((sum, c, power) => sum + c * Math.pow(t, power), 0)
+        )
+      ) * 255
+    )
+  );
+
+// 256 entry tables, "rrggbb" per entry
+const TABLES = {
+  viridis: [
+    "44015444025645045745055946075a46085c460a5d460b5e470d60470e61471063471164471365481467481668",
+    "48176948186a481a6c481b6d481c6e481d6f481f70482071482173482374482475482576482677482878482979",
+    "472a7a472c7a472d7b472e7c472f7d46307e46327e46337f463480453581453781453882443983443a83443b84",
+    "433d84433e85423f854240864241864142874144874045884046883f47883f48893e49893e4a893e4c8a3d4d8a",
+    "3d4e8a3c4f8a3c508b3b518b3b528b3a538b3a548c39558c39568c38588c38598c375a8c375b8d365c8d365d8d",
+    "355e8d355f8d34608d34618d33628d33638d32648e32658e31668e31678e31688e30698e306a8e2f6b8e2f6c8e",
+    "2e6d8e2e6e8e2e6f8e2d708e2d718e2c718e2c728e2c738e2b748e2b758e2a768e2a778e2a788e29798e297a8e",
+    "297b8e287c8e287d8e277e8e277f8e27808e26818e26828e26828e25838e25848e25858e24868e24878e23888e",
+    "23898e238a8d228b8d228c8d228d8d218e8d218f8d21908d21918c20928c20928c20938c1f948c1f958b1f968b",
+    "1f978b1f988b1f998a1f9a8a1e9b8a1e9c891e9d891f9e891f9f881fa0881fa1881fa1871fa28720a38620a486",
+    "21a58521a68522a78522a88423a98324aa8325ab8225ac8226ad8127ad8128ae8029af7f2ab07f2cb17e2db27d",
+    "2eb37c2fb47c31b57b32b67a34b67935b77937b87838b9773aba763bbb753dbc743fbc7340bd7242be7144bf70",
+    "46c06f48c16e4ac16d4cc26c4ec36b50c46a52c56954c56856c66758c7655ac8645cc8635ec96260ca6063cb5f",
+    "65cb5e67cc5c69cd5b6ccd5a6ece5870cf5773d05675d05477d1537ad1517cd2507fd34e81d34d84d44b86d549",
+    "89d5488bd6468ed64590d74393d74195d84098d83e9bd93c9dd93ba0da39a2da37a5db36a8db34aadc32addc30",
+    "b0dd2fb2dd2db5de2bb8de29bade28bddf26c0df25c2df23c5e021c8e020cae11fcde11dd0e11cd2e21bd5e21a",
+    "d8e219dae319dde318dfe318e2e418e5e419e7e419eae51aece51befe51cf1e51df4e61ef6e620f8e621fbe723",
+    "fde725",
+  ].join(""),
+  magma: [
+    "00000401000501010601010802010902020b02020d03030f03031204041405041606051806051a07061c08071e",
+    "0907200a08220b09240c09260d0a290e0b2b100b2d110c2f120d31130d34140e36150e38160f3b180f3d19103f",
+    "1a10421c10441d11471e114920114b21114e22115024125325125527125829115a2a115c2c115f2d11612f1163",
+    "31116533106734106936106b38106c390f6e3b0f703d0f713f0f72400f74420f75440f76451077471078491078",
+    "4a10794c117a4e117b4f127b51127c52137c54137d56147d57157e59157e5a167e5c167f5d177f5f187f601880",
+    "621980641a80651a80671b80681c816a1c816b1d816d1d816e1e81701f81721f81732081752181762181782281",
+    "7922827b23827c23827e24828025828125818326818426818627818827818928818b29818c29818e2a81902a81",
+    "912b81932b80942c80962c80982d80992d809b2e7f9c2e7f9e2f7fa02f7fa1307ea3307ea5317ea6317da8327d",
+    "aa337dab337cad347cae347bb0357bb2357bb3367ab5367ab73779b83779ba3878bc3978bd3977bf3a77c03a76",
+    "c23b75c43c75c53c74c73d73c83e73ca3e72cc3f71cd4071cf4070d0416fd2426fd3436ed5446dd6456cd8456c",
+    "d9466bdb476adc4869de4968df4a68e04c67e24d66e34e65e44f64e55064e75263e85362e95462ea5661eb5760",
+    "ec5860ed5a5fee5b5eef5d5ef05f5ef1605df2625df2645cf3655cf4675cf4695cf56b5cf66c5cf66e5cf7705c",
+    "f7725cf8745cf8765cf9785df9795df97b5dfa7d5efa7f5efa815ffb835ffb8560fb8761fc8961fc8a62fc8c63",
+    "fc8e64fc9065fd9266fd9467fd9668fd9869fd9a6afd9b6bfe9d6cfe9f6dfea16efea36ffea571fea772fea973",
+    "feaa74feac76feae77feb078feb27afeb47bfeb67cfeb77efeb97ffebb81febd82febf84fec185fec287fec488",
+    "fec68afec88cfeca8dfecc8ffecd90fecf92fed194fed395fed597fed799fed89afdda9cfddc9efddea0fde0a1",
+    "fde2a3fde3a5fde5a7fde7a9fde9aafdebacfcecaefceeb0fcf0b2fcf2b4fcf4b6fcf6b8fcf7b9fcf9bbfcfbbd",
+    "fcfdbf",
+  ].join(""),
+  inferno: [
+    "00000401000501010601010802010a02020c02020e03021004031204031405041706041907051b08051d09061f",
+    "0a07220b07240c08260d08290e092b10092d110a30120a32140b34150b37160b39180c3c190c3e1b0c411c0c43",
+    "1e0c451f0c48210c4a230c4c240c4f260c51280b53290b552b0b572d0b592f0a5b310a5c320a5e340a5f360961",
+    "3809623909633b09643d09653e0966400a67420a68440a68450a69470b6a490b6a4a0c6b4c0c6b4d0d6c4f0d6c",
+    "510e6c520e6d540f6d550f6d57106e59106e5a116e5c126e5d126e5f136e61136e62146e64156e65156e67166e",
+    "69166e6a176e6c186e6d186e6f196e71196e721a6e741a6e751b6e771c6d781c6d7a1d6d7c1d6d7d1e6d7f1e6c",
+    "801f6c82206c84206b85216b87216b88226a8a226a8c23698d23698f2469902568922568932667952667972766",
+    "9827669a28659b29649d29649f2a63a02a63a22b62a32c61a52c60a62d60a82e5fa92e5eab2f5ead305dae305c",
+    "b0315bb1325ab3325ab43359b63458b73557b93556ba3655bc3754bd3853bf3952c03a51c13a50c33b4fc43c4e",
+    "c63d4dc73e4cc83f4bca404acb4149cc4248ce4347cf4446d04545d24644d34743d44842d54a41d74b3fd84c3e",
+    "d94d3dda4e3cdb503bdd513ade5238df5337e05536e15635e25734e35933e45a31e55c30e65d2fe75e2ee8602d",
+    "e9612bea632aeb6429eb6628ec6726ed6925ee6a24ef6c23ef6e21f06f20f1711ff1731df2741cf3761bf37819",
+    "f47918f57b17f57d15f67e14f68013f78212f78410f8850ff8870ef8890cf98b0bf98c0af98e09fa9008fa9207",
+    "fa9407fb9606fb9706fb9906fb9b06fb9d07fc9f07fca108fca309fca50afca60cfca80dfcaa0ffcac11fcae12",
+    "fcb014fcb216fcb418fbb61afbb81dfbba1ffbbc21fbbe23fac026fac228fac42afac62df9c72ff9c932f9cb35",
+    "f8cd37f8cf3af7d13df7d340f6d543f6d746f5d949f5db4cf4dd4ff4df53f4e156f3e35af3e55df2e661f2e865",
+    "f2ea69f1ec6df1ed71f1ef75f1f179f2f27df2f482f3f586f3f68af4f88ef5f992f6fa96f8fb9af9fc9dfafda1",
+    "fcffa4",
+  ].join(""),
+};
+
+// colormaps defined by stops
+const BUILT_IN = {
+  turbo: Array.from({ length: 33 }, (_, index) => [index / 32, turbo(index / 32)]),
+  jet: [
+    [0, "#00007f"],
+    [0.125, "#0000ff"],
+    [0.375, "#00ffff"],
+    [0.625, "#ffff00"],
+    [0.875, "#ff0000"],
+    [1, "#7f0000"],
+  ],
+  gray: [
+    [0, "#000000"],
+    [1, "#ffffff"],
+  ],
+};
+
+/**
+ * Names of the built-in colormaps.
+ *
+ * @type {string[]}
+ */
+export const COLORMAPS = [...Object.keys(TABLES), ...Object.keys(BUILT_IN)];
+
+const parseColor = (color) => {
+  if (Array.isArray(color)) return [color[0], color[1], color[2]].map((v) => Number(v) || 0);
+  const hex = String(color).match(/^#?([0-9a-f]{6})$/i);
+  if (!hex)
+    throw new Error(
+      `[RawTiffPlugin] Invalid colormap color "${color}", use "#rrggbb" or [r, g, b].`
+    );
+  const value = parseInt(hex[1], 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+};
+
+const resolveStops = (colormap) => {
+  const stops = typeof colormap === "string" ? BUILT_IN[colormap.toLowerCase()] : colormap?.stops;
+  if (!Array.isArray(stops) || stops.length < 2) {
+    throw new Error(
+      typeof colormap === "string"
+        ? `[RawTiffPlugin] Unknown colormap "${colormap}", use one of ${COLORMAPS.join(", ")} or { stops }.`
+        : "[RawTiffPlugin] A custom colormap needs at least 2 stops."
+    );
+  }
+  return stops
+    .map(([position, color]) => [Math.max(0, Math.min(1, Number(position))), parseColor(color)])
+    .sort((a, b) => a[0] - b[0]);
+};
+
+const buildLUT = (colormap) => {
+  const lut = new Uint8Array(256 * 4);
+  const table = typeof colormap === "string" ? TABLES[colormap.toLowerCase()] : null;
+  if (table) {
+    for (let i = 0; i < 256; i++) {
+      for (let c = 0; c < 3; c++) {
+        lut[i * 4 + c] = parseInt(table.substr(i * 6 + c * 2, 2), 16);
+      }
+      lut[i * 4 + 3] = 255;
+    }
+    return lut;
+  }
+
+  const stops = resolveStops(colormap);
+  for (let i = 0, s = 0; i < 256; i++) {
+    const t = i / 255;
+    while (s < stops.length - 2 && t > stops[s + 1][0]) s++;
+    const [p0, c0] = stops[s];
+    const [p1, c1] = stops[s + 1];
+    const f = p1 > p0 ? Math.max(0, Math.min(1, (t - p0) / (p1 - p0))) : 0;
+    for (let c = 0; c < 3; c++) lut[i * 4 + c] = Math.round(c0[c] + (c1[c] - c0[c]) * f);
+    lut[i * 4 + 3] = 255;
+  }
+  return lut;
+};
+
+// tables are built once per built-in name and per custom colormap object
+const namedLUTs = new Map();
+const customLUTs = new WeakMap();
+
+/**
+ * Lookup table of a colormap, built once and shared: do not modify it.
+ *
+ * @param {Colormap} colormap
+ * @returns {Uint8Array} length 1024, alpha is 255
+ */
+export const getSharedColormapLUT = (colormap) => {
+  const cache = typeof colormap === "string" ? namedLUTs : customLUTs;
+  const key = typeof colormap === "string" ? colormap.toLowerCase() : colormap;
+  if (!cache.has(key)) cache.set(key, buildLUT(colormap));
+  return cache.get(key);
+};
+
+/**
+ * Build the lookup table of a colormap: 256 RGBA entries, entry i being the color of i / 255.
+ *
+ * @param {Colormap} colormap
+ * @returns {Uint8Array} length 1024, alpha is 255, a copy the caller may modify
+ */
+export const createColormapLUT = (colormap) => getSharedColormapLUT(colormap).slice();
+
+/**
+ * Render a single band raster with format.image.colormap.
+ *
+ * @param {TiffRaster} raster
+ * @param {FormatOptions} format
+ * @param {Object} [options]
+ * @param {number[]|null} [options.renderChannels] band shown, unless format.image.rgbaChannels is set
+ * @param {Array<{min: number, max: number}|null>|null} [options.clipRanges] ranges of toneMap clipped bands
+ * @returns {Uint8ClampedArray|null} RGBA8 pixels, null without colormap or if the raster does not
+ *   show a single band (RGB, palette, composite...)
+ */
+export const colormapToRGBA8 = (
+  raster,
+  format,
+  { renderChannels = null, clipRanges = null } = {}
+) => {
+  const colormap = format && format.image && format.image.colormap;
+  if (!colormap || (format.composite && Array.isArray(format.composite.channels))) return null;
+
+  const photometric = raster.photometricInterpretation;
+  const channels = format.image.rgbaChannels || renderChannels;
+  const spp = raster.samplesPerPixel || raster.bands.length || 1;
+  const gray =
+    photometric === WHITE_IS_ZERO ||
+    photometric === BLACK_IS_ZERO ||
+    (photometric == null && spp < 3);
+  if (channels ? channels.length !== 1 : !gray) return null;
+
+  const band = channels ? channels[0] : 0;
+  const data = raster.bands[band];
+  if (!data) return null;
+  const settings = resolveBandToneMap(format.toneMap || {}, raster, band, clipRanges);
+  const values = toneMapBand(data, settings);
+  // colors follow the stored values, WhiteIsZero images included: it is the data that is colored
+  const lut = getSharedColormapLUT(colormap);
+
+  const rgba = new Uint8ClampedArray(values.length * 4);
+  for (let i = 0, j = 0; i < values.length; i++, j += 4) {
+    const k = values[i] * 4;
+    rgba[j] = lut[k];
+    rgba[j + 1] = lut[k + 1];
+    rgba[j + 2] = lut[k + 2];
+    rgba[j + 3] = 255;
+  }
+  return rgba;
+};
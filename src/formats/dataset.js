@@ -0,0 +1,130 @@
+/**
+ * Dataset Description
+ *
+ * A TIFF file can hold much more than a single pyramid: several main images,
+ * per-channel pyramids, plane stacks and associated images such as the slide
+ * label, the macro photograph or a thumbnail. This module classifies images by
+ * role and groups created tile sources into a structured dataset description.
+ *
+ * Aperio SVS associated images (pg 14)
+ * https://web.archive.org/web/20120420105738/http://www.aperio.com/documents/api/Aperio_Digital_Slides_and_Third-party_data_interchange.pdf
+ */
+
+import { getAperioImageRole } from "./aperio.js";
+
+/**
+ * Role of an image within a dataset.
+ *
+ * @typedef {"main"|"label"|"macro"|"thumbnail"} ImageRole
+ */
+
+/**
+ * @typedef {Object} DatasetImage
+ * @property {ImageRole} role
+ * @property {GeoTIFFTileSource} tileSource
+ * @property {number} width full resolution width
+ * @property {number} height full resolution height
+ * @property {{name: string, color: number[]}|null} channel channel shown by a single channel source
+ * @property {{name: string, color: number[]}[]|null} channels channels blended by a composite source
+ * @property {Object[]|null} planes planes the source can switch between with setPlane()
+ * @property {Object} metadata per-source metadata
+ */
+
+/**
+ * @typedef {Object} Dataset
+ * @property {string} format "ome", "qptiff", "svs", "ndpi", "philips", "scn", "imagej" or "tiff"
+ * @property {{interpretation: string, strategy: string}|null} layout how the IFD layout was interpreted
+ * @property {DatasetImage[]} main main images (pyramids), in file order
+ * @property {{name: string, color: number[], tileSource: GeoTIFFTileSource}[]} channels channels of the main images
+ * @property {Object<string, DatasetImage>} associated associated images by role (label, macro, thumbnail)
+ * @property {Object} metadata dataset-level metadata
+ * @property {GeoTIFFTileSource[]} tileSources all tile sources, main images first
+ */
+
+export const ASSOCIATED_ROLES = ["label", "macro", "thumbnail"];
+
+// the role is the first word, as scanners write it ("label", "Macro image"), not any word of a name
+const ROLE_TEXT = new RegExp(`^\\s*(${ASSOCIATED_ROLES.join("|")})\\b`, "i");
+
+const roleFromText = (text) => {
+  if (typeof text !== "string") return null;
+  return text.match(ROLE_TEXT)?.[1].toLowerCase() ?? null;
+};
+
+/**
+ * Detect whether an image is an associated image (label, macro, thumbnail).
+ *
+ * Aperio stores the type on the second line of the ImageDescription, other writers
+ * (Bio-Formats, libvips, slide scanners) name the page in PageName.
+ *
+ * @param {GeoTIFFImage} image
+ * @returns {ImageRole|null} null if the image is not an associated image
+ */
+export const getImageRole = (image) => {
+  const fd = image.getFileDirectory?.() ?? image.fileDirectory ?? {};
+  const description = typeof fd.ImageDescription === "string" ? fd.ImageDescription : "";
+  return (
+    getAperioImageRole(description) ??
+    roleFromText(description.split("\n")[1]) ??
+    roleFromText(fd.PageName)
+  );
+};
+
+/**
+ * Detect the role of an OME series from its name (e.g. "label image" written by Bio-Formats).
+ *
+ * @param {string} name
+ * @returns {ImageRole}
+ */
+export const getSeriesRole = (name) => roleFromText(name) ?? "main";
+
+/**
+ * Group tile sources into a dataset description.
+ *
+ * @param {Object} description
+ * @param {string} description.format
+ * @param {GeoTIFFTileSource[]} description.tileSources sources with their role set
+ * @param {Object} [description.layout]
+ * @param {Object} [description.metadata]
+ * @returns {Dataset}
+ */
+export const describeDataset = ({ format, tileSources, layout = null, metadata = {} }) => {
+  const entries = tileSources.map((tileSource) => ({
+    role: tileSource.role ?? "main",
+    tileSource,
+    width: tileSource.width,
+    height: tileSource.height,
+    channel: tileSource.channel ?? null,
+    channels: tileSource.channels
+      ? tileSource.channels.map(({ name, color }) => ({ name, color }))
+      : null,
+    planes: tileSource.getPlanes?.() ?? null,
+    metadata: tileSource.metadata ?? {},
+  }));
+
+  const main = entries.filter((entry) => entry.role === "main");
+  const associated = {};
+  for (const entry of entries) {
+    // the first image of a role wins, e.g. the label of the first series
+    if (entry.role !== "main" && !associated[entry.role]) associated[entry.role] = entry;
+  }
+
+  const channels = main.flatMap((entry) => {
+    if (entry.channels)
+      return entry.channels.map((channel) => ({ ...channel, tileSource: entry.tileSource }));
+    if (entry.channel) return [{ ...entry.channel, tileSource: entry.tileSource }];
+    return [];
+  });
+
+  return {
+    format,
+    layout,
+    main,
+    channels,
+    associated,
+    metadata,
+    tileSources: [...main, ...entries.filter((entry) => entry.role !== "main")].map(
+      (entry) => entry.tileSource
+    ),
+  };
+};
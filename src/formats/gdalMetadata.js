@@ -0,0 +1,235 @@
+/**
+ * GDAL Metadata
+ *
+ * GDAL writes dataset and band metadata as XML in the GDAL_METADATA tag (42112):
+ *
+ *   <GDALMetadata>
+ *     <Item name="DESCRIPTION" sample="0" role="description">Surface temperature</Item>
+ *     <Item name="SCALE" sample="0" role="scale">0.01</Item>
+ *     <Item name="OFFSET" sample="0" role="offset">-273.15</Item>
+ *     <Item name="UNITTYPE" sample="0" role="unittype">degC</Item>
+ *     <Item name="STATISTICS_MINIMUM" sample="0">27315</Item>
+ *   </GDALMetadata>
+ *
+ * Items with a sample attribute belong to the band of that (0-based) index, others to the
+ * dataset. Values are stored, scale and offset give the physical value
+ * (value * scale + offset), statistics are computed on stored values and give the default
+ * display range of bands deeper than 8 bits.
+ *
+ * GDAL GeoTIFF driver, metadata
+ * https://gdal.org/drivers/raster/gtiff.html#metadata
+ */
+
+/**
+ * @typedef {Object} BandMetadata
+ * @property {number} band 1-based band number
+ * @property {string|null} description
+ * @property {string|null} unit unit of the physical values
+ * @property {number|null} scale
+ * @property {number|null} offset
+ * @property {{min: number, max: number, mean: number|null, stdDev: number|null}|null} statistics
+ * @property {Object<string, string>} metadata other items of the band
+ */
+
+/**
+ * @typedef {Object} GdalMetadata
+ * @property {Object<string, string>} metadata dataset items
+ * @property {BandMetadata[]} bands bands that have items, by band number
+ */
+
+const ITEM = /<Item\b([^>]*)>([\s\S]*?)<\/Item\s*>/g;
+const ATTRIBUTE = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+const decode = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] !== "#") return ENTITIES[name] ?? entity;
+    return String.fromCodePoint(
+      name[1] === "x" || name[1] === "X" ? parseInt(name.slice(2), 16) : Number(name.slice(1))
+    );
+  });
+
+/**
+ * Parse a number as GDAL writes it in tags and .aux.xml files, "nan", "inf" and "-inf" included.
+ *
+ * @param {string|null|undefined} text
+ * @returns {number|null} null if the text is not a number
+ */
+export const parseGdalNumber = (text) => {
+  const value = text?.replace(/\0+$/, "").trim().toLowerCase();
+  if (!value) return null;
+  if (value === "nan") return NaN;
+  if (value === "inf" || value === "+inf") return Infinity;
+  if (value === "-inf") return -Infinity;
+  const number = Number(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Names of the metadata items holding band statistics, by statistic.
+ *
+ * @type {{min: string, max: string, mean: string, stdDev: string}}
+ */
+export const GDAL_STATISTICS = {
+  min: "STATISTICS_MINIMUM",
+  max: "STATISTICS_MAXIMUM",
+  mean: "STATISTICS_MEAN",
+  stdDev: "STATISTICS_STDDEV",
+};
+
+// band fields by role (or item name, lower case); other items stay in band.metadata
+const FIELDS = {
+  description: "description",
+  unittype: "unit",
+  scale: "scale",
+  offset: "offset",
+};
+
+const STATISTICS = Object.fromEntries(
+  Object.entries(GDAL_STATISTICS).map(([statistic, name]) => [name, statistic])
+);
+
+/**
+ * Parse the GDAL_METADATA tag.
+ *
+ * @param {string|null|undefined} xml value of the tag
+ * @returns {GdalMetadata|null} null if there is no tag or it has no items
+ */
+export const parseGdalMetadata = (xml) => {
+  if (typeof xml !== "string") return null;
+
+  const metadata = {};
+  const bands = new Map();
+  for (const [, attributes, content] of xml.matchAll(ITEM)) {
+    const attrs = {};
+    for (const [, name, double, single] of attributes.matchAll(ATTRIBUTE)) {
+      attrs[name.toLowerCase()] = decode(double ?? single);
+    }
+    // other domains (IMAGE_STRUCTURE, RPC...) are not metadata of the image content
+    if (attrs.domain || !attrs.name) continue;
+    const value = decode(content);
+    const sample = attrs.sample !== undefined ? Number(attrs.sample) : null;
+    if (sample === null || !Number.isInteger(sample) || sample < 0) {
+      metadata[attrs.name] = value;
+      continue;
+    }
+
+    if (!bands.has(sample)) {
+      bands.set(sample, {
+        band: sample + 1,
+        description: null,
+        unit: null,
+        scale: null,
+        offset: null,
+        statistics: {},
+        metadata: {},
+      });
+    }
+    const band = bands.get(sample);
+    const key = (attrs.role || attrs.name).toLowerCase();
+    if (key === "description" || key === "unittype") band[FIELDS[key]] = value.trim() || null;
+    else if (key in FIELDS) band[FIELDS[key]] = parseGdalNumber(value);
+    else if (attrs.name.toUpperCase() in STATISTICS) {
+      band.statistics[STATISTICS[attrs.name.toUpperCase()]] = parseGdalNumber(value);
+    } else band.metadata[attrs.name] = value;
+  }
+
+  return Object.keys(metadata).length || bands.size
+    ? {
+        metadata,
+        bands: [...bands.values()]
+          .sort((a, b) => a.band - b.band)
+          .map((band) => ({
+            ...band,
+            statistics:
+              band.statistics.min != null && band.statistics.max != null
+                ? { mean: null, stdDev: null, ...band.statistics }
+                : null,
+          })),
+      }
+    : null;
+};
+
+// tiles of an image share its file directory, its tag is parsed once
+const parsedTags = new WeakMap();
+
+/**
+ * Parsed GDAL_METADATA tag of a file directory, cached.
+ *
+ * @param {Object|null|undefined} fileDirectory
+ * @returns {GdalMetadata|null}
+ */
+export const getGdalMetadata = (fileDirectory) => {
+  if (!fileDirectory || typeof fileDirectory.GDAL_METADATA !== "string") return null;
+  if (!parsedTags.has(fileDirectory)) {
+    parsedTags.set(fileDirectory, parseGdalMetadata(fileDirectory.GDAL_METADATA));
+  }
+  return parsedTags.get(fileDirectory);
+};
+
+/**
+ * Metadata of each band of a raster: raster.bandMetadata as set by the tile source, else the
+ * GDAL_METADATA tag of its file directory.
+ *
+ * @param {TiffRaster} raster
+ * @returns {Array<BandMetadata|null>|null} by band index, null without band metadata
+ */
+export const resolveBandMetadata = (raster) => {
+  if (raster.bandMetadata) return raster.bandMetadata;
+  const bands = getGdalMetadata(raster.fileDirectory)?.bands;
+  if (!bands?.length) return null;
+  return Array.from(
+    { length: raster.bands?.length ?? 0 },
+    (_, index) => bands.find((band) => band.band === index + 1) ?? null
+  );
+};
+
+/**
+ * Default display range of a band: the minimum and maximum of its statistics, for bands deeper
+ * than 8 bits and float bands. 8-bit bands are shown as they are.
+ *
+ * @param {TiffRaster} raster
+ * @param {number} band band index
+ * @returns {{min: number, max: number}|null} null to use the range of the sample type
+ */
+export const getDisplayRange = (raster, band) => {
+  const data = raster.bands?.[band];
+  const isFloat = data instanceof Float32Array || data instanceof Float64Array;
+  const bits = raster.bitsPerSample?.[band] ?? raster.bitsPerSample?.[0] ?? 8;
+  if (!isFloat && bits <= 8) return null;
+  const statistics = resolveBandMetadata(raster)?.[band]?.statistics;
+  if (!statistics || !(statistics.max > statistics.min)) return null;
+  return { min: statistics.min, max: statistics.max };
+};
+
+/**
+ * Physical values of a band: value * scale + offset.
+ *
+ * @param {TypedArray} band stored values
+ * @param {BandMetadata|null} metadata
+ * @returns {TypedArray} Float64Array, or the band itself without scale and offset
+ */
+export const scaleBand = (band, metadata) => {
+  const scale = metadata?.scale ?? 1;
+  const offset = metadata?.offset ?? 0;
+  if (scale === 1 && offset === 0) return band;
+  const out = new Float64Array(band.length);
+  for (let i = 0; i < band.length; i++) out[i] = band[i] * scale + offset;
+  return out;
+};
+
+/**
+ * Fill the display range of composite channels that have none from the band statistics.
+ *
+ * @param {Array<{band: number, min?: number|null, max?: number|null}>} channels
+ * @param {TiffRaster} raster
+ * @returns {Array<Object>} channels with min and max
+ */
+export const withDisplayRanges = (channels, raster) =>
+  channels.map((channel) => {
+    if (!channel || (channel.min != null && channel.max != null)) return channel;
+    const range = getDisplayRange(raster, channel.band);
+    return range
+      ? { ...channel, min: channel.min ?? range.min, max: channel.max ?? range.max }
+      : channel;
+  });
@@ -0,0 +1,237 @@
+/**
+ * GeoTIFF Georeferencing
+ *
+ * GeoTIFF places a raster in a coordinate reference system (CRS) with either a
+ * ModelTransformation matrix, or a ModelTiepoint tying a pixel to a model position
+ * together with a ModelPixelScale. The CRS itself is described by GeoKeys stored in the
+ * GeoKeyDirectory: model type, EPSG code of the projected or geographic CRS, and units.
+ *
+ * Transforms are returned as GDAL geotransforms [originX, a, b, originY, d, e]
+ * mapping the corner of pixel (col, row) to x = originX + a * col + b * row and
+ * y = originY + d * col + e * row.
+ *
+ * OGC GeoTIFF standard
+ * https://docs.ogc.org/is/19-008r4/19-008r4.html
+ *
+ * GDAL data model, affine geotransform
+ * https://gdal.org/user/raster_data_model.html#affine-geotransform
+ */
+
+/**
+ * @typedef {number[]} GeoTransform [originX, a, b, originY, d, e]
+ */
+
+/**
+ * @typedef {Object} CoordinateReferenceSystem
+ * @property {number|null} epsg EPSG code, null for user-defined systems
+ * @property {"projected"|"geographic"|"geocentric"|null} type
+ * @property {string|null} name citation of the CRS
+ * @property {string|null} unit unit of world coordinates: a length symbol ("m", "ft"...) or "deg"
+ * @property {boolean} pixelIsPoint whether the file ties pixel centers instead of pixel corners
+ * @property {Object} geoKeys all GeoKeys of the file
+ */
+
+const MODEL_TYPES = { 1: "projected", 2: "geographic", 3: "geocentric" };
+
+// EPSG codes of units of measure
+const LINEAR_UNITS = { 9001: "m", 9002: "ft", 9003: "ft-us", 9030: "mi", 9036: "km" };
+const ANGULAR_UNITS = { 9101: "rad", 9102: "deg", 9105: "grad" };
+
+// 32767 is "user-defined", 0 and larger codes are not EPSG codes
+const USER_DEFINED = 32767;
+const epsgCode = (value) =>
+  Number.isInteger(value) && value > 0 && value < USER_DEFINED ? value : null;
+
+/**
+ * Compute the geotransform of an image from its GeoTIFF tags.
+ *
+ * @param {GeoTIFFImage} image
+ * @returns {GeoTransform|null} null if the image is not georeferenced with an affine transform
+ */
+export const getGeoTransform = (image) => {
+  const fd = image?.fileDirectory ?? {};
+  let transform = null;
+
+  if (fd.ModelTransformation && fd.ModelTransformation.length >= 16) {
+    // row-major 4x4 matrix, only the x and y rows matter for a 2D raster
+    const m = fd.ModelTransformation;
+    transform = [m[3], m[0], m[1], m[7], m[4], m[5]];
+  } else if (fd.ModelTiepoint && fd.ModelTiepoint.length === 6 && fd.ModelPixelScale) {
+    // more tiepoints are ground control points, which do not define an affine transform
+    const [i, j, , x, y] = fd.ModelTiepoint;
+    const [scaleX, scaleY] = fd.ModelPixelScale;
+    // raster rows go down while model y goes up (north)
+    transform = [x - i * scaleX, scaleX, 0, y + j * scaleY, 0, -scaleY];
+  }
+  if (!transform || transform.some((value) => !Number.isFinite(value))) return null;
+
+  // tiepoints of PixelIsPoint rasters refer to pixel centers, move the origin to the corner
+  if (image.geoKeys?.GTRasterTypeGeoKey === 2) {
+    transform[0] -= (transform[1] + transform[2]) / 2;
+    transform[3] -= (transform[4] + transform[5]) / 2;
+  }
+  return transform;
+};
+
+/**
+ * Describe the coordinate reference system of an image from its GeoKeys.
+ *
+ * @param {GeoTIFFImage} image
+ * @returns {CoordinateReferenceSystem|null} null if the image has no GeoKeyDirectory
+ */
+export const getCoordinateReferenceSystem = (image) => {
+  const geoKeys = image?.geoKeys;
+  if (!geoKeys) return null;
+
+  const projected = epsgCode(geoKeys.ProjectedCSTypeGeoKey);
+  const geographic = epsgCode(geoKeys.GeographicTypeGeoKey);
+  const type =
+    MODEL_TYPES[geoKeys.GTModelTypeGeoKey] ??
+    (geoKeys.ProjectedCSTypeGeoKey
+      ? "projected"
+      : geoKeys.GeographicTypeGeoKey
+        ? "geographic"
+        : null);
+
+  const units = {
+    geographic: ANGULAR_UNITS[geoKeys.GeogAngularUnitsGeoKey ?? 9102],
+    projected: LINEAR_UNITS[geoKeys.ProjLinearUnitsGeoKey ?? 9001],
+    geocentric: LINEAR_UNITS[geoKeys.GeogLinearUnitsGeoKey ?? 9001],
+  };
+
+  const citation =
+    type === "projected"
+      ? geoKeys.PCSCitationGeoKey ?? geoKeys.GTCitationGeoKey
+      : geoKeys.GeogCitationGeoKey ?? geoKeys.GTCitationGeoKey;
+
+  return {
+    epsg: type === "projected" ? projected : type === "geographic" ? geographic : null,
+    type,
+    name: typeof citation === "string" ? citation.replace(/[|\0]+$/, "") || null : null,
+    unit: units[type] ?? null,
+    pixelIsPoint: geoKeys.GTRasterTypeGeoKey === 2,
+    geoKeys: { ...geoKeys },
+  };
+};
+
+// GeoKeys that name or describe a CRS without defining it
+const DESCRIPTIVE_GEOKEYS = [
+  "GTCitationGeoKey",
+  "GeogCitationGeoKey",
+  "PCSCitationGeoKey",
+  "GTRasterTypeGeoKey",
+];
+
+/**
+ * Compare coordinate reference systems: by EPSG code, or by their defining GeoKeys (and the
+ * WKT of .aux.xml sidecars) for user-defined systems, which have none. A missing CRS matches
+ * nothing, not even another missing one.
+ *
+ * @param {CoordinateReferenceSystem|null} a
+ * @param {CoordinateReferenceSystem|null} b
+ * @returns {boolean}
+ */
+export const sameCoordinateReferenceSystem = (a, b) => {
+  if (!a || !b || a.type !== b.type || a.epsg !== b.epsg) return false;
+  if (a.epsg != null) return true;
+  const defining = (crs) => [
+    Object.entries(crs.geoKeys ?? {})
+      .filter(([key]) => !DESCRIPTIVE_GEOKEYS.includes(key))
+      .sort(([k1], [k2]) => (k1 < k2 ? -1 : 1)),
+    crs.wkt ?? null,
+  ];
+  return JSON.stringify(defining(a)) === JSON.stringify(defining(b));
+};
+
+/**
+ * Name a coordinate reference system in messages.
+ *
+ * @param {CoordinateReferenceSystem|null} crs
+ * @returns {string} "EPSG:<code>", the citation of user-defined systems, or "no CRS"
+ */
+export const describeCoordinateReferenceSystem = (crs) => {
+  if (!crs) return "no CRS";
+  return crs.epsg ? `EPSG:${crs.epsg}` : crs.name ?? "user-defined";
+};
+
+/**
+ * Map a pixel position to world coordinates.
+ *
+ * @param {GeoTransform} transform
+ * @param {number} col
+ * @param {number} row
+ * @returns {{x: number, y: number}}
+ */
+export const applyGeoTransform = (transform, col, row) => ({
+  x: transform[0] + transform[1] * col + transform[2] * row,
+  y: transform[3] + transform[4] * col + transform[5] * row,
+});
+
+/**
+ * Invert a geotransform, to map world coordinates back to pixels.
+ *
+ * @param {GeoTransform} transform
+ * @returns {GeoTransform|null} null if the transform is degenerate
+ */
+export const invertGeoTransform = (transform) => {
+  const [x0, a, b, y0, d, e] = transform;
+  const det = a * e - b * d;
+  if (!det) return null;
+  return [(b * y0 - e * x0) / det, e / det, -b / det, (d * x0 - a * y0) / det, -d / det, a / det];
+};
+
+/**
+ * World bounding box of an image.
+ *
+ * @param {GeoTransform} transform
+ * @param {number} width image width in pixels
+ * @param {number} height image height in pixels
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+export const getWorldBounds = (transform, width, height) => {
+  const corners = [
+    [0, 0],
+    [width, 0],
+    [0, height],
+    [width, height],
+  ].map(([col, row]) => applyGeoTransform(transform, col, row));
+  return {
+    minX: Math.min(...corners.map((corner) => corner.x)),
+    minY: Math.min(...corners.map((corner) => corner.y)),
+    maxX: Math.max(...corners.map((corner) => corner.x)),
+    maxY: Math.max(...corners.map((corner) => corner.y)),
+  };
+};
+
+/**
+ * Placement of an image in a viewport where world position (originX, originY) is at the
+ * viewport origin, world y going up (north) and viewport y going down. OpenSeadragon
+ * rotates tiled images around their center, so the unrotated box is centered on the
+ * center of the image.
+ *
+ * @param {GeoTransform} transform
+ * @param {number} width image width in pixels
+ * @param {number} height image height in pixels
+ * @param {{originX: number, originY: number, scale: number}} frame scale in viewport units per world unit
+ * @returns {{x: number, y: number, width: number, degrees: number, pixelAspect: number, mirrored: boolean}}
+ *   pixelAspect is the height / width ratio of a pixel, which OpenSeadragon cannot show other than 1
+ */
+export const getViewportPlacement = (transform, width, height, { originX, originY, scale }) => {
+  // viewport vectors of a step along a row (next column) and along a column (next row)
+  const column = { x: transform[1] * scale, y: -transform[4] * scale };
+  const row = { x: transform[2] * scale, y: -transform[5] * scale };
+  const size = Math.hypot(column.x, column.y);
+  const degrees = (Math.atan2(column.y, column.x) * 180) / Math.PI;
+
+  const center = applyGeoTransform(transform, width / 2, height / 2);
+  const centerX = (center.x - originX) * scale;
+  const centerY = (originY - center.y) * scale;
+  return {
+    x: centerX - (width * size) / 2,
+    y: centerY - (height * size) / 2,
+    width: width * size,
+    degrees: Math.abs(degrees) < 1e-9 ? 0 : degrees,
+    pixelAspect: Math.hypot(row.x, row.y) / size,
+    mirrored: column.x * row.y - column.y * row.x < 0,
+  };
+};
@@ -0,0 +1,245 @@
+/**
+ * ImageJ Hyperstack Reader
+ *
+ * ImageJ (and tifffile in ImageJ mode) describes stacks in the ImageDescription of the
+ * first IFD as "key=value" lines: images, channels, slices, frames, unit, spacing,
+ * finterval, mode, min, max... Pages are stored in czt order, channels varying fastest.
+ * Channel LUTs, display ranges, slice labels and the info text are stored in the
+ * private IJMetadata tag (50839), split into entries by IJMetadataByteCounts (50838).
+ *
+ * ImageJ TiffEncoder / TiffDecoder
+ * https://github.com/imagej/ImageJ/blob/master/ij/io/TiffEncoder.java
+ * https://github.com/imagej/ImageJ/blob/master/ij/io/TiffDecoder.java
+ */
+
+// private tags, read with readPrivateTags: geotiff.js does not name them
+export const IMAGEJ_TAGS = {
+  50838: "IJMetadataByteCounts",
+  50839: "IJMetadata",
+};
+
+/**
+ * @typedef {Object} ImageJChannel
+ * @property {number} index
+ * @property {string} name
+ * @property {number[]} color [r, g, b], the brightest entry of the LUT
+ * @property {Uint8Array|null} lut 768 bytes: 256 red, 256 green then 256 blue entries
+ * @property {number|null} min display range
+ * @property {number|null} max display range
+ */
+
+/**
+ * @typedef {Object} ImageJMetadata
+ * @property {string} format always "imagej"
+ * @property {string|null} version
+ * @property {number} images number of planes
+ * @property {number} sizeC
+ * @property {number} sizeZ
+ * @property {number} sizeT
+ * @property {string|null} mode display mode: "composite", "color" or "grayscale"
+ * @property {{x: ?number, y: ?number, z: ?number, unit: string}} physicalSize
+ * @property {{value: ?number, unit: string}} timeIncrement
+ * @property {ImageJChannel[]} channels
+ * @property {string[]} labels slice labels, one per plane when present
+ * @property {string|null} info
+ * @property {Object<string, string|number|boolean>} properties all key=value pairs of the description
+ */
+
+// ImageJ's default composite colors: red, green, blue, gray, cyan, magenta, yellow
+const DEFAULT_COLORS = [
+  [255, 0, 0],
+  [0, 255, 0],
+  [0, 0, 255],
+  [255, 255, 255],
+  [0, 255, 255],
+  [255, 0, 255],
+  [255, 255, 0],
+];
+
+const MAGIC = 0x494a494a; // "IJIJ"
+const INFO = 0x696e666f; // "info"
+const LABELS = 0x6c61626c; // "labl"
+const RANGES = 0x72616e67; // "rang"
+const LUTS = 0x6c757473; // "luts"
+const PROPERTIES = 0x70726f70; // "prop"
+
+/**
+ * Check whether an ImageDescription was written by ImageJ.
+ *
+ * @param {string} description
+ * @returns {boolean}
+ */
+export const isImageJDescription = (description) =>
+  typeof description === "string" && description.startsWith("ImageJ=");
+
+const parseValue = (value) => {
+  if (value === "true" || value === "false") return value === "true";
+  const number = Number(value);
+  return value !== "" && Number.isFinite(number) ? number : value;
+};
+
+/**
+ * Parse the key=value lines of an ImageJ ImageDescription.
+ *
+ * @param {string} description
+ * @returns {Object<string, string|number|boolean>|null} null if not an ImageJ description
+ */
+export const parseImageJDescription = (description) => {
+  if (!isImageJDescription(description)) return null;
+  const properties = {};
+  for (const line of description.replace(/\0+$/, "").split(/\r?\n/)) {
+    const separator = line.indexOf("=");
+    if (separator > 0)
+      properties[line.slice(0, separator).trim()] = parseValue(line.slice(separator + 1).trim());
+  }
+  return properties;
+};
+
+const utf16 = (view, offset, length, littleEndian) => {
+  let text = "";
+  for (let i = 0; i + 1 < length; i += 2)
+    text += String.fromCharCode(view.getUint16(offset + i, littleEndian));
+  return text;
+};
+
+/**
+ * Parse the IJMetadata tag: info text, slice labels, display ranges, LUTs and properties.
+ *
+ * @param {Uint8Array} bytes IJMetadata value
+ * @param {number[]|Uint32Array|number} byteCounts IJMetadataByteCounts value, the header size first
+ * @param {boolean} littleEndian byte order of the file
+ * @returns {{info: ?string, labels: string[], ranges: number[], luts: Uint8Array[], properties: Object<string, string>}}
+ */
+export const parseImageJMetadata = (bytes, byteCounts, littleEndian) => {
+  const result = { info: null, labels: [], ranges: [], luts: [], properties: {} };
+  const counts = typeof byteCounts === "number" ? [byteCounts] : Array.from(byteCounts ?? []);
+  if (!bytes || counts.length === 0 || counts[0] < 4) return result;
+
+  const data = bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes);
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  if (view.getUint32(0, littleEndian) !== MAGIC) return result;
+
+  // header: magic, then (type, count) pairs telling how many of the following entries have each type
+  const entries = [];
+  for (let i = 4; i + 8 <= counts[0]; i += 8) {
+    const type = view.getUint32(i, littleEndian);
+    const count = view.getUint32(i + 4, littleEndian);
+    for (let n = 0; n < count; n++) entries.push(type);
+  }
+
+  let offset = counts[0];
+  const propertyTexts = [];
+  entries.forEach((type, index) => {
+    const length = counts[index + 1] ?? 0;
+    if (offset + length > data.byteLength) return;
+    if (type === INFO) result.info = utf16(view, offset, length, littleEndian);
+    else if (type === LABELS) result.labels.push(utf16(view, offset, length, littleEndian));
+    else if (type === RANGES) {
+      for (let i = 0; i + 8 <= length; i += 8)
+        result.ranges.push(view.getFloat64(offset + i, littleEndian));
+    } else if (type === LUTS) result.luts.push(data.slice(offset, offset + length));
+    else if (type === PROPERTIES) propertyTexts.push(utf16(view, offset, length, littleEndian));
+    offset += length;
+  });
+  // properties alternate keys and values
+  for (let i = 0; i + 1 < propertyTexts.length; i += 2)
+    result.properties[propertyTexts[i]] = propertyTexts[i + 1];
+  return result;
+};
+
+const rational = (value) =>
+  value && typeof value === "object" ? (value[1] ? value[0] / value[1] : null) : value ?? null;
+
+/**
+ * Parse the ImageJ metadata of a file from its first image.
+ *
+ * @param {GeoTIFFImage} firstImage
+ * @param {{IJMetadata?: Uint8Array, IJMetadataByteCounts?: number|number[]}} [tags] private tags of
+ *   the first image, channel LUTs, display ranges and labels are read from them
+ * @returns {ImageJMetadata|null}
+ */
+export const parseImageJ = (firstImage, tags = {}) => {
+  const fd = firstImage?.fileDirectory ?? {};
+  const properties = parseImageJDescription(fd.ImageDescription);
+  if (!properties) return null;
+
+  const sizeC = Math.max(1, properties.channels | 0);
+  const sizeZ = Math.max(1, properties.slices | 0);
+  const sizeT = Math.max(1, properties.frames | 0);
+  const extra = parseImageJMetadata(
+    tags.IJMetadata,
+    tags.IJMetadataByteCounts,
+    firstImage.littleEndian ?? false
+  );
+
+  // ImageJ writes "micron" for µm, non-ASCII units are escaped as \u00B5m
+  const unit = String(properties.unit ?? "pixel").replace(/\\u([0-9a-f]{4})/gi, (_, hex) =>
+    String.fromCharCode(parseInt(hex, 16))
+  );
+  const resolution = (value) => {
+    const pixelsPerUnit = rational(value);
+    return pixelsPerUnit > 0 ? 1 / pixelsPerUnit : null;
+  };
+
+  const channels = Array.from({ length: sizeC }, (_, c) => {
+    const lut = extra.luts[c] ?? null;
+    let color = sizeC === 1 ? [255, 255, 255] : DEFAULT_COLORS[c % DEFAULT_COLORS.length];
+    if (lut && lut.length >= 768) color = [lut[255], lut[511], lut[767]];
+    // the description only holds the display range of single channel images
+    const single =
+      sizeC === 1 && typeof properties.min === "number" && typeof properties.max === "number";
+    return {
+      index: c,
+      // labels belong to pages, the first pages are the channels of the first slice
+      name: sizeC > 1 && extra.labels[c] ? extra.labels[c] : `Channel ${c}`,
+      color,
+      lut,
+      min: extra.ranges[c * 2] ?? (single ? properties.min : null),
+      max: extra.ranges[c * 2 + 1] ?? (single ? properties.max : null),
+    };
+  });
+
+  return {
+    format: "imagej",
+    version: properties.ImageJ !== undefined ? String(properties.ImageJ) : null,
+    images: properties.images ?? sizeC * sizeZ * sizeT,
+    sizeC,
+    sizeZ,
+    sizeT,
+    mode: properties.mode ?? null,
+    physicalSize: {
+      x: resolution(fd.XResolution),
+      y: resolution(fd.YResolution),
+      z: typeof properties.spacing === "number" ? properties.spacing : null,
+      unit,
+    },
+    timeIncrement: {
+      value: typeof properties.finterval === "number" ? properties.finterval : null,
+      unit: properties.tunit ?? "sec",
+    },
+    channels,
+    labels: extra.labels,
+    info: extra.info,
+    properties: { ...extra.properties, ...properties },
+  };
+};
+
+/**
+ * Map the pages of an ImageJ hyperstack to (c, z, t) planes, channels varying fastest.
+ *
+ * @param {ImageJMetadata} imagej
+ * @param {(GeoTIFFImage|undefined)[]} images top-level images in IFD order, filtered ones undefined
+ * @returns {{c: number, z: number, t: number, ifd: number, images: GeoTIFFImage[]}[]}
+ */
+export const mapImageJPlanes = (imagej, images) => {
+  const planes = [];
+  const count = Math.min(imagej.sizeC * imagej.sizeZ * imagej.sizeT, images.length);
+  for (let ifd = 0; ifd < count; ifd++) {
+    if (!images[ifd]) continue;
+    const c = ifd % imagej.sizeC;
+    const z = Math.floor(ifd / imagej.sizeC) % imagej.sizeZ;
+    const t = Math.floor(ifd / (imagej.sizeC * imagej.sizeZ));
+    planes.push({ c, z, t, ifd, images: [images[ifd]] });
+  }
+  return planes;
+};
@@ -0,0 +1,212 @@
+/**
+ * Leica SCN Reader
+ *
+ * Leica SCN files describe a collection (the whole slide) in an XML ImageDescription on
+ * the first IFD. The collection holds several images: the macro photograph of the slide
+ * and one image per scanned region. Each image lists its pyramid as <dimension> elements
+ * mapping a resolution (r), channel (c) and Z slice (z) to an IFD, and places itself on
+ * the slide with a <view> given in nanometers.
+ *
+ * OpenSlide Leica format
+ * https://openslide.org/formats/leica/
+ *
+ * Bio-Formats Leica SCN
+ * https://bio-formats.readthedocs.io/en/stable/formats/leica-scn.html
+ */
+
+/**
+ * @typedef {Object} LeicaDimension
+ * @property {number} width
+ * @property {number} height
+ * @property {number} r resolution index, 0 is the full resolution
+ * @property {number} c channel index
+ * @property {number} z Z slice index
+ * @property {number} ifd index of the top-level IFD holding the level
+ */
+
+/**
+ * @typedef {Object} LeicaImage
+ * @property {number} index position of the image in the collection
+ * @property {string} name
+ * @property {string|null} uuid
+ * @property {string|null} creationDate
+ * @property {{model: string|null, version: string|null}} device
+ * @property {number|null} objective objective magnification
+ * @property {string|null} illumination "brightfield" or "fluorescence"
+ * @property {number} width full resolution width in pixels
+ * @property {number} height full resolution height in pixels
+ * @property {{x: number, y: number, width: number, height: number}} view placement on the slide, in nm
+ * @property {{x: number, y: number}} mpp microns per pixel of the full resolution
+ * @property {{index: number, name: string, color: number[]|null}[]} channels
+ * @property {LeicaDimension[]} dimensions
+ * @property {boolean} isMacro the image covers the whole collection
+ */
+
+/**
+ * @typedef {Object} LeicaMetadata
+ * @property {string} format always "scn"
+ * @property {{name: string|null, uuid: string|null, width: number, height: number}} collection size in nm
+ * @property {LeicaImage[]} images
+ */
+
+/**
+ * Check whether an ImageDescription is a Leica SCN XML.
+ *
+ * @param {string} description
+ * @returns {boolean}
+ */
+export const isLeicaDescription = (description) =>
+  typeof description === "string" &&
+  description.includes("<scn") &&
+  description.includes("leica-microsystems.com/scn");
+
+const childrenByName = (element, name) =>
+  Array.from(element?.children ?? []).filter((child) => child.localName === name);
+
+const child = (element, name) => childrenByName(element, name)[0] ?? null;
+
+const numberAttr = (element, name, fallback = null) => {
+  const value = element?.getAttribute(name);
+  if (value === null || value === undefined || value === "") return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const text = (element) => element?.textContent.trim() || null;
+
+// channel colors are written as hex RRGGBB
+const parseColor = (value) =>
+  /^#?[0-9a-f]{6}$/i.test(value ?? "")
+    ? [0, 2, 4].map((i) => parseInt(value.replace("#", "").slice(i, i + 2), 16))
+    : null;
+
+const parseImage = (element, index, collection) => {
+  const pixels = child(element, "pixels");
+  const view = child(element, "view");
+  const scanSettings = child(element, "scanSettings");
+
+  const dimensions = childrenByName(pixels, "dimension")
+    .map((dimension) => ({
+      width: numberAttr(dimension, "sizeX", 0),
+      height: numberAttr(dimension, "sizeY", 0),
+      r: numberAttr(dimension, "r", 0),
+      c: numberAttr(dimension, "c", 0),
+      z: numberAttr(dimension, "z", 0),
+      ifd: numberAttr(dimension, "ifd"),
+    }))
+    .filter((dimension) => dimension.ifd !== null);
+
+  const width = numberAttr(pixels, "sizeX", 0);
+  const height = numberAttr(pixels, "sizeY", 0);
+  const placement = {
+    x: numberAttr(view, "offsetX", 0),
+    y: numberAttr(view, "offsetY", 0),
+    width: numberAttr(view, "sizeX", 0),
+    height: numberAttr(view, "sizeY", 0),
+  };
+
+  const channels = childrenByName(child(scanSettings, "channelSettings"), "channel").map(
+    (channel, c) => ({
+      index: numberAttr(channel, "index", c),
+      name: channel.getAttribute("name") || `Channel ${c}`,
+      color: parseColor(channel.getAttribute("rgb")),
+    })
+  );
+
+  return {
+    index,
+    name: element.getAttribute("name") ?? "",
+    uuid: element.getAttribute("uuid"),
+    creationDate: text(child(element, "creationDate")),
+    device: {
+      model: child(element, "device")?.getAttribute("model") ?? null,
+      version: child(element, "device")?.getAttribute("version") ?? null,
+    },
+    objective: Number(text(child(child(scanSettings, "objectiveSettings"), "objective"))) || null,
+    illumination: text(child(child(scanSettings, "illuminationSettings"), "illuminationSource")),
+    width,
+    height,
+    view: placement,
+    // view sizes are in nm
+    mpp: {
+      x: width > 0 ? placement.width / width / 1000 : null,
+      y: height > 0 ? placement.height / height / 1000 : null,
+    },
+    channels,
+    dimensions,
+    isMacro:
+      placement.x === 0 &&
+      placement.y === 0 &&
+      placement.width === collection.width &&
+      placement.height === collection.height,
+  };
+};
+
+/**
+ * Parse a Leica SCN XML.
+ *
+ * @param {string} xml
+ * @returns {LeicaMetadata|null} null if the string is not a Leica SCN description
+ */
+export const parseLeicaXml = (xml) => {
+  if (!isLeicaDescription(xml)) return null;
+  const root = new DOMParser().parseFromString(xml.replace(/\0+$/, ""), "text/xml").documentElement;
+  const element = child(root, "collection");
+  if (!root || root.localName !== "scn" || !element) return null;
+
+  const collection = {
+    name: element.getAttribute("name"),
+    uuid: element.getAttribute("uuid"),
+    width: numberAttr(element, "sizeX", 0),
+    height: numberAttr(element, "sizeY", 0),
+  };
+  return {
+    format: "scn",
+    collection,
+    images: childrenByName(element, "image").map((image, index) =>
+      parseImage(image, index, collection)
+    ),
+  };
+};
+
+/**
+ * Parse the Leica SCN metadata of a file from its first image.
+ *
+ * @param {GeoTIFFImage} firstImage
+ * @returns {LeicaMetadata|null}
+ */
+export const parseLeicaMetadata = (firstImage) => {
+  const description = firstImage?.fileDirectory?.["ImageDescription"];
+  if (!isLeicaDescription(description)) return null;
+  try {
+    return parseLeicaXml(description);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Map the planes of a Leica image (one per channel and Z slice) onto the IFDs of the file.
+ *
+ * @param {LeicaImage} image
+ * @param {(GeoTIFFImage|undefined)[]} images top-level images in IFD order, filtered ones undefined
+ * @returns {{c: number, z: number, images: GeoTIFFImage[]}[]} planes sorted by z then c,
+ *   levels sorted from the largest
+ */
+export const mapLeicaPlanes = (image, images) => {
+  const planes = new Map();
+  for (const dimension of image.dimensions) {
+    const level = images[dimension.ifd];
+    if (!level) continue;
+    const key = `${dimension.z}_${dimension.c}`;
+    if (!planes.has(key)) planes.set(key, { c: dimension.c, z: dimension.z, levels: [] });
+    planes.get(key).levels.push({ r: dimension.r, level });
+  }
+  return Array.from(planes.values())
+    .sort((a, b) => a.z - b.z || a.c - b.c)
+    .map(({ c, z, levels }) => ({
+      c,
+      z,
+      images: levels.sort((a, b) => a.r - b.r).map(({ level }) => level),
+    }));
+};
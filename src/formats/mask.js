@@ -0,0 +1,97 @@
+/**
+ * Transparency Masks
+ *
+ * A TIFF image can store its transparency in an IFD of its own: PhotometricInterpretation 4
+ * (TransparencyMask) and bit 2 of NewSubfileType set, with the dimensions of the image it
+ * masks. GDAL writes the mask of the full resolution image (NewSubfileType 4) and of each
+ * internal overview (NewSubfileType 5) right after the image, 1 bit per pixel, or 8 bits for
+ * masks with intermediate values. Masks are read with the tile and become its alpha channel.
+ *
+ * TIFF 6.0, NewSubfileType and PhotometricInterpretation
+ * https://www.itu.int/itudoc/itu-t/com16/tiff-fx/docs/tiff6.pdf
+ *
+ * GDAL GeoTIFF driver, internal nodata masks
+ * https://gdal.org/drivers/raster/gtiff.html#internal-nodata-masks
+ */
+
+const TRANSPARENCY_MASK = 4;
+
+/**
+ * @param {GeoTIFFImage} image
+ * @returns {boolean} true if the image is the transparency mask of another image
+ */
+export const isTransparencyMask = (image) => {
+  const fd = image.fileDirectory ?? {};
+  return fd.PhotometricInterpretation === TRANSPARENCY_MASK || !!(fd.NewSubfileType & 4);
+};
+
+/**
+ * Set transparency masks apart from the images of a file and associate each one with the image
+ * it masks: the closest image with the same dimensions before it in IFD order, else after it.
+ *
+ * @param {GeoTIFFImage[]} images images in IFD order
+ * @returns {{images: GeoTIFFImage[], masks: Map<GeoTIFFImage, GeoTIFFImage>}} images without
+ *   the masks, and the mask of each masked image
+ */
+export const splitTransparencyMasks = (images) => {
+  const masks = new Map();
+  const kept = images.filter((image) => !isTransparencyMask(image));
+  images.forEach((mask, index) => {
+    if (!isTransparencyMask(mask)) return;
+    const fits = (image) =>
+      image &&
+      !isTransparencyMask(image) &&
+      !masks.has(image) &&
+      image.getWidth() === mask.getWidth() &&
+      image.getHeight() === mask.getHeight();
+    const before = images.slice(0, index).reverse().find(fits);
+    const parent = before ?? images.slice(index + 1).find(fits);
+    if (parent) masks.set(parent, mask);
+  });
+  return { images: kept, masks };
+};
+
+/**
+ * Alpha of each pixel from the samples of a mask.
+ *
+ * @param {TypedArray} band samples of the mask
+ * @param {number} [bitsPerSample=1]
+ * @returns {Uint8Array} 0 (transparent) to 255 (opaque)
+ */
+export const maskToAlpha = (band, bitsPerSample = 1) => {
+  const max = Math.pow(2, bitsPerSample) - 1;
+  const alpha = new Uint8Array(band.length);
+  for (let i = 0; i < band.length; i++) {
+    alpha[i] = max === 255 ? band[i] : Math.round((Math.min(band[i], max) * 255) / max);
+  }
+  return alpha;
+};
+
+/**
+ * Combine two alpha masks, a pixel is as transparent as the most transparent of both.
+ *
+ * @param {Uint8Array|null} a
+ * @param {Uint8Array|null} b
+ * @returns {Uint8Array|null} null if both masks are null
+ */
+export const combineAlphaMasks = (a, b) => {
+  if (!a || !b) return a || b || null;
+  const out = new Uint8Array(a.length);
+  for (let i = 0; i < a.length; i++) out[i] = Math.min(a[i], b[i]);
+  return out;
+};
+
+/**
+ * Apply an alpha mask to an RGBA8 image, in place.
+ *
+ * @param {Uint8ClampedArray|Uint8Array} rgba
+ * @param {Uint8Array|null} mask 0 (transparent) to 255 (opaque)
+ * @returns {Uint8ClampedArray|Uint8Array} rgba
+ */
+export const applyAlphaMask = (rgba, mask) => {
+  if (!mask) return rgba;
+  for (let i = 0, j = 3; i < mask.length; i++, j += 4) {
+    if (mask[i] < rgba[j]) rgba[j] = mask[i];
+  }
+  return rgba;
+};
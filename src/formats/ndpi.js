@@ -0,0 +1,630 @@
+/**
+ * Hamamatsu NDPI Reader
+ *
+ * NDPI files are little-endian classic TIFF files with two quirks:
+ *  - files larger than 4 GB use a 64-bit offset extension: the "next IFD" pointer of
+ *    every IFD is 8 bytes long and is followed by one 32-bit word per IFD entry holding
+ *    the high bits of the entry value (offsets of out-of-line values, strip offsets).
+ *  - every level is stored as one strip holding a single huge JPEG. The JPEG uses
+ *    restart markers, and the NDPI_MCU_STARTS tag lists where each restart interval
+ *    starts, so regions are decoded by assembling a small JPEG from the intervals that
+ *    cover them instead of decoding the whole level.
+ *
+ * Levels, focal planes and the macro image are told apart by the NDPI tags.
+ *
+ * OpenSlide Hamamatsu format
+ * https://openslide.org/formats/hamamatsu/
+ *
+ * JPEG (ITU T.81) restart intervals
+ * https://www.w3.org/Graphics/JPEG/itu-t81.pdf
+ */
+
+import { getDecoder, globals } from "geotiff";
+import { readPrivateTags } from "./privateTags.js";
+
+export const NDPI_TAGS = {
+  65420: "NDPI_FORMAT_FLAG",
+  65421: "NDPI_SOURCELENS",
+  65422: "NDPI_XOFFSET",
+  65423: "NDPI_YOFFSET",
+  65424: "NDPI_FOCAL_PLANE",
+  65426: "NDPI_MCU_STARTS",
+  65427: "NDPI_REFERENCE",
+  65432: "NDPI_MCU_STARTS_HIGHBYTES",
+  65442: "NDPI_SCANNER_SERIAL_NUMBER",
+  65449: "NDPI_PROPERTY_MAP",
+};
+
+const TYPE_SIZE = {
+  1: 1,
+  2: 1,
+  3: 2,
+  4: 4,
+  5: 8,
+  6: 1,
+  7: 1,
+  8: 2,
+  9: 4,
+  10: 8,
+  11: 4,
+  12: 8,
+  16: 8,
+  17: 8,
+  18: 8,
+};
+// tags kept as arrays even with a single value, like geotiff.js does
+const ARRAY_TAGS = new Set([258, 273, 279, 65426, 65432]);
+// inline values that are offsets or sizes, their high bits are in the extension
+const OFFSET_TAGS = new Set([273, 279]);
+
+const HIGH = 2 ** 32;
+// tile size targeted when grouping restart intervals into tiles
+const TARGET_TILE_SIZE = 512;
+// images without restart markers are decoded at once, up to this many pixels
+const MAX_WHOLE_PIXELS = 64 * 1024 * 1024;
+// restart markers are looked up in the JPEG when NDPI_MCU_STARTS is missing, up to this size
+const MAX_SCANNED_BYTES = 256 * 1024 * 1024;
+
+const fetchBytes = async (source, offset, length, signal) => {
+  const [buffer] = await source.fetch([{ offset, length }], signal);
+  return new Uint8Array(buffer);
+};
+
+const readValues = (view, offset, type, count) => {
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const o = offset + i * TYPE_SIZE[type];
+    switch (type) {
+      case 3:
+        values.push(view.getUint16(o, true));
+        break;
+      case 8:
+        values.push(view.getInt16(o, true));
+        break;
+      case 4:
+        values.push(view.getUint32(o, true));
+        break;
+      case 9:
+        values.push(view.getInt32(o, true));
+        break;
+      case 5:
+        values.push(view.getUint32(o, true) / view.getUint32(o + 4, true));
+        break;
+      case 10:
+        values.push(view.getInt32(o, true) / view.getInt32(o + 4, true));
+        break;
+      case 11:
+        values.push(view.getFloat32(o, true));
+        break;
+      case 12:
+        values.push(view.getFloat64(o, true));
+        break;
+      case 16:
+      case 18:
+        values.push(Number(view.getBigUint64(o, true)));
+        break;
+      case 17:
+        values.push(Number(view.getBigInt64(o, true)));
+        break;
+      case 6:
+        values.push(view.getInt8(o));
+        break;
+      default:
+        values.push(view.getUint8(o));
+    }
+  }
+  return values;
+};
+
+const toTagValue = (tag, type, values) => {
+  if (type === 2)
+    return new TextDecoder("utf-8").decode(new Uint8Array(values)).replace(/\0+$/, "");
+  return values.length === 1 && !ARRAY_TAGS.has(tag) ? values[0] : values;
+};
+
+/**
+ * Read all IFDs of an NDPI file, honoring the 64-bit offset extension of files larger than 4 GB.
+ *
+ * @param {BaseSource} source geotiff.js source of the file (tiff.source)
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Object[]>} file directories keyed by tag name (tag number for unknown tags)
+ */
+export const readNdpiDirectories = async (source, signal) => {
+  const header = new DataView((await fetchBytes(source, 0, 8, signal)).buffer);
+  if (header.getUint16(0, false) !== 0x4949 || header.getUint16(2, true) !== 42) {
+    throw new Error("[GeoTIFFTileSource] NDPI files are little-endian classic TIFF files.");
+  }
+
+  // only files larger than 4 GB need the extension; the size of remote files is known once read from
+  const size = source.fileSize ?? source.file?.size ?? source.arrayBuffer?.byteLength ?? null;
+  const extended = size > HIGH;
+
+  const directories = [];
+  const visited = new Set();
+  let offset = header.getUint32(4, true);
+  while (offset && !visited.has(offset)) {
+    visited.add(offset);
+    const count = new DataView((await fetchBytes(source, offset, 2, signal)).buffer).getUint16(
+      0,
+      true
+    );
+    const nextOffset = 2 + count * 12;
+    const view = new DataView(
+      (await fetchBytes(source, offset, nextOffset + 8 + count * 4, signal)).buffer
+    );
+
+    // files under 4 GB may lack the extension, the words after the IFD are then unrelated data
+    const hasExtension = extended && view.byteLength >= nextOffset + 8 + count * 4;
+    const highBits = Array.from({ length: count + 1 }, (_, i) => {
+      if (!hasExtension) return 0;
+      return i < count
+        ? view.getUint32(nextOffset + 8 + i * 4, true)
+        : view.getUint32(nextOffset + 4, true);
+    });
+
+    const directory = {};
+    const deferred = [];
+    for (let i = 0; i < count; i++) {
+      const entry = 2 + i * 12;
+      const tag = view.getUint16(entry, true);
+      const type = view.getUint16(entry + 2, true);
+      const n = view.getUint32(entry + 4, true);
+      const name = NDPI_TAGS[tag] ?? globals.fieldTagNames[tag] ?? tag;
+      const size = (TYPE_SIZE[type] ?? 1) * n;
+      if (size <= 4) {
+        let values = readValues(view, entry + 8, type, n);
+        if (OFFSET_TAGS.has(tag) && n === 1) values = [values[0] + highBits[i] * HIGH];
+        directory[name] = toTagValue(tag, type, values);
+      } else {
+        deferred.push({
+          tag,
+          name,
+          type,
+          n,
+          offset: view.getUint32(entry + 8, true) + highBits[i] * HIGH,
+          size,
+        });
+      }
+    }
+
+    if (deferred.length) {
+      const buffers = await source.fetch(
+        deferred.map((d) => ({ offset: d.offset, length: d.size })),
+        signal
+      );
+      deferred.forEach((d, i) => {
+        const values = readValues(new DataView(buffers[i]), 0, d.type, d.n);
+        directory[d.name] = toTagValue(d.tag, d.type, values);
+      });
+    }
+
+    directories.push(directory);
+    offset = view.getUint32(nextOffset, true) + highBits[count] * HIGH;
+  }
+  return directories;
+};
+
+/**
+ * Check whether a file is an NDPI file: its first IFD has the NDPI_FORMAT_FLAG tag. The IFD is
+ * only read again for little-endian classic TIFF files whose first IFD has tags geotiff.js
+ * does not know (it keeps them under "undefined").
+ *
+ * @param {GeoTIFF} tiff
+ * @param {GeoTIFFImage} firstImage
+ * @returns {Promise<boolean>}
+ */
+export const isNdpi = async (tiff, firstImage) => {
+  if (!tiff.littleEndian || tiff.bigTiff || !("undefined" in (firstImage.fileDirectory ?? {})))
+    return false;
+  return (
+    (await readPrivateTags(tiff, { 65420: "NDPI_FORMAT_FLAG" })).NDPI_FORMAT_FLAG !== undefined
+  );
+};
+
+/**
+ * Parse the JPEG header (everything up to the end of the SOS segment).
+ *
+ * @param {Uint8Array} bytes start of the JPEG stream
+ * @returns {Object|null} {headerLength, width, height, components, mcuWidth, mcuHeight, restartInterval,
+ *   sofOffset, colorTransform}, null if the header is not complete in bytes
+ */
+export const parseJpegHeader = (bytes) => {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) {
+    throw new Error("[GeoTIFFTileSource] NDPI strip is not a JPEG stream.");
+  }
+  const header = { restartInterval: 0, colorTransform: null };
+  let i = 2;
+  while (i + 4 <= bytes.length) {
+    if (bytes[i] !== 0xff)
+      throw new Error("[GeoTIFFTileSource] Corrupted JPEG header in NDPI strip.");
+    const marker = bytes[i + 1];
+    if (marker === 0xff) {
+      i++;
+      continue;
+    }
+    const length = (bytes[i + 2] << 8) | bytes[i + 3];
+    if (i + 2 + length > bytes.length) return null;
+
+    if (marker === 0xc0 || marker === 0xc1) {
+      header.sofOffset = i;
+      header.height = (bytes[i + 5] << 8) | bytes[i + 6];
+      header.width = (bytes[i + 7] << 8) | bytes[i + 8];
+      header.components = bytes[i + 9];
+      let maxH = 1;
+      let maxV = 1;
+      for (let c = 0; c < header.components; c++) {
+        const sampling = bytes[i + 11 + c * 3];
+        maxH = Math.max(maxH, sampling >> 4);
+        maxV = Math.max(maxV, sampling & 15);
+      }
+      header.mcuWidth = 8 * maxH;
+      header.mcuHeight = 8 * maxV;
+    } else if (
+      marker >= 0xc2 &&
+      marker <= 0xcf &&
+      marker !== 0xc4 &&
+      marker !== 0xc8 &&
+      marker !== 0xcc
+    ) {
+      throw new Error("[GeoTIFFTileSource] Only baseline JPEG NDPI strips are supported.");
+    } else if (marker === 0xdd) {
+      header.restartInterval = (bytes[i + 4] << 8) | bytes[i + 5];
+    } else if (
+      marker === 0xee &&
+      String.fromCharCode(...bytes.subarray(i + 4, i + 9)) === "Adobe"
+    ) {
+      header.colorTransform = bytes[i + 15];
+    } else if (marker === 0xda) {
+      header.headerLength = i + 2 + length;
+      return header;
+    }
+    i += 2 + length;
+  }
+  return null;
+};
+
+/**
+ * Assemble a JPEG from a rectangle of restart intervals.
+ *
+ * Every interval starts with a reset DC predictor, so intervals can be concatenated in any
+ * order as long as restart markers are numbered sequentially and the frame size matches.
+ *
+ * @param {Uint8Array} header JPEG header up to the end of SOS, including DRI
+ * @param {number} sofOffset position of the SOF marker in header
+ * @param {number} width frame width in pixels (whole intervals)
+ * @param {number} height frame height in pixels (whole MCU rows)
+ * @param {Uint8Array[][]} rows entropy-coded data of every interval, row by row, without restart markers
+ * @returns {Uint8Array}
+ */
+export const assembleRestartJpeg = (header, sofOffset, width, height, rows) => {
+  const intervals = rows.flat();
+  const size = header.length + intervals.reduce((sum, data) => sum + data.length + 2, 0) + 2;
+  const out = new Uint8Array(size);
+  out.set(header, 0);
+  out[sofOffset + 5] = height >> 8;
+  out[sofOffset + 6] = height & 255;
+  out[sofOffset + 7] = width >> 8;
+  out[sofOffset + 8] = width & 255;
+
+  let position = header.length;
+  intervals.forEach((data, index) => {
+    out.set(data, position);
+    position += data.length;
+    if (index < intervals.length - 1) {
+      out[position++] = 0xff;
+      out[position++] = 0xd0 + (index % 8);
+    }
+  });
+  out[position++] = 0xff;
+  out[position++] = 0xd9;
+  return out.subarray(0, position);
+};
+
+const decodeJpeg = async (jpeg, pool) => {
+  const fileDirectory = { Compression: 7 };
+  const buffer = jpeg.buffer.slice(jpeg.byteOffset, jpeg.byteOffset + jpeg.byteLength);
+  if (pool) return new Uint8Array(await pool.decode(fileDirectory, buffer));
+  const decoder = await getDecoder(fileDirectory);
+  return new Uint8Array(await decoder.decode(fileDirectory, buffer));
+};
+
+/**
+ * An NDPI level or associated image, with the parts of the GeoTIFFImage interface
+ * used by the tile source (size, tile size, file directory, readRasters).
+ */
+export class NdpiImage {
+  /**
+   * @param {BaseSource} source geotiff.js source of the file
+   * @param {Object} fileDirectory directory read by readNdpiDirectories
+   */
+  constructor(source, fileDirectory) {
+    this.source = source;
+    this.ndpiDirectory = fileDirectory;
+    this.fileDirectory = { ...fileDirectory };
+    this.jpegOffset = fileDirectory.StripOffsets[0];
+    this.jpegLength = fileDirectory.StripByteCounts[0];
+    this._starts = null;
+    this._whole = null;
+  }
+
+  /**
+   * Read the JPEG header, needed before the image is used.
+   *
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<NdpiImage>}
+   */
+  async prepare(signal) {
+    let header = null;
+    for (let size = 64 * 1024; !header; size *= 4) {
+      const length = Math.min(size, this.jpegLength);
+      header = parseJpegHeader(await fetchBytes(this.source, this.jpegOffset, length, signal));
+      if (!header && length === this.jpegLength) {
+        throw new Error("[GeoTIFFTileSource] NDPI strip has no JPEG scan.");
+      }
+    }
+    this.header = header;
+    this.headerBytes = (
+      await fetchBytes(this.source, this.jpegOffset, header.headerLength, signal)
+    ).slice();
+
+    const { components, mcuWidth, mcuHeight, restartInterval, colorTransform } = header;
+    const mcusPerRow = Math.ceil(this.getWidth() / mcuWidth);
+    // restart intervals must not wrap around MCU rows to be usable as tiles
+    this.tiled = restartInterval > 0 && mcusPerRow % restartInterval === 0;
+    this.intervalWidth = restartInterval * mcuWidth;
+    this.intervalsPerRow = this.tiled ? mcusPerRow / restartInterval : 1;
+    this.tileWidth = this.tiled
+      ? this.intervalWidth * Math.max(1, Math.round(TARGET_TILE_SIZE / this.intervalWidth))
+      : TARGET_TILE_SIZE;
+    this.tileHeight = this.tiled
+      ? mcuHeight * Math.max(1, Math.round(TARGET_TILE_SIZE / mcuHeight))
+      : TARGET_TILE_SIZE;
+
+    // decoded samples are the raw JPEG components, YCbCr unless Adobe says otherwise
+    this.fileDirectory.SamplesPerPixel = components;
+    this.fileDirectory.BitsPerSample = new Array(components).fill(8);
+    this.fileDirectory.PhotometricInterpretation =
+      components === 1
+        ? globals.photometricInterpretations.BlackIsZero
+        : components === 3 && colorTransform !== 0
+          ? globals.photometricInterpretations.YCbCr
+          : globals.photometricInterpretations.RGB;
+    return this;
+  }
+
+  getWidth() {
+    return this.fileDirectory.ImageWidth;
+  }
+
+  getHeight() {
+    return this.fileDirectory.ImageLength;
+  }
+
+  getTileWidth() {
+    return this.tileWidth;
+  }
+
+  getTileHeight() {
+    return this.tileHeight;
+  }
+
+  getSamplesPerPixel() {
+    return this.fileDirectory.SamplesPerPixel;
+  }
+
+  getFileDirectory() {
+    return this.fileDirectory;
+  }
+
+  /**
+   * Return the offsets (relative to the JPEG start) of the data of every restart interval.
+   *
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<number[]>}
+   */
+  getIntervalStarts(signal) {
+    if (this._starts) return this._starts;
+
+    const low = this.ndpiDirectory.NDPI_MCU_STARTS;
+    const high = this.ndpiDirectory.NDPI_MCU_STARTS_HIGHBYTES;
+    if (low) {
+      this._starts = Promise.resolve(
+        Array.from(low, (value, i) => value + (high ? high[i] * HIGH : 0))
+      );
+      return this._starts;
+    }
+
+    if (this.jpegLength > MAX_SCANNED_BYTES) {
+      return Promise.reject(
+        new Error(
+          "[GeoTIFFTileSource] NDPI image has no NDPI_MCU_STARTS tag and is too large to look up restart markers."
+        )
+      );
+    }
+    this._starts = fetchBytes(this.source, this.jpegOffset, this.jpegLength, signal).then(
+      (bytes) => {
+        const starts = [this.header.headerLength];
+        for (let i = this.header.headerLength; i < bytes.length - 1; i++) {
+          if (bytes[i] === 0xff && bytes[i + 1] >= 0xd0 && bytes[i + 1] <= 0xd7) starts.push(i + 2);
+        }
+        return starts;
+      }
+    );
+    this._starts.catch(() => (this._starts = null));
+    return this._starts;
+  }
+
+  /**
+   * Decode the MCU aligned region [x0, x1) x [y0, y1) of the image.
+   *
+   * @returns {Promise<{data: Uint8Array, x: number, y: number, width: number, height: number}>}
+   */
+  async decodeRegion(x0, y0, x1, y1, pool, signal) {
+    const { mcuHeight, sofOffset } = this.header;
+
+    if (!this.tiled) {
+      if (this.getWidth() * this.getHeight() > MAX_WHOLE_PIXELS) {
+        throw new Error(
+          "[GeoTIFFTileSource] NDPI image has no usable restart markers and is too large to decode at once."
+        );
+      }
+      if (!this._whole) {
+        this._whole = fetchBytes(this.source, this.jpegOffset, this.jpegLength, signal)
+          .then((jpeg) => decodeJpeg(jpeg, pool))
+          .then((data) => ({
+            data,
+            x: 0,
+            y: 0,
+            width: this.header.width,
+            height: this.header.height,
+          }));
+        this._whole.catch(() => (this._whole = null));
+      }
+      return this._whole;
+    }
+
+    const starts = await this.getIntervalStarts(signal);
+    const c0 = Math.floor(x0 / this.intervalWidth);
+    const c1 = Math.ceil(x1 / this.intervalWidth);
+    const r0 = Math.floor(y0 / mcuHeight);
+    const r1 = Math.ceil(y1 / mcuHeight);
+
+    // intervals of one row are contiguous in the file, one range per row
+    const ranges = [];
+    for (let r = r0; r < r1; r++) {
+      const first = r * this.intervalsPerRow + c0;
+      const last = r * this.intervalsPerRow + c1 - 1;
+      const start = starts[first];
+      // the restart marker, or EOI, ends the last interval
+      const end = (last + 1 < starts.length ? starts[last + 1] : this.jpegLength) - 2;
+      ranges.push({ first, last, start, end });
+    }
+    const buffers = await this.source.fetch(
+      ranges.map(({ start, end }) => ({ offset: this.jpegOffset + start, length: end - start })),
+      signal
+    );
+
+    const rows = ranges.map(({ first, last, start, end }, i) => {
+      const bytes = new Uint8Array(buffers[i]);
+      const intervals = [];
+      for (let k = first; k <= last; k++) {
+        const from = starts[k] - start;
+        const to = (k < last ? starts[k + 1] - 2 : end) - start;
+        intervals.push(bytes.subarray(from, to));
+      }
+      return intervals;
+    });
+
+    const width = (c1 - c0) * this.intervalWidth;
+    const height = (r1 - r0) * mcuHeight;
+    const jpeg = assembleRestartJpeg(this.headerBytes, sofOffset, width, height, rows);
+    const data = await decodeJpeg(jpeg, pool);
+    return { data, x: c0 * this.intervalWidth, y: r0 * mcuHeight, width, height };
+  }
+
+  /**
+   * Read a window of the image as planar bands, resampled (nearest neighbour) to width x height.
+   *
+   * @param {Object} [options] window, width, height, pool and signal as for GeoTIFFImage.readRasters
+   * @returns {Promise<Uint8Array[]>} one array per component, with width and height properties
+   */
+  async readRasters({ window, width, height, pool = null, signal } = {}) {
+    const [x0, y0, x1, y1] = window ?? [0, 0, this.getWidth(), this.getHeight()];
+    const outWidth = width ?? x1 - x0;
+    const outHeight = height ?? y1 - y0;
+    const components = this.getSamplesPerPixel();
+    const bands = Array.from({ length: components }, () => new Uint8Array(outWidth * outHeight));
+    bands.width = outWidth;
+    bands.height = outHeight;
+
+    const rx0 = Math.max(0, x0);
+    const ry0 = Math.max(0, y0);
+    const rx1 = Math.min(this.getWidth(), x1);
+    const ry1 = Math.min(this.getHeight(), y1);
+    if (rx1 <= rx0 || ry1 <= ry0) return bands;
+
+    const region = await this.decodeRegion(rx0, ry0, rx1, ry1, pool, signal);
+    const scaleX = (x1 - x0) / outWidth;
+    const scaleY = (y1 - y0) / outHeight;
+    for (let j = 0; j < outHeight; j++) {
+      const sy = Math.floor(y0 + (j + 0.5) * scaleY);
+      if (sy < ry0 || sy >= ry1) continue;
+      for (let i = 0; i < outWidth; i++) {
+        const sx = Math.floor(x0 + (i + 0.5) * scaleX);
+        if (sx < rx0 || sx >= rx1) continue;
+        const source = ((sy - region.y) * region.width + (sx - region.x)) * components;
+        for (let c = 0; c < components; c++) bands[c][j * outWidth + i] = region.data[source + c];
+      }
+    }
+    return bands;
+  }
+}
+
+const parsePropertyMap = (text) => {
+  const properties = {};
+  for (const line of (text ?? "").split(/\r?\n/)) {
+    const separator = line.indexOf("=");
+    if (separator > 0)
+      properties[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+  return properties;
+};
+
+/**
+ * Extract the NDPI metadata of an image.
+ *
+ * @param {Object} fileDirectory directory read by readNdpiDirectories
+ * @returns {Object} {magnification, focalPlane, xOffset, yOffset, reference, scannerSerialNumber,
+ *   properties, mpp: {x, y}} offsets are in nm, mpp in µm per pixel
+ */
+export const parseNdpiMetadata = (fileDirectory) => {
+  // XResolution is given in pixels per centimeter
+  const toMpp = (resolution) =>
+    fileDirectory.ResolutionUnit === 3 && resolution > 0 ? 10000 / resolution : null;
+  return {
+    format: "ndpi",
+    magnification: fileDirectory.NDPI_SOURCELENS ?? null,
+    focalPlane: fileDirectory.NDPI_FOCAL_PLANE ?? 0,
+    xOffset: fileDirectory.NDPI_XOFFSET ?? null,
+    yOffset: fileDirectory.NDPI_YOFFSET ?? null,
+    reference: fileDirectory.NDPI_REFERENCE ?? null,
+    scannerSerialNumber: fileDirectory.NDPI_SCANNER_SERIAL_NUMBER ?? null,
+    properties: parsePropertyMap(fileDirectory.NDPI_PROPERTY_MAP),
+    mpp: { x: toMpp(fileDirectory.XResolution), y: toMpp(fileDirectory.YResolution) },
+  };
+};
+
+/**
+ * Organize NDPI images into focal planes of the slide, and associated images.
+ *
+ * NDPI_SOURCELENS is the objective magnification of slide images, -1 for the macro
+ * image and -2 for the focus map.
+ *
+ * @param {NdpiImage[]} images
+ * @returns {{planes: {focalPlane: number, images: NdpiImage[]}[], macro: NdpiImage|null}}
+ *   planes sorted by focal plane, levels sorted from the largest
+ */
+export const mapNdpiImages = (images) => {
+  const planes = new Map();
+  let macro = null;
+  for (const image of images) {
+    const lens = image.fileDirectory.NDPI_SOURCELENS;
+    if (lens === -1) {
+      macro = macro ?? image;
+      continue;
+    }
+    if (lens !== undefined && lens <= 0) continue;
+    const focalPlane = image.fileDirectory.NDPI_FOCAL_PLANE ?? 0;
+    if (!planes.has(focalPlane)) planes.set(focalPlane, []);
+    planes.get(focalPlane).push(image);
+  }
+  return {
+    planes: Array.from(planes.entries())
+      .sort(([a], [b]) => a - b)
+      .map(([focalPlane, levels]) => ({
+        focalPlane,
+        images: levels.sort((a, b) => b.getWidth() - a.getWidth()),
+      })),
+    macro,
+  };
+};
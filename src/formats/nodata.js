@@ -0,0 +1,75 @@
+/**
+ * NoData Values
+ *
+ * Scenes that do not fill their raster (satellite swaths, reprojected or clipped rasters)
+ * mark the empty area with a NoData value. GDAL writes it as an ASCII number in the
+ * GDAL_NODATA tag (42113), shared by all bands, or per band in the .aux.xml sidecar;
+ * format.noData overrides both. A pixel is NoData when every band that has a NoData value
+ * holds it; NaN matches NaN.
+ *
+ * GDAL GeoTIFF driver, nodata value
+ * https://gdal.org/drivers/raster/gtiff.html#nodata-value
+ */
+
+import { parseGdalNumber } from "./gdalMetadata.js";
+
+/**
+ * Parse a NoData value, as written in GDAL_NODATA or .aux.xml files.
+ *
+ * @param {string|number|null|undefined} value
+ * @returns {number|null} null if there is no NoData value
+ */
+export const parseNoData = (value) => {
+  if (typeof value === "number") return value;
+  return typeof value === "string" ? parseGdalNumber(value) : null;
+};
+
+/**
+ * NoData of each band: format.noData, else the NoData the tile source found (hints.noData),
+ * else the GDAL_NODATA tag of the raster.
+ *
+ * @param {Object|null} format resolved format options
+ * @param {Object|null} hints hints of the raster
+ * @param {Object|null} fileDirectory file directory of the raster
+ * @param {number} bandCount
+ * @returns {Array<number|null>|null} null if no band has a NoData value
+ */
+export const resolveNoData = (format, hints, fileDirectory, bandCount) => {
+  const value =
+    format && format.noData != null
+      ? format.noData
+      : (hints && hints.noData) ?? parseNoData(fileDirectory && fileDirectory.GDAL_NODATA);
+  if (value == null) return null;
+
+  const values = Array.isArray(value)
+    ? Array.from({ length: bandCount }, (_, band) => parseNoData(value[band]))
+    : new Array(bandCount).fill(parseNoData(value));
+  return values.some((v) => v !== null) ? values : null;
+};
+
+/**
+ * Mask of valid pixels.
+ *
+ * @param {TypedArray[]} bands
+ * @param {Array<number|null>|null} noData NoData of each band
+ * @returns {Uint8Array|null} 0 for NoData pixels, 255 for others; null without NoData
+ */
+export const noDataMask = (bands, noData) => {
+  if (!noData) return null;
+  const checked = bands
+    .map((band, index) => ({ band, value: noData[index] }))
+    .filter(({ band, value }) => band && value !== null);
+  if (!checked.length) return null;
+
+  const mask = new Uint8Array(checked[0].band.length);
+  for (let i = 0; i < mask.length; i++) {
+    let empty = true;
+    for (let c = 0; c < checked.length && empty; c++) {
+      const v = checked[c].band[i];
+      const value = checked[c].value;
+      empty = value !== value ? v !== v : v === value;
+    }
+    mask[i] = empty ? 0 : 255;
+  }
+  return mask;
+};
@@ -0,0 +1,296 @@
+/**
+ * OME-TIFF Reader
+ *
+ * This module parses the OME-XML stored in the ImageDescription of the first IFD
+ * of an OME-TIFF file into a dataset model (series, channels, Z/T planes, physical
+ * pixel sizes) and maps its planes onto the IFDs of the file.
+ *
+ * OME-TIFF specification
+ * https://docs.openmicroscopy.org/ome-model/6.3.1/ome-tiff/specification.html
+ *
+ * OME-XML schema
+ * https://www.openmicroscopy.org/Schemas/Documentation/Generated/OME-2016-06/ome.html
+ */
+
+/**
+ * @typedef {Object} OmeChannel
+ * @property {number} index
+ * @property {string} name
+ * @property {number[]|null} color [r, g, b, a] or null when the file does not define it
+ * @property {number} samplesPerPixel
+ * @property {number|null} emissionWavelength
+ * @property {number|null} excitationWavelength
+ */
+
+/**
+ * @typedef {Object} OmePlane
+ * @property {number} c
+ * @property {number} z
+ * @property {number} t
+ * @property {number} ifd index of the top-level IFD holding the plane
+ */
+
+/**
+ * @typedef {Object} OmeSeries
+ * @property {number} index
+ * @property {string} id
+ * @property {string} name
+ * @property {number} sizeX
+ * @property {number} sizeY
+ * @property {number} sizeC
+ * @property {number} sizeZ
+ * @property {number} sizeT
+ * @property {string} dimensionOrder
+ * @property {string} type
+ * @property {{x: ?number, y: ?number, z: ?number, unitX: string, unitY: string, unitZ: string}} physicalSize
+ * @property {{value: ?number, unit: string}} timeIncrement
+ * @property {OmeChannel[]} channels
+ * @property {OmePlane[]} planes
+ */
+
+/**
+ * @typedef {Object} OmeDataset
+ * @property {string} format always "ome"
+ * @property {string|null} creator
+ * @property {OmeSeries[]} series
+ */
+
+const DEFAULT_UNIT = "µm";
+
+const childrenByName = (element, name) =>
+  Array.from(element?.children ?? []).filter((child) => child.localName === name);
+
+const numberAttr = (element, name, fallback = null) => {
+  const value = element?.getAttribute(name);
+  if (value === null || value === undefined || value === "") return fallback;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+/**
+ * Convert OME color (signed 32-bit RGBA integer) to [r, g, b, a].
+ *
+ * @param {string|null} value
+ * @returns {number[]|null}
+ */
+export const omeColorToRGBA = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const v = Number(value) >>> 0;
+  return [(v >>> 24) & 255, (v >>> 16) & 255, (v >>> 8) & 255, v & 255];
+};
+
+/**
+ * Check whether the ImageDescription string carries OME-XML.
+ *
+ * @param {string} description
+ * @returns {boolean}
+ */
+export const isOmeXml = (description) =>
+  typeof description === "string" && /<(\w+:)?OME[\s>]/.test(description);
+
+/**
+ * Compute the linear plane index of (c, z, t) for the given dimension order.
+ *
+ * @param {string} dimensionOrder e.g. "XYZCT"
+ * @param {{c: number, z: number, t: number}} sizes
+ * @param {{c: number, z: number, t: number}} position
+ * @returns {number}
+ */
+export const omePlaneIndex = (dimensionOrder, sizes, position) => {
+  let index = 0;
+  let stride = 1;
+  for (const dim of dimensionOrder.slice(2).toLowerCase()) {
+    index += position[dim] * stride;
+    stride *= sizes[dim];
+  }
+  return index;
+};
+
+const omePlanePosition = (dimensionOrder, sizes, index) => {
+  const position = { c: 0, z: 0, t: 0 };
+  for (const dim of dimensionOrder.slice(2).toLowerCase()) {
+    position[dim] = index % sizes[dim];
+    index = Math.floor(index / sizes[dim]);
+  }
+  return position;
+};
+
+const parseSeries = (imageElement, index, firstIFD) => {
+  const pixels = childrenByName(imageElement, "Pixels")[0];
+  if (!pixels) return null;
+
+  const channels = childrenByName(pixels, "Channel").map((channel, c) => ({
+    index: c,
+    name: channel.getAttribute("Name") || channel.getAttribute("ID") || `Channel ${c}`,
+    color: omeColorToRGBA(channel.getAttribute("Color")),
+    samplesPerPixel: numberAttr(channel, "SamplesPerPixel", 1),
+    emissionWavelength: numberAttr(channel, "EmissionWavelength"),
+    excitationWavelength: numberAttr(channel, "ExcitationWavelength"),
+  }));
+
+  const sizeC = numberAttr(pixels, "SizeC", 1);
+  const dimensionOrder = /^XY[CZT]{3}$/.test(pixels.getAttribute("DimensionOrder") ?? "")
+    ? pixels.getAttribute("DimensionOrder")
+    : "XYCZT";
+
+  // SizeC counts samples, RGB channels store all samples in a single plane
+  const effectiveSizeC = channels.length > 0 && channels.length < sizeC ? channels.length : sizeC;
+  const sizes = {
+    c: effectiveSizeC,
+    z: numberAttr(pixels, "SizeZ", 1),
+    t: numberAttr(pixels, "SizeT", 1),
+  };
+  const planeCount = sizes.c * sizes.z * sizes.t;
+
+  // Map planes onto IFDs via TiffData blocks
+  const ifdByPlane = new Array(planeCount).fill(null);
+  const tiffData = childrenByName(pixels, "TiffData");
+  if (tiffData.length === 0) {
+    for (let p = 0; p < planeCount; p++) ifdByPlane[p] = firstIFD + p;
+  }
+  for (const block of tiffData) {
+    const hasIFD = block.hasAttribute("IFD");
+    const ifd = numberAttr(block, "IFD", 0);
+    const start = omePlaneIndex(dimensionOrder, sizes, {
+      c: numberAttr(block, "FirstC", 0),
+      z: numberAttr(block, "FirstZ", 0),
+      t: numberAttr(block, "FirstT", 0),
+    });
+    const count = numberAttr(block, "PlaneCount", hasIFD ? 1 : planeCount - start);
+    for (let p = 0; p < count && start + p < planeCount; p++) {
+      ifdByPlane[start + p] = ifd + p;
+    }
+  }
+
+  const planes = [];
+  ifdByPlane.forEach((ifd, p) => {
+    if (ifd === null) return;
+    planes.push({ ...omePlanePosition(dimensionOrder, sizes, p), ifd });
+  });
+
+  return {
+    index,
+    id: imageElement.getAttribute("ID") ?? `Image:${index}`,
+    name: imageElement.getAttribute("Name") ?? "",
+    sizeX: numberAttr(pixels, "SizeX", 0),
+    sizeY: numberAttr(pixels, "SizeY", 0),
+    sizeC: effectiveSizeC,
+    sizeZ: sizes.z,
+    sizeT: sizes.t,
+    dimensionOrder,
+    type: pixels.getAttribute("Type") ?? "",
+    physicalSize: {
+      x: numberAttr(pixels, "PhysicalSizeX"),
+      y: numberAttr(pixels, "PhysicalSizeY"),
+      z: numberAttr(pixels, "PhysicalSizeZ"),
+      unitX: pixels.getAttribute("PhysicalSizeXUnit") || DEFAULT_UNIT,
+      unitY: pixels.getAttribute("PhysicalSizeYUnit") || DEFAULT_UNIT,
+      unitZ: pixels.getAttribute("PhysicalSizeZUnit") || DEFAULT_UNIT,
+    },
+    timeIncrement: {
+      value: numberAttr(pixels, "TimeIncrement"),
+      unit: pixels.getAttribute("TimeIncrementUnit") || "s",
+    },
+    channels,
+    planes,
+  };
+};
+
+/**
+ * Parse OME-XML into a dataset model.
+ *
+ * @param {string} xml OME-XML string (ImageDescription of the first IFD)
+ * @returns {OmeDataset|null} null if the string is not valid OME-XML
+ */
+export const parseOmeXml = (xml) => {
+  if (!isOmeXml(xml)) return null;
+
+  const doc = new DOMParser().parseFromString(xml, "text/xml");
+  const root = doc.documentElement;
+  if (!root || root.localName !== "OME") return null;
+
+  const series = [];
+  let nextIFD = 0;
+  for (const imageElement of childrenByName(root, "Image")) {
+    const parsed = parseSeries(imageElement, series.length, nextIFD);
+    if (!parsed) continue;
+    series.push(parsed);
+    nextIFD = Math.max(nextIFD, ...parsed.planes.map((p) => p.ifd + 1));
+  }
+
+  return {
+    format: "ome",
+    creator: root.getAttribute("Creator"),
+    series,
+  };
+};
+
+/**
+ * Parse the OME dataset from the first IFD of a file.
+ *
+ * @param {GeoTIFFImage} firstImage
+ * @returns {OmeDataset|null}
+ */
+export const parseOmeDataset = (firstImage) => {
+  const description = firstImage?.fileDirectory?.["ImageDescription"];
+  if (!isOmeXml(description)) return null;
+  try {
+    return parseOmeXml(description);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Map OME series onto pyramid levels.
+ *
+ * Series that share the C/Z/T dimensions and the aspect ratio of a larger series are
+ * treated as its lower resolution levels (the layout written by older Bio-Formats
+ * pyramids). Every plane of a base series gets the list of its level images.
+ *
+ * @param {OmeDataset} dataset
+ * @param {(GeoTIFFImage|undefined)[]} images top-level images in IFD order; missing entries are skipped
+ * @returns {{series: OmeSeries, levels: OmeSeries[], planes: {c: number, z: number, t: number, channel: OmeChannel|null, images: GeoTIFFImage[]}[]}[]}
+ */
+export const mapOmePyramids = (dataset, images) => {
+  const tolerance = 0.015;
+  const pyramids = [];
+
+  const bySize = [...dataset.series].sort((a, b) => b.sizeX - a.sizeX);
+  for (const series of bySize) {
+    const base = pyramids.find(({ series: s, levels }) => {
+      const smallest = levels[levels.length - 1];
+      return (
+        s.sizeC === series.sizeC &&
+        s.sizeZ === series.sizeZ &&
+        s.sizeT === series.sizeT &&
+        series.sizeX < smallest.sizeX &&
+        series.sizeY < smallest.sizeY &&
+        Math.abs(1 - s.sizeX / s.sizeY / (series.sizeX / series.sizeY)) < tolerance
+      );
+    });
+    if (base) base.levels.push(series);
+    else pyramids.push({ series, levels: [series] });
+  }
+  pyramids.sort((a, b) => a.series.index - b.series.index);
+
+  return pyramids.map(({ series, levels }) => {
+    const planes = [];
+    for (const { c, z, t } of series.planes) {
+      const levelImages = levels.map((level) => {
+        const plane = level.planes.find((p) => p.c === c && p.z === z && p.t === t);
+        return plane ? images[plane.ifd] : undefined;
+      });
+      // the full resolution plane must exist, missing lower levels are skipped
+      if (!levelImages[0]) continue;
+      planes.push({
+        c,
+        z,
+        t,
+        channel: series.channels[c] ?? null,
+        images: levelImages.filter(Boolean),
+      });
+    }
+    return { series, levels, planes };
+  });
+};
@@ -32,6 +32,35 @@
  * @typedef {Object} ImageMappingOptions
  * @property {([number,number,number] | [number,number,number,number]) | null} [rgbaChannels=null]
  *   Explicit mapping for image-like interpretation (e.g. [0,1,2] or [0,1,2,3]).
+ * @property {Colormap|null} [colormap=null]
+ *   Colormap of single band images: "viridis", "magma", "inferno", "turbo", "jet", "gray", or custom
+ *   { stops: [[position, color], ...] }. Values are windowed as with toneMap. In data interpretation,
+ *   gpuTextureSet.colormap holds its 256 entry lookup table.
+ */
+
+/**
+ * One channel of a composite rendering.
+ *
+ * @typedef {Object} CompositeChannel
+ * @property {number} band
+ *   Index of the raster band the channel reads.
+ * @property {string} [name]
+ *   Display name, not used for rendering.
+ * @property {[number,number,number]} [color=[255,255,255]]
+ *   Color the channel contributes at full intensity.
+ * @property {number|null} [min=null]
+ *   Value mapped to black (null = 0).
+ * @property {number|null} [max=null]
+ *   Value mapped to full color (null = maximum of the band bit depth, 1 for float bands).
+ * @property {boolean} [visible=true]
+ *   Hidden channels do not contribute to the blend.
+ */
+
+/**
+ * Composite rendering: all listed channels are additively blended into a single RGBA image.
+ *
+ * @typedef {Object} CompositeOptions
+ * @property {CompositeChannel[]} channels
  */
 
 /**
@@ -53,13 +82,17 @@
  * @property {PyramidPreference} [pyramid="auto"]
  *   - "auto": choose based on detected structure
  *   - "ifd": force pyramid from top-level IFD pages
- *   - "subifd": force pyramid from SubIFDs when present, note that this option
- *               is not supported for now and the plugins falls back to "ifd" with warning
- * @property {number} [planeIndex=0]
+ *   - "subifd": force pyramid from SubIFDs when present
+ * @property {number|function(Object[]): number} [planeIndex=0]
  *   If the file contains multiple same-size IFD pages (e.g. channel/plane stack),
- *   choose which plane to display by default.
+ *   choose which plane to display by default. A function receives the plane
+ *   descriptions ({index, ifd, width, height, name, description}) and returns the index.
+ *   The plane can be changed later with tileSource.setPlane().
  * @property {LayoutPrefer} [prefer="pyramid"]
  *   If structure is ambiguous, prefer interpreting it as a pyramid or as a stack.
+ *   With "stack", top-level IFDs of decreasing size and equal aspect ratio become
+ *   independent planes (one tile source each) with pyramids downsampled from them.
+ *   Only applies with pyramid="auto"; tileSource.layout reports the interpretation.
  */
 
 /**
@@ -84,6 +117,15 @@
  *   Explicit channel list/order for "data" interpretation.
  * @property {GpuPackingOptions} [gpu]
  * @property {ImageMappingOptions} [image]
+ * @property {CompositeOptions|null} [composite=null]
+ *   Additive multi-channel blending, takes precedence over photometric handling in image interpretation.
+ * @property {number|Array<number|null>|null} [noData=null]
+ *   NoData value of all bands, or of each band (null for bands without one). Overrides the GDAL_NODATA
+ *   tag and .aux.xml sidecars. Pixels holding it in every band get alpha 0 in image interpretation,
+ *   and a 0 in gpuTextureSet.mask in data interpretation.
+ * @property {ToneMapOptions|null} [toneMap=null]
+ *   Tone mapping of gray and RGB images in image interpretation: window, curve and percentile clip, globally
+ *   or per band. Serializable, so workers and the main thread renderer apply it alike (see toneMap.js).
  * @property {FormatHints} [hints]
  */
 
@@ -102,7 +144,11 @@ const defaultFormat = {
   },
   image: {
     rgbaChannels: null,
+    colormap: null,
   },
+  composite: null,
+  noData: null,
+  toneMap: null,
   hints: {
     layout: {
       pyramid: "auto",
@@ -1,8 +1,11 @@
 /**
  * PerkinElmer Vectra QPTIFF Reader
  *
- * This module provides a parser to organize pages of a PerkinElmer Vectra QPTIFF
- * file into their respective channels.
+ * This module parses the XML ImageDescription of every page of a PerkinElmer
+ * Vectra / Polaris QPTIFF file into a channel and associated image model: pages of
+ * the full and reduced resolution images are grouped by channel (Name, Color,
+ * Biomarker, ExposureTime, Filter...), Thumbnail, Overview and Label pages are
+ * associated images. Descriptions are parsed once per page and cached.
  *
  * OME Docs
  * https://docs.openmicroscopy.org/bio-formats/6.5.1/formats/perkinelmer-vectra-qptiff.html
@@ -11,17 +14,149 @@
  * https://downloads.openmicroscopy.org/images/Vectra-QPTIFF/perkinelmer/PKI_Image%20Format.docx
  */
 
+/**
+ * @typedef {Object} PerkinElmerImageInfo
+ * @property {string|null} imageType "FullResolution", "ReducedResolution", "Thumbnail", "Overview" or "Label"
+ * @property {string|null} name channel name
+ * @property {number[]|null} color [r, g, b] display color of the channel
+ * @property {string|null} biomarker
+ * @property {number|null} exposureTime exposure time in µs
+ * @property {string|null} signalUnits
+ * @property {string|null} filter name of the filter the channel was acquired with
+ * @property {string|null} objective
+ * @property {string|null} scanProfile raw ScanProfile content
+ * @property {Object<string, string>} properties text of every simple top-level element
+ */
+
+/**
+ * @typedef {Object} PerkinElmerChannel
+ * @property {number} index
+ * @property {string} name
+ * @property {number[]} color [r, g, b]
+ * @property {string|null} biomarker
+ * @property {number|null} exposureTime
+ * @property {string|null} signalUnits
+ * @property {string|null} filter
+ * @property {GeoTIFFImage[]} images pages of the channel, in file order
+ */
+
+/**
+ * @typedef {Object} PerkinElmerMetadata
+ * @property {string} format always "qptiff"
+ * @property {string|null} descriptionVersion
+ * @property {string|null} acquisitionSoftware
+ * @property {string|null} slideId
+ * @property {string|null} barcode
+ * @property {string|null} objective
+ * @property {string|null} scanProfile
+ * @property {Omit<PerkinElmerChannel, "images">[]} channels
+ * @property {Object<string, {imageType: string, width: number, height: number}>} associated by role
+ */
+
+const IMAGE_TYPE_ROLES = { Thumbnail: "thumbnail", Overview: "macro", Label: "label" };
+
+const text = (root, name) => {
+  const element = Array.from(root?.children ?? []).find((child) => child.localName === name);
+  const value = element?.textContent.trim();
+  return value ? value : null;
+};
+
+const number = (value) => (value !== null && Number.isFinite(Number(value)) ? Number(value) : null);
+
+/**
+ * Parse the XML ImageDescription of a QPTIFF page.
+ *
+ * @param {string} description
+ * @returns {PerkinElmerImageInfo|null} null if the description is not a PerkinElmer description
+ */
+export const parsePerkinElmerDescription = (description) => {
+  if (
+    typeof description !== "string" ||
+    !description.includes("PerkinElmer-QPI-ImageDescription")
+  ) {
+    return null;
+  }
+  // ASCII tags keep their NUL terminator, which is not well-formed XML
+  const doc = new DOMParser().parseFromString(description.replace(/\0+$/, ""), "text/xml");
+  const root = doc.documentElement;
+  if (!root || root.localName !== "PerkinElmer-QPI-ImageDescription") return null;
+
+  const properties = {};
+  for (const child of Array.from(root.children)) {
+    if (child.children.length === 0) properties[child.localName] = child.textContent.trim();
+  }
+
+  const color = text(root, "Color");
+  const scanProfile = Array.from(root.children).find((child) => child.localName === "ScanProfile");
+  // the filter is named directly in recent versions, inside Responsivity in older ones
+  const filter =
+    text(root, "Filter") ??
+    text(root.querySelector("Responsivity > Filter"), "Name") ??
+    text(root.querySelector("Responsivity > Band"), "Name");
+
+  return {
+    imageType: text(root, "ImageType"),
+    name: text(root, "Name"),
+    color: color ? color.split(",").map((v) => parseInt(v, 10)) : null,
+    biomarker: text(root, "Biomarker"),
+    exposureTime: number(text(root, "ExposureTime")),
+    signalUnits: text(root, "SignalUnits"),
+    filter,
+    objective:
+      text(root, "Objective") ??
+      scanProfile?.querySelector("ObjectiveName")?.textContent.trim() ??
+      null,
+    scanProfile: scanProfile ? scanProfile.textContent.trim() || null : null,
+    properties,
+  };
+};
+
+const infoCache = new WeakMap();
+
+/**
+ * Parsed description of a QPTIFF page, cached so tiles never parse XML.
+ *
+ * @param {GeoTIFFImage} image
+ * @returns {PerkinElmerImageInfo|null}
+ */
+export const getPerkinElmerImageInfo = (image) => {
+  const fileDirectory = image?.fileDirectory;
+  if (!fileDirectory) return null;
+  if (!infoCache.has(fileDirectory)) {
+    let info = null;
+    try {
+      info = parsePerkinElmerDescription(fileDirectory["ImageDescription"]);
+    } catch {
+      info = null;
+    }
+    infoCache.set(fileDirectory, info);
+  }
+  return infoCache.get(fileDirectory);
+};
+
+/**
+ * Role of a QPTIFF page from its ImageType: Thumbnail, Overview (macro) and Label pages
+ * are associated images.
+ *
+ * @param {GeoTIFFImage} image
+ * @returns {"thumbnail"|"macro"|"label"|null}
+ */
+export const getPerkinElmerImageRole = (image) =>
+  IMAGE_TYPE_ROLES[getPerkinElmerImageInfo(image)?.imageType] ?? null;
+
 /**
  * Parse QPTIFF channels
  *
  * @param images {GeoTIFFImage[]} - Array of GeoTIFFImage objects
- * @returns {Map<string, {name: string, color: number[], images: GeoTIFFImage[]}>}
+ * @returns {Map<string, PerkinElmerChannel>} channels by name, associated pages are left out
  *
  * @example
  * Map(2) {
  *  "DAPI" => {
  *    "name": "DAPI",
  *    "color": [0, 0, 255],
+ *    "biomarker": "Nuclei",
+ *    "exposureTime": 2500,
  *    "images": [GeoTIFFImage, GeoTIFFImage, ...]
  *   },
  *   "Opal 570" => {
@@ -35,32 +170,64 @@ export const parsePerkinElmerChannels = (images) => {
   const channels = new Map();
 
   for (const image of images) {
-    const imageDescription = new DOMParser().parseFromString(
-      image.fileDirectory?.["ImageDescription"],
-      "text/xml"
-    );
-
-    const channelName = imageDescription?.querySelector("Name")?.textContent;
-    const channelColor = imageDescription?.querySelector("Color")?.textContent;
-
-    if (!channelName) {
+    const info = getPerkinElmerImageInfo(image);
+    if (!info?.name || IMAGE_TYPE_ROLES[info.imageType]) {
       continue;
     }
 
-    const channelRGB = channelColor
-      ? channelColor.split(",").map((v) => parseInt(v))
-      : [255, 255, 255];
-
-    if (!channels.has(channelName)) {
-      channels.set(channelName, {
-        name: channelName,
-        color: channelRGB,
+    if (!channels.has(info.name)) {
+      channels.set(info.name, {
+        index: channels.size,
+        name: info.name,
+        color: info.color ?? [255, 255, 255],
+        biomarker: info.biomarker,
+        exposureTime: info.exposureTime,
+        signalUnits: info.signalUnits,
+        filter: info.filter,
         images: [],
       });
     }
 
-    channels.get(channelName).images.push(image);
+    channels.get(info.name).images.push(image);
   }
 
   return channels;
 };
+
+/**
+ * Parse the metadata of a QPTIFF file: slide properties from the first page,
+ * channels and associated images.
+ *
+ * @param {GeoTIFFImage[]} images top-level images
+ * @returns {PerkinElmerMetadata|null} null if the first page has no PerkinElmer description
+ */
+export const parsePerkinElmerMetadata = (images) => {
+  const first = getPerkinElmerImageInfo(images[0]);
+  if (!first) return null;
+
+  const associated = {};
+  for (const image of images) {
+    const role = getPerkinElmerImageRole(image);
+    if (role && !associated[role]) {
+      associated[role] = {
+        imageType: getPerkinElmerImageInfo(image).imageType,
+        width: image.getWidth(),
+        height: image.getHeight(),
+      };
+    }
+  }
+
+  return {
+    format: "qptiff",
+    descriptionVersion: first.properties.DescriptionVersion ?? null,
+    acquisitionSoftware: first.properties.AcquisitionSoftware ?? null,
+    slideId: first.properties.SlideID ?? null,
+    barcode: first.properties.Barcode ?? null,
+    objective: first.objective,
+    scanProfile: first.scanProfile,
+    channels: Array.from(parsePerkinElmerChannels(images).values()).map(
+      ({ images, ...channel }) => channel
+    ),
+    associated,
+  };
+};
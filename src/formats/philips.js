@@ -0,0 +1,184 @@
+/**
+ * Philips TIFF Reader
+ *
+ * Philips IntelliSite TIFF files describe the slide in an XML ImageDescription on the
+ * first IFD: a "DPUfsImport" DataObject whose Attribute elements carry DICOM and PIM_DP
+ * properties. The whole slide image ("WSI" scanned image) lists one pixel data
+ * representation per pyramid level with its DICOM_PIXEL_SPACING (mm, row then column).
+ *
+ * Levels are tiled and their ImageWidth/ImageLength are rounded up to whole tiles, so the
+ * true size of a level is derived from the level 0 size and the pixel spacing ratio.
+ * Label and macro images are stored as separate IFDs named by their ImageDescription.
+ *
+ * OpenSlide Philips format
+ * https://openslide.org/formats/philips/
+ */
+
+/**
+ * @typedef {Object} PhilipsMetadata
+ * @property {string} format always "philips"
+ * @property {Object<string, string|number>} properties scalar attributes of the slide and of the WSI image
+ * @property {{x: number, y: number}[]} pixelSpacing spacing of every level in mm, level 0 first
+ * @property {{width: number, height: number}[]} levelSizes stored (tile padded) size of levels given by the XML, if any
+ * @property {{x: number, y: number}|null} mpp microns per pixel of level 0
+ */
+
+/**
+ * Check whether an ImageDescription is a Philips DPUfsImport XML.
+ *
+ * @param {string} description
+ * @returns {boolean}
+ */
+export const isPhilipsDescription = (description) =>
+  typeof description === "string" &&
+  description.trimStart().startsWith("<?xml") &&
+  description.includes("DPUfsImport");
+
+const childrenByName = (element, name) =>
+  Array.from(element?.children ?? []).filter((child) => child.localName === name);
+
+const attributes = (dataObject) =>
+  new Map(childrenByName(dataObject, "Attribute").map((a) => [a.getAttribute("Name"), a]));
+
+const parseValue = (value) => {
+  const number = Number(value);
+  return value !== "" && Number.isFinite(number) ? number : value;
+};
+
+// scalar attributes only, sequences hold nested DataObjects
+const scalarProperties = (dataObject) => {
+  const properties = {};
+  for (const [name, element] of attributes(dataObject)) {
+    if (name && element.children.length === 0)
+      properties[name] = parseValue(element.textContent.trim());
+  }
+  return properties;
+};
+
+// nested DataObjects of a sequence attribute: <Attribute><Array><DataObject/>...</Array></Attribute>
+const sequence = (attribute) =>
+  childrenByName(attribute, "Array").flatMap((array) => childrenByName(array, "DataObject"));
+
+/**
+ * Parse a DICOM_PIXEL_SPACING value: two quoted numbers, row spacing then column spacing.
+ *
+ * @param {string} value e.g. '"0.000227273" "0.000227273"'
+ * @returns {{x: number, y: number}|null} spacing in mm
+ */
+export const parsePhilipsPixelSpacing = (value) => {
+  const numbers = (value ?? "").match(/-?[\d.]+(?:e-?\d+)?/gi)?.map(Number) ?? [];
+  if (numbers.length < 2 || !(numbers[0] > 0 && numbers[1] > 0)) return null;
+  return { x: numbers[1], y: numbers[0] };
+};
+
+/**
+ * Parse a Philips DPUfsImport XML.
+ *
+ * @param {string} xml
+ * @returns {PhilipsMetadata|null} null if the string is not a Philips description
+ */
+export const parsePhilipsXml = (xml) => {
+  if (!isPhilipsDescription(xml)) return null;
+  const root = new DOMParser().parseFromString(xml.replace(/\0+$/, ""), "text/xml").documentElement;
+  if (!root || root.localName !== "DataObject") return null;
+
+  const scannedImages = sequence(attributes(root).get("PIM_DP_SCANNED_IMAGES"));
+  const wsi = scannedImages.find(
+    (image) => attributes(image).get("PIM_DP_IMAGE_TYPE")?.textContent.trim() === "WSI"
+  );
+
+  const pixelSpacing = [];
+  const levelSizes = [];
+  if (wsi) {
+    const representations = sequence(attributes(wsi).get("PIIM_PIXEL_DATA_REPRESENTATION_SEQUENCE"))
+      .map((representation) => {
+        const attrs = attributes(representation);
+        const number = (name) => parseValue(attrs.get(name)?.textContent.trim() ?? "");
+        return {
+          index: number("PIIM_PIXEL_DATA_REPRESENTATION_NUMBER"),
+          spacing: parsePhilipsPixelSpacing(attrs.get("DICOM_PIXEL_SPACING")?.textContent),
+          width: number("PIIM_PIXEL_DATA_REPRESENTATION_COLUMNS"),
+          height: number("PIIM_PIXEL_DATA_REPRESENTATION_ROWS"),
+        };
+      })
+      .filter((representation) => representation.spacing)
+      .sort((a, b) => (Number(a.index) || 0) - (Number(b.index) || 0));
+    for (const representation of representations) {
+      pixelSpacing.push(representation.spacing);
+      if (typeof representation.width === "number" && typeof representation.height === "number") {
+        levelSizes.push({ width: representation.width, height: representation.height });
+      }
+    }
+  }
+
+  return {
+    format: "philips",
+    properties: { ...scalarProperties(root), ...(wsi ? scalarProperties(wsi) : {}) },
+    pixelSpacing,
+    levelSizes: levelSizes.length === pixelSpacing.length ? levelSizes : [],
+    mpp: pixelSpacing[0] ? { x: pixelSpacing[0].x * 1000, y: pixelSpacing[0].y * 1000 } : null,
+  };
+};
+
+/**
+ * Parse the Philips metadata of a file from its first image.
+ *
+ * @param {GeoTIFFImage} firstImage
+ * @returns {PhilipsMetadata|null}
+ */
+export const parsePhilipsMetadata = (firstImage) => {
+  const description = firstImage?.fileDirectory?.["ImageDescription"];
+  if (!isPhilipsDescription(description)) return null;
+  try {
+    return parsePhilipsXml(description);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * A view of an image reporting a smaller size, used to hide the tile padding of a level.
+ * Everything else (file directory, tiles, readRasters) is the image's own.
+ *
+ * @param {GeoTIFFImage} image
+ * @param {number} width
+ * @param {number} height
+ * @returns {GeoTIFFImage}
+ */
+export const cropImage = (image, width, height) =>
+  Object.create(image, {
+    getWidth: { value: () => width },
+    getHeight: { value: () => height },
+  });
+
+/**
+ * Organize the images of a Philips TIFF into pyramid levels and associated images.
+ *
+ * @param {GeoTIFFImage[]} images top-level images
+ * @param {PhilipsMetadata} philips
+ * @returns {{levels: GeoTIFFImage[], associated: {role: string, image: GeoTIFFImage}[]}}
+ *   levels sorted from the largest, cropped to their true size
+ */
+export const mapPhilipsImages = (images, philips) => {
+  const associated = [];
+  const levels = [];
+  for (const image of images) {
+    const description = String(image.fileDirectory?.ImageDescription ?? "").replace(/\0+$/, "");
+    const role = description.match(/^\s*(label|macro)\b/i)?.[1].toLowerCase();
+    if (role) associated.push({ role, image });
+    else levels.push(image);
+  }
+  levels.sort((a, b) => b.getWidth() - a.getWidth());
+
+  // the pixel spacing ratio gives the downsample of a level, its IFD size includes tile padding
+  const [base] = levels;
+  const cropped = levels.map((image, index) => {
+    const spacing = philips.pixelSpacing[index];
+    if (index === 0 || !spacing || !philips.pixelSpacing[0]) return image;
+    const width = Math.ceil(base.getWidth() * (philips.pixelSpacing[0].x / spacing.x));
+    const height = Math.ceil(base.getHeight() * (philips.pixelSpacing[0].y / spacing.y));
+    return cropImage(image, Math.min(width, image.getWidth()), Math.min(height, image.getHeight()));
+  });
+
+  return { levels: cropped, associated };
+};
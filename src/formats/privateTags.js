@@ -0,0 +1,98 @@
+/**
+ * Private Tags
+ *
+ * geotiff.js names the tags of a file directory from a table shared by everything using the
+ * library, and stores tags it has no name for under a single "undefined" key. Vendor readers
+ * read their private tags (NDPI, ImageJ) from the IFD here, by number, with names of their
+ * own, rather than adding them to the shared table.
+ *
+ * TIFF 6.0, Image File Directory (pg 14) and BigTIFF
+ * https://www.itu.int/itudoc/itu-t/com16/tiff-fx/docs/tiff6.pdf
+ * https://www.awaresystems.be/imaging/tiff/bigtiff.html
+ */
+
+// size and reader of the values of each field type
+const TYPES = {
+  1: [1, (view, offset) => view.getUint8(offset)],
+  2: [1, (view, offset) => view.getUint8(offset)],
+  3: [2, (view, offset, le) => view.getUint16(offset, le)],
+  4: [4, (view, offset, le) => view.getUint32(offset, le)],
+  6: [1, (view, offset) => view.getInt8(offset)],
+  7: [1, (view, offset) => view.getUint8(offset)],
+  8: [2, (view, offset, le) => view.getInt16(offset, le)],
+  9: [4, (view, offset, le) => view.getInt32(offset, le)],
+  11: [4, (view, offset, le) => view.getFloat32(offset, le)],
+  12: [8, (view, offset, le) => view.getFloat64(offset, le)],
+  16: [8, (view, offset, le) => Number(view.getBigUint64(offset, le))],
+  17: [8, (view, offset, le) => Number(view.getBigInt64(offset, le))],
+};
+const ASCII = 2;
+const BYTE_TYPES = new Set([1, 7]);
+
+const fetchView = async (tiff, offset, length) => {
+  const [buffer] = await tiff.source.fetch([{ offset, length }]);
+  return new DataView(buffer);
+};
+
+const readValues = (view, offset, type, count, littleEndian) => {
+  const [size, read] = TYPES[type];
+  const values = Array.from({ length: count }, (_, i) =>
+    read(view, offset + i * size, littleEndian)
+  );
+  if (type === ASCII) {
+    return values
+      .map((code) => String.fromCharCode(code))
+      .join("")
+      .replace(/\0+$/, "");
+  }
+  if (BYTE_TYPES.has(type)) return Uint8Array.from(values);
+  return count === 1 ? values[0] : values;
+};
+
+/**
+ * Read private tags of an IFD.
+ *
+ * @param {GeoTIFF} tiff opened file
+ * @param {Object<number, string>} tags names to give the values, by tag number
+ * @param {number} [ifdOffset] offset of the IFD, the first one by default
+ * @returns {Promise<Object<string, number|number[]|string|Uint8Array>>} values of the tags found:
+ *   BYTE and UNDEFINED values as a Uint8Array, ASCII as a string, single numbers unpacked
+ */
+export const readPrivateTags = async (tiff, tags, ifdOffset = tiff.firstIFDOffset) => {
+  const { littleEndian, bigTiff } = tiff;
+  const countSize = bigTiff ? 8 : 2;
+  const entrySize = bigTiff ? 20 : 12;
+  const inlineSize = bigTiff ? 8 : 4;
+  const readLong = (view, offset) =>
+    bigTiff
+      ? Number(view.getBigUint64(offset, littleEndian))
+      : view.getUint32(offset, littleEndian);
+
+  const header = await fetchView(tiff, ifdOffset, countSize);
+  const count = bigTiff
+    ? Number(header.getBigUint64(0, littleEndian))
+    : header.getUint16(0, littleEndian);
+  const view = await fetchView(tiff, ifdOffset + countSize, count * entrySize);
+
+  const result = {};
+  for (let i = 0; i < count; i++) {
+    const entry = i * entrySize;
+    const tag = view.getUint16(entry, littleEndian);
+    const type = view.getUint16(entry + 2, littleEndian);
+    if (!(tag in tags) || !TYPES[type]) continue;
+    const n = readLong(view, entry + 4);
+    const length = TYPES[type][0] * n;
+    const valueOffset = entry + 4 + inlineSize;
+    result[tags[tag]] =
+      length <= inlineSize
+        ? readValues(view, valueOffset, type, n, littleEndian)
+        : readValues(
+            await fetchView(tiff, readLong(view, valueOffset), length),
+            0,
+            type,
+            n,
+            littleEndian
+          );
+  }
+  return result;
+};
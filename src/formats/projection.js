@@ -0,0 +1,415 @@
+/**
+ * Coordinate Reprojection
+ *
+ * A small, bundled set of map projections, so coordinates of common GeoTIFF products can
+ * be shown as WGS84 longitude / latitude without a network lookup or a proj4 dependency:
+ *
+ * - EPSG:4326 WGS84, EPSG:4258 ETRS89 and EPSG:4269 NAD83 geographic coordinates
+ * - EPSG:3857 Web Mercator (and its legacy codes 900913, 3785, 102100, 102113)
+ * - UTM zones on WGS84 (EPSG:32601-32660 north, 32701-32760 south), ETRS89 (25828-25838)
+ *   and NAD83 (26901-26923)
+ * - national grids: EPSG:27700 British National Grid and EPSG:2154 RGF93 / Lambert-93
+ * - user-defined sinusoidal grids, e.g. the MODIS sinusoidal tile grid
+ *
+ * All projections go through WGS84 geographic coordinates in degrees. ETRS89, NAD83 and
+ * RGF93 are treated as WGS84, their difference (below 2 m) is ignored. OSGB36 is shifted with
+ * the Helmert transformation of Ordnance Survey, accurate to a few meters. Other systems can be
+ * added with registerProjection, e.g. from proj4 definitions.
+ *
+ * Transverse Mercator with Krüger series (Karney 2011)
+ * https://doi.org/10.1007/s00190-011-0445-3
+ *
+ * EPSG Guidance Note 7-2, Web Mercator (1.3.3.2), Lambert Conic Conformal 2SP (1.3.1.1),
+ * Helmert transformations (2.4.3.2) and Sinusoidal
+ * https://epsg.org/guidance-notes.html
+ *
+ * A Guide to Coordinate Systems in Great Britain, Ordnance Survey (6.6, WGS84 to OSGB36)
+ * https://www.ordnancesurvey.co.uk/documents/resources/guide-coordinate-systems-great-britain.pdf
+ */
+
+/**
+ * @typedef {Object} Projection
+ * @property {string} name
+ * @property {function(number, number): {x: number, y: number}} forward longitude, latitude in degrees to projected x, y
+ * @property {function(number, number): {lon: number, lat: number}} inverse projected x, y to longitude, latitude
+ */
+
+const DEG = Math.PI / 180;
+
+const WGS84 = { a: 6378137, f: 1 / 298.257223563 };
+const GRS80 = { a: 6378137, f: 1 / 298.257222101 };
+const AIRY_1830 = { a: 6377563.396, f: 1 / 299.3249646 };
+const ARC_SECOND = DEG / 3600;
+
+// GeoTIFF ProjCoordTransGeoKey
+const CT_SINUSOIDAL = 24;
+
+const geographic = (name) => ({
+  name,
+  forward: (lon, lat) => ({ x: lon, y: lat }),
+  inverse: (x, y) => ({ lon: x, lat: y }),
+});
+
+const webMercator = {
+  name: "WGS 84 / Pseudo-Mercator",
+  forward: (lon, lat) => ({
+    x: WGS84.a * lon * DEG,
+    y: WGS84.a * Math.log(Math.tan(Math.PI / 4 + (lat * DEG) / 2)),
+  }),
+  inverse: (x, y) => ({
+    lon: x / WGS84.a / DEG,
+    lat: (2 * Math.atan(Math.exp(y / WGS84.a)) - Math.PI / 2) / DEG,
+  }),
+};
+
+/**
+ * Transverse Mercator projection with Krüger series of order 4, accurate to well below a
+ * millimeter within a UTM zone.
+ *
+ * @param {{a: number, f: number}} ellipsoid
+ * @param {Object} params
+ * @param {number} params.lon0 central meridian in degrees
+ * @param {number} [params.lat0=0] latitude of the origin in degrees
+ * @param {number} params.k0 scale factor on the central meridian
+ * @param {number} params.falseEasting
+ * @param {number} params.falseNorthing
+ * @param {string} name
+ * @returns {Projection}
+ */
+export const transverseMercator = (
+  { a, f },
+  { lon0, lat0 = 0, k0, falseEasting, falseNorthing },
+  name
+) => {
+  const n = f / (2 - f);
+  const n2 = n * n;
+  const n3 = n2 * n;
+  const n4 = n3 * n;
+  const A = (a / (1 + n)) * (1 + n2 / 4 + n4 / 64);
+  const alpha = [
+    n / 2 - (2 / 3) * n2 + (5 / 16) * n3 + (41 / 180) * n4,
+    (13 / 48) * n2 - (3 / 5) * n3 + (557 / 1440) * n4,
+    (61 / 240) * n3 - (103 / 140) * n4,
+    (49561 / 161280) * n4,
+  ];
+  const beta = [
+    n / 2 - (2 / 3) * n2 + (37 / 96) * n3 - (1 / 360) * n4,
+    (1 / 48) * n2 + (1 / 15) * n3 - (437 / 1440) * n4,
+    (17 / 480) * n3 - (37 / 840) * n4,
+    (4397 / 161280) * n4,
+  ];
+  const delta = [
+    2 * n - (2 / 3) * n2 - 2 * n3 + (116 / 45) * n4,
+    (7 / 3) * n2 - (8 / 5) * n3 - (227 / 45) * n4,
+    (56 / 15) * n3 - (136 / 35) * n4,
+    (4279 / 630) * n4,
+  ];
+  const e = (2 * Math.sqrt(n)) / (1 + n);
+
+  // x, y in units of the rectifying radius, from the equator on the central meridian
+  const project = (lon, lat) => {
+    const phi = lat * DEG;
+    const lambda = (lon - lon0) * DEG;
+    const t = Math.sinh(Math.atanh(Math.sin(phi)) - e * Math.atanh(e * Math.sin(phi)));
+    const xi = Math.atan2(t, Math.cos(lambda));
+    const eta = Math.atanh(Math.sin(lambda) / Math.sqrt(1 + t * t));
+    let x = eta;
+    let y = xi;
+    alpha.forEach((coefficient, j) => {
+      x += coefficient * Math.cos(2 * (j + 1) * xi) * Math.sinh(2 * (j + 1) * eta);
+      y += coefficient * Math.sin(2 * (j + 1) * xi) * Math.cosh(2 * (j + 1) * eta);
+    });
+    return { x, y };
+  };
+  // northing of the origin latitude, 0 for UTM
+  const originNorthing = lat0 ? k0 * A * project(lon0, lat0).y : 0;
+
+  return {
+    name,
+    forward: (lon, lat) => {
+      const { x, y } = project(lon, lat);
+      return { x: falseEasting + k0 * A * x, y: falseNorthing - originNorthing + k0 * A * y };
+    },
+    inverse: (x, y) => {
+      const xi = (y - falseNorthing + originNorthing) / (k0 * A);
+      const eta = (x - falseEasting) / (k0 * A);
+      let xiPrime = xi;
+      let etaPrime = eta;
+      beta.forEach((coefficient, j) => {
+        xiPrime -= coefficient * Math.sin(2 * (j + 1) * xi) * Math.cosh(2 * (j + 1) * eta);
+        etaPrime -= coefficient * Math.cos(2 * (j + 1) * xi) * Math.sinh(2 * (j + 1) * eta);
+      });
+      const chi = Math.asin(Math.sin(xiPrime) / Math.cosh(etaPrime));
+      let phi = chi;
+      delta.forEach((coefficient, j) => {
+        phi += coefficient * Math.sin(2 * (j + 1) * chi);
+      });
+      return {
+        lon: lon0 + Math.atan2(Math.sinh(etaPrime), Math.cos(xiPrime)) / DEG,
+        lat: phi / DEG,
+      };
+    },
+  };
+};
+
+const utm = (ellipsoid, datum, zone, south) =>
+  transverseMercator(
+    ellipsoid,
+    { lon0: zone * 6 - 183, k0: 0.9996, falseEasting: 500000, falseNorthing: south ? 10000000 : 0 },
+    `${datum} / UTM zone ${zone}${south ? "S" : "N"}`
+  );
+
+/**
+ * Lambert Conic Conformal projection with two standard parallels.
+ *
+ * @param {{a: number, f: number}} ellipsoid
+ * @param {Object} params
+ * @param {number} params.lon0 longitude of the origin in degrees
+ * @param {number} params.lat0 latitude of the origin in degrees
+ * @param {number} params.lat1 first standard parallel in degrees
+ * @param {number} params.lat2 second standard parallel in degrees
+ * @param {number} params.falseEasting
+ * @param {number} params.falseNorthing
+ * @param {string} name
+ * @returns {Projection}
+ */
+export const lambertConformalConic = (
+  { a, f },
+  { lon0, lat0, lat1, lat2, falseEasting, falseNorthing },
+  name
+) => {
+  const e = Math.sqrt(f * (2 - f));
+  const m = (phi) => Math.cos(phi) / Math.sqrt(1 - (e * Math.sin(phi)) ** 2);
+  const t = (phi) =>
+    Math.tan(Math.PI / 4 - phi / 2) /
+    ((1 - e * Math.sin(phi)) / (1 + e * Math.sin(phi))) ** (e / 2);
+  const [phi0, phi1, phi2] = [lat0, lat1, lat2].map((lat) => lat * DEG);
+  const n = (Math.log(m(phi1)) - Math.log(m(phi2))) / (Math.log(t(phi1)) - Math.log(t(phi2)));
+  const F = m(phi1) / (n * t(phi1) ** n);
+  const radius = (phi) => a * F * t(phi) ** n;
+  const r0 = radius(phi0);
+
+  return {
+    name,
+    forward: (lon, lat) => {
+      const r = radius(lat * DEG);
+      const theta = n * (lon - lon0) * DEG;
+      return { x: falseEasting + r * Math.sin(theta), y: falseNorthing + r0 - r * Math.cos(theta) };
+    },
+    inverse: (x, y) => {
+      const dx = x - falseEasting;
+      const dy = r0 - (y - falseNorthing);
+      const r = Math.sign(n) * Math.hypot(dx, dy);
+      const tPrime = (r / (a * F)) ** (1 / n);
+      const theta = Math.atan2(Math.sign(n) * dx, Math.sign(n) * dy);
+      let phi = Math.PI / 2 - 2 * Math.atan(tPrime);
+      for (let i = 0; i < 10; i++) {
+        const sin = e * Math.sin(phi);
+        phi = Math.PI / 2 - 2 * Math.atan(tPrime * ((1 - sin) / (1 + sin)) ** (e / 2));
+      }
+      return { lon: lon0 + theta / n / DEG, lat: phi / DEG };
+    },
+  };
+};
+
+// geographic coordinates in degrees to earth-centered coordinates, and back
+const toCartesian = ({ a, f }, lon, lat) => {
+  const e2 = f * (2 - f);
+  const [lambda, phi] = [lon * DEG, lat * DEG];
+  const nu = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+  return [
+    nu * Math.cos(phi) * Math.cos(lambda),
+    nu * Math.cos(phi) * Math.sin(lambda),
+    nu * (1 - e2) * Math.sin(phi),
+  ];
+};
+
+const toGeographic = ({ a, f }, [x, y, z]) => {
+  const e2 = f * (2 - f);
+  const p = Math.hypot(x, y);
+  let phi = Math.atan2(z, p * (1 - e2));
+  for (let i = 0; i < 10; i++) {
+    const nu = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+    phi = Math.atan2(z + e2 * nu * Math.sin(phi), p);
+  }
+  return { lon: Math.atan2(y, x) / DEG, lat: phi / DEG };
+};
+
+// position vector Helmert transformation, rotations in arc seconds and scale in ppm
+const helmert = ([x, y, z], { tx, ty, tz, rx, ry, rz, s }) => {
+  const k = 1 + s * 1e-6;
+  const [wx, wy, wz] = [rx, ry, rz].map((r) => r * ARC_SECOND);
+  return [
+    tx + k * (x - wz * y + wy * z),
+    ty + k * (wz * x + y - wx * z),
+    tz + k * (-wy * x + wx * y + z),
+  ];
+};
+
+/**
+ * Use a projection of a datum other than WGS84 with WGS84 geographic coordinates.
+ *
+ * @param {Projection} projection projection of the local datum
+ * @param {{a: number, f: number}} ellipsoid of the local datum
+ * @param {Object} fromWgs84 Helmert parameters from WGS84 to the local datum
+ * @returns {Projection}
+ */
+const withDatumShift = (projection, ellipsoid, fromWgs84) => {
+  const toWgs84 = Object.fromEntries(
+    Object.entries(fromWgs84).map(([key, value]) => [key, -value])
+  );
+  return {
+    name: projection.name,
+    forward: (lon, lat) => {
+      const local = toGeographic(ellipsoid, helmert(toCartesian(WGS84, lon, lat), fromWgs84));
+      return projection.forward(local.lon, local.lat);
+    },
+    inverse: (x, y) => {
+      const { lon, lat } = projection.inverse(x, y);
+      return toGeographic(WGS84, helmert(toCartesian(ellipsoid, lon, lat), toWgs84));
+    },
+  };
+};
+
+const NATIONAL_GRIDS = {
+  27700: () =>
+    withDatumShift(
+      transverseMercator(
+        AIRY_1830,
+        { lon0: -2, lat0: 49, k0: 0.9996012717, falseEasting: 400000, falseNorthing: -100000 },
+        "OSGB36 / British National Grid"
+      ),
+      AIRY_1830,
+      { tx: -446.448, ty: 125.157, tz: -542.06, rx: -0.1502, ry: -0.247, rz: -0.8421, s: 20.4894 }
+    ),
+  2154: () =>
+    lambertConformalConic(
+      GRS80,
+      { lon0: 3, lat0: 46.5, lat1: 49, lat2: 44, falseEasting: 700000, falseNorthing: 6600000 },
+      "RGF93 / Lambert-93"
+    ),
+};
+
+/**
+ * Sinusoidal projection on a sphere, as used by the MODIS land products.
+ *
+ * @param {number} radius
+ * @param {number} [lon0=0] central meridian in degrees
+ * @param {number} [falseEasting=0]
+ * @param {number} [falseNorthing=0]
+ * @returns {Projection}
+ */
+export const sinusoidal = (radius, lon0 = 0, falseEasting = 0, falseNorthing = 0) => ({
+  name: "Sinusoidal",
+  forward: (lon, lat) => ({
+    x: falseEasting + radius * (lon - lon0) * DEG * Math.cos(lat * DEG),
+    y: falseNorthing + radius * lat * DEG,
+  }),
+  inverse: (x, y) => {
+    const lat = (y - falseNorthing) / radius;
+    return { lon: lon0 + (x - falseEasting) / (radius * Math.cos(lat)) / DEG, lat: lat / DEG };
+  },
+});
+
+const WEB_MERCATOR_CODES = [3857, 900913, 3785, 102100, 102113];
+const GEOGRAPHIC = { 4326: "WGS 84", 4258: "ETRS89", 4269: "NAD83" };
+
+const builtinProjection = (code) => {
+  if (GEOGRAPHIC[code]) return geographic(GEOGRAPHIC[code]);
+  if (WEB_MERCATOR_CODES.includes(code)) return webMercator;
+  if (code >= 32601 && code <= 32660) return utm(WGS84, "WGS 84", code - 32600, false);
+  if (code >= 32701 && code <= 32760) return utm(WGS84, "WGS 84", code - 32700, true);
+  if (code >= 25828 && code <= 25838) return utm(GRS80, "ETRS89", code - 25800, false);
+  if (code >= 26901 && code <= 26923) return utm(GRS80, "NAD83", code - 26900, false);
+  return NATIONAL_GRIDS[code]?.() ?? null;
+};
+
+const registeredProjections = new Map();
+const projectionCache = new Map();
+
+/**
+ * Register a projection for an EPSG code, replacing the built-in one if any.
+ *
+ * @param {number} epsg
+ * @param {Projection} projection
+ * @returns {Projection} the projection
+ *
+ * @example
+ * // Irish Transverse Mercator with proj4
+ * const itm = proj4("+proj=tmerc +lat_0=53.5 +lon_0=-8 +k=0.99982 +x_0=600000 +y_0=750000 +ellps=GRS80 +units=m");
+ * OpenSeadragon.GeoTIFFTileSource.registerProjection(2157, {
+ *   name: "IRENET95 / Irish Transverse Mercator",
+ *   forward: (lon, lat) => { const [x, y] = itm.forward([lon, lat]); return { x, y }; },
+ *   inverse: (x, y) => { const [lon, lat] = itm.inverse([x, y]); return { lon, lat }; },
+ * });
+ */
+export const registerProjection = (epsg, projection) => {
+  if (
+    !Number.isInteger(epsg) ||
+    typeof projection?.forward !== "function" ||
+    typeof projection?.inverse !== "function"
+  ) {
+    throw new Error(
+      "[GeoTIFFTileSource] A projection needs an EPSG code, a forward and an inverse function."
+    );
+  }
+  registeredProjections.set(epsg, projection);
+  return projection;
+};
+
+const parseEpsg = (value) => {
+  if (typeof value === "number") return value;
+  const match = typeof value === "string" ? value.match(/^\s*(?:EPSG:)?(\d+)\s*$/i) : null;
+  return match ? Number(match[1]) : null;
+};
+
+/**
+ * Find the projection of a coordinate reference system.
+ *
+ * @param {number|string|CoordinateReferenceSystem} crs EPSG code, "EPSG:32633", or a CRS read from GeoKeys
+ * @returns {Projection|null} null if the system is not supported
+ */
+export const getProjection = (crs) => {
+  const epsg = crs && typeof crs === "object" ? crs.epsg : parseEpsg(crs);
+  if (epsg) {
+    if (registeredProjections.has(epsg)) return registeredProjections.get(epsg);
+    if (!projectionCache.has(epsg)) projectionCache.set(epsg, builtinProjection(epsg));
+    if (projectionCache.get(epsg)) return projectionCache.get(epsg);
+  }
+
+  // user-defined projections are described by their parameters
+  const geoKeys = crs?.geoKeys;
+  if (crs?.type === "geographic" && crs.unit === "deg") return geographic(crs.name ?? "Geographic");
+  if (crs?.type === "projected" && geoKeys?.ProjCoordTransGeoKey === CT_SINUSOIDAL) {
+    return sinusoidal(
+      geoKeys.GeogSemiMajorAxisGeoKey ?? WGS84.a,
+      geoKeys.ProjCenterLongGeoKey ?? geoKeys.ProjNatOriginLongGeoKey ?? 0,
+      geoKeys.ProjFalseEastingGeoKey ?? 0,
+      geoKeys.ProjFalseNorthingGeoKey ?? 0
+    );
+  }
+  return null;
+};
+
+/**
+ * Transform a point between two coordinate reference systems.
+ *
+ * @param {{x: number, y: number}} point x is the easting or longitude
+ * @param {number|string|CoordinateReferenceSystem} from
+ * @param {number|string|CoordinateReferenceSystem} to
+ * @returns {{x: number, y: number}}
+ */
+export const transformCoordinates = (point, from, to) => {
+  const source = getProjection(from);
+  const target = getProjection(to);
+  if (!source || !target) {
+    const name = (crs) =>
+      crs && typeof crs === "object" ? crs.name ?? `EPSG:${crs.epsg}` : String(crs);
+    throw new Error(
+      `[GeoTIFFTileSource] No projection for ${name(source ? to : from)}, add one with registerProjection.`
+    );
+  }
+  if (source === target) return { x: point.x, y: point.y };
+  const { lon, lat } = source.inverse(point.x, point.y);
+  return target.forward(lon, lat);
+};
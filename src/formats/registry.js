@@ -0,0 +1,245 @@
+/**
+ * Format Reader Registry
+ *
+ * Vendor formats are recognized from the content of the file, never from its name: URLs
+ * may carry query strings, Blobs have no name and files get renamed. A format reader
+ * declares how it recognizes a file (Software tag, XML root element, magic strings in the
+ * first ImageDescription, private tags) and how it builds the dataset of a recognized file.
+ *
+ * Readers are asked in order of decreasing priority; among readers of the same priority,
+ * registered readers are asked before the built-in ones. Registering a reader under the
+ * name of a built-in reader replaces it.
+ */
+
+import { isAperioDescription, parseAperioMetadata } from "./aperio.js";
+import { isNdpi } from "./ndpi.js";
+import { parseOmeDataset } from "./ome.js";
+import { parsePhilipsMetadata } from "./philips.js";
+import { parseLeicaMetadata } from "./leica.js";
+import { getPerkinElmerImageRole, parsePerkinElmerMetadata } from "./perkinElmer.js";
+import { IMAGEJ_TAGS, parseImageJ } from "./imagej.js";
+import { readPrivateTags } from "./privateTags.js";
+
+/**
+ * What a reader gets to recognize and open a file.
+ *
+ * @typedef {Object} FormatContext
+ * @property {GeoTIFF} tiff the opened file
+ * @property {GeoTIFFImage} firstImage first IFD
+ * @property {string} description ImageDescription of the first IFD, "" if missing
+ * @property {string} software Software tag of the first IFD, "" if missing
+ * @property {function(): Promise<GeoTIFFImage[]>} getImages all top-level images in IFD order,
+ *   each with its IFD index in image.__ifd
+ * @property {Object} opts options passed to openDataset
+ * @property {Function} TileSource the GeoTIFFTileSource class, to create tile sources and
+ *   reuse its layout builders (openTiffDataset, getOmeTileSources...)
+ * @property {Object} detected what readers parsed in detect and reuse in open, by reader name
+ */
+
+/**
+ * @typedef {Object} FormatReader
+ * @property {string} name format name, reported as dataset.format by the built-in readers
+ * @property {number} [priority=0] readers with a higher priority are asked first
+ * @property {function(FormatContext): (boolean|Promise<boolean>)} detect whether the reader handles the file
+ * @property {function(FormatContext): (Dataset|Promise<Dataset>)} open build the dataset of the file
+ */
+
+const ascii = (value) => (typeof value === "string" ? value.replace(/\0+$/, "") : "");
+
+/**
+ * Build the context readers detect and open a file with.
+ *
+ * @param {GeoTIFF} tiff
+ * @param {Object} opts
+ * @param {Function} TileSource
+ * @returns {Promise<FormatContext>}
+ */
+export const createFormatContext = async (tiff, opts, TileSource) => {
+  const firstImage = await tiff.getImage(0);
+  let images = null;
+  return {
+    tiff,
+    firstImage,
+    description: ascii(firstImage.fileDirectory?.ImageDescription),
+    software: ascii(firstImage.fileDirectory?.Software),
+    getImages: () => {
+      images =
+        images ??
+        (async () => {
+          const count = await tiff.getImageCount();
+          const all = await Promise.all(Array.from({ length: count }, (_, i) => tiff.getImage(i)));
+          all.forEach((image, index) => {
+            image.__ifd = index;
+          });
+          return all;
+        })();
+      return images;
+    },
+    opts,
+    TileSource,
+    detected: {},
+  };
+};
+
+/** @type {FormatReader[]} */
+const builtinReaders = [
+  {
+    // NDPI IFDs beyond 4 GB cannot be walked by geotiff.js, recognize it before counting images.
+    // Asked first for every file: only files whose first IFD has unknown tags pay for reading it again
+    name: "ndpi",
+    priority: 100,
+    detect: ({ tiff, firstImage }) => isNdpi(tiff, firstImage),
+    open: ({ tiff, opts, TileSource }) => TileSource.openNdpiDataset(tiff, opts),
+  },
+  {
+    // OME-TIFF describes its own layout in OME-XML, no need to guess it from IFD sizes
+    name: "ome",
+    detect: ({ firstImage, detected }) => (detected.ome = parseOmeDataset(firstImage)) !== null,
+    open: async ({ tiff, getImages, opts, TileSource, detected }) => {
+      const images = await getImages();
+      // parsed once, the OME-XML of large plates is large
+      const ome = detected.ome ?? parseOmeDataset(images[0]);
+      return TileSource.openOmeDataset(tiff, images, ome, opts);
+    },
+  },
+  {
+    // Philips and Leica describe their levels in XML, aspect ratios of their levels are not reliable
+    name: "philips",
+    detect: ({ firstImage, detected }) =>
+      (detected.philips = parsePhilipsMetadata(firstImage)) !== null,
+    open: async ({ tiff, firstImage, getImages, opts, TileSource, detected }) =>
+      TileSource.openPhilipsDataset(
+        tiff,
+        await getImages(),
+        detected.philips ?? parsePhilipsMetadata(firstImage),
+        opts
+      ),
+  },
+  {
+    name: "scn",
+    detect: ({ firstImage, detected }) => (detected.scn = parseLeicaMetadata(firstImage)) !== null,
+    open: async ({ tiff, firstImage, getImages, opts, TileSource, detected }) =>
+      TileSource.openLeicaDataset(
+        tiff,
+        await getImages(),
+        detected.scn ?? parseLeicaMetadata(firstImage),
+        opts
+      ),
+  },
+  {
+    // PerkinElmer writes an XML description per page and names itself in the Software tag
+    name: "qptiff",
+    detect: ({ description, software }) =>
+      software.startsWith("PerkinElmer-QPI") ||
+      description.includes("<PerkinElmer-QPI-ImageDescription"),
+    open: async ({ tiff, getImages, opts, TileSource }) => {
+      const images = await getImages();
+      return TileSource.openTiffDataset(tiff, images, opts, {
+        format: "qptiff",
+        metadata: { qptiff: parsePerkinElmerMetadata(images) },
+        getRole: getPerkinElmerImageRole,
+      });
+    },
+  },
+  {
+    // hyperstack pages are (c, z, t) planes of a single image, not pyramid levels or independent planes
+    name: "imagej",
+    detect: ({ firstImage }) => parseImageJ(firstImage) !== null,
+    open: async ({ tiff, firstImage, getImages, opts, TileSource }) => {
+      const tags = await readPrivateTags(tiff, IMAGEJ_TAGS);
+      return TileSource.openImageJDataset(
+        tiff,
+        await getImages(),
+        parseImageJ(firstImage, tags),
+        opts
+      );
+    },
+  },
+  {
+    name: "svs",
+    detect: ({ description }) => isAperioDescription(description),
+    open: async ({ tiff, firstImage, getImages, opts, TileSource }) =>
+      TileSource.openTiffDataset(tiff, await getImages(), opts, {
+        format: "svs",
+        metadata: { aperio: parseAperioMetadata(firstImage) },
+      }),
+  },
+  {
+    // any other TIFF: pyramids guessed from IFD sizes and layout hints
+    name: "tiff",
+    priority: -Infinity,
+    detect: () => true,
+    open: async ({ tiff, getImages, opts, TileSource }) =>
+      TileSource.openTiffDataset(tiff, await getImages(), opts),
+  },
+];
+
+/** @type {FormatReader[]} */
+let registeredReaders = [];
+
+/**
+ * Register a format reader.
+ *
+ * @param {FormatReader} reader
+ * @returns {FormatReader} the reader
+ *
+ * @example
+ * OpenSeadragon.GeoTIFFTileSource.registerFormatReader({
+ *   name: "acme",
+ *   detect: ({ software }) => software.startsWith("ACME Scanner"),
+ *   open: async ({ tiff, getImages, opts, TileSource }) =>
+ *     TileSource.openTiffDataset(tiff, await getImages(), opts, { format: "acme" }),
+ * });
+ */
+export const registerFormatReader = (reader) => {
+  if (
+    !reader ||
+    typeof reader.name !== "string" ||
+    typeof reader.detect !== "function" ||
+    typeof reader.open !== "function"
+  ) {
+    throw new Error(
+      "[GeoTIFFTileSource] A format reader needs a name, a detect function and an open function."
+    );
+  }
+  registeredReaders = [reader, ...registeredReaders.filter((r) => r.name !== reader.name)];
+  return reader;
+};
+
+/**
+ * Remove a registered format reader. Built-in readers cannot be removed, only replaced.
+ *
+ * @param {string} name
+ * @returns {boolean} whether a reader was removed
+ */
+export const unregisterFormatReader = (name) => {
+  const count = registeredReaders.length;
+  registeredReaders = registeredReaders.filter((reader) => reader.name !== name);
+  return registeredReaders.length !== count;
+};
+
+/**
+ * All format readers, in the order they are asked.
+ *
+ * @returns {FormatReader[]}
+ */
+export const getFormatReaders = () => {
+  const replaced = new Set(registeredReaders.map((reader) => reader.name));
+  return [
+    ...registeredReaders,
+    ...builtinReaders.filter((reader) => !replaced.has(reader.name)),
+  ].sort((a, b) => (b.priority ?? 0) - (a.priority ?? 0));
+};
+
+/**
+ * Find the reader of a file.
+ *
+ * @param {FormatContext} context
+ * @returns {Promise<FormatReader>}
+ */
+export const detectFormat = async (context) => {
+  for (const reader of getFormatReaders()) {
+    if (await reader.detect(context)) return reader;
+  }
+  throw new Error("[GeoTIFFTileSource] No format reader recognized the file.");
+};
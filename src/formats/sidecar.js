@@ -0,0 +1,291 @@
+/**
+ * Sidecar Files
+ *
+ * Many GeoTIFFs are georeferenced or annotated by companion files rather than by tags:
+ *
+ * - a world file (image.tfw, image.tifw or image.wld) holds the six coefficients of the
+ *   affine transform, in the order A (x size), D, B, E (y size), C, F, where C, F is the
+ *   center of the top left pixel
+ * - a GDAL PAM file (image.tif.aux.xml) holds the CRS as WKT, the geotransform, NoData,
+ *   band descriptions, scale / offset and statistics written by GDAL
+ *
+ * Esri world files
+ * https://desktop.arcgis.com/en/arcmap/latest/manage-data/raster-and-images/world-files-for-raster-datasets.htm
+ *
+ * GDAL persistent auxiliary metadata (PAM)
+ * https://gdal.org/drivers/raster/gtiff.html#georeferencing
+ */
+
+import { GDAL_STATISTICS, parseGdalNumber } from "./gdalMetadata.js";
+import { isTransparencyMask } from "./mask.js";
+import { normalizeUnit } from "./spacing.js";
+
+/**
+ * @typedef {Object} SidecarBand
+ * @property {number} band 1-based band number
+ * @property {string|null} description
+ * @property {string|null} unit
+ * @property {number|null} noData
+ * @property {number|null} scale
+ * @property {number|null} offset
+ * @property {{min: number, max: number, mean: number, stdDev: number}|null} statistics
+ * @property {Object<string, string>} metadata other items of the band metadata
+ */
+
+/**
+ * @typedef {Object} Sidecar
+ * @property {GeoTransform|null} geoTransform from the .aux.xml, else from the world file
+ * @property {CoordinateReferenceSystem|null} crs from the SRS of the .aux.xml, with its WKT in crs.wkt
+ * @property {number|null} noData NoData of the first band that has one
+ * @property {SidecarBand[]} bands
+ * @property {Object<string, string>} metadata dataset metadata of the .aux.xml
+ * @property {string[]} files names or urls of the sidecar files read
+ */
+
+const WORLD_FILE = /\.(tfw|tifw|tiffw|wld)$/i;
+const AUX_XML = /\.aux\.xml$/i;
+
+/**
+ * Parse a world file.
+ *
+ * @param {string} text
+ * @returns {GeoTransform|null} null if the file does not hold six numbers
+ */
+export const parseWorldFile = (text) => {
+  const values = String(text).trim().split(/\s+/).map(Number);
+  if (values.length !== 6 || values.some((value) => !Number.isFinite(value))) return null;
+  const [a, d, b, e, c, f] = values;
+  // C, F is the center of the top left pixel, move the origin to its corner
+  return [c - (a + b) / 2, a, b, f - (d + e) / 2, d, e];
+};
+
+const childText = (element, name) =>
+  Array.from(element.children).find((child) => child.localName === name)?.textContent ?? null;
+
+// items of the default metadata domain
+const readMetadata = (element) => {
+  const metadata = {};
+  for (const child of element.children) {
+    if (child.localName !== "Metadata" || child.getAttribute("domain")) continue;
+    for (const item of child.children) {
+      if (item.localName === "MDI") metadata[item.getAttribute("key")] = item.textContent;
+    }
+  }
+  return metadata;
+};
+
+/**
+ * Describe a coordinate reference system from its WKT (WKT1 or WKT2): type, name, EPSG code
+ * of the root AUTHORITY or ID, and unit of the coordinates.
+ *
+ * @param {string} wkt
+ * @returns {CoordinateReferenceSystem|null}
+ */
+export const parseWktCrs = (wkt) => {
+  const text = String(wkt ?? "").trim();
+  const root = text.match(/^(\w+)\s*\[\s*"([^"]*)"/);
+  if (!root) return null;
+
+  const keyword = root[1].toUpperCase();
+  const type = ["PROJCS", "PROJCRS", "PROJECTEDCRS"].includes(keyword)
+    ? "projected"
+    : ["GEOGCS", "GEOGCRS", "GEOGRAPHICCRS", "GEODCRS"].includes(keyword)
+      ? "geographic"
+      : null;
+  // the authority of the root node closes the WKT
+  const authority = text.match(/(?:AUTHORITY|ID)\s*\[\s*"EPSG"\s*,\s*"?(\d+)"?\s*\]\s*\]\s*$/i);
+  // the last unit is the unit of the coordinates
+  const units = [...text.matchAll(/(?:LENGTHUNIT|ANGLEUNIT|UNIT)\s*\[\s*"([^"]+)"/gi)];
+  const unitName = units.length ? units[units.length - 1][1] : null;
+  const unit =
+    type === "geographic"
+      ? /degree/i.test(unitName ?? "degree")
+        ? "deg"
+        : null
+      : normalizeUnit(unitName === "US survey foot" ? "ft-us" : unitName ?? "m");
+
+  return {
+    epsg: authority ? Number(authority[1]) : null,
+    type,
+    name: root[2] || null,
+    unit,
+    pixelIsPoint: false,
+    geoKeys: {},
+    wkt: text,
+  };
+};
+
+/**
+ * Parse a GDAL .aux.xml file.
+ *
+ * @param {string} xml
+ * @returns {Sidecar|null} null if the file is not a PAMDataset
+ */
+export const parseAuxXml = (xml) => {
+  const root = new DOMParser().parseFromString(String(xml), "text/xml").documentElement;
+  if (!root || root.localName !== "PAMDataset") return null;
+
+  const transform = childText(root, "GeoTransform")?.split(",").map(parseGdalNumber);
+  const srs = childText(root, "SRS");
+  const bands = Array.from(root.children)
+    .filter((child) => child.localName === "PAMRasterBand")
+    .map((element) => {
+      const metadata = readMetadata(element);
+      const statistics = Object.fromEntries(
+        Object.entries(GDAL_STATISTICS).map(([name, key]) => [name, parseGdalNumber(metadata[key])])
+      );
+      for (const key of Object.values(GDAL_STATISTICS)) delete metadata[key];
+      return {
+        band: Number(element.getAttribute("band")) || null,
+        description: childText(element, "Description")?.trim() || null,
+        unit: childText(element, "UnitType")?.trim() || null,
+        noData: parseGdalNumber(childText(element, "NoDataValue")),
+        scale: parseGdalNumber(childText(element, "Scale")),
+        offset: parseGdalNumber(childText(element, "Offset")),
+        statistics: statistics.min !== null && statistics.max !== null ? statistics : null,
+        metadata,
+      };
+    });
+
+  return {
+    geoTransform: transform?.length === 6 && transform.every(Number.isFinite) ? transform : null,
+    crs: srs ? parseWktCrs(srs) : null,
+    noData: bands.find((band) => band.noData !== null)?.noData ?? null,
+    bands,
+    metadata: readMetadata(root),
+    files: [],
+  };
+};
+
+/**
+ * Urls a sidecar file of an image may have, derived from the url of the image.
+ *
+ * @param {string} url
+ * @returns {{worldFile: string[], auxXml: string[]}}
+ */
+export const getSidecarUrls = (url) => {
+  // keep query strings (e.g. signed urls) after the changed path
+  const [, path, query = ""] = String(url).match(/^([^?#]*)(.*)$/);
+  const extension = path.match(/\.([^./]+)$/)?.[1];
+  const base = extension ? path.slice(0, -extension.length - 1) : path;
+  const worldFile = extension
+    ? [`${extension[0]}${extension[extension.length - 1]}w`, `${extension}w`, "wld"]
+    : ["wld"];
+  return {
+    worldFile: [...new Set(worldFile)].map((ext) => `${base}.${ext}${query}`),
+    auxXml: [`${path}.aux.xml${query}`],
+  };
+};
+
+/**
+ * Url of the external overviews of an image, as written by gdaladdo (image.tif.ovr).
+ *
+ * @param {string} url
+ * @returns {string}
+ */
+export const getOverviewUrl = (url) => {
+  const [, path, query = ""] = String(url).match(/^([^?#]*)(.*)$/);
+  return `${path}.ovr${query}`;
+};
+
+/**
+ * Select the images of an overview file that can be lower levels of a pyramid: the
+ * aspect ratio of the base image, smaller than the levels it already has, and not masks.
+ *
+ * @param {GeoTIFFImage[]} levels images of the pyramid
+ * @param {GeoTIFFImage[]} overviews images of the overview file
+ * @returns {GeoTIFFImage[]}
+ */
+export const selectOverviewImages = (levels, overviews) => {
+  const base = levels.reduce((largest, image) =>
+    image.getWidth() > largest.getWidth() ? image : largest
+  );
+  const aspectRatio = base.getWidth() / base.getHeight();
+  const widths = new Set(levels.map((image) => image.getWidth()));
+  return overviews.filter((image) => {
+    if (isTransparencyMask(image)) return false;
+    const width = image.getWidth();
+    if (width >= base.getWidth() || widths.has(width)) return false;
+    widths.add(width);
+    return Math.abs(1 - width / image.getHeight() / aspectRatio) < 0.015;
+  });
+};
+
+const nameOf = (source) => (typeof source === "string" ? source : source?.name ?? "");
+
+// FileReader, as geotiff.js reads blobs, works where Blob.text() does not
+const readBlobText = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+
+// text of a file or url, null if it cannot be read
+const readText = async (source, opts) => {
+  try {
+    if (source instanceof Blob) return await readBlobText(source);
+    const response = await fetch(source, { headers: opts.GeoTIFFOptions?.headers });
+    return response.ok ? await response.text() : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read the sidecar files of an image.
+ *
+ * @param {string|Blob} input url or file of the image
+ * @param {true|Array<string|Blob>|{worldFile?: string|Blob, auxXml?: string|Blob}} sidecars true to look for
+ *   sidecars next to the image url, files or urls recognized by their extension, or files by kind
+ * @param {Object} [opts] options of openDataset, GeoTIFFOptions.headers are sent with the requests
+ * @returns {Promise<Sidecar|null>} null if no sidecar file was found
+ */
+export const readSidecars = async (input, sidecars, opts = {}) => {
+  let candidates = { worldFile: [], auxXml: [] };
+  if (sidecars === true) {
+    // files have no location to look for sidecars at
+    if (typeof input === "string") candidates = getSidecarUrls(input);
+  } else if (Array.isArray(sidecars)) {
+    candidates.worldFile = sidecars.filter((source) => WORLD_FILE.test(nameOf(source)));
+    candidates.auxXml = sidecars.filter((source) => AUX_XML.test(nameOf(source)));
+  } else if (sidecars) {
+    candidates = { worldFile: [sidecars.worldFile], auxXml: [sidecars.auxXml] };
+  }
+
+  // the first candidate that exists and parses wins
+  const first = async (sources, parse) => {
+    for (const source of sources.filter(Boolean)) {
+      const text = await readText(source, opts);
+      const parsed = text === null ? null : parse(text);
+      if (parsed) return { parsed, file: nameOf(source) || "blob" };
+    }
+    return null;
+  };
+  const [aux, world] = await Promise.all([
+    first(candidates.auxXml, (text) => {
+      try {
+        return parseAuxXml(text);
+      } catch {
+        return null;
+      }
+    }),
+    first(candidates.worldFile, parseWorldFile),
+  ]);
+  if (!aux && !world) return null;
+
+  const sidecar = aux?.parsed ?? {
+    geoTransform: null,
+    crs: null,
+    noData: null,
+    bands: [],
+    metadata: {},
+    files: [],
+  };
+  return {
+    ...sidecar,
+    geoTransform: sidecar.geoTransform ?? world?.parsed ?? null,
+    files: [aux?.file, world?.file].filter(Boolean),
+  };
+};
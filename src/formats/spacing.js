@@ -0,0 +1,298 @@
+/**
+ * Pixel Spacing and Physical Units
+ *
+ * The physical size of a pixel can come from several places. Vendor metadata is the
+ * most reliable (OME-XML PhysicalSizeX/Y, Aperio MPP, NDPI, Philips, Leica SCN and ImageJ
+ * resolutions), then the GeoTIFF geotransform, then the baseline XResolution,
+ * YResolution and ResolutionUnit tags, which many writers fill with a meaningless 72 dpi.
+ *
+ * TIFF 6.0 specification, ResolutionUnit (pg 38)
+ * https://www.itu.int/itudoc/itu-t/com16/tiff-fx/docs/tiff6.pdf
+ *
+ * GeoTIFF specification, units of measure (GeoKeys 2054, 3076)
+ * https://docs.ogc.org/is/19-008r4/19-008r4.html#_requirements_class_unitsgeokey
+ *
+ * Degrees are not lengths: a degree of longitude shrinks with latitude. Geographic rasters are
+ * measured on a sphere of the mean Earth radius, which is within 0.5% of the ellipsoid.
+ */
+
+import { applyGeoTransform } from "./georeference.js";
+
+/**
+ * @typedef {Object} PixelSpacing
+ * @property {number} x width of a full resolution pixel
+ * @property {number} y height of a full resolution pixel
+ * @property {string} unit canonical unit symbol ("µm", "mm", "m", "in"...)
+ * @property {string} source where the spacing was read: "ome", "aperio", "ndpi", "philips",
+ *   "scn", "imagej", "geotiff" or "resolution"
+ */
+
+// length of each unit in meters
+const LENGTH_UNITS = {
+  km: 1e3,
+  m: 1,
+  cm: 1e-2,
+  mm: 1e-3,
+  µm: 1e-6,
+  nm: 1e-9,
+  Å: 1e-10,
+  pm: 1e-12,
+  mi: 1609.344,
+  ft: 0.3048,
+  "ft-us": 1200 / 3937,
+  in: 0.0254,
+};
+
+const UNIT_ALIASES = {
+  kilometer: "km",
+  kilometre: "km",
+  meter: "m",
+  metre: "m",
+  centimeter: "cm",
+  centimetre: "cm",
+  millimeter: "mm",
+  millimetre: "mm",
+  um: "µm",
+  "\u03bcm": "µm", // greek mu
+  micron: "µm",
+  micrometer: "µm",
+  micrometre: "µm",
+  nanometer: "nm",
+  nanometre: "nm",
+  "\u212b": "Å", // angstrom sign
+  angstrom: "Å",
+  picometer: "pm",
+  picometre: "pm",
+  mile: "mi",
+  foot: "ft",
+  feet: "ft",
+  "us survey foot": "ft-us",
+  inch: "in",
+  inches: "in",
+};
+
+/**
+ * Canonical symbol of a length unit.
+ *
+ * @param {string} unit symbol or name, e.g. "um", "micron", "Millimeter"
+ * @returns {string|null} null if the unit is not a known length unit
+ */
+export const normalizeUnit = (unit) => {
+  if (typeof unit !== "string") return null;
+  const trimmed = unit.trim();
+  if (LENGTH_UNITS[trimmed]) return trimmed;
+  if (UNIT_ALIASES[trimmed]) return UNIT_ALIASES[trimmed];
+  const lower = trimmed.toLowerCase();
+  if (LENGTH_UNITS[lower]) return lower;
+  return UNIT_ALIASES[lower] ?? UNIT_ALIASES[lower.replace(/s$/, "")] ?? null;
+};
+
+/**
+ * Convert a length between units.
+ *
+ * @param {number} value
+ * @param {string} from
+ * @param {string} to
+ * @param {number} [power=1] 2 to convert areas
+ * @returns {number}
+ */
+export const convertLength = (value, from, to, power = 1) => {
+  const source = normalizeUnit(from);
+  const target = normalizeUnit(to);
+  if (!source || !target) {
+    throw new Error(
+      `[GeoTIFFTileSource] Cannot convert from "${from}" to "${to}", not a length unit.`
+    );
+  }
+  return value * Math.pow(LENGTH_UNITS[source] / LENGTH_UNITS[target], power);
+};
+
+const rational = (value) =>
+  value && typeof value === "object" ? (value[1] ? value[0] / value[1] : null) : value ?? null;
+
+// mean radius of the WGS84 ellipsoid, in meters
+const EARTH_RADIUS = 6371008.8;
+
+// angular units of geographic coordinate reference systems, in radians
+const ANGULAR_UNITS = { deg: Math.PI / 180, rad: 1, grad: Math.PI / 200 };
+
+const spacing = (x, y, unit, source) => {
+  const canonical = normalizeUnit(unit);
+  if (!(x > 0) || !canonical) return null;
+  return { x, y: y > 0 ? y : x, unit: canonical, source };
+};
+
+// resolutions (dpi) writers store when they know nothing of the pixel size
+const PLACEHOLDER_DPI = [72, 96];
+const INCHES = { 2: 1, 3: 2.54 };
+
+/**
+ * Spacing from the baseline resolution tags. Without ResolutionUnit, with 1 (no absolute unit,
+ * only the aspect ratio of pixels) or with a 72 or 96 dpi placeholder, the size of pixels is
+ * unknown.
+ *
+ * @param {GeoTIFFImage} image
+ * @returns {PixelSpacing|null}
+ */
+export const getResolutionSpacing = (image) => {
+  const fd = image?.fileDirectory ?? {};
+  const unit = { 2: "in", 3: "cm" }[fd.ResolutionUnit];
+  const x = rational(fd.XResolution);
+  const y = rational(fd.YResolution) || x;
+  if (!unit || !(x > 0)) return null;
+  const dpi = (resolution) => resolution * INCHES[fd.ResolutionUnit];
+  const placeholder = (resolution) =>
+    PLACEHOLDER_DPI.some((value) => Math.abs(dpi(resolution) - value) < 0.01);
+  if (placeholder(x) && placeholder(y)) return null;
+  return spacing(1 / x, 1 / y, unit, "resolution");
+};
+
+/**
+ * Spacing from a GeoTIFF geotransform, in the linear unit of projected rasters. For geographic
+ * rasters, in meters at the center of the image.
+ *
+ * @param {GeoTransform|null} transform
+ * @param {CoordinateReferenceSystem|null} crs
+ * @param {{width: number, height: number}} [size] full resolution size, locates the center of
+ *   geographic rasters
+ * @returns {PixelSpacing|null} null for geographic rasters without size or in an unknown unit
+ */
+export const getGeoTiffSpacing = (transform, crs, size = null) => {
+  if (!transform || !crs?.unit) return null;
+  if (crs.type === "geographic") {
+    const radians = ANGULAR_UNITS[crs.unit];
+    if (!radians || !size) return null;
+    const center = applyGeoTransform(transform, size.width / 2, size.height / 2);
+    const cos = Math.cos(center.y * radians);
+    // meters of a pixel step along a row and along a column on the sphere
+    const step = (lon, lat) => Math.hypot(lon * cos, lat) * radians * EARTH_RADIUS;
+    return spacing(
+      step(transform[1], transform[4]),
+      step(transform[2], transform[5]),
+      "m",
+      "geotiff"
+    );
+  }
+  // length of a pixel step along a row and along a column, rotated rasters included
+  return spacing(
+    Math.hypot(transform[1], transform[4]),
+    Math.hypot(transform[2], transform[5]),
+    crs.unit,
+    "geotiff"
+  );
+};
+
+/**
+ * Spacing from the vendor metadata of a tile source.
+ *
+ * @param {Object} metadata metadata of the source (metadata.ome, metadata.aperio...)
+ * @param {Object|null} plane plane coordinates of the source, selecting the OME series
+ * @param {string} role role of the source
+ * @returns {PixelSpacing|null}
+ */
+export const getVendorSpacing = (metadata = {}, plane = null, role = "main") => {
+  if (metadata.ome) {
+    const size = metadata.ome.series?.[plane?.series ?? 0]?.physicalSize;
+    if (!size || !(size.x > 0)) return null;
+    const y =
+      size.y > 0 && normalizeUnit(size.unitY)
+        ? convertLength(size.y, size.unitY, size.unitX)
+        : null;
+    return spacing(size.x, y, size.unitX, "ome");
+  }
+  if (metadata.region) {
+    return spacing(metadata.region.mpp?.x, metadata.region.mpp?.y, "µm", "scn");
+  }
+  if (metadata.imagej) {
+    const { x, y, unit } = metadata.imagej.physicalSize;
+    return spacing(x, y, unit, "imagej");
+  }
+  if (metadata.ndpi) {
+    return spacing(metadata.ndpi.mpp?.x, metadata.ndpi.mpp?.y, "µm", "ndpi");
+  }
+  // Aperio and Philips metadata describe the slide, associated images share it
+  if (role !== "main") return null;
+  for (const source of ["aperio", "philips"]) {
+    const mpp = metadata[source]?.mpp;
+    if (typeof mpp === "number") return spacing(mpp, mpp, "µm", source);
+    if (mpp) return spacing(mpp.x, mpp.y, "µm", source);
+  }
+  return null;
+};
+
+/**
+ * Length of a polyline, in pixels of each axis scaled by the spacing.
+ *
+ * @param {{x: number, y: number}[]} points
+ * @param {{x: number, y: number}} scale
+ * @returns {number}
+ */
+export const polylineLength = (points, scale = { x: 1, y: 1 }) => {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(
+      (points[i].x - points[i - 1].x) * scale.x,
+      (points[i].y - points[i - 1].y) * scale.y
+    );
+  }
+  return length;
+};
+
+/**
+ * Area of a simple polygon (shoelace formula), the closing edge is implied.
+ *
+ * @param {{x: number, y: number}[]} points
+ * @param {{x: number, y: number}} scale
+ * @returns {number}
+ */
+export const polygonArea = (points, scale = { x: 1, y: 1 }) => {
+  let twice = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    twice += a.x * b.y - b.x * a.y;
+  }
+  return (Math.abs(twice) / 2) * scale.x * scale.y;
+};
+
+/**
+ * Length of a polyline of geographic coordinates along great circles (haversine).
+ *
+ * @param {{x: number, y: number}[]} points longitude and latitude
+ * @param {string} [unit="deg"] angular unit of the coordinates: "deg", "rad" or "grad"
+ * @returns {number} meters
+ */
+export const geodesicLength = (points, unit = "deg") => {
+  const k = ANGULAR_UNITS[unit];
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    const lat1 = points[i - 1].y * k;
+    const lat2 = points[i].y * k;
+    const h =
+      Math.sin((lat2 - lat1) / 2) ** 2 +
+      Math.cos(lat1) * Math.cos(lat2) * Math.sin(((points[i].x - points[i - 1].x) * k) / 2) ** 2;
+    length += 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+  return length;
+};
+
+/**
+ * Area of a simple polygon of geographic coordinates on the sphere, the closing edge is implied.
+ *
+ * Some algorithms for polygons on a sphere, Chamberlain and Duquette (JPL, 2007)
+ * https://trs.jpl.nasa.gov/handle/2014/41271
+ *
+ * @param {{x: number, y: number}[]} points longitude and latitude
+ * @param {string} [unit="deg"] angular unit of the coordinates: "deg", "rad" or "grad"
+ * @returns {number} square meters
+ */
+export const geodesicArea = (points, unit = "deg") => {
+  const k = ANGULAR_UNITS[unit];
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const a = points[i];
+    const b = points[(i + 1) % points.length];
+    sum += (b.x - a.x) * k * (2 + Math.sin(a.y * k) + Math.sin(b.y * k));
+  }
+  return (Math.abs(sum) * EARTH_RADIUS * EARTH_RADIUS) / 2;
+};
@@ -0,0 +1,94 @@
+/**
+ * SubIFD Reader
+ *
+ * geotiff.js only walks the chain of top-level IFDs. Pyramids written by bfconvert,
+ * OME-TIFF writers, libvips and others store the reduced resolutions of each page
+ * in the SubIFDs tag (330) instead. This module resolves those offsets into
+ * GeoTIFFImage objects that share the parent file's source and block cache,
+ * so they can be used as pyramid levels like any top-level image.
+ *
+ * TIFF Technical Note 1: TIFF Trees
+ * https://www.awaresystems.be/imaging/tiff/specification/TIFFPM6.pdf
+ */
+
+import { GeoTIFFImage } from "geotiff";
+
+const subIFDRequests = new WeakMap();
+
+/**
+ * Return the SubIFD offsets of an image.
+ *
+ * @param {GeoTIFFImage} image
+ * @returns {number[]}
+ */
+export const getSubIFDOffsets = (image) => {
+  const fd = image.getFileDirectory?.() ?? image.fileDirectory ?? {};
+  const offsets = fd.SubIFDs;
+  if (!offsets) return [];
+  return Array.from(offsets.length !== undefined ? offsets : [offsets], Number).filter(
+    (offset) => Number.isFinite(offset) && offset > 0
+  );
+};
+
+/**
+ * Check whether an image references SubIFDs.
+ *
+ * @param {GeoTIFFImage} image
+ * @returns {boolean}
+ */
+export const hasSubIFDs = (image) => getSubIFDOffsets(image).length > 0;
+
+/**
+ * Read the SubIFDs of an image as GeoTIFFImage objects.
+ *
+ * Results are cached per parent image, so repeated calls do not re-read the directories.
+ *
+ * @param {GeoTIFF} tiff the file the image belongs to
+ * @param {GeoTIFFImage} image parent image
+ * @returns {Promise<GeoTIFFImage[]>} SubIFD images in file order
+ */
+export const readSubIFDImages = (tiff, image) => {
+  if (subIFDRequests.has(image)) return subIFDRequests.get(image);
+
+  const request = Promise.all(
+    getSubIFDOffsets(image).map((offset) => tiff.parseFileDirectoryAt(offset))
+  ).then((ifds) =>
+    ifds.map(
+      (ifd) =>
+        new GeoTIFFImage(
+          ifd.fileDirectory,
+          ifd.geoKeyDirectory,
+          tiff.dataView,
+          tiff.littleEndian,
+          tiff.cache,
+          tiff.source
+        )
+    )
+  );
+  subIFDRequests.set(image, request);
+  // do not cache failures, the next call may succeed (e.g. aborted network request)
+  request.catch(() => subIFDRequests.delete(image));
+  return request;
+};
+
+/**
+ * Read the pyramid of an image stored in its SubIFDs.
+ *
+ * SubIFDs that are not strictly smaller than the previous level (e.g. masks or
+ * alternative representations of the same page) are left out.
+ *
+ * @param {GeoTIFF} tiff the file the image belongs to
+ * @param {GeoTIFFImage} image full resolution image
+ * @returns {Promise<GeoTIFFImage[]>} levels sorted from the largest (the image itself) to the smallest
+ */
+export const readSubIFDPyramid = async (tiff, image) => {
+  const subImages = await readSubIFDImages(tiff, image);
+  const levels = [image];
+  for (const sub of [...subImages].sort((a, b) => b.getWidth() - a.getWidth())) {
+    const previous = levels[levels.length - 1];
+    if (sub.getWidth() < previous.getWidth() && sub.getHeight() < previous.getHeight()) {
+      levels.push(sub);
+    }
+  }
+  return levels;
+};
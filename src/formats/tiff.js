@@ -21,6 +21,11 @@ import { fromBlob, fromArrayBuffer, globals } from "geotiff";
 import { Converters } from "../utils/Converters.js";
 import defaultFormat from "./options.js";
 import { logOnce } from "../utils/consoleOnce.js";
+import { noDataMask, resolveNoData } from "./nodata.js";
+import { applyAlphaMask, combineAlphaMasks } from "./mask.js";
+import { getDisplayRange, resolveBandMetadata, scaleBand, withDisplayRanges } from "./gdalMetadata.js";
+import { toneMapToRGBA8 } from "./toneMap.js";
+import { COLORMAPS, colormapToRGBA8, createColormapLUT, getSharedColormapLUT } from "./colormap.js";
 
 function __rt_makeDeferred() {
   /** @type {(v:any)=>void} */ let resolve;
@@ -49,12 +54,19 @@ function __rt_errorToString(err) {
  *      RGBA8  -> Uint8Array length = width*height*4
  *      RGBA16F-> Uint16Array length = width*height*4  (IEEE-754 half-float bit patterns)
  *  - channels: length 4 array of source band indices (or -1 if padding)
- *  - scale/offset: optional per-channel transform to apply in shader (default identity)
+ *  - scale/offset: optional per-channel transform to apply in shader (default identity), in data mode
+ *      sample * scale + offset is the physical value (GDAL band scale and offset included)
  *
  * Top-level:
  *  - width, height: texture dimensions
  *  - mode: "image" | "data"
  *  - channelCount: total logical channels represented in this set
+ *  - mask: data mode only, Uint8Array length = width*height, alpha of each pixel (0 for NoData pixels),
+ *          from NoData and the transparency mask of the image, null without either
+ *          (image mode writes it to the alpha channel instead)
+ *  - noData: NoData value of each source band, null without NoData
+ *  - colormap: data mode only, 256 entry RGBA lookup table (Uint8Array length = 1024) of
+ *          format.image.colormap, null without colormap (image mode applies it instead)
  */
 export class GpuTextureSet {
   constructor(params) { Object.assign(this, params); }
@@ -198,6 +210,8 @@ export class TiffRaster {
    * @param {number} [params.photometricInterpretation]
    * @param {any} [params.colorMap]
    * @param {any} [params.fileDirectory]
+   * @param {Uint8Array} [params.transparencyMask] alpha of each pixel (0..255), read from the transparency mask IFD of the image
+   * @param {Array<BandMetadata|null>} [params.bandMetadata] description, unit, scale / offset and statistics of each band
    * @param {RawTiffHints} [params.hints]
    */
   constructor(params) {
@@ -205,6 +219,16 @@ export class TiffRaster {
     this.hints = params.hints || {};
   }
   getType() { return "tiffRaster"; }
+
+  /**
+   * Physical values of a band, with the scale and offset of its band metadata
+   * (bandMetadata, or the GDAL_METADATA tag) applied.
+   * @param {number} index band index
+   * @returns {TypedArray} the band itself if it has no scale and offset
+   */
+  getScaledBand(index) {
+    return scaleBand(this.bands[index], resolveBandMetadata(this)?.[index] ?? null);
+  }
 }
 
 function deepMerge(a, b) {
@@ -235,7 +259,7 @@ function resolveExternalFormat(tile, dataOrRaster) {
   if (tile && tile.userData && tile.userData.format) return tile.userData.format;
 
   // 4) tileSource / viewer config
-  const ts = tile && (tile.source || tile.tileSource || tile._tileSource);
+  const ts = tile && (tile.source || tile.tileSource || tile._tileSource || (tile.tiledImage && tile.tiledImage.source));
   if (ts && ts.format) return ts.format;
   if (ts && ts.options && ts.options.format) return ts.options.format;
 
@@ -279,6 +303,8 @@ function __rt_reviveGpuTextureSetPayload(p) {
     mode: p.mode,
     channelCount: p.channelCount,
     packs,
+    mask: p.mask ? new Uint8Array(p.mask.buffer, p.mask.byteOffset || 0, p.mask.length) : null,
+    noData: p.noData || null,
   });
 }
 
@@ -288,7 +314,8 @@ function __rt_reviveGpuTextureSetPayload(p) {
  * @param {OpenSeadragon} OpenSeadragon
  * @param {Object} [opts]
  * @param {Object} [opts.defaults]
- * @param {Function} [opts.defaults.toneMap]
+ * @param {Function} [opts.defaults.toneMap] (value, bandIndex, raster) => byte, main thread renderer only;
+ *   prefer format.toneMap, which the worker applies too
  * @param {Object} [opts.defaults.format] default format overrides merged into defaultFormat
  * @param {Object} [opts.workerPool]
  */
@@ -503,9 +530,17 @@ export function installRawTiffPlugin(OpenSeadragon, opts = {}) {
     const texSet = __rt_reviveGpuTextureSetPayload(out.texSet);
     // carry forward hints so downstream can inspect if needed
     texSet.hints = hintsOut;
+    texSet.colormap = __rt_colormapLUT(texSet, mergedFmt);
     return texSet;
   }
 
+  // data mode textures carry the lookup table of format.image.colormap, image mode already applied it
+  function __rt_colormapLUT(texSet, format) {
+    const colormap = format && format.image && format.image.colormap;
+    // shared by the tiles of a format, built once per colormap
+    return texSet.mode === "data" && colormap ? getSharedColormapLUT(colormap) : null;
+  }
+
   async function __rt_tiffRasterToGpuTextureSet(tile, raster) {
     const pool = getWorkerPool();
     if (!pool) {
@@ -513,6 +548,12 @@ export function installRawTiffPlugin(OpenSeadragon, opts = {}) {
       // Here we reuse the existing RGBA8 renderer if needed, but for data packing you probably want worker.
       logOnce("gpuTextureSet_no_worker", "[RawTiffPlugin] No worker pool available; gpuTextureSet packing will fall back to worker-less path (slower).", "warn");
       // Minimal fallback: treat as data, pack first 4 bands to RGBA8
+      const format = deepMerge(defaults.format, resolveExternalFormat(tile, raster) || null);
+      const noData = resolveNoData(format, raster.hints, raster.fileDirectory, raster.bands.length);
+      // packed values times scale plus offset give physical values
+      const bandMetadata = resolveBandMetadata(raster);
+      const scale = [0, 1, 2, 3].map((band) => bandMetadata?.[band]?.scale ?? 1);
+      const offset = [0, 1, 2, 3].map((band) => bandMetadata?.[band]?.offset ?? 0);
       const width = raster.width;
       const height = raster.height;
       const px = width * height;
@@ -527,7 +568,10 @@ export function installRawTiffPlugin(OpenSeadragon, opts = {}) {
         width, height,
         mode: "data",
         channelCount: raster.bands ? raster.bands.length : 0,
-        packs: [{ format: "RGBA8", data: out, channels: [0, 1, 2, 3], normalized: false, scale: [1,1,1,1], offset: [0,0,0,0] }],
+        packs: [{ format: "RGBA8", data: out, channels: [0, 1, 2, 3], normalized: false, scale, offset }],
+        mask: combineAlphaMasks(noDataMask(raster.bands, noData), raster.transparencyMask || null),
+        noData,
+        colormap: __rt_colormapLUT({ mode: "data" }, format),
       });
     }
 
@@ -554,12 +598,22 @@ export function installRawTiffPlugin(OpenSeadragon, opts = {}) {
       photometricInterpretation: raster.photometricInterpretation,
       colorMap: raster.colorMap,
       fileDirectory: raster.fileDirectory,
+      transparencyMask: raster.transparencyMask ? {
+        ctor: "Uint8Array",
+        buffer: raster.transparencyMask.buffer,
+        byteOffset: raster.transparencyMask.byteOffset,
+        length: raster.transparencyMask.length,
+      } : null,
+      // resolved here, where tiles of an image share the parsed tag
+      bandMetadata: resolveBandMetadata(raster),
     };
 
     const transfers = bands.map((b) => b.buffer);
+    if (rasterPayload.transparencyMask) transfers.push(rasterPayload.transparencyMask.buffer);
     const out = await pool.request("rasterToGpuTextureSet", { raster: rasterPayload, hints: hintsOut }, transfers);
     const texSet = __rt_reviveGpuTextureSetPayload(out);
     texSet.hints = hintsOut;
+    texSet.colormap = __rt_colormapLUT(texSet, mergedFmt);
     return texSet;
   }
 
@@ -581,14 +635,39 @@ export function installRawTiffPlugin(OpenSeadragon, opts = {}) {
     return Math.round(Math.max(0, Math.min(1, value / max)) * 255);
   }
 
-  function rasterToRGBA8(raster) {
-    const toneMap = defaults.toneMap || defaultToneMap;
+  function rasterToRGBA8(raster, tile) {
+    const format = deepMerge(defaults.format, resolveExternalFormat(tile, raster) || null);
+    const noData = resolveNoData(format, raster.hints, raster.fileDirectory, raster.bands.length);
+    // format.image.colormap and format.toneMap render gray and RGB images the way the worker does
+    const renderChannels = raster.hints.renderChannels || raster.renderChannels || null;
+    const clipRanges = raster.hints.clipRanges || null;
+    const rgba = colormapToRGBA8(raster, format, { renderChannels, clipRanges })
+      || toneMapToRGBA8(raster, format, { renderChannels, clipRanges })
+      || photometricToRGBA8(raster, format);
+    // NoData pixels and pixels outside the transparency mask become transparent
+    return applyAlphaMask(rgba, combineAlphaMasks(noDataMask(raster.bands, noData), raster.transparencyMask || null));
+  }
+
+  function photometricToRGBA8(raster, format) {
+    // bands deeper than 8 bits are windowed to the range of their statistics by default
+    const ranges = raster.bands.map((_, band) => getDisplayRange(raster, band));
+    const toneMap = defaults.toneMap || ((value, bandIndex) => {
+      const range = ranges[bandIndex];
+      if (!range) return defaultToneMap(value, bandIndex, raster);
+      if (value == null || Number.isNaN(value)) return 0;
+      return Math.round(Math.max(0, Math.min(1, (value - range.min) / (range.max - range.min))) * 255);
+    });
     const PIx = globals.photometricInterpretations || {};
 
     const width = raster.width;
     const height = raster.height;
     const pixelCount = width * height;
 
+    if (format.composite && Array.isArray(format.composite.channels)) {
+      const channels = withDisplayRanges(format.composite.channels, raster);
+      return Converters.RGBAfromComposite(raster.bands, channels, raster.bitsPerSample);
+    }
+
     const renderChannels = raster.hints.renderChannels || raster.renderChannels || null;
     const spp = raster.samplesPerPixel || raster.bands.length || 1;
     const byteAt = (bandIdx, pxIdx) => toneMap(raster.bands[bandIdx][pxIdx], bandIdx, raster);
@@ -603,10 +682,10 @@ export function installRawTiffPlugin(OpenSeadragon, opts = {}) {
     if ((photometric === PIx.WhiteIsZero || photometric === PIx.BlackIsZero) && spp >= 1) {
       const band0 = raster.bands[0];
       const bits = raster.bitsPerSample && raster.bitsPerSample[0] != null ? raster.bitsPerSample[0] : 8;
-      const max = Math.pow(2, bits) - 1;
+      const { min, max } = ranges[0] || { min: 0, max: Math.pow(2, bits) - 1 };
 
-      if (photometric === PIx.WhiteIsZero) return Converters.RGBAfromWhiteIsZero(band0, max);
-      if (photometric === PIx.BlackIsZero) return Converters.RGBAfromBlackIsZero(band0, max);
+      if (photometric === PIx.WhiteIsZero) return Converters.RGBAfromWhiteIsZero(band0, max, min);
+      if (photometric === PIx.BlackIsZero) return Converters.RGBAfromBlackIsZero(band0, max, min);
 
       const out = new Uint8ClampedArray(pixelCount * 4);
       for (let i = 0, j = 0; i < pixelCount; i++, j += 4) {
@@ -674,7 +753,7 @@ export function installRawTiffPlugin(OpenSeadragon, opts = {}) {
     if (typeof createImageBitmap !== "function") {
       throw new Error("[RawTiffPlugin] createImageBitmap is not available.");
     }
-    const rgba = rasterToRGBA8(raster);
+    const rgba = rasterToRGBA8(raster, tile);
     const imgData = new ImageData(rgba, raster.width, raster.height);
     // eslint-disable-next-line compat/compat
     return await createImageBitmap(imgData);
@@ -721,6 +800,20 @@ export function installRawTiffPlugin(OpenSeadragon, opts = {}) {
     rasterToContext2d,
     rasterToImageBitmap,
 
+    /**
+     * Names of the built-in colormaps of format.image.colormap.
+     */
+    colormaps: COLORMAPS,
+
+    /**
+     * 256 entry RGBA lookup table of a colormap, e.g. to color data mode gpuTextureSets in a shader.
+     * @param {Colormap} colormap built-in name or { stops }
+     * @returns {Uint8Array} length 1024
+     */
+    getColormapLUT(colormap) {
+      return createColormapLUT(colormap);
+    },
+
     getWorkerPool,
     terminateWorkerPool() {
       const s = $.RawTiffPluginShared;
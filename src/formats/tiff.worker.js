@@ -14,6 +14,12 @@
 
 import { fromArrayBuffer } from "geotiff";
 import { Converters } from "../utils/Converters.js";
+// renderers shared with the main thread: they run in this worker, so they cannot use the DOM
+import { noDataMask, resolveNoData } from "./nodata.js";
+import { applyAlphaMask, combineAlphaMasks } from "./mask.js";
+import { getDisplayRange, resolveBandMetadata, withDisplayRanges } from "./gdalMetadata.js";
+import { toneMapToRGBA8 } from "./toneMap.js";
+import { colormapToRGBA8 } from "./colormap.js";
 
 // Tests in node have no self.
 const workerRef = self || globalThis;
@@ -89,6 +95,10 @@ function reviveBands(descs) {
   });
 }
 
+function hasComposite(format) {
+  return !!(format && format.composite && Array.isArray(format.composite.channels));
+}
+
 function inferFromTIFFTags(raster) {
   const spp = raster.samplesPerPixel || (raster.bands ? raster.bands.length : 1);
   const pi = raster.photometricInterpretation;
@@ -167,17 +177,37 @@ function resolveFormatFromHints(hints) {
 
 /**
  * Image-mode RGBA8 renderer that respects:
+ *  - optional format.composite channel blending
  *  - photometricInterpretation
  *  - optional format.image.rgbaChannels override
  *  - optional hints.renderChannels override
+ *  - optional format.image.colormap and format.toneMap, shared with the main thread renderer
+ *  - NoData (format.noData, hints.noData or the GDAL_NODATA tag) as alpha 0
+ *  - the transparency mask of the image as alpha
  *
  * NOTE: This worker version is intentionally "display-oriented" and assumes 8-bit-ish
  * for image-mode. Precision-focused packing happens after this if RGBA16F is requested.
  */
 function rasterToRGBA8_ImageMode(raster, hints, format) {
+  const noData = resolveNoData(format, hints, raster.fileDirectory, raster.bands.length);
+  const renderChannels = (hints && hints.renderChannels) || null;
+  const clipRanges = (hints && hints.clipRanges) || null;
+  const rgba = colormapToRGBA8(raster, format, { renderChannels, clipRanges })
+    || toneMapToRGBA8(raster, format, { renderChannels, clipRanges })
+    || photometricToRGBA8_ImageMode(raster, hints, format);
+  return applyAlphaMask(rgba, combineAlphaMasks(noDataMask(raster.bands, noData), raster.transparencyMask || null));
+}
+
+function photometricToRGBA8_ImageMode(raster, hints, format) {
   const spp = raster.samplesPerPixel || (raster.bands ? raster.bands.length : 1);
   const photometric = raster.photometricInterpretation;
 
+  // Composite blending replaces any photometric handling
+  if (hasComposite(format)) {
+    const channels = withDisplayRanges(format.composite.channels, raster);
+    return Converters.RGBAfromComposite(raster.bands, channels, raster.bitsPerSample);
+  }
+
   // Channel override precedence:
   // format.image.rgbaChannels > hints.renderChannels > default behavior
   let channels = null;
@@ -204,10 +234,9 @@ function rasterToRGBA8_ImageMode(raster, hints, format) {
   // WhiteIsZero / BlackIsZero
   if ((photometric === PI.WhiteIsZero || photometric === PI.BlackIsZero) && spp >= 1) {
     const band0 = raster.bands[0];
-    const bits = raster.bitsPerSample && raster.bitsPerSample[0] != null ? raster.bitsPerSample[0] : 8;
-    const max = Math.pow(2, bits) - 1;
-    if (photometric === PI.WhiteIsZero) return Converters.RGBAfromWhiteIsZero(band0, max);
-    return Converters.RGBAfromBlackIsZero(band0, max);
+    const { min, max } = grayRange(raster, 0);
+    if (photometric === PI.WhiteIsZero) return Converters.RGBAfromWhiteIsZero(band0, max, min);
+    return Converters.RGBAfromBlackIsZero(band0, max, min);
   }
 
   // If explicit channel mapping exists, use it (planar -> interleaved -> RGBA)
@@ -218,10 +247,9 @@ function rasterToRGBA8_ImageMode(raster, hints, format) {
 
     if (channels.length === 1) {
       const b0 = raster.bands[channels[0]];
-      const bits = raster.bitsPerSample && raster.bitsPerSample[channels[0]] != null ? raster.bitsPerSample[channels[0]] : 8;
-      const max = Math.pow(2, bits) - 1;
+      const { min, max } = grayRange(raster, channels[0]);
       // treat as black-is-zero for visualization
-      return Converters.RGBAfromBlackIsZero(b0, max);
+      return Converters.RGBAfromBlackIsZero(b0, max, min);
     }
 
     // build interleaved tmp bytes by simple clamping (best-effort)
@@ -289,9 +317,25 @@ function rasterToRGBA8_ImageMode(raster, hints, format) {
 
   // Fallback grayscale
   const band0 = raster.bands[0];
-  const bits = raster.bitsPerSample && raster.bitsPerSample[0] != null ? raster.bitsPerSample[0] : 8;
-  const max = Math.pow(2, bits) - 1;
-  return Converters.RGBAfromBlackIsZero(band0, max);
+  const { min, max } = grayRange(raster, 0);
+  return Converters.RGBAfromBlackIsZero(band0, max, min);
+}
+
+// Window of a gray band: its statistics for bands deeper than 8 bits, else the range of its bit depth
+function grayRange(raster, band) {
+  const range = getDisplayRange(raster, band);
+  if (range) return range;
+  const bits = raster.bitsPerSample && raster.bitsPerSample[band] != null ? raster.bitsPerSample[band] : 8;
+  return { min: 0, max: Math.pow(2, bits) - 1 };
+}
+
+// Apply the GDAL scale / offset of the packed bands, so that sample * scale + offset is the physical value
+function withBandScale(packCh, scale, offset, bandMetadata) {
+  const band = (k) => (bandMetadata && packCh[k] >= 0 ? bandMetadata[packCh[k]] : null);
+  return {
+    scale: scale.map((s, k) => s * (band(k)?.scale ?? 1)),
+    offset: offset.map((o, k) => o * (band(k)?.scale ?? 1) + (band(k)?.offset ?? 0)),
+  };
 }
 
 function packCanonicalRGBA(rgba8, width, height, format) {
@@ -352,7 +396,7 @@ function packCanonicalRGBA(rgba8, width, height, format) {
   };
 }
 
-function packBandsAsData(raster, format) {
+function packBandsAsData(raster, format, hints) {
   const gpu = (format && format.gpu) || {};
   const preferRGBA8 = gpu.preferRGBA8 !== false;
   const forceRGBA16F = !!gpu.forceRGBA16F;
@@ -373,6 +417,7 @@ function packBandsAsData(raster, format) {
     return b instanceof Uint8Array || b instanceof Uint8ClampedArray;
   });
   const useRGBA8 = preferRGBA8 && !forceRGBA16F && allU8;
+  const bandMetadata = resolveBandMetadata(raster);
 
   const packs = [];
   for (let p = 0; p < channels.length; p += 4) {
@@ -396,8 +441,7 @@ function packBandsAsData(raster, format) {
         data: { ctor: "Uint8Array", buffer: data.buffer, byteOffset: 0, length: data.length },
         channels: packCh,
         normalized: false,
-        scale: [1, 1, 1, 1],
-        offset: [0, 0, 0, 0],
+        ...withBandScale(packCh, [1, 1, 1, 1], [0, 0, 0, 0], bandMetadata),
       });
       continue;
     }
@@ -455,12 +499,23 @@ function packBandsAsData(raster, format) {
       data: { ctor: "Uint16Array", buffer: data.buffer, byteOffset: 0, length: data.length },
       channels: packCh,
       normalized: false,
-      scale,
-      offset,
+      ...withBandScale(packCh, scale, offset, bandMetadata),
     });
   }
 
-  return { width, height, mode: "data", channelCount, packs };
+  // NoData and the transparency mask are reported as a mask, data mode keeps the values as they are
+  const noData = resolveNoData(format, hints, raster.fileDirectory, bandCount);
+  const mask = combineAlphaMasks(noDataMask(raster.bands, noData), raster.transparencyMask || null);
+
+  return {
+    width,
+    height,
+    mode: "data",
+    channelCount,
+    packs,
+    mask: mask ? { ctor: "Uint8Array", buffer: mask.buffer, byteOffset: mask.byteOffset, length: mask.length } : null,
+    noData,
+  };
 }
 
 async function decodeRasterFromArrayBuffer(ab, hints) {
@@ -545,17 +600,20 @@ async function decodeAndRenderImageBitmapFromArrayBuffer(ab, hints) {
 }
 
 function rasterPayloadToTextureSet(rasterPayload, hints) {
-  const raster = Object.assign({}, rasterPayload, { bands: reviveBands(rasterPayload.bands) });
+  const raster = Object.assign({}, rasterPayload, {
+    bands: reviveBands(rasterPayload.bands),
+    transparencyMask: rasterPayload.transparencyMask ? reviveBands([rasterPayload.transparencyMask])[0] : null,
+  });
   const format = resolveFormatFromHints(hints) || {};
   const interpretation = format.interpretation || "auto";
-  const inferred = inferFromTIFFTags(raster);
+  const inferred = hasComposite(format) ? "image" : inferFromTIFFTags(raster);
   const mode = (interpretation === "auto") ? inferred : interpretation;
 
   if (mode === "image") {
     const rgba = rasterToRGBA8_ImageMode(raster, hints, format);
     return packCanonicalRGBA(rgba, raster.width, raster.height, format);
   }
-  return packBandsAsData(raster, format);
+  return packBandsAsData(raster, format, hints);
 }
 
 async function decodeAndPackGpuTextureSetFromArrayBuffer(ab, hints) {
@@ -573,6 +631,7 @@ function collectTransfersForTextureSet(texSet) {
   for (const p of texSet.packs) {
     transfers.push(p.data.buffer);
   }
+  if (texSet.mask) transfers.push(texSet.mask.buffer);
   return transfers;
 }
 
@@ -0,0 +1,215 @@
+/**
+ * Tone Mapping
+ *
+ * format.toneMap maps sample values to display values. It is a plain object rather than a
+ * function, so it reaches the worker with the rest of the format and both renderers draw the
+ * same image:
+ *
+ *   { curve: "linear" | "gamma" | "log" | "sqrt", min, max, gamma, clip: [low, high], bands }
+ *
+ * - min / max: values mapped to black and to full intensity. By default the range of the band
+ *   statistics (GDAL_METADATA) for bands deeper than 8 bits, else the range of the sample type
+ *   (0..1 for float bands)
+ * - clip: percentiles of the values used as min / max instead, e.g. [2, 98]. Tiles of an image
+ *   must share them, so they are computed once per source from its lowest level (computeClipRanges)
+ *   and given to the renderers as hints.clipRanges; without them the default range is used
+ * - curve, applied to t = (value - min) / (max - min) clamped to 0..1: t, t^(1 / gamma),
+ *   log(1 + 1000 t) / log(1001) or sqrt(t)
+ * - bands: settings of each band, an array or an object by band index, over the others
+ *
+ * Gray and RGB images are tone mapped, extra alpha samples are scaled by their bit depth.
+ * Palette, YCbCr, CMYK and CIELab images and composites keep their own conversions.
+ */
+
+import { getDisplayRange } from "./gdalMetadata.js";
+
+/**
+ * @typedef {Object} ToneMapSettings
+ * @property {"linear"|"gamma"|"log"|"sqrt"} [curve="linear"]
+ * @property {number|null} [min] value mapped to black
+ * @property {number|null} [max] value mapped to full intensity
+ * @property {number} [gamma=1] gamma of the "gamma" curve, above 1 brightens dark values
+ * @property {[number, number]|null} [clip] low and high percentiles of the values used as min and max
+ */
+
+/**
+ * @typedef {ToneMapSettings} ToneMapOptions
+ * @property {Array<ToneMapSettings|null>|Object<number, ToneMapSettings>} [bands] settings of each band
+ */
+
+const WHITE_IS_ZERO = 0;
+const BLACK_IS_ZERO = 1;
+const RGB = 2;
+const LOG_SCALE = 1000;
+
+const CURVES = {
+  linear: (t) => t,
+  gamma: (t, gamma) => Math.pow(t, 1 / gamma),
+  log: (t) => Math.log1p(t * LOG_SCALE) / Math.log1p(LOG_SCALE),
+  sqrt: (t) => Math.sqrt(t),
+};
+
+/**
+ * @param {FormatOptions|null} format
+ * @returns {boolean} true if the format has a tone map
+ */
+export const hasToneMap = (format) =>
+  !!(format && format.toneMap && typeof format.toneMap === "object");
+
+// range of the sample type of a band
+const sampleRange = (raster, band) => {
+  const data = raster.bands[band];
+  if (data instanceof Float32Array || data instanceof Float64Array) return { min: 0, max: 1 };
+  const bits = raster.bitsPerSample?.[band] ?? raster.bitsPerSample?.[0] ?? 8;
+  const signed = (raster.sampleFormat?.[band] ?? raster.sampleFormat?.[0]) === 2;
+  return signed
+    ? { min: -Math.pow(2, bits - 1), max: Math.pow(2, bits - 1) - 1 }
+    : { min: 0, max: Math.pow(2, bits) - 1 };
+};
+
+// low and high percentiles of the values of a band, NaN and NoData excluded
+const percentileRange = (data, [low, high], noData) => {
+  const values = Float64Array.from(data).filter(
+    (value) => value === value && (noData === null || value !== noData)
+  );
+  if (!values.length) return null;
+  values.sort();
+  const at = (percentile) => {
+    const p = Math.max(0, Math.min(100, percentile)) / 100;
+    return values[Math.min(values.length - 1, Math.floor(p * values.length))];
+  };
+  return { min: at(low), max: at(high) };
+};
+
+// band settings over the global ones
+const bandSettings = ({ bands, ...global }, band) => ({ ...global, ...(bands && bands[band]) });
+
+/**
+ * Percentile ranges of the bands with a clip, computed from the values of a whole (reduced) image
+ * so that every tile of the image is stretched alike.
+ *
+ * @param {ToneMapOptions} toneMap
+ * @param {TypedArray[]} bands values of each band
+ * @param {Array<number|null>|null} [noData] NoData of each band, excluded from percentiles
+ * @returns {Array<{min: number, max: number}|null>|null} by band index, null if no band is clipped
+ */
+export const computeClipRanges = (toneMap, bands, noData = null) => {
+  const ranges = bands.map((data, band) => {
+    const { clip } = bandSettings(toneMap, band);
+    return Array.isArray(clip) ? percentileRange(data, clip, noData?.[band] ?? null) : null;
+  });
+  return ranges.some(Boolean) ? ranges : null;
+};
+
+/**
+ * Settings used to tone map a band: the band settings over the global ones, with min and max
+ * resolved.
+ *
+ * @param {ToneMapOptions} toneMap
+ * @param {TiffRaster} raster
+ * @param {number} band band index
+ * @param {Array<{min: number, max: number}|null>|null} [clipRanges] ranges of clipped bands, see computeClipRanges
+ * @returns {{curve: string, min: number, max: number, gamma: number}}
+ */
+export const resolveBandToneMap = (toneMap, raster, band, clipRanges = null) => {
+  const settings = bandSettings(toneMap, band);
+  const clipped = Array.isArray(settings.clip) && clipRanges?.[band];
+  const range = clipped || getDisplayRange(raster, band) || sampleRange(raster, band);
+  return {
+    curve: CURVES[settings.curve] ? settings.curve : "linear",
+    min: settings.min ?? range.min,
+    max: settings.max ?? range.max,
+    gamma: settings.gamma > 0 ? settings.gamma : 1,
+  };
+};
+
+/**
+ * Tone map the values of a band to bytes.
+ *
+ * @param {TypedArray} data
+ * @param {{curve: string, min: number, max: number, gamma: number}} settings
+ * @returns {Uint8ClampedArray} NaN values are 0
+ */
+export const toneMapBand = (data, { curve, min, max, gamma }) => {
+  const out = new Uint8ClampedArray(data.length);
+  const apply = CURVES[curve];
+  const range = max - min || 1;
+  for (let i = 0; i < data.length; i++) {
+    const t = (data[i] - min) / range;
+    // also skips NaN
+    if (!(t > 0)) continue;
+    out[i] = Math.round(apply(t > 1 ? 1 : t, gamma) * 255);
+  }
+  return out;
+};
+
+/**
+ * Render a gray or RGB raster with format.toneMap.
+ *
+ * @param {TiffRaster} raster
+ * @param {FormatOptions} format
+ * @param {Object} [options]
+ * @param {number[]|null} [options.renderChannels] bands shown as gray, RGB or RGBA, unless format.image.rgbaChannels is set
+ * @param {Array<{min: number, max: number}|null>|null} [options.clipRanges] ranges of clipped bands
+ * @returns {Uint8ClampedArray|null} RGBA8 pixels, null if the format has no tone map or the
+ *   raster is not a gray or RGB image
+ */
+export const toneMapToRGBA8 = (
+  raster,
+  format,
+  { renderChannels = null, clipRanges = null } = {}
+) => {
+  if (!hasToneMap(format) || (format.composite && Array.isArray(format.composite.channels))) {
+    return null;
+  }
+  const photometric = raster.photometricInterpretation;
+  if (
+    photometric != null &&
+    photometric !== WHITE_IS_ZERO &&
+    photometric !== BLACK_IS_ZERO &&
+    photometric !== RGB
+  ) {
+    return null;
+  }
+
+  const spp = raster.samplesPerPixel || raster.bands.length || 1;
+  let channels = format.image?.rgbaChannels || renderChannels;
+  if (!channels) {
+    if (photometric === RGB && spp >= 4) channels = [0, 1, 2, 3];
+    else if (photometric === RGB || spp >= 3) channels = [0, 1, 2];
+    else channels = [0];
+  }
+  channels = channels.slice(0, 4);
+
+  const mapped = channels.map((band, index) => {
+    const data = raster.bands[band];
+    if (!data) return null;
+    // the fourth channel is alpha, not intensity
+    const settings =
+      index === 3
+        ? { curve: "linear", gamma: 1, ...sampleRange(raster, band) }
+        : resolveBandToneMap(format.toneMap, raster, band, clipRanges);
+    return toneMapBand(data, settings);
+  });
+
+  const pixelCount = raster.width * raster.height;
+  const rgba = new Uint8ClampedArray(pixelCount * 4);
+  if (channels.length === 1) {
+    const gray = mapped[0];
+    const invert = photometric === WHITE_IS_ZERO;
+    for (let i = 0, j = 0; i < pixelCount; i++, j += 4) {
+      const v = gray ? gray[i] : 0;
+      rgba[j] = rgba[j + 1] = rgba[j + 2] = invert ? 255 - v : v;
+      rgba[j + 3] = 255;
+    }
+    return rgba;
+  }
+
+  for (let i = 0, j = 0; i < pixelCount; i++, j += 4) {
+    rgba[j] = mapped[0] ? mapped[0][i] : 0;
+    rgba[j + 1] = mapped[1] ? mapped[1][i] : 0;
+    rgba[j + 2] = mapped[2] ? mapped[2][i] : 0;
+    rgba[j + 3] = mapped[3] ? mapped[3][i] : 255;
+  }
+  return rgba;
+};
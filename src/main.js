@@ -1,8 +1,44 @@
-import { fromBlob, fromUrl, globals, Pool } from "geotiff";
+import { fromBlob, fromUrl, Pool } from "geotiff";
 import { PromiseWrapper } from "./utils/PromiseWrapper.js";
 import { logOnce } from "./utils/consoleOnce.js"
-import { parsePerkinElmerChannels } from "./formats/perkinElmer.js";
+import { getPerkinElmerImageInfo, parsePerkinElmerChannels } from "./formats/perkinElmer.js";
+import { mapOmePyramids } from "./formats/ome.js";
+import { hasSubIFDs, readSubIFDPyramid } from "./formats/subifd.js";
+import { describeDataset, getImageRole, getSeriesRole } from "./formats/dataset.js";
+import { mapNdpiImages, NdpiImage, parseNdpiMetadata, readNdpiDirectories } from "./formats/ndpi.js";
+import { mapPhilipsImages } from "./formats/philips.js";
+import { mapLeicaPlanes } from "./formats/leica.js";
+import { mapImageJPlanes } from "./formats/imagej.js";
+import { createFormatContext, detectFormat, registerFormatReader, unregisterFormatReader } from "./formats/registry.js";
 import { installRawTiffPlugin } from "./formats/tiff.js";
+import { parseNoData } from "./formats/nodata.js";
+import { maskToAlpha, splitTransparencyMasks } from "./formats/mask.js";
+import { getGdalMetadata } from "./formats/gdalMetadata.js";
+import { computeClipRanges } from "./formats/toneMap.js";
+import { getOverviewUrl, readSidecars, selectOverviewImages } from "./formats/sidecar.js";
+import { createMosaicTileSource } from "./mosaic.js";
+import {
+  applyGeoTransform,
+  describeCoordinateReferenceSystem,
+  getCoordinateReferenceSystem,
+  getGeoTransform,
+  getViewportPlacement,
+  getWorldBounds,
+  invertGeoTransform,
+  sameCoordinateReferenceSystem,
+} from "./formats/georeference.js";
+import { getProjection, registerProjection, transformCoordinates } from "./formats/projection.js";
+import {
+  convertLength,
+  geodesicArea,
+  geodesicLength,
+  getGeoTiffSpacing,
+  getResolutionSpacing,
+  getVendorSpacing,
+  normalizeUnit,
+  polygonArea,
+  polylineLength,
+} from "./formats/spacing.js";
 
 import * as gtiff from "geotiff";
 window.GeoTIFF = gtiff;
@@ -60,17 +96,29 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
    * @class GeoTIFFTileSource
    * @memberof OpenSeadragon
    * @extends OpenSeadragon.TileSource
-   * @param {File|String|Object} input A File object, url string, or object with fields for pre-loaded GeoTIFF and GeoTIFFImages objects
+   * @param {File|Blob|String|Object} input A File or Blob object, url string, or object with fields for pre-loaded GeoTIFF and GeoTIFFImages objects
+   *                 (optionally also channel, plane and metadata fields describing which part of a dataset the images represent)
    * @param {Object} opts Options object. To do: how to document options fields?
    *                 opts.logLatency: print latency to fetch and process each tile to console.log or the provided function
    *                 opts.imagesFilter: array of indices to filter images by, or an array filter function to apply to the images array
    *                 opts.tileWidth: tileWidth to request at each level. Defaults to tileWidth specified by TIFF file or 256 if unspecified by the file
    *                 opts.tileHeight:tileWidth to request at each level. Defaults to tileWidth specified by TIFF file or 256 if unspecified by the file
    *                 opts.GeoTIFFOptions Options object to pass to [geotiff.js]{@link https://github.com/geotiffjs/geotiff.js}
+   *                 opts.composite: getAllTileSources creates one source blending all channels of multi-channel files instead of one source per channel
+   *                 opts.format: FormatOptions used to render tiles of this source
    *
    * @property {Object} GeoTIFF The GeoTIFF.js representation of the underlying file. Undefined until the file is opened successfully
    * @property {Array}  GeoTIFFImages Array of GeoTIFFImage objects, each representing one layer. Undefined until the file is opened successfully
    * @property {Bool}   ready set to true once all promises have resolved
+   * @property {Object} channel channel description ({name, color}) for multi-channel files, null otherwise
+   * @property {Array}  channels channels ({name, color, images}) blended by a composite source, null otherwise
+   * @property {Array}  planes metadata of the planes the source can switch between with setPlane(), null for single plane sources
+   * @property {Number} planeIndex index of the displayed plane within planes
+   * @property {Object} layout how the file layout was interpreted: {interpretation: "pyramid"|"stack", strategy}
+   * @property {String} role "main", or "label", "macro", "thumbnail" for associated images
+   * @property {Object} plane plane coordinates ({series, c, z, t}) for multi-dimensional files, null otherwise
+   * @property {Object} metadata vendor metadata parsed from the file (e.g. metadata.ome for OME-TIFF)
+   * @property {Map}    masks transparency mask image of each masked image, null if the file has no masks
    * @property {Object} promises
    * @property {Number} dimensions
    * @property {Number} aspectRatio
@@ -98,6 +146,38 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
       this.input = input;
       this.options = opts;
       this.channel = input?.channel ?? null;
+      this.plane = input?.plane ?? null;
+      this.metadata = input?.metadata ?? {};
+      // transparency mask IFD of each masked image, read with its tiles as their alpha
+      this.masks = input?.masks ?? null;
+      this.channels = input?.channels ?? null;
+      this.format = opts.format ?? null;
+      if (this.channels) {
+        this.format = Object.assign({}, opts.format, {
+          composite: {
+            channels: this.channels.map((channel, band) => ({
+              band,
+              name: channel.name,
+              color: channel.color,
+              min: channel.min ?? null,
+              max: channel.max ?? null,
+              visible: true,
+            })),
+          },
+        });
+      }
+      // planes (pages, Z slices, channels...) the source can switch between with setPlane()
+      this.planes = input?.planes ?? null;
+      this.planeIndex = input?.planeIndex ?? 0;
+      this._loadPlane = input?.loadPlane ?? null;
+      // how the file layout was interpreted ({interpretation: "pyramid"|"stack", strategy}), null if not resolved
+      this.layout = input?.layout ?? null;
+      // "main" for primary images, "label", "macro" or "thumbnail" for associated images
+      this.role = input?.role ?? "main";
+      // downsample the full resolution image for lower levels instead of reading pyramid images
+      this.syntheticPyramid = input?.syntheticPyramid ?? false;
+      // tiled images that requested tiles from this source, used to redraw them when rendering changes
+      this._tiledImages = new Set();
 
       this._ready = false;
       this._pool = GeoTIFFTileSource.sharedPool;
@@ -121,7 +201,7 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
         this.setupLevels();
       } else {
         this.promises = {
-          GeoTIFF: input instanceof File ? fromBlob(input, opts.GeoTIFFOptions) : fromUrl(input, opts.GeoTIFFOptions),
+          GeoTIFF: input instanceof Blob ? fromBlob(input, opts.GeoTIFFOptions) : fromUrl(input, opts.GeoTIFFOptions),
           GeoTIFFImages: new PromiseWrapper(),
           ready: new PromiseWrapper(),
         };
@@ -136,7 +216,16 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
           })
           .then((images) => {
             images = self.constructor.userDefinedImagesFilter(images, opts);
-
+            const split = splitTransparencyMasks(images);
+            images = split.images;
+            if (split.masks.size) self.masks = split.masks;
+            if (!opts.overviews) return images;
+            return GeoTIFFTileSource.readOverviews(input, opts.overviews, opts).then((overviews) => [
+              ...images,
+              ...selectOverviewImages(images, overviews),
+            ]);
+          })
+          .then((images) => {
             self.GeoTIFFImages = images;
             self.promises.GeoTIFFImages.resolve(images);
             this.setupLevels();
@@ -148,56 +237,289 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
       }
     }
 
+    /**
+     * Open a file and create tile sources for all of its images.
+     * @function
+     * @param {String|File} input url or file
+     * @param {Object} opts
+     * @returns {Promise<GeoTIFFTileSource[]>} main images first, then associated images
+     */
     static async getAllTileSources (input, opts) {
-      const fileExtension =
-        input instanceof File ? input.name.split(".").pop() : input.split(".").pop();
+      const dataset = await this.openDataset(input, opts);
+      return dataset.tileSources;
+    }
 
+    /**
+     * Open a file and describe its content: main pyramids, channels, planes and associated images by role.
+     * The format is recognized from the file content by the registered format readers.
+     * @function
+     * @param {String|Blob} input url, file or blob
+     * @param {Object} opts
+     * @param {true|Array<String|Blob>|Object} [opts.sidecars] world file (.tfw) and GDAL .aux.xml companions:
+     *                 true to look for them next to the url, an array of files or urls recognized by their
+     *                 extension, or {worldFile, auxXml}
+     * @param {true|String|Blob} [opts.overviews] external GDAL overviews (.ovr) of the first image, merged as
+     *                 lower pyramid levels: true to look for image.tif.ovr next to the url, or its url or file
+     * @returns {Promise<Dataset>}
+     */
+    static async openDataset (input, opts = {}) {
       let tiff = await (
-        input instanceof File ? fromBlob(input, opts.GeoTIFFOptions) : fromUrl(input, opts.GeoTIFFOptions)
+        input instanceof Blob ? fromBlob(input, opts.GeoTIFFOptions) : fromUrl(input, opts.GeoTIFFOptions)
       );
-      let imageCount = await tiff.getImageCount();
 
-      return Promise.all(
-        Array.from({ length: imageCount }, (_, i) => tiff.getImage(i))
-      ).then((images) => {
-        let tiff = input instanceof File ? fromBlob(input) : fromUrl(input);
+      const context = await createFormatContext(tiff, opts, this);
+      const reader = await detectFormat(context);
+      const dataset = await reader.open(context);
+
+      const sidecar = opts.sidecars ? await readSidecars(input, opts.sidecars, opts) : null;
+      if (sidecar) {
+        // sidecars describe the main image, not the label or the thumbnail
+        for (const entry of dataset.main) {
+          entry.tileSource.metadata = { ...entry.tileSource.metadata, sidecar };
+          entry.metadata = entry.tileSource.metadata;
+        }
+        dataset.metadata = { ...dataset.metadata, sidecar };
+      }
+
+      const overviews = opts.overviews ? await this.readOverviews(input, opts.overviews, opts) : [];
+      if (overviews.length) {
+        // gdaladdo computes overviews of the first image of the file
+        const { firstImage } = context;
+        for (const entry of dataset.main) {
+          const { tileSource } = entry;
+          if (tileSource.width === firstImage.getWidth() && tileSource.height === firstImage.getHeight()) {
+            tileSource.addOverviews(overviews);
+          }
+        }
+      }
+      return dataset;
+    }
+
+    /**
+     * Open an external overview file and return its images.
+     * @function
+     * @param {String|Blob} input url or file of the image
+     * @param {true|String|Blob} overviews true to look for image.tif.ovr next to the url, or the url or file of the overviews
+     * @param {Object} [opts]
+     * @returns {Promise<GeoTIFFImage[]>} no images if overviews is true and no overview file was found
+     */
+    static async readOverviews(input, overviews, opts = {}) {
+      const source = overviews === true ? (typeof input === "string" ? getOverviewUrl(input) : null) : overviews;
+      if (!source) return [];
+      let tiff;
+      try {
+        tiff = await (source instanceof Blob ? fromBlob(source, opts.GeoTIFFOptions) : fromUrl(source, opts.GeoTIFFOptions));
+      } catch (error) {
+        // most files have no external overviews, only a missing file that was asked for is an error
+        if (overviews === true) return [];
+        throw error;
+      }
+      const count = await tiff.getImageCount();
+      return Promise.all([...Array(count).keys()].map((index) => tiff.getImage(index)));
+    }
+
+    /**
+     * Convert a length (or an area with power 2) between units, e.g. convertLength(1500, "µm", "mm").
+     * @function
+     * @param {Number} value
+     * @param {String} from unit symbol or name ("um", "micron", "mm", "in"...)
+     * @param {String} to
+     * @param {Number} [power=1]
+     * @returns {Number}
+     */
+    static convertLength(value, from, to, power = 1) {
+      return convertLength(value, from, to, power);
+    }
+
+    /**
+     * Transform a point between coordinate reference systems with the bundled projections
+     * (EPSG:4326, 3857, UTM zones) and the registered ones.
+     * @function
+     * @param {{x: Number, y: Number}} point x is the easting or longitude
+     * @param {Number|String|CoordinateReferenceSystem} from EPSG code, "EPSG:32633" or getCoordinateReferenceSystem()
+     * @param {Number|String|CoordinateReferenceSystem} to
+     * @returns {{x: Number, y: Number}}
+     */
+    static transformCoordinates(point, from, to) {
+      return transformCoordinates(point, from, to);
+    }
+
+    /**
+     * Compute where georeferenced sources sharing a coordinate reference system go in the viewport, so
+     * co-registered scenes line up. The union of their world bounds spans `width` viewport units, its
+     * north-west corner being the viewport origin.
+     * @function
+     * @param {GeoTIFFTileSource[]} tileSources
+     * @param {Object} [options]
+     * @param {Number} [options.width=1] viewport width of the union of the sources
+     * @returns {Promise<Object[]>} per source {tileSource, x, y, width, degrees}, options for viewer.addTiledImage
+     *
+     * @example
+     * const placements = await OpenSeadragon.GeoTIFFTileSource.getWorldPlacements(tileSources);
+     * placements.forEach((placement) => viewer.addTiledImage(placement));
+     */
+    static async getWorldPlacements(tileSources, { width = 1 } = {}) {
+      await Promise.all(tileSources.map((tileSource) => tileSource.promises.ready.promise));
+
+      const items = tileSources.map((tileSource) => {
+        const transform = tileSource.getGeoTransform();
+        if (!transform) {
+          throw new Error("[GeoTIFFTileSource] Cannot place a source that is not georeferenced.");
+        }
+        return { tileSource, transform, crs: tileSource.getCoordinateReferenceSystem() };
+      });
+      const reference = items[0]?.crs;
+      for (const { crs } of items) {
+        if (!sameCoordinateReferenceSystem(reference, crs)) {
+          throw new Error(
+            `[GeoTIFFTileSource] Sources do not share a coordinate reference system (${describeCoordinateReferenceSystem(reference)} and ${describeCoordinateReferenceSystem(crs)}).`
+          );
+        }
+      }
+
+      const bounds = items.map(({ tileSource, transform }) => getWorldBounds(transform, tileSource.width, tileSource.height));
+      const minX = Math.min(...bounds.map((b) => b.minX));
+      const maxX = Math.max(...bounds.map((b) => b.maxX));
+      const maxY = Math.max(...bounds.map((b) => b.maxY));
+      const frame = { originX: minX, originY: maxY, scale: width / (maxX - minX) };
+
+      return items.map(({ tileSource, transform }) => {
+        const { pixelAspect, mirrored, ...placement } = getViewportPlacement(transform, tileSource.width, tileSource.height, frame);
+        if (Math.abs(pixelAspect - 1) > 1e-3 || mirrored) {
+          logOnce(
+            `world-placement-pixels-${tileSource._tsCounter}`,
+            "[GeoTIFFTileSource] Geotransform with non-square or mirrored pixels, the image is placed by its columns and may not line up exactly.",
+            "warn"
+          );
+        }
+        return { tileSource, ...placement };
+      });
+    }
+
+    /**
+     * Find the projection of a coordinate reference system, null if it is not supported.
+     * @function
+     * @param {Number|String|CoordinateReferenceSystem} crs
+     * @returns {Projection|null}
+     */
+    static getProjection(crs) {
+      return getProjection(crs);
+    }
+
+    /**
+     * Add a projection for a coordinate reference system that is not bundled, see Projection.
+     * @function
+     * @param {Number} epsg
+     * @param {Projection} projection
+     * @returns {Projection}
+     */
+    static registerProjection(epsg, projection) {
+      return registerProjection(epsg, projection);
+    }
+
+    /**
+     * Register a reader for a vendor format, see FormatReader.
+     * @function
+     * @param {FormatReader} reader
+     * @returns {FormatReader}
+     */
+    static registerFormatReader(reader) {
+      return registerFormatReader(reader);
+    }
+
+    /**
+     * Remove a registered format reader.
+     * @function
+     * @param {String} name
+     * @returns {Boolean} whether a reader was removed
+     */
+    static unregisterFormatReader(name) {
+      return unregisterFormatReader(name);
+    }
+
+    /**
+     * Create the dataset of an OME-TIFF file.
+     * @function
+     * @param {GeoTIFF} tiff
+     * @param {GeoTIFFImage[]} allImages all top-level images in IFD order
+     * @param {OmeDataset} ome parsed OME-XML
+     * @param {Object} opts
+     * @returns {Promise<Dataset>}
+     */
+    static async openOmeDataset(tiff, allImages, ome, opts) {
+      return describeDataset({
+        format: "ome",
+        tileSources: await this.getOmeTileSources(tiff, allImages, ome, opts),
+        metadata: { ome },
+      });
+    }
 
+    /**
+     * Create the dataset of a TIFF file whose pyramids are guessed from IFD sizes and layout hints.
+     * Associated images are recognized by their description, QPTIFF files get one source per channel
+     * (or a composite source with opts.composite).
+     * @function
+     * @param {GeoTIFF} tiff
+     * @param {GeoTIFFImage[]} allImages all top-level images in IFD order
+     * @param {Object} opts
+     * @param {Object} [description]
+     * @param {String} [description.format="tiff"] dataset format, "qptiff" to group pages by channel
+     * @param {Object} [description.metadata] file level metadata shared by all tile sources of the file
+     * @param {Function} [description.getRole] role of an associated image (label, macro, thumbnail), null for other images
+     * @returns {Promise<Dataset>}
+     */
+    static async openTiffDataset(tiff, allImages, opts, { format = "tiff", metadata = {}, getRole = getImageRole } = {}) {
+      let layout;
+      let layoutInfo;
+      // associated images (label, macro, thumbnail) are never part of the main layout
+      let associatedImages = [];
+      let masks = null;
+      const tileSources = await Promise.resolve(allImages).then((images) => {
         images = this.userDefinedImagesFilter(images, opts);
-        // Filter out images with photometricInterpretation.TransparencyMask
-        images = images.filter(
-          (image) =>
-            image.fileDirectory.photometricInterpretation !==
-            globals.photometricInterpretations.TransparencyMask
-        );
+        // transparency masks are not images of their own, their parent images read them as alpha
+        const split = splitTransparencyMasks(images);
+        images = split.images;
+        if (split.masks.size) masks = split.masks;
+        associatedImages = images.filter((image) => getRole(image));
+        images = images.filter((image) => !associatedImages.includes(image));
 
         // Layout of images can vary -> images form pyramids, or all images are bases of pyramids
         // while they have ref to sub-levels, or they are not pyramids at all
         return this.resolveLayout(tiff, images, opts.hints);
-      }).then((layout) => {
+      }).then((resolvedLayout) => {
+        layout = resolvedLayout;
+        // QPTIFF pages are grouped by channel from their own XML, same-size pages are not planes
+        if (format === "qptiff") return [...layout.allTopImages];
         return this.buildLevelImages(tiff, layout, tiff);
       }).then((images) => {
+        layoutInfo = { interpretation: layout.interpretation, strategy: layout.strategy };
+        if (layout.strategy === "stack") {
+          // every image is an independent plane, lower levels are downsampled from it
+          return images.map((image) => new OpenSeadragon.GeoTIFFTileSource(
+            {
+              GeoTIFF: tiff,
+              metadata,
+              masks,
+              GeoTIFFImages: [image],
+              syntheticPyramid: true,
+              layout: layoutInfo,
+            },
+            opts
+          ));
+        }
+
         // Sort by width (largest first), then detect pyramids
         images.sort((a, b) => b.getWidth() - a.getWidth());
 
         // find unique aspect ratios (with tolerance to account for rounding)
         const tolerance = 0.015;
 
-        // Organize images into sets based on aspect ratio as well as
-        // macro thumbnails and labels according to the Aperio SVS format:
-        //   https://web.archive.org/web/20120420105738/http://www.aperio.com/documents/api/Aperio_Digital_Slides_and_Third-party_data_interchange.pdf (pg 14)
+        // Organize images into sets based on aspect ratio, labels and macros were already set aside
         const aspectRatioSets = images.reduce((accumulator, image) => {
           const r = image.getWidth() / image.getHeight();
-          let s = ""; // Initialize with no description
-
-          // Check whether the ImageDescription exists as a field just in case
-          if (image.fileDirectory.ImageDescription){
-            // Split out part of the description that signifies its type for identification
-            s = image.fileDirectory.ImageDescription.split("\n")[1] ?? "";
-          }
 
           const exists = accumulator.filter(
-            (set) => ((Math.abs(1 - set.aspectRatio / r) < tolerance)
-              && !(s?.includes("macro") || s?.includes("label"))) // Separate out macro thumbnails and labels
+            (set) => Math.abs(1 - set.aspectRatio / r) < tolerance
           );
           if (exists.length === 0) {
             let set = {
@@ -219,19 +541,37 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
             return new OpenSeadragon.GeoTIFFTileSource(
               {
                 GeoTIFF: tiff,
+                metadata,
+                masks,
                 GeoTIFFImages: images,
+                layout: layoutInfo,
               },
               opts
             );
           }
 
-          switch (fileExtension) {
+          switch (format) {
             case "qptiff":
               const channels = parsePerkinElmerChannels(images);
+              if (opts.composite) {
+                const channelList = Array.from(channels.values());
+                return new OpenSeadragon.GeoTIFFTileSource(
+                  {
+                    GeoTIFF: tiff,
+                    metadata,
+                    masks,
+                    GeoTIFFImages: channelList[0].images,
+                    channels: channelList,
+                  },
+                  opts
+                );
+              }
               return Array.from(channels.values()).map((channel, index) => {
                 return new OpenSeadragon.GeoTIFFTileSource(
                   {
                     GeoTIFF: tiff,
+                    metadata,
+                    masks,
                     GeoTIFFImages: channel.images,
                     channel: {
                       name: channel.name,
@@ -246,15 +586,389 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
               return new OpenSeadragon.GeoTIFFTileSource(
                 {
                   GeoTIFF: tiff,
+                  metadata,
+                  masks,
                   GeoTIFFImages: images,
+                  layout: layoutInfo,
+                  ...this.getLayoutPlanes(tiff, layout),
                 },
                 opts
               );
           }
         });
       });
+
+      const associatedSources = associatedImages.map((image) => new OpenSeadragon.GeoTIFFTileSource(
+        {
+          GeoTIFF: tiff,
+          metadata,
+          masks,
+          GeoTIFFImages: [image],
+          role: getRole(image),
+        },
+        opts
+      ));
+
+      return describeDataset({
+        format,
+        // the QPTIFF branch gives an array of channel sources
+        tileSources: [...tileSources.flat(), ...associatedSources],
+        layout: layoutInfo,
+        metadata,
+      });
     }
     
+    /**
+     * Decode the associated images of a file (label, macro, thumbnail) without adding them to a viewer.
+     * If the file has no thumbnail image, the smallest level of the first main image is used instead.
+     * @function
+     * @param {String|File|Dataset} input url, file, or a dataset returned by openDataset
+     * @param {Object} opts openDataset options, and readImage options (as, maxSize)
+     * @returns {Promise<Object<string, ImageBitmap|TiffRaster>>} decoded images by role
+     */
+    static async getAssociatedImages(input, opts = {}) {
+      const dataset = input?.associated ? input : await this.openDataset(input, opts);
+      const sources = Object.fromEntries(
+        Object.entries(dataset.associated).map(([role, entry]) => [role, entry.tileSource])
+      );
+      if (!sources.thumbnail && dataset.main.length > 0) {
+        sources.thumbnail = dataset.main[0].tileSource;
+      }
+
+      const readOptions = { as: opts.as, maxSize: opts.maxSize, signal: opts.signal };
+      const images = await Promise.all(
+        Object.entries(sources).map(async ([role, tileSource]) => [role, await tileSource.readImage(readOptions)])
+      );
+      return Object.fromEntries(images);
+    }
+
+    /**
+     * Create one tile source per plane (channel, Z slice, timepoint) of each OME series.
+     * Series which are lower resolutions of another series become its pyramid levels,
+     * planes stored with SubIFDs use them as their pyramid levels.
+     * @function
+     * @param {GeoTIFF} tiff
+     * @param {GeoTIFFImage[]} allImages all top-level images in IFD order
+     * @param {OmeDataset} dataset parsed OME-XML
+     * @param {Object} opts
+     * @returns {Promise<GeoTIFFTileSource[]>}
+     */
+    static async getOmeTileSources(tiff, allImages, dataset, opts) {
+      const images = this.userDefinedImagesFilterInPlace(allImages, opts);
+
+      const pyramids = mapOmePyramids(dataset, images);
+      // Bio-Formats 6+ stores the pyramid of every plane in its SubIFDs
+      for (const { planes } of pyramids) {
+        for (const plane of planes) {
+          if (plane.images.length === 1 && hasSubIFDs(plane.images[0])) {
+            plane.images = await readSubIFDPyramid(tiff, plane.images[0]);
+          }
+        }
+      }
+
+      return pyramids.flatMap(({ series, planes }) => {
+        if (planes.length === 0) {
+          logOnce(`ome-series-${series.id}`, `[GeoTIFFTileSource] OME series "${series.name || series.id}" has no planes stored in this file, skipping it.`, 'warn');
+        }
+
+        const toChannel = (plane) => ({
+          name: plane.channel?.name ?? `Channel ${plane.c}`,
+          color: plane.channel?.color ? plane.channel.color.slice(0, 3) : [255, 255, 255],
+        });
+
+        // Views a source of this series can switch between: single planes, or (z, t) stacks of all channels
+        let views;
+        if (opts.composite && series.sizeC > 1) {
+          const stacks = new Map();
+          for (const plane of planes) {
+            const key = `${plane.z}_${plane.t}`;
+            if (!stacks.has(key)) stacks.set(key, []);
+            stacks.get(key).push(plane);
+          }
+          views = Array.from(stacks.values()).map((stack) => ({
+            plane: { series: series.index, c: null, z: stack[0].z, t: stack[0].t },
+            images: stack[0].images,
+            channels: stack.map((plane) => ({ ...toChannel(plane), images: plane.images })),
+          }));
+        } else {
+          views = planes.map((plane) => ({
+            plane: { series: series.index, c: plane.c, z: plane.z, t: plane.t },
+            images: plane.images,
+            channel: plane.channel ? toChannel(plane) : null,
+          }));
+        }
+
+        const planeInfos = views.map((view, index) => ({
+          index,
+          width: view.images[0].getWidth(),
+          height: view.images[0].getHeight(),
+          name: view.channel?.name ?? `Z${view.plane.z} T${view.plane.t}`,
+          ...view.plane,
+          ...(view.channel ? { channel: view.channel } : {}),
+        }));
+        const loadPlane = (index) => Promise.resolve({
+          images: views[index].images,
+          channels: views[index].channels?.map((channel) => channel.images),
+        });
+
+        return views.map((view, index) => new OpenSeadragon.GeoTIFFTileSource(
+          {
+            GeoTIFF: tiff,
+            role: getSeriesRole(series.name),
+            GeoTIFFImages: view.images,
+            channel: view.channel,
+            channels: view.channels,
+            plane: view.plane,
+            planes: planeInfos,
+            planeIndex: index,
+            loadPlane,
+            metadata: { ome: dataset },
+          },
+          opts
+        ));
+      });
+    }
+
+    /**
+     * Create tile sources for a Hamamatsu NDPI file: the slide pyramid (one plane per focal plane) and the macro image.
+     * @function
+     * @param {GeoTIFF} tiff
+     * @param {Object} opts
+     * @returns {Promise<Dataset>}
+     */
+    static async openNdpiDataset(tiff, opts) {
+      const directories = await readNdpiDirectories(tiff.source);
+      const images = await Promise.all(
+        directories.map((directory) => new NdpiImage(tiff.source, directory).prepare())
+      );
+      const { planes, macro } = mapNdpiImages(this.userDefinedImagesFilter(images, opts));
+      if (planes.length === 0) {
+        throw new Error("[GeoTIFFTileSource] NDPI file has no slide images.");
+      }
+
+      // the focal plane closest to the nominal focus is shown first
+      const planeIndex = planes.reduce(
+        (best, plane, index) => (Math.abs(plane.focalPlane) < Math.abs(planes[best].focalPlane) ? index : best),
+        0
+      );
+      const planeInput = planes.length > 1 ? {
+        planes: planes.map((plane, index) => ({
+          index,
+          width: plane.images[0].getWidth(),
+          height: plane.images[0].getHeight(),
+          name: `Z ${plane.focalPlane} nm`,
+          focalPlane: plane.focalPlane,
+        })),
+        planeIndex,
+        loadPlane: (index) => Promise.resolve({ images: planes[index].images }),
+      } : {};
+
+      const metadata = { ndpi: parseNdpiMetadata(planes[planeIndex].images[0].ndpiDirectory) };
+      const tileSources = [
+        new OpenSeadragon.GeoTIFFTileSource(
+          {
+            GeoTIFF: tiff,
+            metadata,
+            GeoTIFFImages: planes[planeIndex].images,
+            ...planeInput,
+          },
+          opts
+        ),
+      ];
+      if (macro) {
+        tileSources.push(new OpenSeadragon.GeoTIFFTileSource(
+          {
+            GeoTIFF: tiff,
+            metadata: { ndpi: parseNdpiMetadata(macro.ndpiDirectory) },
+            GeoTIFFImages: [macro],
+            role: "macro",
+          },
+          opts
+        ));
+      }
+
+      return describeDataset({ format: "ndpi", tileSources, metadata });
+    }
+
+    /**
+     * Create tile sources for a Philips TIFF file: the slide pyramid, cropped to the true level sizes, and its label and macro.
+     * @function
+     * @param {GeoTIFF} tiff
+     * @param {GeoTIFFImage[]} allImages all top-level images in IFD order
+     * @param {PhilipsMetadata} philips parsed Philips XML
+     * @param {Object} opts
+     * @returns {Dataset}
+     */
+    static openPhilipsDataset(tiff, allImages, philips, opts) {
+      const { levels, associated } = mapPhilipsImages(this.userDefinedImagesFilter(allImages, opts), philips);
+      if (levels.length === 0) {
+        throw new Error("[GeoTIFFTileSource] Philips TIFF file has no slide images.");
+      }
+
+      const metadata = { philips };
+      const tileSources = [
+        new OpenSeadragon.GeoTIFFTileSource({ GeoTIFF: tiff, metadata, GeoTIFFImages: levels }, opts),
+        ...associated.map(({ role, image }) => new OpenSeadragon.GeoTIFFTileSource(
+          { GeoTIFF: tiff, metadata, GeoTIFFImages: [image], role },
+          opts
+        )),
+      ];
+      return describeDataset({ format: "philips", tileSources, metadata });
+    }
+
+    /**
+     * Create tile sources for a Leica SCN file: one source per scanned region (per channel unless opts.composite),
+     * with its Z slices as planes, and the macro image.
+     * @function
+     * @param {GeoTIFF} tiff
+     * @param {GeoTIFFImage[]} allImages all top-level images in IFD order
+     * @param {LeicaMetadata} scn parsed SCN XML
+     * @param {Object} opts
+     * @returns {Dataset}
+     */
+    static openLeicaDataset(tiff, allImages, scn, opts) {
+      const images = this.userDefinedImagesFilterInPlace(allImages, opts);
+
+      const tileSources = scn.images.flatMap((region) => {
+        const planes = mapLeicaPlanes(region, images);
+        if (planes.length === 0) return [];
+        const metadata = { scn, region };
+
+        if (region.isMacro) {
+          return [new OpenSeadragon.GeoTIFFTileSource(
+            { GeoTIFF: tiff, metadata, GeoTIFFImages: planes[0].images, role: "macro" },
+            opts
+          )];
+        }
+
+        const toChannel = (c) => {
+          const channel = region.channels.find((ch) => ch.index === c);
+          return { name: channel?.name ?? `Channel ${c}`, color: channel?.color ?? [255, 255, 255] };
+        };
+        return this.getChannelStackSources(tiff, planes, opts, { toChannel, metadata });
+      });
+
+      if (!tileSources.some((tileSource) => tileSource.role === "main")) {
+        throw new Error("[GeoTIFFTileSource] Leica SCN file has no slide images.");
+      }
+      return describeDataset({ format: "scn", tileSources, metadata: { scn } });
+    }
+
+    /**
+     * Create the dataset of an ImageJ hyperstack: one source per channel (or a single blended source with
+     * opts.composite), with its (z, t) planes to switch between.
+     * @function
+     * @param {GeoTIFF} tiff
+     * @param {GeoTIFFImage[]} allImages all top-level images in IFD order
+     * @param {ImageJMetadata} imagej parsed ImageJ description and IJMetadata
+     * @param {Object} opts
+     * @returns {Dataset}
+     */
+    static openImageJDataset(tiff, allImages, imagej, opts) {
+      const images = this.userDefinedImagesFilterInPlace(allImages, opts);
+
+      const planes = mapImageJPlanes(imagej, images);
+      if (planes.length === 0) {
+        throw new Error("[GeoTIFFTileSource] ImageJ file has no planes.");
+      }
+      if (allImages.length < imagej.sizeC * imagej.sizeZ * imagej.sizeT) {
+        logOnce(`imagej-planes-${imagej.images}`, `[GeoTIFFTileSource] ImageJ file describes ${imagej.sizeC * imagej.sizeZ * imagej.sizeT} planes but stores ${allImages.length} pages, only those are shown.`, 'warn');
+      }
+
+      const toChannel = (c) => {
+        const { name, color, min, max } = imagej.channels[c];
+        return { name, color, min, max };
+      };
+      const tileSources = this.getChannelStackSources(tiff, planes, opts, {
+        toChannel,
+        metadata: { imagej },
+      });
+      return describeDataset({ format: "imagej", tileSources, metadata: { imagej } });
+    }
+
+    /**
+     * Create sources for the planes of a multi-dimensional image: one source per channel, or a single source
+     * blending all channels with opts.composite. The (z, t) slices of a source are planes it can switch between.
+     * @function
+     * @param {GeoTIFF} tiff
+     * @param {{c: number, z: number, t?: number, images: GeoTIFFImage[]}[]} planes levels of every plane, largest first
+     * @param {Object} opts
+     * @param {Object} description
+     * @param {Function} description.toChannel channel description ({name, color, min?, max?}) of a channel index
+     * @param {Object} description.metadata metadata of the sources
+     * @returns {GeoTIFFTileSource[]}
+     */
+    static getChannelStackSources(tiff, planes, opts, { toChannel, metadata }) {
+      const channelIndices = [...new Set(planes.map((plane) => plane.c))];
+      const slices = [...new Map(planes.map((plane) => [`${plane.z}_${plane.t}`, plane])).values()];
+      // a composite source blends all channels of a slice, otherwise each channel gets its own source
+      const groups = opts.composite && channelIndices.length > 1 ? [null] : channelIndices;
+
+      return groups.map((c) => {
+        const views = slices
+          .map((slice) => planes.filter((plane) => plane.z === slice.z && plane.t === slice.t && (c === null || plane.c === c)))
+          .filter((stack) => stack.length > 0)
+          .map((stack) => ({
+            z: stack[0].z,
+            t: stack[0].t,
+            images: stack[0].images,
+            channels: c === null ? stack.map((plane) => ({ ...toChannel(plane.c), images: plane.images })) : undefined,
+          }));
+        const planeInput = views.length > 1 ? {
+          planes: views.map((view, index) => ({
+            index,
+            width: view.images[0].getWidth(),
+            height: view.images[0].getHeight(),
+            name: view.t === undefined ? `Z${view.z}` : `Z${view.z} T${view.t}`,
+            z: view.z,
+            ...(view.t === undefined ? {} : { t: view.t }),
+          })),
+          planeIndex: 0,
+          loadPlane: (index) => Promise.resolve({
+            images: views[index].images,
+            channels: views[index].channels?.map((channel) => channel.images),
+          }),
+        } : {};
+
+        return new OpenSeadragon.GeoTIFFTileSource(
+          {
+            GeoTIFF: tiff,
+            metadata,
+            GeoTIFFImages: views[0].images,
+            channel: c !== null && channelIndices.length > 1 ? toChannel(c) : undefined,
+            channels: views[0].channels,
+            ...planeInput,
+          },
+          opts
+        );
+      });
+    }
+
+    /**
+     * Describe the plane stack of a resolved layout for a tile source, so it can switch planes at runtime.
+     * @function
+     * @param {GeoTIFF} tiff
+     * @param {Object} layout result of resolveLayout
+     * @returns {Object} planes, planeIndex and loadPlane input fields, empty if there is a single plane
+     */
+    static getLayoutPlanes(tiff, layout) {
+      if (layout.planes.length < 2) return {};
+
+      return {
+        planes: layout.planeInfos,
+        planeIndex: layout.planes.indexOf(layout.chosenPlane),
+        loadPlane: async (index) => {
+          const plane = layout.planes[index];
+          const levels = await this.buildLevelImages(tiff, { ...layout, chosenPlane: plane }, tiff);
+          // other aspect ratios (labels, macros) are not levels of the plane
+          const ratio = plane.getWidth() / plane.getHeight();
+          return {
+            images: levels.filter((image) => Math.abs(1 - image.getWidth() / image.getHeight() / ratio) < 0.015),
+          };
+        },
+      };
+    }
+
     static userDefinedImagesFilter = (images, opts) => {
       if (typeof opts.imagesFilter !== 'undefined' && opts.imagesFilter) {
         if (Array.isArray(opts.imagesFilter))
@@ -268,6 +982,19 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
       return images;
     };
 
+    /**
+     * Apply the user-defined images filter without shifting IFD indices: readers that map
+     * images by IFD index (OME, Leica, ImageJ) see filtered out images as holes.
+     *
+     * @param {GeoTIFFImage[]} allImages all top-level images in IFD order
+     * @param {Object} opts
+     * @returns {Array<GeoTIFFImage|undefined>} allImages, filtered out images replaced by undefined
+     */
+    static userDefinedImagesFilterInPlace(allImages, opts) {
+      const kept = new Set(this.userDefinedImagesFilter(allImages, opts));
+      return allImages.map((image) => (kept.has(image) ? image : undefined));
+    }
+
     /**
      * Return the tileWidth for a given level.
      * @function
@@ -302,11 +1029,262 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
       return levelScale;
     }
 
+    /**
+     * Return the physical size of a full resolution pixel, read from the best available source:
+     * vendor metadata, then the GeoTIFF pixel scale, then the TIFF resolution tags. The spacing of geographic
+     * rasters is the one at the center of the image, in meters.
+     * @function
+     * @param {String} [unit] length unit to convert the spacing to (e.g. "mm"), the unit of the file by default
+     * @returns {PixelSpacing|null} {x, y, unit, source}, null if the file does not tell the size of its pixels
+     */
+    getPixelSpacing(unit) {
+      const image = this.levels?.[this.maxLevel]?.image ?? this.GeoTIFFImages?.[0];
+      const spacing =
+        getVendorSpacing(this.metadata, this.plane, this.role) ??
+        getGeoTiffSpacing(this.getGeoTransform(), this.getCoordinateReferenceSystem(), this) ??
+        getResolutionSpacing(image);
+      if (!spacing || !unit) return spacing;
+      return {
+        ...spacing,
+        x: convertLength(spacing.x, spacing.unit, unit),
+        y: convertLength(spacing.y, spacing.unit, unit),
+        unit: normalizeUnit(unit),
+      };
+    }
+
+    /**
+     * Measure the physical length of a line, e.g. for a ruler tool.
+     * @function
+     * @param {OpenSeadragon.Point[]} points vertices of the polyline, in image coordinates, or in viewport
+     *                 coordinates when a tiledImage showing this source is given
+     * @param {Object} [options]
+     * @param {String} [options.unit] length unit of the result, the unit of the pixel spacing by default
+     * @param {OpenSeadragon.TiledImage} [options.tiledImage] converts viewport points to image coordinates
+     * @returns {{value: Number, unit: String}} the length in pixels ("px") if the pixel spacing is unknown
+     *                 Geographic rasters are measured along great circles, in meters by default.
+     */
+    measureLength(points, { unit, tiledImage } = {}) {
+      const imagePoints = this._toImagePoints(points, tiledImage);
+      const geographic = this._toGeographicPoints(imagePoints);
+      if (geographic) {
+        const meters = geodesicLength(geographic.points, geographic.unit);
+        return { value: convertLength(meters, "m", unit || "m"), unit: normalizeUnit(unit || "m") };
+      }
+      const { scale, unit: resultUnit } = this._getMeasurementScale(unit);
+      return { value: polylineLength(imagePoints, scale), unit: resultUnit };
+    }
+
+    /**
+     * Measure the physical area of a polygon, e.g. for an annotation tool.
+     * @function
+     * @param {OpenSeadragon.Point[]} points vertices of the polygon, in image coordinates, or in viewport
+     *                 coordinates when a tiledImage showing this source is given
+     * @param {Object} [options]
+     * @param {String} [options.unit] length unit of the result, the unit of the pixel spacing by default
+     * @param {OpenSeadragon.TiledImage} [options.tiledImage] converts viewport points to image coordinates
+     * @returns {{value: Number, unit: String}} unit is squared, e.g. "mm²", "px²" if the pixel spacing is unknown
+     *                 Geographic rasters are measured on the sphere, in square meters by default.
+     */
+    measureArea(points, { unit, tiledImage } = {}) {
+      const imagePoints = this._toImagePoints(points, tiledImage);
+      const geographic = this._toGeographicPoints(imagePoints);
+      if (geographic) {
+        const squareMeters = geodesicArea(geographic.points, geographic.unit);
+        return { value: convertLength(squareMeters, "m", unit || "m", 2), unit: `${normalizeUnit(unit || "m")}²` };
+      }
+      const { scale, unit: resultUnit } = this._getMeasurementScale(unit);
+      return { value: polygonArea(imagePoints, scale), unit: `${resultUnit}²` };
+    }
+
+    _getMeasurementScale(unit) {
+      const spacing = this.getPixelSpacing(unit);
+      if (spacing) return { scale: spacing, unit: spacing.unit };
+      if (unit) {
+        throw new Error(`[GeoTIFFTileSource] The file does not tell the physical size of its pixels, cannot measure in ${unit}.`);
+      }
+      return { scale: { x: 1, y: 1 }, unit: "px" };
+    }
+
+    // geographic coordinates of image points, when the pixel spacing is the one of a geographic raster
+    _toGeographicPoints(points) {
+      const crs = this.getCoordinateReferenceSystem();
+      if (crs?.type !== "geographic" || this.getPixelSpacing()?.source !== "geotiff") return null;
+      return { points: points.map((point) => this.imageToWorld(point)), unit: crs.unit };
+    }
+
+    _toImagePoints(points, tiledImage) {
+      return tiledImage
+        ? points.map((point) => tiledImage.viewportToImageCoordinates(new OpenSeadragon.Point(point.x, point.y)))
+        : points;
+    }
+
+    /**
+     * Return the affine transform from pixels of a level to world coordinates, read from the
+     * GeoTIFF ModelTransformation, or ModelTiepoint and ModelPixelScale tags of the full resolution image,
+     * else from the .aux.xml or world file sidecar.
+     * @function
+     * @param {Number} [level] level whose pixels are transformed, the full resolution level by default
+     * @returns {GeoTransform|null} [originX, a, b, originY, d, e] with x = originX + a * col + b * row
+     *                 and y = originY + d * col + e * row, null if the image is not georeferenced
+     */
+    getGeoTransform(level = this.maxLevel) {
+      const transform =
+        getGeoTransform(this.levels?.[this.maxLevel]?.image) ?? this.metadata.sidecar?.geoTransform?.slice() ?? null;
+      if (!transform || !this.levels[level]) return transform;
+      // pixels of lower levels cover several full resolution pixels, rounding may differ between columns and rows
+      const column = this.width / this.levels[level].width;
+      const row = this.height / this.levels[level].height;
+      return [transform[0], transform[1] * column, transform[2] * row, transform[3], transform[4] * column, transform[5] * row];
+    }
+
+    /**
+     * Return the coordinate reference system of world coordinates, described by the GeoKeys of the file
+     * or the SRS of its .aux.xml sidecar.
+     * @function
+     * @returns {CoordinateReferenceSystem|null} {epsg, type, name, unit, pixelIsPoint, geoKeys}, null without GeoKeys
+     */
+    getCoordinateReferenceSystem() {
+      return getCoordinateReferenceSystem(this.levels?.[this.maxLevel]?.image) ?? this.metadata.sidecar?.crs ?? null;
+    }
+
+    /**
+     * Return the NoData value of each band, read from the GDAL_NODATA tag or the .aux.xml sidecar.
+     * Pixels holding it in every band are drawn transparent; format.noData overrides it when rendering.
+     * @function
+     * @returns {Array<Number|null>|null} null if the file has no NoData value
+     */
+    getNoData() {
+      return this._getBandInfo().noData;
+    }
+
+    /**
+     * Return the description, unit, scale / offset and statistics of each band, read from the GDAL_METADATA tag
+     * (42112) or the .aux.xml sidecar. Data mode textures apply scale and offset, and the minimum and maximum
+     * are the default display range of bands deeper than 8 bits.
+     * @function
+     * @returns {Array<BandMetadata|null>|null} by band index, null if the file has no band metadata
+     *                 or the source is a composite of channel images
+     */
+    getBandMetadata() {
+      return this._getBandInfo().bandMetadata;
+    }
+
+    // NoData and band metadata, read once for the image and sidecar of the source: every tile asks for them
+    _getBandInfo() {
+      const image = this.levels?.[this.maxLevel]?.image ?? this.GeoTIFFImages?.[0];
+      const cached = this._bandInfo;
+      if (cached && cached.image === image && cached.metadata === this.metadata) return cached;
+
+      const fd = image?.fileDirectory;
+      const sidecar = this.metadata.sidecar?.bands ?? [];
+      const find = (bands, index) => bands.find((band) => band.band === index + 1);
+
+      let noData = null;
+      const noDataBandCount = this.channels?.length ?? fd?.SamplesPerPixel ?? 1;
+      const tag = parseNoData(fd?.GDAL_NODATA);
+      if (tag !== null) noData = new Array(noDataBandCount).fill(tag);
+      else if (sidecar.some((band) => band.noData !== null)) {
+        noData = Array.from({ length: noDataBandCount }, (_, index) => find(sidecar, index)?.noData ?? null);
+      }
+
+      let bandMetadata = null;
+      const tagBands = getGdalMetadata(fd)?.bands ?? [];
+      if (!this.channels && (tagBands.length || sidecar.length)) {
+        bandMetadata = Array.from(
+          { length: fd?.SamplesPerPixel ?? 1 },
+          (_, index) => find(tagBands, index) ?? find(sidecar, index) ?? null
+        );
+      }
+
+      this._bandInfo = { image, metadata: this.metadata, noData, bandMetadata };
+      return this._bandInfo;
+    }
+
+    // percentile ranges of format.toneMap.clip, computed once from the lowest level so that tiles match
+    _getClipRanges() {
+      const toneMap = this.format?.toneMap ?? RawTiffAPI.defaults?.format?.toneMap;
+      const level = this.levels?.[0];
+      if (!toneMap || typeof toneMap !== "object" || !level?.image || this.channels) return Promise.resolve(null);
+      const cached = this._clipRanges;
+      if (cached && cached.image === level.image && cached.toneMap === toneMap) return cached.promise;
+
+      // a source without pyramid reads its only image, reduced
+      const scale = Math.min(1, 1024 / Math.max(level.width, level.height));
+      const promise = level.image
+        .readRasters({
+          interleave: false,
+          pool: this._pool,
+          width: Math.max(1, Math.round(level.width * scale)),
+          height: Math.max(1, Math.round(level.height * scale)),
+        })
+        .then((rasters) => computeClipRanges(toneMap, Array.isArray(rasters) ? rasters : [rasters], this.getNoData()))
+        .catch(() => null);
+      this._clipRanges = { image: level.image, toneMap, promise };
+      return promise;
+    }
+
+    /**
+     * Convert a pixel position to world coordinates of the coordinate reference system, e.g. to show
+     * the coordinates under the cursor.
+     * @function
+     * @param {OpenSeadragon.Point} point pixel position, (0, 0) being the top left corner of the image
+     * @param {Number} [level] level the position is given in, full resolution image coordinates by default
+     * @param {Number|String} [crs] EPSG code of the returned coordinates, e.g. 4326, the CRS of the file by default
+     * @returns {OpenSeadragon.Point|null} null if the image is not georeferenced
+     */
+    imageToWorld(point, level = this.maxLevel, crs = null) {
+      const transform = this.getGeoTransform(level);
+      if (!transform) return null;
+      let world = applyGeoTransform(transform, point.x, point.y);
+      if (crs !== null) world = transformCoordinates(world, this.getCoordinateReferenceSystem(), crs);
+      return new OpenSeadragon.Point(world.x, world.y);
+    }
+
+    /**
+     * Convert world coordinates of the coordinate reference system to a pixel position, e.g. to place a marker.
+     * @function
+     * @param {OpenSeadragon.Point} point world coordinates (x is the easting or longitude)
+     * @param {Number} [level] level to return the position in, full resolution image coordinates by default
+     * @param {Number|String} [crs] EPSG code of the given coordinates, e.g. 4326, the CRS of the file by default
+     * @returns {OpenSeadragon.Point|null} null if the image is not georeferenced
+     */
+    worldToImage(point, level = this.maxLevel, crs = null) {
+      const transform = this.getGeoTransform(level);
+      const inverse = transform && invertGeoTransform(transform);
+      if (!inverse) return null;
+      const world = crs === null ? point : transformCoordinates(point, crs, this.getCoordinateReferenceSystem());
+      const { x, y } = applyGeoTransform(inverse, world.x, world.y);
+      return new OpenSeadragon.Point(x, y);
+    }
+
+    /**
+     * Convert a pixel position to WGS84 longitude and latitude, whatever the CRS of the file.
+     * @function
+     * @param {OpenSeadragon.Point} point pixel position
+     * @param {Number} [level] level the position is given in, full resolution image coordinates by default
+     * @returns {OpenSeadragon.Point|null} (longitude, latitude) in degrees, null if the image is not georeferenced
+     */
+    imageToLonLat(point, level = this.maxLevel) {
+      return this.imageToWorld(point, level, 4326);
+    }
+
+    /**
+     * Convert WGS84 longitude and latitude to a pixel position, e.g. to place a marker.
+     * @function
+     * @param {OpenSeadragon.Point} point (longitude, latitude) in degrees
+     * @param {Number} [level] level to return the position in, full resolution image coordinates by default
+     * @returns {OpenSeadragon.Point|null} null if the image is not georeferenced
+     */
+    lonLatToImage(point, level = this.maxLevel) {
+      return this.worldToImage(point, level, 4326);
+    }
+
     /**
      * Handle maintaining unique caches per channel in multi-channel images
      */
     getTileHashKey(level, x, y) {
-      return `geotiffTileSource${this._tsCounter}_${this?.channel?.name ?? ""}_${level}_${x}_${y}`;
+      const plane = this.plane ? `${this.plane.series}.${this.plane.c}.${this.plane.z}.${this.plane.t}` : (this.planes ? this.planeIndex : "");
+      return `geotiffTileSource${this._tsCounter}_${this?.channel?.name ?? ""}_${plane}_${level}_${x}_${y}`;
     }
 
     /**
@@ -320,9 +1298,164 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
       return `${levelnum}/${x}_${y}`;
     }
 
+    /**
+     * Return composite channel settings, null if the source does not blend channels.
+     * @function
+     * @returns {CompositeChannel[]|null}
+     */
+    getCompositeChannels() {
+      const composite = this.format?.composite;
+      return composite ? composite.channels.map((channel) => ({ ...channel })) : null;
+    }
+
+    /**
+     * Update settings of all composite channels and redraw tiles.
+     * @function
+     * @param {Array<Object|null>} settings partial settings ({color, min, max, visible}) per channel, null keeps the channel as is
+     */
+    setCompositeChannels(settings) {
+      const channels = this.getCompositeChannels();
+      if (!channels) {
+        throw new Error("[GeoTIFFTileSource] Not a composite source, open the file with the composite option.");
+      }
+      settings.forEach((setting, index) => {
+        if (setting && channels[index]) Object.assign(channels[index], setting, { band: channels[index].band });
+      });
+
+      this.format = Object.assign({}, this.format, { composite: { channels } });
+      this.invalidateTiles();
+      this.raiseEvent("composite-change", { tileSource: this, channels: this.getCompositeChannels() });
+    }
+
+    /**
+     * Update settings of a single composite channel and redraw tiles.
+     * @function
+     * @param {Number} index channel index
+     * @param {Object} setting partial settings ({color, min, max, visible})
+     */
+    setChannelSettings(index, setting) {
+      const settings = [];
+      settings[index] = setting;
+      this.setCompositeChannels(settings);
+    }
+
+    /**
+     * Return metadata of the planes the source can switch between, null if it shows a single plane.
+     * @function
+     * @returns {Object[]|null} [{index, width, height, name, ...}]
+     */
+    getPlanes() {
+      return this.planes ? this.planes.map((plane) => ({ ...plane })) : null;
+    }
+
+    /**
+     * Switch the displayed plane (page, Z slice, timepoint, channel) without reopening the file.
+     * Level images are swapped, loaded tiles are dropped and "plane-change" is raised.
+     * @function
+     * @param {Number|Function} index plane index, or a selector receiving getPlanes() and returning an index
+     * @returns {Promise<void>}
+     */
+    async setPlane(index) {
+      if (!this.planes || !this._loadPlane) {
+        throw new Error("[GeoTIFFTileSource] This tile source has a single plane.");
+      }
+      if (typeof index === "function") {
+        index = index(this.getPlanes());
+      }
+      if (!Number.isInteger(index) || index < 0 || index >= this.planes.length) {
+        throw new RangeError(`[GeoTIFFTileSource] Plane index ${index} out of range (0..${this.planes.length - 1}).`);
+      }
+      const info = this.planes[index];
+      if (info.width !== this.width || info.height !== this.height) {
+        throw new Error(`[GeoTIFFTileSource] Plane ${index} is ${info.width}x${info.height}, the displayed plane is ${this.width}x${this.height}.`);
+      }
+
+      await this.promises.ready.promise;
+      // the last call wins if planes are switched faster than they load
+      const request = (this._planeRequest = {});
+      const { images, channels } = await this._loadPlane(index);
+      if (this._planeRequest !== request) return;
+
+      this.GeoTIFFImages = images;
+      if (channels && this.channels) {
+        this.channels = this.channels.map((channel, i) => ({ ...channel, images: channels[i] ?? [] }));
+      }
+      this.computeLevels();
+
+      this.planeIndex = index;
+      if (info.channel !== undefined) this.channel = info.channel;
+      if (this.plane && "z" in info) {
+        this.plane = { series: info.series, c: info.c, z: info.z, t: info.t };
+      }
+
+      this.resetTiles();
+      this.raiseEvent("plane-change", { tileSource: this, planeIndex: index, plane: { ...info } });
+    }
+
+    /**
+     * Return the tiled images that requested tiles from this source and are still open.
+     * @function
+     * @returns {OpenSeadragon.TiledImage[]}
+     */
+    getTiledImages() {
+      for (const tiledImage of this._tiledImages) {
+        const world = tiledImage.viewer && tiledImage.viewer.world;
+        if (!world || world.getIndexOfItem(tiledImage) === -1) this._tiledImages.delete(tiledImage);
+      }
+      return Array.from(this._tiledImages);
+    }
+
+    /**
+     * Redraw tiles of all tiled images showing this source, e.g. after rendering settings changed.
+     * With OSD v6+ the cached rasters are converted again, older versions download the tiles again.
+     * @function
+     */
+    invalidateTiles() {
+      for (const tiledImage of this.getTiledImages()) {
+        if (typeof tiledImage.requestInvalidate === "function") tiledImage.requestInvalidate(true);
+        else tiledImage.reset();
+      }
+    }
+
+    /**
+     * Add lower pyramid levels read from another file, e.g. external GDAL overviews (.ovr).
+     * Images that do not have the aspect ratio of the source, masks, and sizes the source already has are skipped.
+     * @function
+     * @param {GeoTIFFImage[]} images
+     * @returns {Number} number of levels added
+     */
+    addOverviews(images) {
+      // composite sources read one image per channel and level, overviews hold a single image per level,
+      // and overviews of the displayed plane do not fit the other planes
+      if (this.channels || this.planes) return 0;
+      const overviews = selectOverviewImages(this.GeoTIFFImages, images);
+      if (!overviews.length) return 0;
+
+      const { masks } = splitTransparencyMasks(images);
+      if (masks.size) this.masks = new Map([...(this.masks ?? []), ...masks]);
+      this.GeoTIFFImages = [...this.GeoTIFFImages, ...overviews];
+      this.syntheticPyramid = false;
+      if (this._ready) {
+        this.computeLevels();
+        this.resetTiles();
+      }
+      return overviews.length;
+    }
+
+    /**
+     * Drop loaded tiles of all tiled images showing this source, e.g. after the image data changed.
+     * @function
+     */
+    resetTiles() {
+      for (const tiledImage of this.getTiledImages()) {
+        tiledImage.reset();
+      }
+    }
+
     downloadTileStart(context) {
       const isV6 = !!OpenSeadragon.converter && typeof context.fail === "function";
       const request = "" + context.src;
+      if (context.tile.tiledImage) this._tiledImages.add(context.tile.tiledImage);
 
       // Abort wiring (OSD < v6 used context.src; v6+ prefers context.userData)
       const abortController = new AbortController();
@@ -366,6 +1499,15 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
         return;
       }
 
+      this.computeLevels();
+      this.setupComplete();
+    }
+
+    /**
+     * Compute dimensions and pyramid levels from GeoTIFFImages.
+     * @function
+     */
+    computeLevels() {
       let images = this.GeoTIFFImages.sort((a, b) => b.getWidth() - a.getWidth());
 
       // default to 256x256 tiles, but defer to options passed in
@@ -396,7 +1538,28 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
         { valid: true, width: -1 }
       );
 
-      if (pyramid.valid) {
+      if (this.syntheticPyramid) {
+        // halve the full resolution image until a level fits in a single tile
+        const image = images[0];
+        const tileWidth = this.options.tileWidth || image.getTileWidth() || defaultTileWidth;
+        const tileHeight = this.options.tileHeight || image.getTileHeight() || defaultTileHeight;
+        const numPowersOfTwo = Math.max(
+          0,
+          Math.ceil(Math.log2(Math.max(fullWidth / tileWidth, fullHeight / tileHeight)))
+        );
+        this.levels = [...Array(numPowersOfTwo + 1).keys()].map((levelnum) => {
+          const scale = Math.pow(2, levelnum);
+          return {
+            width: fullWidth / scale,
+            height: fullHeight / scale,
+            tileWidth,
+            tileHeight,
+            image,
+            scaleFactor: scale,
+          };
+        });
+        this.maxLevel = this.levels.length - 1;
+      } else if (pyramid.valid) {
         this.levels = images.map((image) => {
           let w = image.getWidth();
           let h = image.getHeight();
@@ -449,11 +1612,21 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
         this.maxLevel = this.levels.length - 1;
       }
       this.levels = this.levels.sort((a, b) => a.width - b.width);
+      for (const level of this.levels) {
+        level.maskImage = this.masks?.get(level.image) ?? null;
+      }
+
+      if (this.channels) {
+        // composite: each level reads the same-size image of every channel
+        for (const level of this.levels) {
+          level.channelImages = this.channels.map((channel) => channel.images.find(
+            (im) => im.getWidth() === level.image.getWidth() && im.getHeight() === level.image.getHeight()
+          ) ?? null);
+        }
+      }
 
       this._tileWidth = this.levels[0].tileWidth;
       this._tileHeight = this.levels[0].tileHeight;
-
-      this.setupComplete();
     }
 
     static getGeoTiffFileDirectory(geoTiffFile) {
@@ -472,7 +1645,7 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
     static async resolveLayout(tiff, allTopImages, hints = {}) {
       const cfg = hints.layout || {};
       const pyramidPref = cfg.pyramid || "auto"; // "auto"|"ifd"|"subifd"
-      const planeIndex = Number.isFinite(cfg.planeIndex) ? cfg.planeIndex : 0;
+      const prefer = cfg.prefer || "pyramid"; // "pyramid"|"stack"
 
       // 1) Partition by size/tile shape
       const groups = new Map(); // key -> GeoTIFFImage[]
@@ -518,21 +1691,22 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
       const ifdPyramidOk = looksIFDPyramid(ifdLevelsLargestToSmallest);
 
       // 3) Detect SubIFD pyramid presence
-      const anyHasSubIFD = allTopImages.some(im => {
-        const sub = this.getGeoTiffFileDirectory(im).SubIFDs;
-        return sub && sub.length;
-      });
+      const anyHasSubIFD = allTopImages.some(im => hasSubIFDs(im));
+      const largestHasSubIFD = hasSubIFDs(uniqueBySize[0]);
 
       // 4) Choose pyramid strategy
-      let strategy = "single"; // "ifd"|"subifd"|"single"
+      let strategy = "single"; // "ifd"|"subifd"|"single"|"stack"
       if (pyramidPref === "ifd") strategy = ifdPyramidOk ? "ifd" : "single";
       else if (pyramidPref === "subifd") strategy = anyHasSubIFD ? "subifd" : "single";
       else {
-        // auto
-        if (ifdPyramidOk) strategy = "ifd";
+        // auto: SubIFDs on the full resolution page are explicit, IFD pyramid is only a size heuristic
+        if (largestHasSubIFD) strategy = "subifd";
+        // decreasing same-aspect IFDs may also be independent acquisitions at different resolutions
+        else if (ifdPyramidOk) strategy = prefer === "stack" ? "stack" : "ifd";
         else if (anyHasSubIFD) strategy = "subifd";
         else strategy = "single";
       }
+      const interpretation = strategy === "stack" ? "stack" : "pyramid";
 
       // 5) Planes/stack detection: multiple same-sized top-level IFDs
       // Choose the “largest size group” as the base stack
@@ -540,30 +1714,54 @@ export const enableGeoTIFFTileSource = (OpenSeadragon, options={}) => {
       const largestKey = largest.__key;
       const planes = groups.get(largestKey) || [largest];
 
-      // todo: the selection should warn if planeIndex is out, support getter for index selection (since the index
-      //   might not be known apriori so it is hard to send it as argument, and warn if we cannot use the index for
-      //   some reason
-      const chosenPlane = planes[Math.max(0, Math.min(planes.length - 1, planeIndex))];
+      // ASCII tags keep their NUL terminator
+      const ascii = (value) => (typeof value === "string" ? value.replace(/\0+$/, "") : null);
+      const planeInfos = planes.map((im, index) => {
+        const f = this.getGeoTiffFileDirectory(im);
+        return {
+          index,
+          ifd: im.__ifd ?? null,
+          width: im.getWidth(),
+          height: im.getHeight(),
+          name: ascii(f.PageName),
+          description: ascii(f.ImageDescription),
+        };
+      });
 
-      if (strategy === "subifd") {
-        logOnce(`${chosenPlane.__key}-subifd-warn`, `[GeoTIFFTileSource] File was detected to contain SubIFD pyramids, 
-however, geotiff.js does not support reading SubIFD files and is unable to display the pyramid. Only the
-high-resolution lowest level will be shown. Note that loading such data can crash your browser due to memory consumption.`, 'warn');
-        strategy = "ifd";
+      // planeIndex can be a selector, since the index is often not known before the file is inspected
+      let planeIndex = typeof cfg.planeIndex === "function" ? cfg.planeIndex(planeInfos) : cfg.planeIndex;
+      if (planeIndex === undefined || planeIndex === null) planeIndex = 0;
+      if (!Number.isInteger(planeIndex) || planeIndex < 0 || planeIndex >= planes.length) {
+        const clamped = Number.isFinite(planeIndex) ? Math.max(0, Math.min(planes.length - 1, Math.round(planeIndex))) : 0;
+        logOnce(`${largestKey}-planeIndex-${planeIndex}`, `[GeoTIFFTileSource] hints.layout.planeIndex=${planeIndex} is not a valid plane (0..${planes.length - 1}). Using plane ${clamped}.`, 'warn');
+        planeIndex = clamped;
       }
+      const chosenPlane = planes[planeIndex];
 
-      return { strategy, planes, chosenPlane, ifdLevelsLargestToSmallest };
+      return { strategy, interpretation, planes, planeInfos, chosenPlane, groups, ifdLevelsLargestToSmallest, allTopImages };
     }
 
     static async buildLevelImages(tiff, layout, warnKey) {
-      const { strategy, chosenPlane, ifdLevelsLargestToSmallest, planes } = layout;
+      const { strategy, chosenPlane, ifdLevelsLargestToSmallest, planes, groups } = layout;
+      const planeIndex = Math.max(0, planes.indexOf(chosenPlane));
       const fd = (img) => img.getFileDirectory?.() ?? img.fileDirectory ?? {};
 
+      if (strategy === "stack") {
+        // no levels: every top-level image is a plane of its own, in file order
+        return [...layout.allTopImages];
+      }
+
       if (strategy === "ifd") {
+        // Levels of the chosen plane: when every level stores one page per plane, take the page at the plane position
+        const levels = ifdLevelsLargestToSmallest.map((level, i) => {
+          if (i === 0) return chosenPlane;
+          const sameSize = groups?.get(level.__key);
+          return sameSize && sameSize.length === planes.length ? sameSize[planeIndex] : level;
+        });
         // OSD expects levels from smallest->largest usually; your code may use opposite
-        const levels = [...ifdLevelsLargestToSmallest].sort((a,b)=> a.getWidth()-b.getWidth());
+        levels.sort((a,b)=> a.getWidth()-b.getWidth());
         if (planes.length > 1) {
-          logOnce(warnKey, `[GeoTIFFTileSource] Detected a plane stack (${planes.length} same-size IFDs) AND a top-level pyramid. Defaulting to planeIndex=0. Set hints.layout.planeIndex to choose a different plane.`, 'warn');
+          logOnce(warnKey, `[GeoTIFFTileSource] Detected a plane stack (${planes.length} same-size IFDs) AND a top-level pyramid. Showing plane ${planeIndex}. Set hints.layout.planeIndex or call tileSource.setPlane() to choose a different plane.`, 'warn');
         }
         return levels;
       }
@@ -576,23 +1774,16 @@ high-resolution lowest level will be shown. Note that loading such data can cras
           return [chosenPlane];
         }
 
-        // Prefer geotiff.js public API if present
-        if (typeof chosenPlane.getSubIFDs === "function") {
-          const subs = await chosenPlane.getSubIFDs();
-          const levels = [...subs, chosenPlane].sort((a,b)=> a.getWidth()-b.getWidth());
-          if (planes.length > 1) {
-            logOnce(warnKey, `[GeoTIFFTileSource] Detected a plane stack (${planes.length} same-size IFDs) with SubIFD pyramid. Defaulting to planeIndex=0. Set hints.layout.planeIndex to choose plane.`, 'warn');
-          }
-          return levels;
+        const levels = await readSubIFDPyramid(tiff, chosenPlane);
+        if (planes.length > 1) {
+          logOnce(warnKey, `[GeoTIFFTileSource] Detected a plane stack (${planes.length} same-size IFDs) with SubIFD pyramid. Showing plane ${planeIndex}. Set hints.layout.planeIndex or call tileSource.setPlane() to choose a different plane.`, 'warn');
         }
-
-        logOnce(warnKey, `[GeoTIFFTileSource] SubIFDs are present but geotiff.js does not expose getSubIFDs() in this build. Using single level. (You can still render multi-plane data via your GPU pipeline.)`, 'warn');
-        return [chosenPlane];
+        return levels.sort((a,b)=> a.getWidth()-b.getWidth());
       }
 
       // single level
       if (planes.length > 1) {
-        logOnce(warnKey, `[GeoTIFFTileSource] Detected ${planes.length} same-size IFD pages (likely channels/planes). No pyramid detected. Defaulting to planeIndex=0. Set hints.layout.planeIndex to choose plane.`, 'warn');
+        logOnce(warnKey, `[GeoTIFFTileSource] Detected ${planes.length} same-size IFD pages (likely channels/planes). No pyramid detected. Showing plane ${planeIndex}. Set hints.layout.planeIndex or call tileSource.setPlane() to choose a different plane.`, 'warn');
       }
       return [chosenPlane];
     }
@@ -607,32 +1798,53 @@ high-resolution lowest level will be shown. Note that loading such data can cras
         (v) => v * level.scaleFactor
       );
 
-      const image = level.image;
-      const isQPTIFF = image.fileDirectory?.["Software"]?.startsWith("PerkinElmer-QPI");
-
-      // For QPTIFF we keep channel color as a *hint* (conversion/renderer decides what to do with it).
-      let tintRGB = null;
-      if (isQPTIFF && image.fileDirectory?.["ImageDescription"]) {
-        try {
-          const qptiffXML = new DOMParser().parseFromString(image.fileDirectory["ImageDescription"], "text/xml");
-          const channelColor = qptiffXML.querySelector("Color")?.textContent;
-          tintRGB = channelColor ? channelColor.split(",").map((v) => parseInt(v, 10)) : null;
-        } catch {
-          tintRGB = null;
-        }
-      }
+      const logLatency = () => {
+        this.options.logLatency &&
+        (typeof this.options.logLatency == "function" ? this.options.logLatency : console.log)(
+          "Tile decode latency (ms):",
+          Date.now() - startTime
+        );
+      };
 
-      // Key point: do NOT do raster -> RGBA conversion here.
-      // Read planar rasters (interleave:false) and wrap as a tiffRaster type.
-      return image.readRasters({
+      const readOptions = {
         interleave: false,
         window,
         pool: this._pool,
         width: tileWidth,
         height: tileHeight,
         signal: abortSignal,
-      }).then((rasters) => {
+      };
+
+      if (level.channelImages) {
+        return this.compositeRegionToTiffRaster(level, readOptions).then((tiffRaster) => {
+          logLatency();
+          return tiffRaster;
+        });
+      }
+
+      const image = level.image;
+      const isQPTIFF = image.fileDirectory?.["Software"]?.startsWith("PerkinElmer-QPI");
+
+      // For QPTIFF we keep channel color as a *hint* (conversion/renderer decides what to do with it).
+      // The page description is parsed once and cached, not for every tile.
+      const tintRGB = isQPTIFF ? getPerkinElmerImageInfo(image)?.color ?? null : null;
+      // the renderer reads the tags too, sidecars are only known to the source
+      const noData = this.getNoData();
+      const bandMetadata = this.getBandMetadata();
+
+      // Key point: do NOT do raster -> RGBA conversion here.
+      // Read planar rasters (interleave:false) and wrap as a tiffRaster type.
+      // The transparency mask of the image covers the same window.
+      const { maskImage } = level;
+      return Promise.all([
+        image.readRasters(readOptions),
+        maskImage ? maskImage.readRasters(readOptions) : null,
+        this._getClipRanges(),
+      ]).then(([rasters, maskRasters, clipRanges]) => {
         const bands = Array.isArray(rasters) ? rasters : [rasters];
+        const transparencyMask = maskRasters
+          ? maskToAlpha(Array.isArray(maskRasters) ? maskRasters[0] : maskRasters, maskImage.fileDirectory?.BitsPerSample?.[0] ?? 1)
+          : null;
 
         const fd = image.fileDirectory || {};
         const tiffRaster = new RawTiffAPI.TiffRaster({
@@ -645,25 +1857,92 @@ high-resolution lowest level will be shown. Note that loading such data can cras
           photometricInterpretation: fd.PhotometricInterpretation,
           colorMap: fd.ColorMap || null,
           fileDirectory: fd,
+          ...(transparencyMask ? { transparencyMask } : {}),
+          ...(bandMetadata ? { bandMetadata } : {}),
           hints: {
             ...(this.channel ? { channel: this.channel } : {}),
             ...(tintRGB ? { tintRGB } : {}),
+            ...(noData ? { noData } : {}),
+            ...(clipRanges ? { clipRanges } : {}),
           },
         });
 
-        this.options.logLatency &&
-        (typeof this.options.logLatency == "function" ? this.options.logLatency : console.log)(
-          "Tile decode latency (ms):",
-          Date.now() - startTime
-        );
-
+        logLatency();
         return tiffRaster;
       });
     }
+
+    /**
+     * Decode the whole image at a reduced size, e.g. to show a label or a thumbnail outside of the viewer.
+     * The smallest level that is at least maxSize on its longest side is read and downsampled to fit maxSize.
+     * @function
+     * @param {Object} [options]
+     * @param {String} [options.as="imageBitmap"] "imageBitmap" or "tiffRaster"
+     * @param {Number} [options.maxSize=1024] longest side of the decoded image
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<ImageBitmap|TiffRaster>}
+     */
+    async readImage({ as = "imageBitmap", maxSize = 1024, signal } = {}) {
+      if (as !== "imageBitmap" && as !== "tiffRaster") {
+        throw new Error(`[GeoTIFFTileSource] Unsupported image type "${as}", use "imageBitmap" or "tiffRaster".`);
+      }
+      await this.promises.ready.promise;
+
+      // levels are sorted from the smallest to the largest
+      const level = this.levels.find((l) => Math.max(l.width, l.height) >= maxSize) ?? this.levels[this.levels.length - 1];
+      const scale = Math.min(1, maxSize / Math.max(level.width, level.height));
+      const width = Math.max(1, Math.round(level.width * scale));
+      const height = Math.max(1, Math.round(level.height * scale));
+
+      // a single tile covering the whole level
+      const tiffRaster = await this.regionToTiffRaster(
+        {
+          ...level,
+          tileWidth: width,
+          tileHeight: height,
+          scaleFactor: (level.scaleFactor * level.width) / width,
+        },
+        0,
+        0,
+        signal
+      );
+      if (as === "tiffRaster") return tiffRaster;
+      return RawTiffAPI.rasterToImageBitmap({ tileSource: this }, tiffRaster);
+    }
+
+    /**
+     * Read the same region from every channel image of a composite level,
+     * each channel becomes one band of the raster.
+     * @function
+     * @param {Object} level
+     * @param {Object} readOptions options for GeoTIFFImage.readRasters
+     * @returns {Promise<TiffRaster>}
+     */
+    compositeRegionToTiffRaster(level, readOptions) {
+      const { width, height } = readOptions;
+      const noData = this.getNoData();
+      return Promise.all(level.channelImages.map((image) => {
+        // a channel without an image at this resolution contributes nothing
+        if (!image) return new Uint8Array(width * height);
+        return image.readRasters(readOptions).then((rasters) => (Array.isArray(rasters) ? rasters[0] : rasters));
+      })).then((bands) => new RawTiffAPI.TiffRaster({
+        width,
+        height,
+        bands,
+        samplesPerPixel: bands.length,
+        bitsPerSample: level.channelImages.map((image) => image?.fileDirectory?.BitsPerSample?.[0] ?? 8),
+        sampleFormat: level.channelImages.map((image) => image?.fileDirectory?.SampleFormat?.[0] ?? 1),
+        photometricInterpretation: undefined,
+        colorMap: null,
+        fileDirectory: level.image.fileDirectory || {},
+        hints: noData ? { noData } : {},
+      }));
+    }
   }
 
   // Attach the class to the OpenSeadragon namespace
   OpenSeadragon.GeoTIFFTileSource = GeoTIFFTileSource;
+  OpenSeadragon.GeoTIFFMosaicTileSource = createMosaicTileSource(OpenSeadragon, GeoTIFFTileSource, RawTiffAPI);
 };
 
 // Run an IIFE to attach the GeoTIFFTileSource to the OpenSeadragon namespace
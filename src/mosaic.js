@@ -0,0 +1,379 @@
+/**
+ * GeoTIFF Mosaic Tile Source
+ *
+ * Presents several georeferenced GeoTIFFs sharing a coordinate reference system (a folder
+ * of scene tiles, overlapping flights) as a single seamless pyramid. The mosaic grid covers
+ * the union of the inputs at the finest input resolution, north up. Each output tile is
+ * assembled from readRasters windows of the overlapping inputs, read from the input level
+ * closest to the output resolution; where inputs overlap, the input with the highest
+ * priority is drawn last, except for its NoData pixels. Areas no input covers are filled with
+ * the NoData value of the first input, 0 without one.
+ */
+
+import {
+  describeCoordinateReferenceSystem,
+  getWorldBounds,
+  sameCoordinateReferenceSystem,
+} from "./formats/georeference.js";
+import { noDataMask } from "./formats/nodata.js";
+
+// relative tolerance when comparing pixel sizes and rotation terms
+const EPSILON = 1e-9;
+
+const ARRAY_TYPES = {
+  1: { 8: Uint8Array, 16: Uint16Array, 32: Uint32Array },
+  2: { 8: Int8Array, 16: Int16Array, 32: Int32Array },
+  3: { 32: Float32Array, 64: Float64Array },
+};
+
+/**
+ * Typed array constructor of samples, as geotiff.js returns them.
+ *
+ * @param {number} bitsPerSample
+ * @param {number} [sampleFormat=1] 1 unsigned, 2 signed, 3 floating point
+ * @returns {Function}
+ */
+const arrayTypeOf = (bitsPerSample, sampleFormat = 1) =>
+  ARRAY_TYPES[sampleFormat]?.[bitsPerSample] ?? Uint8Array;
+
+/**
+ * Sort inputs by priority, the winner of overlaps first.
+ *
+ * @param {Object[]} inputs
+ * @param {"first"|"last"|"finest"|Function} priority
+ * @returns {Object[]}
+ */
+const sortByPriority = (inputs, priority) => {
+  if (priority === "first") return [...inputs];
+  if (priority === "last") return [...inputs].reverse();
+  if (priority === "finest") return [...inputs].sort((a, b) => a.pixelWidth - b.pixelWidth);
+  if (typeof priority === "function") {
+    return [...inputs].sort((a, b) => priority(a.tileSource, b.tileSource));
+  }
+  throw new Error(
+    `[GeoTIFFTileSource] Unknown mosaic priority "${priority}", use "first", "last", "finest" or a function.`
+  );
+};
+
+/**
+ * Create the GeoTIFFMosaicTileSource class.
+ *
+ * @param {OpenSeadragon} OpenSeadragon
+ * @param {Function} GeoTIFFTileSource
+ * @param {Object} RawTiffAPI
+ * @returns {Function}
+ */
+export const createMosaicTileSource = (OpenSeadragon, GeoTIFFTileSource, RawTiffAPI) => {
+  /**
+   * @class GeoTIFFMosaicTileSource
+   * @memberof OpenSeadragon
+   * @extends OpenSeadragon.GeoTIFFTileSource
+   * @param {Object} input
+   * @param {GeoTIFFTileSource[]} input.tileSources opened, georeferenced sources sharing a CRS
+   * @param {"first"|"last"|"finest"|Function} [input.priority="first"] which input is drawn where inputs overlap:
+   *                 the first or last given, the finest resolution, or a compare function sorting tile sources
+   *                 from the highest priority, as for Array.sort
+   * @param {Object} opts options of GeoTIFFTileSource (tileWidth, tileHeight, format, logLatency)
+   *
+   * @property {Object[]} inputs inputs sorted from the highest priority:
+   *                 {tileSource, transform, pixelWidth, pixelHeight, left, top, right, bottom}, bounds in mosaic pixels
+   */
+  class GeoTIFFMosaicTileSource extends GeoTIFFTileSource {
+    constructor({ tileSources, priority = "first" } = {}, opts = {}) {
+      if (!tileSources?.length) {
+        throw new Error("[GeoTIFFTileSource] A mosaic needs at least one tile source.");
+      }
+      if (tileSources.some((tileSource) => !tileSource.levels)) {
+        throw new Error(
+          "[GeoTIFFTileSource] Mosaic inputs must be opened first, use GeoTIFFMosaicTileSource.open()."
+        );
+      }
+      super(
+        {
+          GeoTIFF: tileSources[0].GeoTIFF,
+          GeoTIFFImages: tileSources.map(
+            (tileSource) => tileSource.levels[tileSource.maxLevel].image
+          ),
+          tileSources,
+          priority,
+        },
+        opts
+      );
+    }
+
+    /**
+     * Open files, or reuse opened sources, and create a mosaic of their main images.
+     * @function
+     * @param {Array<String|File|GeoTIFFTileSource>} inputs urls, files or tile sources
+     * @param {Object} [opts] options of the mosaic and of the opened files
+     * @param {"first"|"last"|"finest"|Function} [opts.priority="first"]
+     * @returns {Promise<GeoTIFFMosaicTileSource>}
+     */
+    static async open(inputs, { priority = "first", ...opts } = {}) {
+      const tileSources = await Promise.all(
+        inputs.map(async (input) =>
+          input instanceof GeoTIFFTileSource
+            ? input
+            : (await GeoTIFFTileSource.openDataset(input, opts)).main[0].tileSource
+        )
+      );
+      await Promise.all(tileSources.map((tileSource) => tileSource.promises.ready.promise));
+      return new this({ tileSources, priority }, opts);
+    }
+
+    /**
+     * Compute the mosaic grid from the geotransforms of the inputs, and a power of two pyramid.
+     * @function
+     */
+    computeLevels() {
+      const { tileSources, priority } = this.input;
+      const crs = tileSources[0].getCoordinateReferenceSystem();
+      const first = tileSources[0].levels[tileSources[0].maxLevel].image.fileDirectory ?? {};
+
+      const inputs = tileSources.map((tileSource) => {
+        const transform = tileSource.getGeoTransform();
+        if (!transform) {
+          throw new Error("[GeoTIFFTileSource] Mosaic inputs must be georeferenced.");
+        }
+        const other = tileSource.getCoordinateReferenceSystem();
+        if (!sameCoordinateReferenceSystem(crs, other)) {
+          throw new Error(
+            `[GeoTIFFTileSource] Mosaic inputs do not share a coordinate reference system (${describeCoordinateReferenceSystem(crs)} and ${describeCoordinateReferenceSystem(other)}).`
+          );
+        }
+        const [, a, b, , d, e] = transform;
+        if (
+          Math.abs(b) > EPSILON * Math.abs(a) ||
+          Math.abs(d) > EPSILON * Math.abs(e) ||
+          a <= 0 ||
+          e >= 0
+        ) {
+          throw new Error(
+            "[GeoTIFFTileSource] Mosaic inputs must be north up, rotated or flipped rasters are not supported."
+          );
+        }
+        const fd = tileSource.levels[tileSource.maxLevel].image.fileDirectory ?? {};
+        if (
+          (fd.SamplesPerPixel ?? 1) !== (first.SamplesPerPixel ?? 1) ||
+          (fd.BitsPerSample?.[0] ?? 8) !== (first.BitsPerSample?.[0] ?? 8) ||
+          (fd.SampleFormat?.[0] ?? 1) !== (first.SampleFormat?.[0] ?? 1)
+        ) {
+          throw new Error(
+            "[GeoTIFFTileSource] Mosaic inputs must have the same samples per pixel and sample type."
+          );
+        }
+        return { tileSource, transform, pixelWidth: a, pixelHeight: -e };
+      });
+
+      // the finest resolution of the inputs, over the union of their bounds
+      const bounds = inputs.map(({ tileSource, transform }) =>
+        getWorldBounds(transform, tileSource.width, tileSource.height)
+      );
+      const pixelWidth = Math.min(...inputs.map((input) => input.pixelWidth));
+      const pixelHeight = Math.min(...inputs.map((input) => input.pixelHeight));
+      const minX = Math.min(...bounds.map((bound) => bound.minX));
+      const maxY = Math.max(...bounds.map((bound) => bound.maxY));
+      this.mosaicTransform = [minX, pixelWidth, 0, maxY, 0, -pixelHeight];
+      this.crs = crs;
+
+      // input bounds in mosaic pixels
+      for (const input of inputs) {
+        input.left = (input.transform[0] - minX) / pixelWidth;
+        input.top = (maxY - input.transform[3]) / pixelHeight;
+        input.right = input.left + (input.tileSource.width * input.pixelWidth) / pixelWidth;
+        input.bottom = input.top + (input.tileSource.height * input.pixelHeight) / pixelHeight;
+      }
+      this.inputs = sortByPriority(inputs, priority);
+      this.fileDirectory = first;
+
+      this.width = Math.ceil(Math.max(...inputs.map((input) => input.right)) - EPSILON);
+      this.height = Math.ceil(Math.max(...inputs.map((input) => input.bottom)) - EPSILON);
+      this.tileOverlap = 0;
+      this.minLevel = 0;
+      this.aspectRatio = this.width / this.height;
+      this.dimensions = new OpenSeadragon.Point(this.width, this.height);
+
+      // halve the mosaic until a level fits in a single tile, scaleFactor is in mosaic pixels per level pixel
+      const tileWidth = this.options.tileWidth || this._tileSize;
+      const tileHeight = this.options.tileHeight || this._tileSize;
+      const numPowersOfTwo = Math.max(
+        0,
+        Math.ceil(Math.log2(Math.max(this.width / tileWidth, this.height / tileHeight)))
+      );
+      this.levels = [...Array(numPowersOfTwo + 1).keys()]
+        .map((levelnum) => {
+          const scale = Math.pow(2, levelnum);
+          return {
+            width: this.width / scale,
+            height: this.height / scale,
+            tileWidth,
+            tileHeight,
+            image: undefined,
+            scaleFactor: scale,
+          };
+        })
+        .sort((a, b) => a.width - b.width);
+      this.maxLevel = this.levels.length - 1;
+      this._tileWidth = tileWidth;
+      this._tileHeight = tileHeight;
+    }
+
+    /**
+     * Return the affine transform from pixels of a level of the mosaic to world coordinates.
+     * @function
+     * @param {Number} [level] level whose pixels are transformed, the full resolution level by default
+     * @returns {GeoTransform}
+     */
+    getGeoTransform(level = this.maxLevel) {
+      const factor = this.levels?.[level] ? this.width / this.levels[level].width : 1;
+      const [x0, a, b, y0, d, e] = this.mosaicTransform;
+      return [x0, a * factor, b * factor, y0, d * factor, e * factor];
+    }
+
+    /**
+     * Return the coordinate reference system shared by the inputs.
+     * @function
+     * @returns {CoordinateReferenceSystem|null}
+     */
+    getCoordinateReferenceSystem() {
+      return this.crs;
+    }
+
+    /**
+     * Return the NoData value of each band of the first input.
+     * @function
+     * @returns {Array<Number|null>|null}
+     */
+    getNoData() {
+      return this.input.tileSources[0].getNoData();
+    }
+
+    /**
+     * Return the metadata of each band of the first input.
+     * @function
+     * @returns {Array<BandMetadata|null>|null}
+     */
+    getBandMetadata() {
+      return this.input.tileSources[0].getBandMetadata();
+    }
+
+    /**
+     * Assemble a tile of the mosaic from the inputs overlapping it.
+     * @function
+     * @param {Object} level
+     * @param {Number} x
+     * @param {Number} y
+     * @param {AbortSignal} abortSignal
+     * @returns {Promise<TiffRaster>}
+     */
+    async regionToTiffRaster(level, x, y, abortSignal) {
+      const startTime = this.options.logLatency && Date.now();
+      const { tileWidth, tileHeight, scaleFactor } = level;
+      // tile bounds in mosaic pixels
+      const left = x * tileWidth * scaleFactor;
+      const top = y * tileHeight * scaleFactor;
+
+      const fd = this.fileDirectory;
+      const samplesPerPixel = fd.SamplesPerPixel ?? 1;
+      const ArrayType = arrayTypeOf(fd.BitsPerSample?.[0] ?? 8, fd.SampleFormat?.[0] ?? 1);
+      const bands = Array.from(
+        { length: samplesPerPixel },
+        () => new ArrayType(tileWidth * tileHeight)
+      );
+      const noData = this.getNoData();
+      const bandMetadata = this.getBandMetadata();
+      if (noData) {
+        bands.forEach((band, index) => noData[index] !== null && band.fill(noData[index]));
+      }
+
+      // tile pixels covered by each input, then their windows, read in parallel
+      const reads = this.inputs
+        .map((input) => {
+          const u0 = Math.max(0, Math.round((input.left - left) / scaleFactor));
+          const v0 = Math.max(0, Math.round((input.top - top) / scaleFactor));
+          const u1 = Math.min(tileWidth, Math.round((input.right - left) / scaleFactor));
+          const v1 = Math.min(tileHeight, Math.round((input.bottom - top) / scaleFactor));
+          if (u0 >= u1 || v0 >= v1) return null;
+
+          const { tileSource } = input;
+          // input pixels per tile pixel, read from the smallest input level that is fine enough
+          const downsample = (scaleFactor * this.mosaicTransform[1]) / input.pixelWidth;
+          const inputLevel =
+            tileSource.levels.find(
+              (l) => l.width * downsample >= tileSource.width * (1 - EPSILON)
+            ) ?? tileSource.levels[tileSource.maxLevel];
+          // input full resolution pixels to pixels of the level image
+          const toImage = (inputLevel.width / tileSource.width) * inputLevel.scaleFactor;
+          const toInputX = (u) =>
+            ((left + u * scaleFactor - input.left) * this.mosaicTransform[1]) / input.pixelWidth;
+          const toInputY = (v) =>
+            ((top + v * scaleFactor - input.top) * -this.mosaicTransform[5]) / input.pixelHeight;
+          const window = [toInputX(u0), toInputY(v0), toInputX(u1), toInputY(v1)].map((value) =>
+            Math.round(value * toImage)
+          );
+          window[2] = Math.max(window[2], window[0] + 1);
+          window[3] = Math.max(window[3], window[1] + 1);
+
+          return inputLevel.image
+            .readRasters({
+              interleave: false,
+              window,
+              pool: this._pool,
+              width: u1 - u0,
+              height: v1 - v0,
+              signal: abortSignal,
+            })
+            .then((rasters) => ({
+              u0,
+              v0,
+              u1,
+              rasters: Array.isArray(rasters) ? rasters : [rasters],
+              noData: tileSource.getNoData(),
+            }));
+        })
+        .filter(Boolean);
+      const windows = await Promise.all(reads);
+
+      // the lowest priority first, so inputs with a higher priority are drawn over it
+      for (const { u0, v0, u1, rasters, noData: inputNoData } of windows.reverse()) {
+        const width = u1 - u0;
+        // NoData pixels of an input, by its own NoData values, let the inputs below show through
+        const mask = noDataMask(rasters, inputNoData);
+        rasters.slice(0, samplesPerPixel).forEach((source, band) => {
+          for (let row = 0; row * width < source.length; row++) {
+            const offset = (v0 + row) * tileWidth + u0;
+            if (!mask) {
+              bands[band].set(source.subarray(row * width, (row + 1) * width), offset);
+              continue;
+            }
+            for (let i = row * width, j = offset; i < (row + 1) * width; i++, j++) {
+              if (mask[i]) bands[band][j] = source[i];
+            }
+          }
+        });
+      }
+
+      this.options.logLatency &&
+        (typeof this.options.logLatency == "function" ? this.options.logLatency : console.log)(
+          "Tile decode latency (ms):",
+          Date.now() - startTime
+        );
+
+      return new RawTiffAPI.TiffRaster({
+        width: tileWidth,
+        height: tileHeight,
+        bands,
+        samplesPerPixel,
+        bitsPerSample: fd.BitsPerSample || [8],
+        sampleFormat: fd.SampleFormat || null,
+        photometricInterpretation: fd.PhotometricInterpretation,
+        colorMap: fd.ColorMap || null,
+        fileDirectory: fd,
+        ...(bandMetadata ? { bandMetadata } : {}),
+        hints: noData ? { noData } : {},
+      });
+    }
+  }
+
+  return GeoTIFFMosaicTileSource;
+};
@@ -103,11 +103,12 @@ export class Converters {
     return rgbaRaster;
   }
 
-  static RGBAfromWhiteIsZero(input, max) {
+  static RGBAfromWhiteIsZero(input, max, min = 0) {
     const rgbaRaster = new Uint8ClampedArray(input.length * 4);
+    const range = max - min || 1;
     let value;
     for (let i = 0, j = 0; i < input.length; ++i, j += 4) {
-      value = 256 - (input[i] / max) * 256;
+      value = 256 - ((input[i] - min) / range) * 256;
       rgbaRaster[j] = value;
       rgbaRaster[j + 1] = value;
       rgbaRaster[j + 2] = value;
@@ -116,11 +117,12 @@ export class Converters {
     return rgbaRaster;
   }
 
-  static RGBAfromBlackIsZero(input, max) {
+  static RGBAfromBlackIsZero(input, max, min = 0) {
     const rgbaRaster = new Uint8ClampedArray(input.length * 4);
+    const range = max - min || 1;
     let value;
     for (let i = 0, j = 0; i < input.length; ++i, j += 4) {
-      value = (input[i] / max) * 256;
+      value = ((input[i] - min) / range) * 256;
       rgbaRaster[j] = value;
       rgbaRaster[j + 1] = value;
       rgbaRaster[j + 2] = value;
@@ -129,6 +131,44 @@ export class Converters {
     return rgbaRaster;
   }
 
+  static RGBAfromComposite(bands, channels, bitsPerSample = null) {
+    // Additive blend of any number of bands:
+    //  - channels: [{band, color: [r,g,b], min, max, visible}]
+    //  - each visible band is windowed to [min, max], tinted by color and summed
+    const n = bands.length ? bands[0].length : 0;
+    const acc = new Float32Array(n * 3);
+    for (const channel of channels) {
+      if (!channel || channel.visible === false) continue;
+      const band = bands[channel.band];
+      if (!band) continue;
+
+      const isFloat = band instanceof Float32Array || band instanceof Float64Array;
+      const bits = bitsPerSample && bitsPerSample[channel.band] != null ? bitsPerSample[channel.band] : 8;
+      const min = channel.min != null ? channel.min : 0;
+      const max = channel.max != null ? channel.max : (isFloat ? 1 : Math.pow(2, bits) - 1);
+      const range = max - min || 1;
+      const [r, g, b] = channel.color || [255, 255, 255];
+
+      for (let i = 0, j = 0; i < n; i++, j += 3) {
+        let t = (band[i] - min) / range;
+        if (!(t > 0)) continue; // also skips NaN
+        if (t > 1) t = 1;
+        acc[j] += t * r;
+        acc[j + 1] += t * g;
+        acc[j + 2] += t * b;
+      }
+    }
+
+    const rgbaRaster = new Uint8ClampedArray(n * 4);
+    for (let i = 0, j = 0, k = 0; i < n; i++, j += 4, k += 3) {
+      rgbaRaster[j] = acc[k];
+      rgbaRaster[j + 1] = acc[k + 1];
+      rgbaRaster[j + 2] = acc[k + 2];
+      rgbaRaster[j + 3] = 255;
+    }
+    return rgbaRaster;
+  }
+
   static RGBAfromPalette(input, colorMap) {
     const rgbaRaster = new Uint8ClampedArray(input.length * 4);
     const greenOffset = colorMap.length / 3;
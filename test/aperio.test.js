@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { getAperioImageRole, parseAperioDescription } from "../src/formats/aperio.js";
+
+// ImageDescription of the first IFD of OpenSlide's CMU-1.svs test slide
+const description =
+  "Aperio Image Library v10.0.51\r\n" +
+  "46920x33014 [0,100 46000x32914] (256x256) JPEG/RGB Q=30" +
+  "|AppMag = 20|StripeWidth = 2040|ScanScope ID = CPAPERIOCS|Filename = CMU-1|Date = 12/29/09" +
+  "|Time = 09:59:15|User = b414003d-95c6-48b0-9369-8010ed517ba7|Parmset = USM Filter|MPP = 0.4990" +
+  "|Left = 25.691574|Top = 23.449873|LineCameraSkew = -0.000424|Focus Offset = 0.000000";
+
+describe("Aperio SVS reader", () => {
+  it("parses key = value pairs of the ImageDescription", () => {
+    const metadata = parseAperioDescription(description);
+
+    expect(metadata.format).toBe("aperio");
+    expect(metadata.version).toBe("v10.0.51");
+    expect(metadata.header).toBe("46920x33014 [0,100 46000x32914] (256x256) JPEG/RGB Q=30");
+    expect(metadata.mpp).toBe(0.499);
+    expect(metadata.appMag).toBe(20);
+    expect(metadata.scanScopeId).toBe("CPAPERIOCS");
+    expect(metadata.date).toBe("12/29/09");
+    expect(metadata.time).toBe("09:59:15");
+    expect(metadata.properties["Parmset"]).toBe("USM Filter");
+    expect(metadata.properties["LineCameraSkew"]).toBe(-0.000424);
+  });
+
+  it("returns null for other descriptions", () => {
+    expect(parseAperioDescription("ImageJ=1.52p\nimages=3")).toBe(null);
+    expect(parseAperioDescription(undefined)).toBe(null);
+  });
+
+  it("detects associated images", () => {
+    expect(getAperioImageRole("Aperio Image Library v10.0.51\r\nlabel 387x463")).toBe("label");
+    expect(getAperioImageRole("Aperio Image Library v10.0.51\r\nmacro 1280x431")).toBe("macro");
+    expect(
+      getAperioImageRole("Aperio Image Library v10.0.51\r\n46000x32914 -> 1024x732 - |AppMag = 20")
+    ).toBe("thumbnail");
+    expect(getAperioImageRole(description)).toBe(null);
+    expect(
+      getAperioImageRole(
+        "Aperio Image Library v10.0.51\r\n46000x32914 [0,0 46000x32914] (256x256) -> 11500x8228 JPEG/RGB Q=30"
+      )
+    ).toBe(null);
+  });
+});
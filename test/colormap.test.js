@@ -0,0 +1,157 @@
+import { describe, expect, it, vi } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { COLORMAPS, createColormapLUT } from "../src/formats/colormap.js";
+import { renderInWorker } from "./helpers/worker-render.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+const entry = (lut, index) => Array.from(lut.slice(index * 4, index * 4 + 4));
+
+const gray16 = (values, extra = {}) =>
+  new OpenSeadragon.RawTiffPlugin.TiffRaster({
+    width: values.length,
+    height: 1,
+    bands: [new Uint16Array(values)],
+    samplesPerPixel: 1,
+    bitsPerSample: [16],
+    photometricInterpretation: 1,
+    fileDirectory: {},
+    ...extra,
+  });
+
+const pixels = (rgba) =>
+  Array.from({ length: rgba.length / 4 }, (_, i) => Array.from(rgba.slice(i * 4, i * 4 + 3)));
+
+describe("colormaps", () => {
+  it("builds 256 entry lookup tables of built-in and custom colormaps", () => {
+    expect(COLORMAPS).toEqual(["viridis", "magma", "inferno", "turbo", "jet", "gray"]);
+    const viridis = createColormapLUT("viridis");
+    expect(viridis).toHaveLength(1024);
+    expect(entry(viridis, 0)).toEqual([0x44, 0x01, 0x54, 255]);
+    expect(entry(viridis, 255)).toEqual([0xfd, 0xe7, 0x25, 255]);
+    // entries of the matplotlib tables, not blends of a few stops
+    expect(entry(viridis, 128)).toEqual([33, 145, 140, 255]);
+    expect(entry(createColormapLUT("magma"), 64)).toEqual([81, 18, 124, 255]);
+    expect(entry(createColormapLUT("gray"), 100)).toEqual([100, 100, 100, 255]);
+    expect(entry(createColormapLUT("jet"), 0)).toEqual([0, 0, 127, 255]);
+    for (const name of COLORMAPS) expect(createColormapLUT(name)).toHaveLength(1024);
+
+    const custom = createColormapLUT({
+      stops: [
+        [1, [255, 0, 0]],
+        [0, "#000000"],
+      ],
+    });
+    expect(entry(custom, 0)).toEqual([0, 0, 0, 255]);
+    expect(entry(custom, 51)).toEqual([51, 0, 0, 255]);
+    expect(() => createColormapLUT("parula")).toThrow(/Unknown colormap/);
+    expect(() =>
+      createColormapLUT({
+        stops: [
+          [0, "red"],
+          [1, "#ffffff"],
+        ],
+      })
+    ).toThrow(/Invalid colormap color/);
+    // copies, changing one does not change the next
+    createColormapLUT("magma")[0] = 99;
+    expect(createColormapLUT("magma")[0]).toBe(0);
+  });
+
+  it("colors single band images with the display range of the band", () => {
+    const api = OpenSeadragon.RawTiffPlugin;
+    const format = {
+      image: {
+        colormap: {
+          stops: [
+            [0, "#000000"],
+            [1, "#ff0000"],
+          ],
+        },
+      },
+    };
+    const raster = gray16([1000, 1500, 2000], {
+      bandMetadata: [{ band: 1, statistics: { min: 1000, max: 2000 } }],
+      hints: { format },
+    });
+    expect(pixels(api.rasterToRGBA8(raster))).toEqual([
+      [0, 0, 0],
+      [128, 0, 0],
+      [255, 0, 0],
+    ]);
+
+    // the toneMap window and curve apply before the lookup
+    raster.hints.format = { ...format, toneMap: { min: 1500, max: 2000 } };
+    expect(pixels(api.rasterToRGBA8(raster))).toEqual([
+      [0, 0, 0],
+      [0, 0, 0],
+      [255, 0, 0],
+    ]);
+
+    // colors follow the stored values of WhiteIsZero images too
+    const whiteIsZero = gray16([1000, 2000], {
+      photometricInterpretation: 0,
+      bandMetadata: [{ band: 1, statistics: { min: 1000, max: 2000 } }],
+      hints: { format },
+    });
+    expect(pixels(api.rasterToRGBA8(whiteIsZero))).toEqual([
+      [0, 0, 0],
+      [255, 0, 0],
+    ]);
+
+    // RGB images are not colored
+    const rgb = new api.TiffRaster({
+      width: 1,
+      height: 1,
+      bands: [new Uint8Array([10]), new Uint8Array([20]), new Uint8Array([30])],
+      samplesPerPixel: 3,
+      bitsPerSample: [8, 8, 8],
+      photometricInterpretation: 2,
+      hints: { format: { image: { colormap: "viridis" } } },
+    });
+    expect(pixels(api.rasterToRGBA8(rgb))).toEqual([[10, 20, 30]]);
+  });
+
+  it("colors the same in the worker", async () => {
+    const api = OpenSeadragon.RawTiffPlugin;
+    const format = {
+      interpretation: "image",
+      gpu: { preferRGBA8: true },
+      image: { colormap: "turbo" },
+    };
+    const values = Array.from({ length: 64 }, (_, i) => i * 1000);
+    const main = api.rasterToRGBA8(gray16(values, { hints: { format } }));
+    const worker = await renderInWorker(gray16(values), format);
+    expect(Array.from(worker)).toEqual(Array.from(main));
+  });
+
+  it("gives the lookup table to data mode gpuTextureSet consumers", async () => {
+    const api = OpenSeadragon.RawTiffPlugin;
+    expect(api.colormaps).toContain("inferno");
+    expect(api.getColormapLUT("inferno")).toEqual(createColormapLUT("inferno"));
+
+    const toTextures = (colormap) =>
+      api.convert(
+        {},
+        gray16([0, 10], { hints: { format: { interpretation: "data", image: { colormap } } } }),
+        "gpuTextureSet",
+        "tiffRaster"
+      );
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const textures = await toTextures("inferno");
+    expect(textures.colormap).toEqual(createColormapLUT("inferno"));
+
+    // tiles of a custom colormap share its table
+    const custom = {
+      stops: [
+        [0, "#000000"],
+        [1, "#00ff00"],
+      ],
+    };
+    const [first, second] = [await toTextures(custom), await toTextures(custom)];
+    warn.mockRestore();
+    expect(entry(first.colormap, 255)).toEqual([0, 255, 0, 255]);
+    expect(second.colormap).toBe(first.colormap);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { Converters } from "../src/utils/Converters.js";
+import { renderInWorker } from "./helpers/worker-render.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+const pixel = (rgba, i) => Array.from(rgba.slice(i * 4, i * 4 + 4));
+
+describe("composite rendering", () => {
+  const red = new Uint16Array([0, 1000, 2000, 4000]);
+  const green = new Uint16Array([4000, 4000, 0, 4000]);
+
+  it("blends windowed channels additively", () => {
+    const rgba = Converters.RGBAfromComposite(
+      [red, green],
+      [
+        { band: 0, color: [255, 0, 0], min: 0, max: 2000 },
+        { band: 1, color: [0, 255, 0], min: 0, max: 4000 },
+      ]
+    );
+    expect(pixel(rgba, 0)).toEqual([0, 255, 0, 255]);
+    expect(pixel(rgba, 1)).toEqual([128, 255, 0, 255]);
+    expect(pixel(rgba, 3)).toEqual([255, 255, 0, 255]);
+  });
+
+  it("skips hidden channels and saturates overlapping colors", () => {
+    const rgba = Converters.RGBAfromComposite(
+      [red, green],
+      [
+        { band: 0, color: [255, 255, 255], min: 0, max: 4000 },
+        { band: 1, color: [255, 255, 255], min: 0, max: 4000, visible: false },
+      ]
+    );
+    expect(pixel(rgba, 0)).toEqual([0, 0, 0, 255]);
+
+    const both = Converters.RGBAfromComposite(
+      [red, green],
+      [
+        { band: 0, color: [200, 0, 0], min: 0, max: 4000 },
+        { band: 1, color: [200, 0, 0], min: 0, max: 4000 },
+      ]
+    );
+    expect(pixel(both, 3)).toEqual([255, 0, 0, 255]);
+  });
+
+  it("defaults the window to the band bit depth", () => {
+    const rgba = Converters.RGBAfromComposite(
+      [new Uint8Array([255])],
+      [{ band: 0, color: [0, 0, 255] }],
+      [8]
+    );
+    expect(pixel(rgba, 0)).toEqual([0, 0, 255, 255]);
+  });
+
+  it("is used by the main-thread renderer when format.composite is set", () => {
+    const api = OpenSeadragon.RawTiffPlugin;
+    const raster = new api.TiffRaster({
+      width: 2,
+      height: 2,
+      bands: [red, green],
+      samplesPerPixel: 2,
+      bitsPerSample: [16, 16],
+      hints: {
+        format: {
+          composite: { channels: [{ band: 0, color: [255, 0, 0], min: 0, max: 4000 }] },
+        },
+      },
+    });
+    const rgba = api.rasterToRGBA8(raster);
+    expect(pixel(rgba, 3)).toEqual([255, 0, 0, 255]);
+  });
+
+  it("renders the same composite in the worker", async () => {
+    const api = OpenSeadragon.RawTiffPlugin;
+    const format = {
+      composite: {
+        channels: [
+          { band: 0, color: [255, 0, 0], min: 0, max: 2000 },
+          { band: 1, color: [0, 255, 0], min: 0, max: 4000 },
+        ],
+      },
+    };
+    const raster = () =>
+      new api.TiffRaster({
+        width: 2,
+        height: 2,
+        bands: [red.slice(), green.slice()],
+        samplesPerPixel: 2,
+        bitsPerSample: [16, 16],
+        hints: { format },
+      });
+    const worker = await renderInWorker(raster(), format);
+    expect(pixel(worker, 1)).toEqual([128, 255, 0, 255]);
+    expect(Array.from(worker)).toEqual(Array.from(api.rasterToRGBA8(raster())));
+  });
+});
@@ -322,4 +322,488 @@ export function fixtureData6({ width = 16, height = 16 } = {}) {
     pixelBytes,
     imageDescription: "fixture: data6",
   });
-}
\ No newline at end of file
+}
+// ---------------------------------------------------------------------------
+// Multi-page writer: several top-level IFDs, SubIFDs and arbitrary extra tags.
+// Pages are uncompressed, single strip, chunky 8-bit.
+
+const TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 9: 4, 11: 4, 12: 8, 13: 4 };
+const TYPE_SLONG = 9;
+const TYPE_FLOAT = 11;
+const TYPE_DOUBLE = 12;
+const TYPE_IFD = 13;
+
+function encodeValues(type, values) {
+  const out = [];
+  for (const v of values) {
+    if (type === TYPE.BYTE || type === TYPE.ASCII) out.push(v & 255);
+    else if (type === TYPE.SHORT) out.push(...u16(v));
+    else if (type === TYPE.LONG || type === TYPE_IFD) out.push(...u32(v));
+    else if (type === TYPE_SLONG) out.push(...u32(v >>> 0));
+    else if (type === TYPE_FLOAT) out.push(...new Uint8Array(new Float32Array([v]).buffer));
+    else if (type === TYPE.RATIONAL) out.push(...u32(v[0]), ...u32(v[1]));
+    else if (type === TYPE_DOUBLE) out.push(...new Uint8Array(new Float64Array([v]).buffer));
+  }
+  return out;
+}
+
+function writePage(buf, page) {
+  const {
+    width,
+    height,
+    samplesPerPixel = 1,
+    bitsPerSample = 8,
+    photometric = samplesPerPixel >= 3 ? 2 : 1,
+    pixelBytes = makePattern(width, height, samplesPerPixel, "chunky"),
+    imageDescription = null,
+    subfileType = null,
+    subIFDs = [],
+    tags = [],
+  } = page;
+
+  align4(buf);
+  const pixelOffset = buf.length;
+  buf.push(...pixelBytes);
+
+  const subIFDOffsets = subIFDs.map((sub) => writePage(buf, sub));
+
+  const entries = [
+    { tag: 256, type: TYPE.LONG, values: [width] },
+    { tag: 257, type: TYPE.LONG, values: [height] },
+    { tag: 258, type: TYPE.SHORT, values: new Array(samplesPerPixel).fill(bitsPerSample) },
+    { tag: 259, type: TYPE.SHORT, values: [1] },
+    { tag: 262, type: TYPE.SHORT, values: [photometric] },
+    { tag: 273, type: TYPE.LONG, values: [pixelOffset] },
+    { tag: 277, type: TYPE.SHORT, values: [samplesPerPixel] },
+    { tag: 278, type: TYPE.LONG, values: [height] },
+    { tag: 279, type: TYPE.LONG, values: [pixelBytes.length] },
+    { tag: 284, type: TYPE.SHORT, values: [1] },
+  ];
+  if (subfileType !== null) entries.push({ tag: 254, type: TYPE.LONG, values: [subfileType] });
+  if (imageDescription) {
+    entries.push({ tag: 270, type: TYPE.ASCII, values: imageDescription });
+  }
+  if (subIFDOffsets.length) entries.push({ tag: 330, type: TYPE_IFD, values: subIFDOffsets });
+  entries.push(...tags);
+  return writeIFD(buf, entries);
+}
+
+// Write an IFD after its out-of-line values, returns its offset. NDPI IFDs end with an
+// 8-byte next IFD offset and one (zero) high word per entry.
+function writeIFD(buf, tags, { ndpi = false } = {}) {
+  const entries = tags.map((t) => (t.type === TYPE.ASCII ? { ...t, values: asciiZ(t.values) } : t));
+  entries.sort((a, b) => a.tag - b.tag);
+
+  // out-of-line values first, so the IFD can reference them
+  const encoded = entries.map((e) => {
+    const bytes = encodeValues(e.type, e.values);
+    if (bytes.length <= 4) {
+      while (bytes.length < 4) bytes.push(0);
+      return { e, inline: bytes };
+    }
+    align4(buf);
+    const offset = buf.length;
+    buf.push(...bytes);
+    return { e, offset };
+  });
+
+  align4(buf);
+  const ifdOffset = buf.length;
+  buf.push(...u16(entries.length));
+  for (const { e, inline, offset } of encoded) {
+    const count =
+      e.type === TYPE.RATIONAL || e.type === TYPE_DOUBLE || e.type === TYPE.ASCII
+        ? e.values.length
+        : encodeValues(e.type, e.values).length / TYPE_SIZE[e.type];
+    buf.push(...u16(e.tag), ...u16(e.type), ...u32(count), ...(inline || u32(offset)));
+  }
+  buf.push(...u32(0)); // next IFD, patched by the caller
+  if (ndpi) buf.push(...u32(0), ...new Array(entries.length * 4).fill(0));
+  return ifdOffset;
+}
+
+/**
+ * Build a little-endian TIFF from a list of page descriptions:
+ * { width, height, samplesPerPixel?, photometric?, imageDescription?, subfileType?,
+ *   subIFDs?: page[], tags?: {tag, type, values}[] }
+ */
+export function buildMultiPageTIFF(pages) {
+  const buf = [0x49, 0x49, 0x2a, 0x00, ...u32(0)];
+  let pointer = 4; // where to store the offset of the next top-level IFD
+  for (const page of pages) {
+    const ifdOffset = writePage(buf, page);
+    const le = u32(ifdOffset);
+    for (let i = 0; i < 4; i++) buf[pointer + i] = le[i];
+    pointer = ifdOffset + 2 + buf[ifdOffset] * 12 + (buf[ifdOffset + 1] << 8) * 12;
+  }
+  return new Uint8Array(buf).buffer;
+}
+
+export const FIXTURE_TYPE = {
+  ...TYPE,
+  SLONG: TYPE_SLONG,
+  FLOAT: TYPE_FLOAT,
+  DOUBLE: TYPE_DOUBLE,
+  IFD: TYPE_IFD,
+};
+
+// Single page whose pyramid (1/2, 1/4) lives in SubIFDs, followed by a second top-level page.
+export function fixtureSubIFDPyramid() {
+  return buildMultiPageTIFF([
+    {
+      width: 64,
+      height: 32,
+      subIFDs: [
+        { width: 32, height: 16, subfileType: 1 },
+        { width: 16, height: 8, subfileType: 1 },
+      ],
+    },
+    { width: 64, height: 32 },
+  ]);
+}
+
+// Three same-size pages named with PageName (285), e.g. a channel stack without pyramid.
+export function fixturePlaneStack(names = ["DAPI", "FITC", "TRITC"]) {
+  return buildMultiPageTIFF(
+    names.map((name) => ({
+      width: 32,
+      height: 32,
+      tags: [{ tag: 285, type: TYPE.ASCII, values: name }],
+    }))
+  );
+}
+
+// Top-level pages of halving size and equal aspect ratio: a pyramid, or a stack of acquisitions.
+export function fixtureIFDPyramid() {
+  return buildMultiPageTIFF([
+    { width: 64, height: 32 },
+    { width: 32, height: 16 },
+    { width: 16, height: 8 },
+  ]);
+}
+
+// Aperio-like slide: pyramid with a thumbnail-sized level, a label (PageName) and a macro (SVS description).
+export function fixtureSlideWithAssociated() {
+  return buildMultiPageTIFF([
+    {
+      width: 64,
+      height: 32,
+      imageDescription:
+        "Aperio Image Library v12.0.0\n64x32 [0,0 64x32] (16x16) JPEG/RGB Q=70|AppMag = 20|MPP = 0.499",
+    },
+    { width: 32, height: 16 },
+    { width: 16, height: 16, tags: [{ tag: 285, type: TYPE.ASCII, values: "label" }] },
+    { width: 40, height: 10, imageDescription: "Aperio Image Library v12.0.0\nmacro 40x10" },
+  ]);
+}
+
+function u16be(v) {
+  return [(v >> 8) & 255, v & 255];
+}
+
+/**
+ * Build a grayscale baseline JPEG with 8x8 MCUs and restart intervals. Only DC
+ * coefficients are coded, so every restart interval has a flat value: 160 when
+ * bright(intervalIndex) is true, 128 otherwise.
+ * Returns the bytes and the offset of the entropy-coded data of every interval.
+ */
+export function buildRestartJPEG({ width, height, restartInterval = 0, bright = () => false }) {
+  const segment = (marker, payload) => [0xff, marker, ...u16be(payload.length + 2), ...payload];
+  const bytes = [
+    0xff,
+    0xd8,
+    ...segment(0xdb, [0x00, ...new Array(64).fill(8)]),
+    ...segment(0xc0, [8, ...u16be(height), ...u16be(width), 1, 1, 0x11, 0]),
+    // DC codes: "0" -> difference category 0, "10" -> category 6
+    ...segment(0xc4, [0x00, 1, 1, ...new Array(14).fill(0), 0, 6]),
+    // AC codes: "0" -> end of block
+    ...segment(0xc4, [0x10, 1, ...new Array(15).fill(0), 0x00]),
+    ...(restartInterval ? segment(0xdd, u16be(restartInterval)) : []),
+    ...segment(0xda, [1, 1, 0x00, 0, 63, 0]),
+  ];
+
+  const total = Math.ceil(width / 8) * Math.ceil(height / 8);
+  const intervalSize = restartInterval || total;
+  const starts = [];
+  for (let first = 0, k = 0; first < total; first += intervalSize, k++) {
+    if (k > 0) bytes.push(0xff, 0xd0 + ((k - 1) % 8));
+    starts.push(bytes.length);
+    // DC difference +32 (category 6) dequantized by 8 gives +32 over the 128 level shift
+    let bits = (bright(k) ? "10" + "100000" : "0") + "0";
+    for (let m = 1; m < Math.min(intervalSize, total - first); m++) bits += "00";
+    for (let i = 0; i < bits.length; i += 8) {
+      bytes.push(parseInt(bits.slice(i, i + 8).padEnd(8, "1"), 2));
+    }
+  }
+  bytes.push(0xff, 0xd9);
+  return { bytes, starts };
+}
+
+/**
+ * Build a Hamamatsu NDPI-like file: IFDs with the 64-bit offset extension, every page
+ * stored as a single JPEG strip with its restart interval offsets in NDPI_MCU_STARTS.
+ * pages: { width, height, restartInterval?, bright?, sourceLens, focalPlane?, mcuStarts? }
+ */
+export function buildNDPI(pages) {
+  const buf = [0x49, 0x49, 0x2a, 0x00, ...u32(0)];
+  let pointer = 4;
+  for (const page of pages) {
+    const { width, height, sourceLens, focalPlane = 0, mcuStarts = true } = page;
+    const jpeg = buildRestartJPEG(page);
+    align4(buf);
+    const jpegOffset = buf.length;
+    buf.push(...jpeg.bytes);
+
+    const tags = [
+      { tag: 256, type: TYPE.LONG, values: [width] },
+      { tag: 257, type: TYPE.LONG, values: [height] },
+      { tag: 258, type: TYPE.SHORT, values: [8] },
+      { tag: 259, type: TYPE.SHORT, values: [7] },
+      { tag: 262, type: TYPE.SHORT, values: [1] },
+      { tag: 273, type: TYPE.LONG, values: [jpegOffset] },
+      { tag: 277, type: TYPE.SHORT, values: [1] },
+      { tag: 278, type: TYPE.LONG, values: [height] },
+      { tag: 279, type: TYPE.LONG, values: [jpeg.bytes.length] },
+      { tag: 282, type: TYPE.RATIONAL, values: [[20000, 1]] },
+      { tag: 283, type: TYPE.RATIONAL, values: [[20000, 1]] },
+      { tag: 296, type: TYPE.SHORT, values: [3] },
+      { tag: 65420, type: TYPE.LONG, values: [1] },
+      { tag: 65421, type: TYPE_FLOAT, values: [sourceLens] },
+      { tag: 65424, type: TYPE_SLONG, values: [focalPlane] },
+      { tag: 65449, type: TYPE.ASCII, values: "Objective.Lens.Magnificant=20\r\nNDP.S/N=C12345" },
+    ];
+    if (mcuStarts && page.restartInterval) {
+      tags.push({ tag: 65426, type: TYPE.LONG, values: jpeg.starts });
+    }
+    const ifdOffset = writeIFD(buf, tags, { ndpi: true });
+    const le = u32(ifdOffset);
+    for (let i = 0; i < 4; i++) buf[pointer + i] = le[i];
+    pointer = ifdOffset + 2 + tags.length * 12;
+  }
+  return new Uint8Array(buf).buffer;
+}
+
+// Philips TIFF: levels padded to 16 px tiles (60x30 -> 64x32, 30x15 -> 32x16, 15x8 -> 16x16),
+// pixel spacing in the XML, label and macro named by their ImageDescription.
+export function fixturePhilips() {
+  const representation = (index, spacing) => `
+        <DataObject ObjectType="PixelDataRepresentation">
+          <Attribute Name="DICOM_PIXEL_SPACING" Group="0x0028" Element="0x0030" PMSVR="IDoubleArray">&quot;${spacing}&quot; &quot;${spacing}&quot;</Attribute>
+          <Attribute Name="PIIM_PIXEL_DATA_REPRESENTATION_NUMBER" Group="0x101D" Element="0x2001" PMSVR="IUInt16">${index}</Attribute>
+        </DataObject>`;
+  const xml = `<?xml version="1.0" encoding="UTF-8" ?>
+<DataObject ObjectType="DPUfsImport">
+  <Attribute Name="DICOM_MANUFACTURER" Group="0x0008" Element="0x0070" PMSVR="IString">PHILIPS</Attribute>
+  <Attribute Name="PIM_DP_SCANNED_IMAGES" Group="0x301D" Element="0x1003" PMSVR="IDataObjectArray">
+    <Array>
+      <DataObject ObjectType="DPScannedImage">
+        <Attribute Name="PIM_DP_IMAGE_TYPE" Group="0x301D" Element="0x1004" PMSVR="IString">WSI</Attribute>
+        <Attribute Name="PIIM_PIXEL_DATA_REPRESENTATION_SEQUENCE" Group="0x1001" Element="0x8B01" PMSVR="IDataObjectArray">
+          <Array>${representation(0, 0.00025)}${representation(1, 0.0005)}${representation(2, 0.001)}
+          </Array>
+        </Attribute>
+      </DataObject>
+      <DataObject ObjectType="DPScannedImage">
+        <Attribute Name="PIM_DP_IMAGE_TYPE" Group="0x301D" Element="0x1004" PMSVR="IString">LABELIMAGE</Attribute>
+      </DataObject>
+    </Array>
+  </Attribute>
+</DataObject>`;
+  return buildMultiPageTIFF([
+    { width: 64, height: 32, imageDescription: xml },
+    { width: 32, height: 16 },
+    { width: 16, height: 16 },
+    { width: 16, height: 16, imageDescription: "Label" },
+    { width: 40, height: 10, imageDescription: "Macro" },
+  ]);
+}
+
+// Leica SCN: a macro covering the 40x10 µm collection, a brightfield region with two
+// resolutions and a two channel fluorescence region with two Z slices.
+export function fixtureLeicaSCN() {
+  const xml = `<?xml version="1.0" encoding="utf-8"?>
+<scn xmlns="http://www.leica-microsystems.com/scn/2010/10/01">
+  <collection name="slide" uuid="c-1" sizeX="40000" sizeY="10000">
+    <barcode>123</barcode>
+    <image name="macro" uuid="i-0">
+      <creationDate>2020-01-01T00:00:00.00Z</creationDate>
+      <device model="Leica SCN400;Leica SCN" version="1.5"/>
+      <pixels sizeX="40" sizeY="10">
+        <dimension sizeX="40" sizeY="10" r="0" ifd="0"/>
+      </pixels>
+      <view sizeX="40000" sizeY="10000" offsetX="0" offsetY="0" spacingZ="0"/>
+      <scanSettings><objectiveSettings><objective>0.5</objective></objectiveSettings></scanSettings>
+    </image>
+    <image name="brightfield" uuid="i-1">
+      <device model="Leica SCN400;Leica SCN" version="1.5"/>
+      <pixels sizeX="64" sizeY="32">
+        <dimension sizeX="64" sizeY="32" r="0" ifd="1"/>
+        <dimension sizeX="32" sizeY="16" r="1" ifd="2"/>
+      </pixels>
+      <view sizeX="16000" sizeY="8000" offsetX="1000" offsetY="1000" spacingZ="0"/>
+      <scanSettings>
+        <objectiveSettings><objective>20</objective></objectiveSettings>
+        <illuminationSettings><illuminationSource>brightfield</illuminationSource></illuminationSettings>
+      </scanSettings>
+    </image>
+    <image name="fluorescence" uuid="i-2">
+      <pixels sizeX="32" sizeY="32">
+        <dimension sizeX="32" sizeY="32" r="0" c="0" z="0" ifd="3"/>
+        <dimension sizeX="32" sizeY="32" r="0" c="1" z="0" ifd="4"/>
+        <dimension sizeX="32" sizeY="32" r="0" c="0" z="1" ifd="5"/>
+        <dimension sizeX="32" sizeY="32" r="0" c="1" z="1" ifd="6"/>
+      </pixels>
+      <view sizeX="16000" sizeY="16000" offsetX="20000" offsetY="1000" spacingZ="1000"/>
+      <scanSettings>
+        <channelSettings>
+          <channel index="0" name="DAPI" rgb="0000FF"/>
+          <channel index="1" name="FITC" rgb="00FF00"/>
+        </channelSettings>
+        <illuminationSettings><illuminationSource>fluorescence</illuminationSource></illuminationSettings>
+      </scanSettings>
+    </image>
+  </collection>
+</scn>`;
+  return buildMultiPageTIFF([
+    { width: 40, height: 10, imageDescription: xml },
+    { width: 64, height: 32 },
+    { width: 32, height: 16 },
+    ...Array.from({ length: 4 }, () => ({ width: 32, height: 32 })),
+  ]);
+}
+
+// PerkinElmer QPTIFF: two channels, each with a full resolution page and a reduced page,
+// followed by thumbnail, overview and label pages.
+export function fixtureQPTIFF() {
+  const description = (type, fields = "") => `<?xml version="1.0" encoding="utf-8"?>
+<PerkinElmer-QPI-ImageDescription>
+  <DescriptionVersion>2</DescriptionVersion>
+  <AcquisitionSoftware>PerkinElmer-QPI</AcquisitionSoftware>
+  <ImageType>${type}</ImageType>
+  <SlideID>S-1</SlideID>
+  <Barcode>1234</Barcode>${fields}
+  <ScanProfile><root><ObjectiveName>20x</ObjectiveName></root></ScanProfile>
+</PerkinElmer-QPI-ImageDescription>`;
+  const channel = (name, color, biomarker, exposure, filter) => `
+  <Name>${name}</Name>
+  <Color>${color}</Color>
+  <Biomarker>${biomarker}</Biomarker>
+  <ExposureTime>${exposure}</ExposureTime>
+  <SignalUnits>64</SignalUnits>
+  <Responsivity><Filter><Name>${filter}</Name></Filter></Responsivity>`;
+  const page = (width, height, type, fields) => ({
+    width,
+    height,
+    imageDescription: description(type, fields),
+    tags: [{ tag: 305, type: TYPE.ASCII, values: "PerkinElmer-QPI" }],
+  });
+  const dapi = channel("DAPI", "0,0,255", "Nuclei", 2500, "DAPI");
+  const fitc = channel("FITC", "0,255,0", "CD8", 8000, "FITC");
+  return buildMultiPageTIFF([
+    page(64, 32, "FullResolution", dapi),
+    page(64, 32, "FullResolution", fitc),
+    page(32, 16, "ReducedResolution", dapi),
+    page(32, 16, "ReducedResolution", fitc),
+    page(16, 8, "Thumbnail"),
+    page(40, 10, "Overview"),
+    page(16, 16, "Label"),
+  ]);
+}
+
+// ImageJ hyperstack: 2 channels x 3 slices x 2 frames of 16x16 pages in czt order, every page
+// filled with 10 * its IFD index. IJMetadata holds display ranges and magenta / green LUTs.
+export function fixtureImageJHyperstack() {
+  const f64 = (v) => Array.from(new Uint8Array(new Float64Array([v]).buffer));
+  const ramp = (on) => Array.from({ length: 256 }, (_, i) => i * on);
+  const lut = (r, g, b) => [...ramp(r), ...ramp(g), ...ramp(b)];
+  // "IJIJ" magic, then one "rang" entry and two "luts" entries
+  const header = [...u32(0x494a494a), ...u32(0x72616e67), ...u32(1), ...u32(0x6c757473), ...u32(2)];
+  const ranges = [...f64(10), ...f64(200), ...f64(0), ...f64(100)];
+  const metadata = [...header, ...ranges, ...lut(1, 0, 1), ...lut(0, 1, 0)];
+
+  const description = [
+    "ImageJ=1.54f",
+    "images=12",
+    "channels=2",
+    "slices=3",
+    "frames=2",
+    "hyperstack=true",
+    "mode=composite",
+    "unit=micron",
+    "spacing=2.5",
+    "finterval=0.5",
+    "loop=false",
+    "",
+  ].join("\n");
+
+  return buildMultiPageTIFF(
+    Array.from({ length: 12 }, (_, ifd) => ({
+      width: 16,
+      height: 16,
+      pixelBytes: new Uint8Array(256).fill(ifd * 10),
+      ...(ifd === 0
+        ? {
+            imageDescription: description,
+            tags: [
+              { tag: 282, type: TYPE.RATIONAL, values: [[4, 1]] },
+              { tag: 283, type: TYPE.RATIONAL, values: [[4, 1]] },
+              { tag: 50838, type: TYPE.LONG, values: [header.length, ranges.length, 768, 768] },
+              { tag: 50839, type: TYPE.BYTE, values: metadata },
+            ],
+          }
+        : {}),
+    }))
+  );
+}
+
+// GeoTIFF pyramid (64x32, 32x16) in UTM zone 33N: 10 m pixels from (500000, 4100000),
+// or placed with a ModelTransformation matrix instead of a tiepoint. Pixels are all `value`
+// if given, `noData` is written to the GDAL_NODATA tag. With `coordTrans`, the CRS is a user-defined
+// projection with that ProjCoordTransGeoKey instead.
+export function fixtureGeoTIFF({
+  transformation = null,
+  coordTrans = null,
+  pixelIsPoint = false,
+  origin = [500000, 4100000],
+  pixelSize = 10,
+  value = null,
+  noData = null,
+  width = 64,
+  height = 32,
+} = {}) {
+  const citation = "WGS 84 / UTM zone 33N|";
+  const keys = [
+    [1024, 0, 1, 1], // GTModelTypeGeoKey: projected
+    [1025, 0, 1, pixelIsPoint ? 2 : 1], // GTRasterTypeGeoKey
+    [3072, 0, 1, coordTrans === null ? 32633 : 32767], // ProjectedCSTypeGeoKey
+    [3073, 34737, citation.length, 0], // PCSCitationGeoKey
+    ...(coordTrans === null ? [] : [[3075, 0, 1, coordTrans]]), // ProjCoordTransGeoKey
+    [3076, 0, 1, 9001], // ProjLinearUnitsGeoKey: meter
+  ];
+  const placement = transformation
+    ? [{ tag: 34264, type: TYPE_DOUBLE, values: transformation }]
+    : [
+        { tag: 33550, type: TYPE_DOUBLE, values: [pixelSize, pixelSize, 0] },
+        { tag: 33922, type: TYPE_DOUBLE, values: [0, 0, 0, ...origin, 0] },
+      ];
+  // the half resolution level, odd sizes round up
+  const levelWidth = Math.ceil(width / 2);
+  const levelHeight = Math.ceil(height / 2);
+  // a constant value tells which file a mosaic pixel was read from
+  const pixels = (width, height) =>
+    value === null ? {} : { pixelBytes: new Array(width * height).fill(value) };
+  return buildMultiPageTIFF([
+    {
+      width,
+      height,
+      ...pixels(width, height),
+      tags: [
+        ...placement,
+        { tag: 34735, type: TYPE.SHORT, values: [1, 1, 0, keys.length, ...keys.flat()] },
+        { tag: 34737, type: TYPE.ASCII, values: citation },
+        ...(noData === null ? [] : [{ tag: 42113, type: TYPE.ASCII, values: String(noData) }]),
+      ],
+    },
+    { width: levelWidth, height: levelHeight, subfileType: 1, ...pixels(levelWidth, levelHeight) },
+  ]);
+}
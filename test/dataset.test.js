@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { getImageRole, getSeriesRole } from "../src/formats/dataset.js";
+import { fixturePlaneStack, fixtureSlideWithAssociated } from "./data/tiff-fixtures.js";
+import { openDataset } from "./helpers/open-dataset.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+describe("openDataset", () => {
+  it("detects associated image roles", () => {
+    const image = (fileDirectory) => ({ fileDirectory });
+    expect(getImageRole(image({ ImageDescription: "Aperio Image Library\nlabel 387x463" }))).toBe(
+      "label"
+    );
+    expect(getImageRole(image({ PageName: "Macro image\0" }))).toBe("macro");
+    expect(
+      getImageRole(image({ ImageDescription: "Aperio Image Library\n46000x32914 -> 1024x732" }))
+    ).toBe("thumbnail");
+    expect(
+      getImageRole(
+        image({ ImageDescription: "Aperio Image Library\n46000x32914 [0,0 46000x32914] (256x256)" })
+      )
+    ).toBe(null);
+    // role words inside names and XML do not make associated images
+    expect(getImageRole(image({ PageName: "Tissue labelled DAPI" }))).toBe(null);
+    expect(getImageRole(image({ PageName: "macrophage stain" }))).toBe(null);
+    expect(
+      getImageRole(image({ ImageDescription: '<?xml version="1.0"?>\n<Label text="slide 1"/>' }))
+    ).toBe(null);
+    expect(getSeriesRole("label image")).toBe("label");
+    expect(getSeriesRole("thumbnails of wells")).toBe("main");
+  });
+
+  it("separates the main pyramid from associated images", async () => {
+    const dataset = await openDataset(fixtureSlideWithAssociated());
+
+    expect(dataset.format).toBe("svs");
+    expect(dataset.metadata.aperio.mpp).toBe(0.499);
+    expect(dataset.main[0].metadata.aperio.appMag).toBe(20);
+    expect(dataset.layout.interpretation).toBe("pyramid");
+    expect(dataset.main.length).toBe(1);
+    expect(dataset.main[0].role).toBe("main");
+    expect(dataset.main[0].tileSource.levels.map((l) => l.width)).toEqual([32, 64]);
+    expect(Object.keys(dataset.associated).sort()).toEqual(["label", "macro"]);
+    expect(dataset.associated.macro.width).toBe(40);
+    expect(dataset.tileSources.map((ts) => ts.role)).toEqual(["main", "label", "macro"]);
+  });
+
+  it("describes planes of the main image", async () => {
+    const dataset = await openDataset(fixturePlaneStack());
+    expect(dataset.main[0].planes.map((p) => p.name)).toEqual(["DAPI", "FITC", "TRITC"]);
+    expect(dataset.associated).toEqual({});
+  });
+
+  it("keeps getAllTileSources as the list of dataset tile sources", async () => {
+    const file = new File([fixtureSlideWithAssociated()], "fixture.tif");
+    const sources = await OpenSeadragon.GeoTIFFTileSource.getAllTileSources(file);
+    expect(sources.length).toBe(3);
+    expect(sources.every((ts) => ts instanceof OpenSeadragon.GeoTIFFTileSource)).toBe(true);
+  });
+
+  it("decodes associated images without a viewer", async () => {
+    // decode on the main thread, geotiff.js decoder workers need a browser
+    OpenSeadragon.GeoTIFFTileSource.sharedPool = null;
+    const file = new File([fixtureSlideWithAssociated()], "fixture.tif");
+    const images = await OpenSeadragon.GeoTIFFTileSource.getAssociatedImages(file, {
+      as: "tiffRaster",
+      maxSize: 20,
+    });
+
+    expect(Object.keys(images).sort()).toEqual(["label", "macro", "thumbnail"]);
+    expect([images.label.width, images.label.height]).toEqual([16, 16]);
+    // larger than maxSize: downsampled to fit
+    expect([images.macro.width, images.macro.height]).toEqual([20, 5]);
+    // no thumbnail page: the smallest main level that is large enough
+    expect([images.thumbnail.width, images.thumbnail.height]).toEqual([20, 10]);
+    // label pixels follow the fixture pattern (x + 10y) & 255
+    expect(images.label.bands[0][16 + 3]).toBe(13);
+  });
+});
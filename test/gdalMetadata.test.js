@@ -0,0 +1,166 @@
+import { describe, expect, it, vi } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import {
+  getGdalMetadata,
+  parseGdalMetadata,
+  parseGdalNumber,
+  withDisplayRanges,
+} from "../src/formats/gdalMetadata.js";
+import { buildMultiPageTIFF, FIXTURE_TYPE } from "./data/tiff-fixtures.js";
+import { decodeOnMainThread } from "./helpers/main-thread.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+const GDAL_METADATA = `<GDALMetadata>
+  <Item name="PRODUCT">L2 &amp; surface temperature</Item>
+  <Item name="DESCRIPTION" sample="0" role="description">Temperature</Item>
+  <Item name="SCALE" sample="0" role="scale">0.01</Item>
+  <Item name="OFFSET" sample="0" role="offset">-273.15</Item>
+  <Item name="UNITTYPE" sample="0" role="unittype">degC</Item>
+  <Item name="STATISTICS_MINIMUM" sample="0">1000</Item>
+  <Item name="STATISTICS_MAXIMUM" sample="0">2000</Item>
+  <Item name="STATISTICS_MEAN" sample="0">1500.5</Item>
+  <Item name="SENSOR" sample="0">TIRS</Item>
+  <Item name="DESCRIPTION" sample="1" role="description">Quality</Item>
+  <Item name="NITF_IREP" domain="IMAGE_STRUCTURE">MONO</Item>
+</GDALMetadata>\0`;
+
+const raster16 = (values, extra = {}) =>
+  new OpenSeadragon.RawTiffPlugin.TiffRaster({
+    width: values.length,
+    height: 1,
+    bands: [new Uint16Array(values)],
+    samplesPerPixel: 1,
+    bitsPerSample: [16],
+    photometricInterpretation: 1,
+    fileDirectory: { GDAL_METADATA },
+    ...extra,
+  });
+
+const red = (rgba) => Array.from(rgba.filter((_, i) => i % 4 === 0));
+
+describe("GDAL metadata", () => {
+  decodeOnMainThread(OpenSeadragon);
+
+  it("parses dataset items and band descriptions, units, scale, offset and statistics", () => {
+    const { metadata, bands } = parseGdalMetadata(GDAL_METADATA);
+    expect(metadata).toEqual({ PRODUCT: "L2 & surface temperature" });
+    expect(bands).toEqual([
+      {
+        band: 1,
+        description: "Temperature",
+        unit: "degC",
+        scale: 0.01,
+        offset: -273.15,
+        statistics: { min: 1000, max: 2000, mean: 1500.5, stdDev: null },
+        metadata: { SENSOR: "TIRS" },
+      },
+      {
+        band: 2,
+        description: "Quality",
+        unit: null,
+        scale: null,
+        offset: null,
+        statistics: null,
+        metadata: {},
+      },
+    ]);
+    expect(["inf", "-INF", "nan", "1e3\0", "x"].map(parseGdalNumber)).toEqual([
+      Infinity,
+      -Infinity,
+      NaN,
+      1000,
+      null,
+    ]);
+    expect(parseGdalMetadata("<GDALMetadata></GDALMetadata>")).toBe(null);
+    expect(parseGdalMetadata(undefined)).toBe(null);
+  });
+
+  it("uses the statistics as the default display range of bands deeper than 8 bits", () => {
+    const api = OpenSeadragon.RawTiffPlugin;
+    expect(red(api.rasterToRGBA8(raster16([1000, 1500, 2000, 3000])))).toEqual([0, 128, 255, 255]);
+    // without statistics the range of the bit depth is used
+    expect(red(api.rasterToRGBA8(raster16([1000, 65535], { fileDirectory: {} })))).toEqual([
+      4, 255,
+    ]);
+
+    const float = new api.TiffRaster({
+      width: 2,
+      height: 1,
+      bands: [new Float32Array([-10, 10])],
+      samplesPerPixel: 1,
+      bitsPerSample: [32],
+      sampleFormat: [3],
+      bandMetadata: [{ band: 1, statistics: { min: -10, max: 10 } }],
+    });
+    expect(red(api.rasterToRGBA8(float))).toEqual([0, 255]);
+
+    const channels = withDisplayRanges(
+      [
+        { band: 0, color: [255, 0, 0] },
+        { band: 0, min: 0, max: 10 },
+      ],
+      raster16([0])
+    );
+    expect(channels.map(({ min, max }) => [min, max])).toEqual([
+      [1000, 2000],
+      [0, 10],
+    ]);
+  });
+
+  it("applies scale and offset to data values", async () => {
+    const api = OpenSeadragon.RawTiffPlugin;
+    const raster = raster16([30000, 27315]);
+    expect(Array.from(raster.getScaledBand(0)).map((v) => Math.round(v * 100) / 100)).toEqual([
+      26.85, 0,
+    ]);
+
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    raster.hints = { format: { interpretation: "data" } };
+    const textures = await api.convert({}, raster, "gpuTextureSet", "tiffRaster");
+    warn.mockRestore();
+    expect(textures.packs[0].scale[0]).toBe(0.01);
+    expect(textures.packs[0].offset[0]).toBe(-273.15);
+  });
+
+  it("gives band metadata to tile sources and their rasters", async () => {
+    const page = (tags) => ({ width: 4, height: 4, bitsPerSample: 8, tags });
+    const tagged = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+      new File(
+        [
+          buildMultiPageTIFF([
+            page([{ tag: 42112, type: FIXTURE_TYPE.ASCII, values: GDAL_METADATA }]),
+          ]),
+        ],
+        "tagged.tif"
+      )
+    );
+    const source = tagged.main[0].tileSource;
+    expect(source.getBandMetadata()).toHaveLength(1);
+    // read once per source, and the tag once per image
+    expect(source.getBandMetadata()).toBe(source.getBandMetadata());
+    const fd = source.levels[source.maxLevel].image.fileDirectory;
+    expect(getGdalMetadata(fd)).toBe(getGdalMetadata(fd));
+    expect(source.getBandMetadata()[0]).toMatchObject({ description: "Temperature", scale: 0.01 });
+    const tile = await source.regionToTiffRaster(source.levels[source.maxLevel], 0, 0);
+    expect(tile.bandMetadata[0].unit).toBe("degC");
+
+    const aux = `<PAMDataset><PAMRasterBand band="1"><Description>Elevation</Description>
+      <UnitType>m</UnitType><Scale>0.5</Scale></PAMRasterBand></PAMDataset>`;
+    const sidecar = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+      new File([buildMultiPageTIFF([page([])])], "dem.tif"),
+      { sidecars: [new File([aux], "dem.tif.aux.xml")] }
+    );
+    expect(sidecar.main[0].tileSource.getBandMetadata()[0]).toMatchObject({
+      description: "Elevation",
+      unit: "m",
+      scale: 0.5,
+    });
+
+    const plain = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+      new File([buildMultiPageTIFF([page([])])], "plain.tif")
+    );
+    expect(plain.main[0].tileSource.getBandMetadata()).toBe(null);
+  });
+});
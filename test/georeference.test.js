@@ -0,0 +1,144 @@
+import { describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { invertGeoTransform } from "../src/formats/georeference.js";
+import { buildMultiPageTIFF, fixtureGeoTIFF } from "./data/tiff-fixtures.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+const openSource = async (options) => {
+  const dataset = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+    new File([fixtureGeoTIFF(options)], "utm.tif")
+  );
+  return dataset.main[0].tileSource;
+};
+
+describe("GeoTIFF georeferencing", () => {
+  it("reads the geotransform and the CRS from tiepoint, pixel scale and GeoKeys", async () => {
+    const source = await openSource();
+    expect(source.getGeoTransform()).toEqual([500000, 10, 0, 4100000, 0, -10]);
+    expect(source.getCoordinateReferenceSystem()).toMatchObject({
+      epsg: 32633,
+      type: "projected",
+      name: "WGS 84 / UTM zone 33N",
+      unit: "m",
+      pixelIsPoint: false,
+    });
+    expect(source.getPixelSpacing()).toEqual({ x: 10, y: 10, unit: "m", source: "geotiff" });
+  });
+
+  it("converts between pixels and world coordinates at every level", async () => {
+    const source = await openSource();
+    expect(source.imageToWorld(new OpenSeadragon.Point(10, 20))).toEqual(
+      new OpenSeadragon.Point(500100, 4099800)
+    );
+    expect(source.worldToImage({ x: 500100, y: 4099800 })).toEqual(new OpenSeadragon.Point(10, 20));
+
+    // the 32x16 level has 20 m pixels
+    const level = source.levels.findIndex((l) => l.width === 32);
+    expect(source.getGeoTransform(level)).toEqual([500000, 20, 0, 4100000, 0, -20]);
+    expect(source.imageToWorld({ x: 5, y: 10 }, level)).toEqual(
+      new OpenSeadragon.Point(500100, 4099800)
+    );
+    expect(source.worldToImage({ x: 500100, y: 4099800 }, level)).toEqual(
+      new OpenSeadragon.Point(5, 10)
+    );
+  });
+
+  it("scales rows and columns of lower levels separately", async () => {
+    // 128x129 pixels, the 64x65 level has 20 m columns and 129 / 65 * 10 m rows
+    const source = await openSource({ width: 128, height: 129 });
+    const level = source.levels.findIndex((l) => l.width === 64);
+    const [, a, b, , d, e] = source.getGeoTransform(level);
+    expect([a, b, d]).toEqual([20, 0, 0]);
+    expect(e).toBeCloseTo((-10 * 129) / 65);
+    // the bottom edge of both levels is at the same place
+    expect(source.imageToWorld({ x: 0, y: 65 }, level).y).toBeCloseTo(4100000 - 1290);
+  });
+
+  it("supports rotated ModelTransformation matrices and PixelIsPoint rasters", async () => {
+    // 10 m pixels rotated by 90 degrees: columns go south, rows go west
+    const rotated = await openSource({
+      transformation: [0, -10, 0, 1000, -10, 0, 0, 2000, 0, 0, 0, 0, 0, 0, 0, 1],
+    });
+    expect(rotated.getGeoTransform()).toEqual([1000, 0, -10, 2000, -10, 0]);
+    expect(rotated.imageToWorld({ x: 1, y: 2 })).toEqual(new OpenSeadragon.Point(980, 1990));
+    expect(rotated.worldToImage({ x: 980, y: 1990 })).toEqual(new OpenSeadragon.Point(1, 2));
+
+    // the tiepoint refers to the center of the first pixel
+    const point = await openSource({ pixelIsPoint: true });
+    expect(point.getGeoTransform()).toEqual([499995, 10, 0, 4100005, 0, -10]);
+    expect(point.getCoordinateReferenceSystem().pixelIsPoint).toBe(true);
+  });
+
+  it("returns null for images that are not georeferenced", async () => {
+    const dataset = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+      new File([buildMultiPageTIFF([{ width: 16, height: 16 }])], "plain.tif")
+    );
+    const { tileSource } = dataset.main[0];
+    expect(tileSource.getGeoTransform()).toBe(null);
+    expect(tileSource.getCoordinateReferenceSystem()).toBe(null);
+    expect(tileSource.imageToWorld({ x: 0, y: 0 })).toBe(null);
+    expect(invertGeoTransform([0, 1, 2, 0, 2, 4])).toBe(null);
+  });
+
+  it("places co-registered sources side by side in the viewport", async () => {
+    const west = await openSource();
+    // same grid, 640 m further east
+    const east = await openSource({
+      transformation: [10, 0, 0, 500640, 0, -10, 0, 4100000, 0, 0, 0, 0, 0, 0, 0, 1],
+    });
+    const placements = await OpenSeadragon.GeoTIFFTileSource.getWorldPlacements([west, east]);
+    expect(placements).toEqual([
+      { tileSource: west, x: 0, y: 0, width: 0.5, degrees: 0 },
+      { tileSource: east, x: 0.5, y: 0, width: 0.5, degrees: 0 },
+    ]);
+  });
+
+  it("rotates sources around their center", async () => {
+    const rotated = await openSource({
+      transformation: [0, -10, 0, 1000, -10, 0, 0, 2000, 0, 0, 0, 0, 0, 0, 0, 1],
+    });
+    const [placement] = await OpenSeadragon.GeoTIFFTileSource.getWorldPlacements([rotated], {
+      width: 2,
+    });
+    // the 64x32 image turned a quarter clockwise covers a 2 x 4 box from the origin
+    expect(placement.degrees).toBeCloseTo(90);
+    expect(placement.width).toBeCloseTo(4);
+    expect(placement.x).toBeCloseTo(-1);
+    expect(placement.y).toBeCloseTo(1);
+  });
+
+  it("refuses sources without georeferencing or in different CRSs", async () => {
+    const utm = await openSource();
+    const other = await openSource();
+    other.getCoordinateReferenceSystem = () => ({ epsg: 4326, type: "geographic" });
+    await expect(OpenSeadragon.GeoTIFFTileSource.getWorldPlacements([utm, other])).rejects.toThrow(
+      /coordinate reference system/
+    );
+
+    // user-defined systems with different parameters, and sources without CRS
+    const transverseMercator = await openSource({ coordTrans: 1 });
+    const sinusoidal = await openSource({ coordTrans: 24 });
+    await expect(
+      OpenSeadragon.GeoTIFFTileSource.getWorldPlacements([transverseMercator, sinusoidal])
+    ).rejects.toThrow(/coordinate reference system/);
+    const placements = await OpenSeadragon.GeoTIFFTileSource.getWorldPlacements([
+      sinusoidal,
+      await openSource({ coordTrans: 24 }),
+    ]);
+    expect(placements).toHaveLength(2);
+    const unknown = await openSource();
+    unknown.getCoordinateReferenceSystem = () => null;
+    await expect(
+      OpenSeadragon.GeoTIFFTileSource.getWorldPlacements([unknown, unknown])
+    ).rejects.toThrow(/\(no CRS and no CRS\)/);
+
+    const dataset = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+      new File([buildMultiPageTIFF([{ width: 16, height: 16 }])], "plain.tif")
+    );
+    await expect(
+      OpenSeadragon.GeoTIFFTileSource.getWorldPlacements([utm, dataset.main[0].tileSource])
+    ).rejects.toThrow(/not georeferenced/);
+  });
+});
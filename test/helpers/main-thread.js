@@ -0,0 +1,9 @@
+import { beforeAll } from "vitest";
+
+// Decode tiles of the tile sources of a test file in this thread: geotiff.js decoder workers
+// do not start in node. Call it inside the describe block of the tests that read pixels.
+export function decodeOnMainThread(OpenSeadragon) {
+  beforeAll(() => {
+    OpenSeadragon.GeoTIFFTileSource.sharedPool = null;
+  });
+}
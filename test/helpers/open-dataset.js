@@ -0,0 +1,17 @@
+import OpenSeadragon from "openseadragon";
+
+// Open a fixture as a dropped file. Formats are recognized from the content, the name only
+// matters to sidecar lookups. Call enableGeoTIFFTileSource in the test file first.
+export function openDataset(buffer, opts = {}, name = "image.tif") {
+  return OpenSeadragon.GeoTIFFTileSource.openDataset(new File([buffer], name), opts);
+}
+
+// All tile sources of a fixture, ready to read tiles from.
+export async function openTileSources(buffer, opts = {}, name = "image.tif") {
+  const sources = await OpenSeadragon.GeoTIFFTileSource.getAllTileSources(
+    new File([buffer], name),
+    opts
+  );
+  await Promise.all(sources.map((ts) => ts.promises.ready.promise));
+  return sources;
+}
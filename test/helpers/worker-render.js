@@ -0,0 +1,33 @@
+import { vi } from "vitest";
+
+// Render a raster in image interpretation with the worker script, run in this thread:
+// the message the worker pool would send (hints of the raster included) is handed to its
+// onmessage, the RGBA8 pack it posts back is returned.
+export async function renderInWorker(raster, format) {
+  const posted = [];
+  vi.stubGlobal("postMessage", (message) => posted.push(message));
+  await import("../../src/formats/tiff.worker.js");
+  const serialize = (array) => ({
+    ctor: array.constructor.name,
+    buffer: array.buffer,
+    byteOffset: array.byteOffset,
+    length: array.length,
+  });
+  const rasterPayload = {
+    ...raster,
+    bands: raster.bands.map(serialize),
+    transparencyMask: raster.transparencyMask ? serialize(raster.transparencyMask) : null,
+  };
+  await self.onmessage({
+    data: {
+      id: 1,
+      op: "rasterToGpuTextureSet",
+      payload: { raster: rasterPayload, hints: { ...raster.hints, formatResolved: format } },
+    },
+  });
+  vi.unstubAllGlobals();
+  const { result, error } = posted[0];
+  if (error) throw new Error(error.message);
+  const { buffer, byteOffset, length } = result.packs[0].data;
+  return new Uint8Array(buffer, byteOffset, length);
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { globals } from "geotiff";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { parseImageJDescription } from "../src/formats/imagej.js";
+import { fixtureImageJHyperstack } from "./data/tiff-fixtures.js";
+import { openDataset } from "./helpers/open-dataset.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+describe("ImageJ hyperstacks", () => {
+  it("parses the description", () => {
+    expect(
+      parseImageJDescription("ImageJ=1.54f\nimages=6\nchannels=2\nhyperstack=true\nunit=micron\n\0")
+    ).toEqual({
+      ImageJ: "1.54f",
+      images: 6,
+      channels: 2,
+      hyperstack: true,
+      unit: "micron",
+    });
+    expect(parseImageJDescription("Aperio Image Library")).toBe(null);
+  });
+
+  it("reads dimensions, spacing, LUTs and display ranges", async () => {
+    const { format, metadata } = await openDataset(fixtureImageJHyperstack());
+    expect(format).toBe("imagej");
+    const { imagej } = metadata;
+    expect([imagej.sizeC, imagej.sizeZ, imagej.sizeT]).toEqual([2, 3, 2]);
+    expect(imagej.mode).toBe("composite");
+    expect(imagej.physicalSize).toEqual({ x: 0.25, y: 0.25, z: 2.5, unit: "micron" });
+    expect(imagej.timeIncrement).toEqual({ value: 0.5, unit: "sec" });
+    expect(imagej.channels.map(({ color, min, max }) => [color, min, max])).toEqual([
+      [[255, 0, 255], 10, 200],
+      [[0, 255, 0], 0, 100],
+    ]);
+    expect(imagej.channels[0].lut.length).toBe(768);
+    // private tags are read by number, the tag names of geotiff.js are left alone
+    expect(globals.fieldTagNames[50839]).toBeUndefined();
+  });
+
+  it("creates one source per channel with (z, t) planes", async () => {
+    OpenSeadragon.GeoTIFFTileSource.sharedPool = null;
+    const dataset = await openDataset(fixtureImageJHyperstack());
+    expect(dataset.main.length).toBe(2);
+    expect(dataset.channels.map((c) => c.color)).toEqual([
+      [255, 0, 255],
+      [0, 255, 0],
+    ]);
+
+    const second = dataset.main[1].tileSource;
+    expect(second.getPlanes().map((p) => p.name)).toEqual([
+      "Z0 T0",
+      "Z1 T0",
+      "Z2 T0",
+      "Z0 T1",
+      "Z1 T1",
+      "Z2 T1",
+    ]);
+    // c=1, z=1, t=1 is page 1 + 2 * (1 + 3 * 1) = 9
+    await second.setPlane((planes) => planes.findIndex((p) => p.z === 1 && p.t === 1));
+    const raster = await second.readImage({ as: "tiffRaster", maxSize: 16 });
+    expect(raster.bands[0][0]).toBe(90);
+  });
+
+  it("blends channels with their display ranges", async () => {
+    const dataset = await openDataset(fixtureImageJHyperstack(), { composite: true });
+    expect(dataset.main.length).toBe(1);
+    const { channels } = dataset.main[0].tileSource.format.composite;
+    expect(channels.map(({ name, min, max }) => [name, min, max])).toEqual([
+      ["Channel 0", 10, 200],
+      ["Channel 1", 0, 100],
+    ]);
+    expect(dataset.main[0].planes.length).toBe(6);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import {
+  fixtureIFDPyramid,
+  fixturePlaneStack,
+  fixtureSubIFDPyramid,
+} from "./data/tiff-fixtures.js";
+import { openTileSources } from "./helpers/open-dataset.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+describe("GeoTIFFTileSource layout", () => {
+  it("builds pyramid levels from SubIFDs", async () => {
+    const [source] = await openTileSources(fixtureSubIFDPyramid());
+    expect(source.levels.map((l) => l.width)).toEqual([16, 32, 64]);
+  });
+
+  it("selects the initial plane with a selector", async () => {
+    const [source] = await openTileSources(fixturePlaneStack(), {
+      hints: { layout: { planeIndex: (planes) => planes.findIndex((p) => p.name === "FITC") } },
+    });
+    expect(source.planeIndex).toBe(1);
+    expect(source.getPlanes().map((p) => p.name)).toEqual(["DAPI", "FITC", "TRITC"]);
+    expect(source.GeoTIFFImages[0].__ifd).toBe(1);
+  });
+
+  it("switches planes at runtime", async () => {
+    const [source] = await openTileSources(fixturePlaneStack());
+    const events = [];
+    source.addHandler("plane-change", (e) => events.push(e.planeIndex));
+    const key = source.getTileHashKey(0, 0, 0);
+
+    await source.setPlane(2);
+    expect(source.planeIndex).toBe(2);
+    expect(source.GeoTIFFImages[0].__ifd).toBe(2);
+    expect(source.levels[0].image).toBe(source.GeoTIFFImages[0]);
+    expect(source.getTileHashKey(0, 0, 0)).not.toBe(key);
+
+    await source.setPlane((planes) => planes.findIndex((p) => p.name === "DAPI"));
+    expect(source.planeIndex).toBe(0);
+    expect(events).toEqual([2, 0]);
+
+    await expect(source.setPlane(3)).rejects.toThrow(RangeError);
+  });
+
+  it("interprets decreasing IFDs as a pyramid by default", async () => {
+    const sources = await openTileSources(fixtureIFDPyramid());
+    expect(sources.length).toBe(1);
+    expect(sources[0].layout.interpretation).toBe("pyramid");
+    expect(sources[0].levels.map((l) => l.width)).toEqual([16, 32, 64]);
+  });
+
+  it("interprets decreasing IFDs as independent planes with prefer: stack", async () => {
+    const sources = await openTileSources(fixtureIFDPyramid(), {
+      tileWidth: 16,
+      tileHeight: 16,
+      hints: { layout: { prefer: "stack" } },
+    });
+    expect(sources.map((s) => s.layout.interpretation)).toEqual(["stack", "stack", "stack"]);
+    expect(sources.map((s) => s.width)).toEqual([64, 32, 16]);
+    // synthetic pyramid downsampled from the plane itself
+    expect(sources[0].levels.map((l) => l.width)).toEqual([16, 32, 64]);
+    expect(sources[0].levels.every((l) => l.image === sources[0].GeoTIFFImages[0])).toBe(true);
+    expect(sources[0].levels[0].scaleFactor).toBe(4);
+  });
+});
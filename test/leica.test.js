@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { fixtureLeicaSCN } from "./data/tiff-fixtures.js";
+import { openDataset } from "./helpers/open-dataset.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+describe("Leica SCN", () => {
+  it("parses the collection and its regions", async () => {
+    const { format, metadata } = await openDataset(fixtureLeicaSCN());
+    expect(format).toBe("scn");
+    expect(metadata.scn.collection).toMatchObject({ name: "slide", width: 40000, height: 10000 });
+    const [macro, brightfield, fluorescence] = metadata.scn.images;
+    expect(macro.isMacro).toBe(true);
+    expect(brightfield).toMatchObject({
+      isMacro: false,
+      objective: 20,
+      illumination: "brightfield",
+    });
+    expect(brightfield.view).toEqual({ x: 1000, y: 1000, width: 16000, height: 8000 });
+    expect(brightfield.mpp).toEqual({ x: 0.25, y: 0.25 });
+    expect(fluorescence.channels.map((c) => [c.name, c.color])).toEqual([
+      ["DAPI", [0, 0, 255]],
+      ["FITC", [0, 255, 0]],
+    ]);
+  });
+
+  it("creates one source per region and channel, Z slices as planes", async () => {
+    const dataset = await openDataset(fixtureLeicaSCN());
+    expect(dataset.associated.macro.width).toBe(40);
+    expect(dataset.main.map((entry) => entry.metadata.region.name)).toEqual([
+      "brightfield",
+      "fluorescence",
+      "fluorescence",
+    ]);
+    expect(dataset.main[0].tileSource.levels.map((l) => l.width)).toEqual([32, 64]);
+    expect(dataset.main[0].planes).toBe(null);
+    expect(dataset.channels.map((c) => c.name)).toEqual(["DAPI", "FITC"]);
+
+    const dapi = dataset.main[1].tileSource;
+    expect(dapi.getPlanes().map((p) => p.z)).toEqual([0, 1]);
+    const first = dapi.GeoTIFFImages[0];
+    await dapi.setPlane(1);
+    expect(dapi.planeIndex).toBe(1);
+    expect(dapi.GeoTIFFImages[0]).not.toBe(first);
+  });
+
+  it("blends the channels of a region with composite", async () => {
+    const dataset = await openDataset(fixtureLeicaSCN(), { composite: true });
+    expect(dataset.main.length).toBe(2);
+    expect(dataset.main[1].channels.map((c) => c.name)).toEqual(["DAPI", "FITC"]);
+    expect(dataset.main[1].planes.length).toBe(2);
+  });
+});
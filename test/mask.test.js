@@ -0,0 +1,112 @@
+import { describe, expect, it, vi } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { maskToAlpha, splitTransparencyMasks } from "../src/formats/mask.js";
+import { buildMultiPageTIFF } from "./data/tiff-fixtures.js";
+import { decodeOnMainThread } from "./helpers/main-thread.js";
+import { openDataset } from "./helpers/open-dataset.js";
+import { renderInWorker } from "./helpers/worker-render.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+// 1-bit mask page, one byte per row: the left half of the rows is opaque
+const maskPage = (width, height, subfileType) => ({
+  width,
+  height,
+  bitsPerSample: 1,
+  photometric: 4,
+  subfileType,
+  pixelBytes: new Uint8Array(height * Math.ceil(width / 8)).fill(0xf0),
+});
+
+// RGB image and its overview, each followed by its mask as GDAL writes them
+const fixtureMaskedRGB = () =>
+  buildMultiPageTIFF([
+    { width: 8, height: 4, samplesPerPixel: 3 },
+    maskPage(8, 4, 4),
+    { width: 4, height: 2, samplesPerPixel: 3, subfileType: 1 },
+    maskPage(4, 2, 5),
+  ]);
+
+const alpha = (rgba) => Array.from(rgba.filter((_, i) => i % 4 === 3));
+
+describe("transparency masks", () => {
+  decodeOnMainThread(OpenSeadragon);
+
+  it("associates masks with the image of the same size before them", () => {
+    const image = (width, height, fd = {}) => ({
+      fileDirectory: fd,
+      getWidth: () => width,
+      getHeight: () => height,
+    });
+    const full = image(8, 4);
+    const fullMask = image(8, 4, { PhotometricInterpretation: 4, NewSubfileType: 4 });
+    const overview = image(4, 2, { NewSubfileType: 1 });
+    const overviewMask = image(4, 2, { NewSubfileType: 5 });
+    const orphan = image(3, 3, { PhotometricInterpretation: 4 });
+
+    const { images, masks } = splitTransparencyMasks([
+      full,
+      fullMask,
+      orphan,
+      overview,
+      overviewMask,
+    ]);
+    expect(images).toEqual([full, overview]);
+    expect(masks.get(full)).toBe(fullMask);
+    expect(masks.get(overview)).toBe(overviewMask);
+    expect(masks.size).toBe(2);
+  });
+
+  it("scales mask samples to alpha", () => {
+    expect(Array.from(maskToAlpha(new Uint8Array([0, 1]), 1))).toEqual([0, 255]);
+    expect(Array.from(maskToAlpha(new Uint8Array([0, 128, 255]), 8))).toEqual([0, 128, 255]);
+  });
+
+  it("reads the mask of each level with its tiles instead of listing it as an image", async () => {
+    const dataset = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+      new File([fixtureMaskedRGB()], "masked.tif")
+    );
+    expect(dataset.main.length).toBe(1);
+    expect(dataset.associated).toEqual({});
+    const source = dataset.main[0].tileSource;
+    expect(source.levels.map((level) => level.width)).toEqual([4, 8]);
+    expect(source.levels.every((level) => level.maskImage)).toBe(true);
+
+    const tile = await source.regionToTiffRaster(source.levels[source.maxLevel], 0, 0);
+    expect(Array.from(tile.transparencyMask.slice(0, 8))).toEqual([255, 255, 255, 255, 0, 0, 0, 0]);
+    const rgba = OpenSeadragon.RawTiffPlugin.rasterToRGBA8(tile);
+    expect(alpha(rgba).slice(0, 8)).toEqual([255, 255, 255, 255, 0, 0, 0, 0]);
+
+    const overview = await source.regionToTiffRaster(source.levels[0], 0, 0);
+    expect(Array.from(overview.transparencyMask)).toEqual([255, 255, 255, 255, 255, 255, 255, 255]);
+  });
+
+  it("renders the mask as alpha in the worker", async () => {
+    const dataset = await openDataset(fixtureMaskedRGB());
+    const source = dataset.main[0].tileSource;
+    const tile = await source.regionToTiffRaster(source.levels[source.maxLevel], 0, 0);
+    const rgba = OpenSeadragon.RawTiffPlugin.rasterToRGBA8(tile);
+    const worker = await renderInWorker(tile, {});
+    expect(alpha(worker).slice(0, 8)).toEqual([255, 255, 255, 255, 0, 0, 0, 0]);
+    expect(Array.from(worker)).toEqual(Array.from(rgba));
+  });
+
+  it("combines the mask with NoData in the mask of gpuTextureSet", async () => {
+    const api = OpenSeadragon.RawTiffPlugin;
+    const raster = new api.TiffRaster({
+      width: 3,
+      height: 1,
+      bands: [new Uint8Array([0, 5, 6])],
+      samplesPerPixel: 1,
+      bitsPerSample: [8],
+      fileDirectory: { GDAL_NODATA: "0" },
+      transparencyMask: new Uint8Array([255, 255, 0]),
+      hints: { format: { interpretation: "data" } },
+    });
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const textures = await api.convert({}, raster, "gpuTextureSet", "tiffRaster");
+    warn.mockRestore();
+    expect(Array.from(textures.mask)).toEqual([0, 255, 0]);
+  });
+});
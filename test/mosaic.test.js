@@ -0,0 +1,99 @@
+import { describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { fixtureGeoTIFF } from "./data/tiff-fixtures.js";
+import { decodeOnMainThread } from "./helpers/main-thread.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+// A covers 0..640 m east of the origin, B overlaps its eastern half and extends to 960 m
+const west = () => new File([fixtureGeoTIFF({ value: 10 })], "west.tif");
+const east = () => new File([fixtureGeoTIFF({ value: 20, origin: [500320, 4100000] })], "east.tif");
+
+const readTile = (mosaic, level, x = 0, y = 0) =>
+  mosaic.regionToTiffRaster(mosaic.levels[level], x, y).then((raster) => raster.bands[0]);
+
+describe("GeoTIFF mosaics", () => {
+  decodeOnMainThread(OpenSeadragon);
+
+  it("places the inputs on a grid covering their union", async () => {
+    const mosaic = await OpenSeadragon.GeoTIFFMosaicTileSource.open([west(), east()]);
+    expect(mosaic).toBeInstanceOf(OpenSeadragon.GeoTIFFTileSource);
+    expect(mosaic.width).toBe(96);
+    expect(mosaic.height).toBe(32);
+    expect(mosaic.getGeoTransform()).toEqual([500000, 10, 0, 4100000, 0, -10]);
+    expect(mosaic.getCoordinateReferenceSystem().epsg).toBe(32633);
+    expect(mosaic.imageToWorld({ x: 80, y: 0 }).x).toBe(500800);
+    expect(mosaic.inputs.map(({ left, right }) => [left, right])).toEqual([
+      [0, 64],
+      [32, 96],
+    ]);
+  });
+
+  it("assembles tiles from overlapping inputs in priority order", async () => {
+    const first = await OpenSeadragon.GeoTIFFMosaicTileSource.open([west(), east()]);
+    const tile = await readTile(first, first.maxLevel);
+    const row = 5 * first.levels[first.maxLevel].tileWidth;
+    expect([tile[row + 10], tile[row + 40], tile[row + 80], tile[row + 100]]).toEqual([
+      10, 10, 20, 0,
+    ]);
+
+    const last = await OpenSeadragon.GeoTIFFMosaicTileSource.open([west(), east()], {
+      priority: "last",
+    });
+    const overlap = await readTile(last, last.maxLevel);
+    expect([overlap[row + 10], overlap[row + 40], overlap[row + 80]]).toEqual([10, 20, 20]);
+  });
+
+  it("reads lower levels from the overviews of the inputs", async () => {
+    const mosaic = await OpenSeadragon.GeoTIFFMosaicTileSource.open([west(), east()], {
+      tileWidth: 32,
+      tileHeight: 32,
+    });
+    expect(mosaic.levels.map((level) => level.width)).toEqual([24, 48, 96]);
+    const tile = await readTile(mosaic, 0);
+    // a level pixel covers 4 x 4 mosaic pixels
+    expect([tile[2 * 32 + 4], tile[2 * 32 + 20], tile[2 * 32 + 30], tile[10 * 32 + 4]]).toEqual([
+      10, 20, 0, 0,
+    ]);
+  });
+
+  it("prefers the finest input and rejects unopened inputs or unknown priorities", async () => {
+    const coarse = new File(
+      [fixtureGeoTIFF({ value: 30, pixelSize: 20, origin: [500000, 4100000] })],
+      "coarse.tif"
+    );
+    const mosaic = await OpenSeadragon.GeoTIFFMosaicTileSource.open([coarse, west()], {
+      priority: "finest",
+    });
+    // 1280 m x 640 m at the 10 m pixels of the finest input
+    expect([mosaic.width, mosaic.height]).toEqual([128, 64]);
+    const tile = await readTile(mosaic, mosaic.maxLevel);
+    const row = 5 * mosaic.levels[mosaic.maxLevel].tileWidth;
+    expect([tile[row + 10], tile[row + 100], tile[40 * 256 + 10]]).toEqual([10, 30, 30]);
+
+    expect(() => new OpenSeadragon.GeoTIFFMosaicTileSource({ tileSources: [{}] })).toThrow(
+      /opened first/
+    );
+    await expect(
+      OpenSeadragon.GeoTIFFMosaicTileSource.open([west()], { priority: "newest" })
+    ).rejects.toThrow(/Unknown mosaic priority/);
+  });
+
+  it("compares user-defined coordinate reference systems by their GeoKeys", async () => {
+    // transverse mercator and sinusoidal, both without EPSG code
+    const userDefined = (coordTrans, name) =>
+      new File([fixtureGeoTIFF({ value: 10, coordTrans })], name);
+    const same = await OpenSeadragon.GeoTIFFMosaicTileSource.open([
+      userDefined(24, "a.tif"),
+      userDefined(24, "b.tif"),
+    ]);
+    expect(same.getCoordinateReferenceSystem().epsg).toBe(null);
+    await expect(
+      OpenSeadragon.GeoTIFFMosaicTileSource.open([
+        userDefined(1, "tm.tif"),
+        userDefined(24, "sinusoidal.tif"),
+      ])
+    ).rejects.toThrow(/do not share a coordinate reference system/);
+  });
+});
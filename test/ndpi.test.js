@@ -0,0 +1,148 @@
+import { describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import {
+  assembleRestartJpeg,
+  isNdpi,
+  mapNdpiImages,
+  parseJpegHeader,
+  readNdpiDirectories,
+} from "../src/formats/ndpi.js";
+import { buildMultiPageTIFF, buildNDPI, buildRestartJPEG } from "./data/tiff-fixtures.js";
+import { openDataset } from "./helpers/open-dataset.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+// 32x16 level made of 2x2 restart intervals (2 MCUs each), right column brighter
+const slide = ({ mcuStarts = true, focalPlanes = [0] } = {}) =>
+  buildNDPI([
+    ...focalPlanes.flatMap((focalPlane) => [
+      {
+        width: 32,
+        height: 16,
+        restartInterval: 2,
+        bright: (k) => k % 2 === 1,
+        sourceLens: 20,
+        focalPlane,
+        mcuStarts,
+      },
+      {
+        width: 16,
+        height: 8,
+        restartInterval: 1,
+        bright: (k) => k === 0,
+        sourceLens: 20,
+        focalPlane,
+        mcuStarts,
+      },
+    ]),
+    { width: 16, height: 8, sourceLens: -1 },
+  ]);
+
+const pixel = (raster, x, y) => raster.bands[0][y * raster.width + x];
+
+describe("NDPI", () => {
+  it("parses the JPEG header and reassembles restart intervals", () => {
+    const { bytes, starts } = buildRestartJPEG({ width: 32, height: 16, restartInterval: 2 });
+    const jpeg = new Uint8Array(bytes);
+    const header = parseJpegHeader(jpeg);
+    expect(header).toMatchObject({
+      width: 32,
+      height: 16,
+      components: 1,
+      mcuWidth: 8,
+      restartInterval: 2,
+    });
+    expect(header.headerLength).toBe(starts[0]);
+    expect(parseJpegHeader(jpeg.subarray(0, 40))).toBe(null);
+
+    // the second column of intervals as a 16x16 JPEG
+    const interval = (k) => jpeg.subarray(starts[k], starts[k + 1] - 2);
+    const out = assembleRestartJpeg(
+      jpeg.subarray(0, header.headerLength),
+      header.sofOffset,
+      16,
+      16,
+      [[interval(1)], [interval(3)]]
+    );
+    expect(parseJpegHeader(out)).toMatchObject({ width: 16, height: 16 });
+    expect(Array.from(out.subarray(-2))).toEqual([0xff, 0xd9]);
+  });
+
+  it("reads directories with 64-bit offset extensions", async () => {
+    const file = new File([slide()], "slide.ndpi");
+    const { fromBlob } = await import("geotiff");
+    const tiff = await fromBlob(file);
+    const directories = await readNdpiDirectories(tiff.source);
+    expect(directories.length).toBe(3);
+    expect(directories.map((d) => d.NDPI_SOURCELENS)).toEqual([20, 20, -1]);
+    expect(directories[0].NDPI_MCU_STARTS.length).toBe(4);
+    expect(
+      mapNdpiImages(
+        directories.map((fileDirectory) => ({
+          fileDirectory,
+          getWidth: () => fileDirectory.ImageWidth,
+        }))
+      ).planes[0].images.length
+    ).toBe(2);
+  });
+
+  it("applies the high words of the extension to files larger than 4 GB only", async () => {
+    const buffer = slide();
+    const view = new DataView(buffer);
+    const ifd = view.getUint32(4, true);
+    const count = view.getUint16(ifd, true);
+    // high word of the StripOffsets entry (the sixth one)
+    view.setUint32(ifd + 2 + count * 12 + 8 + 5 * 4, 1, true);
+    const { fromArrayBuffer } = await import("geotiff");
+    const { source } = await fromArrayBuffer(buffer);
+    const [small] = await readNdpiDirectories(source);
+    const [large] = await readNdpiDirectories({
+      fileSize: 2 ** 33,
+      fetch: (slices, signal) => source.fetch(slices, signal),
+    });
+    expect(large.StripOffsets[0]).toBe(small.StripOffsets[0] + 2 ** 32);
+  });
+
+  it("recognizes NDPI files by their format flag", async () => {
+    const { fromArrayBuffer } = await import("geotiff");
+    const ndpi = await fromArrayBuffer(slide());
+    expect(await isNdpi(ndpi, await ndpi.getImage(0))).toBe(true);
+    // without unknown tags, the first IFD is not read again
+    const plain = await fromArrayBuffer(buildMultiPageTIFF([{ width: 16, height: 16 }]));
+    const firstImage = await plain.getImage(0);
+    plain.source.fetch = () => Promise.reject(new Error("read"));
+    expect(await isNdpi(plain, firstImage)).toBe(false);
+  });
+
+  it("opens the slide pyramid, metadata and macro image", async () => {
+    const dataset = await openDataset(slide());
+    expect(dataset.format).toBe("ndpi");
+    expect(dataset.metadata.ndpi.magnification).toBe(20);
+    expect(dataset.metadata.ndpi.mpp).toEqual({ x: 0.5, y: 0.5 });
+    expect(dataset.metadata.ndpi.properties["NDP.S/N"]).toBe("C12345");
+    expect(dataset.main.length).toBe(1);
+    expect(dataset.main[0].tileSource.levels.map((l) => l.width)).toEqual([16, 32]);
+    expect(dataset.associated.macro.width).toBe(16);
+  });
+
+  it.each([true, false])("decodes restart intervals (MCU starts tag: %s)", async (mcuStarts) => {
+    OpenSeadragon.GeoTIFFTileSource.sharedPool = null;
+    const dataset = await openDataset(slide({ mcuStarts }));
+    const raster = await dataset.main[0].tileSource.readImage({ as: "tiffRaster", maxSize: 32 });
+    expect([raster.width, raster.height]).toEqual([32, 16]);
+    expect(pixel(raster, 3, 3)).toBeCloseTo(128, -1);
+    expect(pixel(raster, 20, 3)).toBeCloseTo(160, -1);
+    expect(pixel(raster, 3, 12)).toBeCloseTo(128, -1);
+    expect(pixel(raster, 28, 12)).toBeCloseTo(160, -1);
+  });
+
+  it("exposes focal planes, starting at the nominal focus", async () => {
+    const dataset = await openDataset(slide({ focalPlanes: [-500, 0, 500] }));
+    const tileSource = dataset.main[0].tileSource;
+    expect(tileSource.getPlanes().map((p) => p.focalPlane)).toEqual([-500, 0, 500]);
+    expect(tileSource.planeIndex).toBe(1);
+    await tileSource.setPlane(2);
+    expect(tileSource.planeIndex).toBe(2);
+  });
+});
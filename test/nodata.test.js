@@ -0,0 +1,157 @@
+import { describe, expect, it, vi } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { noDataMask, parseNoData, resolveNoData } from "../src/formats/nodata.js";
+import { buildMultiPageTIFF, FIXTURE_TYPE, fixtureGeoTIFF } from "./data/tiff-fixtures.js";
+import { decodeOnMainThread } from "./helpers/main-thread.js";
+import { renderInWorker } from "./helpers/worker-render.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+const alpha = (rgba) => Array.from(rgba.filter((_, i) => i % 4 === 3));
+
+describe("NoData", () => {
+  decodeOnMainThread(OpenSeadragon);
+
+  it("parses GDAL_NODATA values and resolves them per band", () => {
+    expect(parseNoData("-9999\0")).toBe(-9999);
+    expect(parseNoData("nan")).toBeNaN();
+    expect(parseNoData("")).toBe(null);
+    expect(resolveNoData(null, null, { GDAL_NODATA: "0\0" }, 3)).toEqual([0, 0, 0]);
+    expect(resolveNoData(null, { noData: [null, 5] }, { GDAL_NODATA: "0" }, 2)).toEqual([null, 5]);
+    expect(resolveNoData({ noData: 7 }, { noData: [5] }, null, 1)).toEqual([7]);
+    expect(resolveNoData(null, null, {}, 1)).toBe(null);
+  });
+
+  it("masks pixels holding NoData in every band, NaN included", () => {
+    const red = new Uint8Array([0, 0, 9]);
+    const green = new Uint8Array([0, 4, 0]);
+    expect(Array.from(noDataMask([red, green], [0, 0]))).toEqual([0, 255, 255]);
+    // bands without NoData are not checked
+    expect(Array.from(noDataMask([red, green], [0, null]))).toEqual([0, 0, 255]);
+    expect(Array.from(noDataMask([new Float32Array([NaN, 1])], [NaN]))).toEqual([0, 255]);
+    expect(noDataMask([red], null)).toBe(null);
+  });
+
+  it("renders NoData transparent in image interpretation", () => {
+    const api = OpenSeadragon.RawTiffPlugin;
+    const raster = new api.TiffRaster({
+      width: 2,
+      height: 2,
+      bands: [new Uint8Array([0, 50, 100, 255])],
+      samplesPerPixel: 1,
+      bitsPerSample: [8],
+      photometricInterpretation: 1,
+      fileDirectory: { GDAL_NODATA: "0\0" },
+    });
+    expect(alpha(api.rasterToRGBA8(raster))).toEqual([0, 255, 255, 255]);
+
+    raster.hints = { format: { noData: 255 } };
+    expect(alpha(api.rasterToRGBA8(raster))).toEqual([255, 255, 255, 0]);
+  });
+
+  it("renders NoData transparent in the worker", async () => {
+    const api = OpenSeadragon.RawTiffPlugin;
+    const raster = (hints) =>
+      new api.TiffRaster({
+        width: 2,
+        height: 2,
+        bands: [new Uint8Array([0, 50, 100, 255])],
+        samplesPerPixel: 1,
+        bitsPerSample: [8],
+        photometricInterpretation: 1,
+        fileDirectory: { GDAL_NODATA: "0\0" },
+        hints,
+      });
+    expect(alpha(await renderInWorker(raster({}), {}))).toEqual([0, 255, 255, 255]);
+    // format and tile source NoData take precedence over the tag, as on the main thread
+    expect(alpha(await renderInWorker(raster({}), { noData: 255 }))).toEqual([255, 255, 255, 0]);
+    expect(alpha(await renderInWorker(raster({ noData: [50] }), {}))).toEqual([255, 0, 255, 255]);
+  });
+
+  it("reports NoData as a mask of gpuTextureSet in data interpretation", async () => {
+    const api = OpenSeadragon.RawTiffPlugin;
+    const raster = new api.TiffRaster({
+      width: 2,
+      height: 1,
+      bands: [new Float32Array([-9999, 3.5])],
+      samplesPerPixel: 1,
+      bitsPerSample: [32],
+      sampleFormat: [3],
+      fileDirectory: { GDAL_NODATA: "-9999" },
+      hints: { format: { interpretation: "data" } },
+    });
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+    const textures = await api.convert({}, raster, "gpuTextureSet", "tiffRaster");
+    warn.mockRestore();
+    expect(textures.mode).toBe("data");
+    expect(Array.from(textures.mask)).toEqual([0, 255]);
+    expect(textures.noData).toEqual([-9999]);
+  });
+
+  it("reads NoData of tile sources from the tag and from sidecars", async () => {
+    const dataset = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+      new File([fixtureGeoTIFF({ noData: -1 })], "nodata.tif")
+    );
+    const source = dataset.main[0].tileSource;
+    expect(source.getNoData()).toEqual([-1]);
+
+    const aux = `<PAMDataset><PAMRasterBand band="2"><NoDataValue>7</NoDataValue></PAMRasterBand></PAMDataset>`;
+    const rgb = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+      new File([buildMultiPageTIFF([{ width: 4, height: 4, samplesPerPixel: 3 }])], "rgb.tif"),
+      { sidecars: [new File([aux], "rgb.tif.aux.xml")] }
+    );
+    const rgbSource = rgb.main[0].tileSource;
+    expect(rgbSource.getNoData()).toEqual([null, 7, null]);
+    const tile = await rgbSource.regionToTiffRaster(rgbSource.levels[0], 0, 0);
+    expect(tile.hints.noData).toEqual([null, 7, null]);
+
+    const plain = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+      new File(
+        [
+          buildMultiPageTIFF([
+            {
+              width: 4,
+              height: 4,
+              tags: [{ tag: 42113, type: FIXTURE_TYPE.ASCII, values: "" }],
+            },
+          ]),
+        ],
+        "empty.tif"
+      )
+    );
+    expect(plain.main[0].tileSource.getNoData()).toBe(null);
+  });
+
+  it("lets inputs below show through NoData pixels of a mosaic", async () => {
+    // the eastern input is all NoData, the western one shows under it
+    const east = new File(
+      [fixtureGeoTIFF({ value: 0, noData: 0, origin: [500320, 4100000] })],
+      "east.tif"
+    );
+    const west = new File([fixtureGeoTIFF({ value: 10, noData: 0 })], "west.tif");
+    const mosaic = await OpenSeadragon.GeoTIFFMosaicTileSource.open([east, west]);
+    const tile = await mosaic.regionToTiffRaster(mosaic.levels[mosaic.maxLevel], 0, 0);
+    const row = 5 * 256;
+    expect([tile.bands[0][row + 10], tile.bands[0][row + 40], tile.bands[0][row + 80]]).toEqual([
+      10, 10, 0,
+    ]);
+    expect(tile.hints.noData).toEqual([0]);
+  });
+
+  it("masks each mosaic input with its own NoData value", async () => {
+    // the eastern input is all NoData by its own value, not by the value of the first input
+    const east = new File(
+      [fixtureGeoTIFF({ value: 20, noData: 20, origin: [500320, 4100000] })],
+      "east.tif"
+    );
+    const west = new File([fixtureGeoTIFF({ value: 10, noData: 0 })], "west.tif");
+    const mosaic = await OpenSeadragon.GeoTIFFMosaicTileSource.open([east, west]);
+    const tile = await mosaic.regionToTiffRaster(mosaic.levels[mosaic.maxLevel], 0, 0);
+    const row = 5 * 256;
+    // areas no input shows keep the NoData value of the first input
+    expect([tile.bands[0][row + 10], tile.bands[0][row + 40], tile.bands[0][row + 80]]).toEqual([
+      10, 10, 20,
+    ]);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { mapOmePyramids, omeColorToRGBA, parseOmeXml } from "../src/formats/ome.js";
+
+const omeXml = `<?xml version="1.0" encoding="UTF-8"?>
+<OME xmlns="http://www.openmicroscopy.org/Schemas/OME/2016-06" Creator="test">
+  <Image ID="Image:0" Name="stack">
+    <Pixels ID="Pixels:0" DimensionOrder="XYZCT" Type="uint16" SizeX="512" SizeY="256" SizeC="2" SizeZ="3" SizeT="1"
+            PhysicalSizeX="0.325" PhysicalSizeY="0.325" PhysicalSizeZ="2" PhysicalSizeZUnit="µm">
+      <Channel ID="Channel:0:0" Name="DAPI" Color="65535" SamplesPerPixel="1"/>
+      <Channel ID="Channel:0:1" Name="FITC" Color="16711935" SamplesPerPixel="1"/>
+      <TiffData IFD="0" PlaneCount="6"/>
+    </Pixels>
+  </Image>
+  <Image ID="Image:1" Name="stack (downsampled)">
+    <Pixels ID="Pixels:1" DimensionOrder="XYZCT" Type="uint16" SizeX="256" SizeY="128" SizeC="2" SizeZ="3" SizeT="1">
+      <Channel ID="Channel:1:0" SamplesPerPixel="1"/>
+      <Channel ID="Channel:1:1" SamplesPerPixel="1"/>
+      <TiffData IFD="6" PlaneCount="6"/>
+    </Pixels>
+  </Image>
+  <Image ID="Image:2" Name="label">
+    <Pixels ID="Pixels:2" DimensionOrder="XYCZT" Type="uint8" SizeX="100" SizeY="100" SizeC="3" SizeZ="1" SizeT="1">
+      <Channel ID="Channel:2:0" SamplesPerPixel="3"/>
+      <TiffData IFD="12" PlaneCount="1"/>
+    </Pixels>
+  </Image>
+</OME>`;
+
+describe("OME-TIFF reader", () => {
+  it("decodes signed OME colors as RGBA", () => {
+    expect(omeColorToRGBA("-16776961")).toEqual([255, 0, 0, 255]);
+    expect(omeColorToRGBA("65535")).toEqual([0, 0, 255, 255]);
+    expect(omeColorToRGBA(null)).toBe(null);
+  });
+
+  it("parses series, channels and physical sizes", () => {
+    const dataset = parseOmeXml(omeXml);
+    expect(dataset.format).toBe("ome");
+    expect(dataset.series.length).toBe(3);
+
+    const [stack, , label] = dataset.series;
+    expect(stack.sizeC).toBe(2);
+    expect(stack.sizeZ).toBe(3);
+    expect(stack.channels.map((c) => c.name)).toEqual(["DAPI", "FITC"]);
+    expect(stack.channels[1].color).toEqual([0, 255, 0, 255]);
+    expect(stack.physicalSize.x).toBe(0.325);
+    expect(stack.physicalSize.unitX).toBe("µm");
+    expect(label.sizeC).toBe(1);
+  });
+
+  it("maps planes onto IFDs following the dimension order", () => {
+    const [stack] = parseOmeXml(omeXml).series;
+    // XYZCT: Z varies fastest
+    expect(stack.planes.find((p) => p.c === 0 && p.z === 2).ifd).toBe(2);
+    expect(stack.planes.find((p) => p.c === 1 && p.z === 0).ifd).toBe(3);
+  });
+
+  it("maps downsampled series onto pyramid levels", () => {
+    const dataset = parseOmeXml(omeXml);
+    const images = Array.from({ length: 13 }, (_, ifd) => ({ ifd }));
+    const pyramids = mapOmePyramids(dataset, images);
+
+    expect(pyramids.length).toBe(2);
+    expect(pyramids[0].planes.length).toBe(6);
+    expect(pyramids[0].planes[4].images.map((im) => im.ifd)).toEqual([4, 10]);
+    expect(pyramids[1].series.name).toBe("label");
+  });
+
+  it("returns null for non OME descriptions", () => {
+    expect(parseOmeXml("Aperio Image Library v10.0.50")).toBe(null);
+  });
+});
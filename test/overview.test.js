@@ -0,0 +1,74 @@
+import { describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { getOverviewUrl } from "../src/formats/sidecar.js";
+import { buildMultiPageTIFF, fixturePlaneStack } from "./data/tiff-fixtures.js";
+import { decodeOnMainThread } from "./helpers/main-thread.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+const page = (width, height, value, extra = {}) => ({
+  width,
+  height,
+  pixelBytes: new Array(width * height).fill(value),
+  ...extra,
+});
+
+// a single huge level, its overviews live in image.tif.ovr
+const base = () => new File([buildMultiPageTIFF([page(256, 128, 1)])], "image.tif");
+const ovr = () =>
+  new File(
+    [
+      buildMultiPageTIFF([
+        page(128, 64, 2),
+        page(64, 32, 3),
+        // transparency mask of the overview, and an image of another shape
+        page(128, 64, 255, { photometric: 4, subfileType: 5 }),
+        page(40, 40, 4),
+      ]),
+    ],
+    "image.tif.ovr"
+  );
+
+describe("External overviews", () => {
+  decodeOnMainThread(OpenSeadragon);
+
+  it("derives the overview url from the image url", () => {
+    expect(getOverviewUrl("https://example.com/dem.tif?token=1")).toBe(
+      "https://example.com/dem.tif.ovr?token=1"
+    );
+  });
+
+  it("merges overview images as lower pyramid levels", async () => {
+    const dataset = await OpenSeadragon.GeoTIFFTileSource.openDataset(base(), { overviews: ovr() });
+    const source = dataset.main[0].tileSource;
+    expect(source.levels.map((level) => level.width)).toEqual([64, 128, 256]);
+    expect(source.levels.map((level) => level.scaleFactor)).toEqual([1, 1, 1]);
+
+    const tile = await source.regionToTiffRaster(source.levels[0], 0, 0);
+    expect(tile.bands[0][0]).toBe(3);
+    const full = await source.regionToTiffRaster(source.levels[2], 0, 0);
+    expect(full.bands[0][0]).toBe(1);
+  });
+
+  it("reads overviews when the tile source opens a file itself", async () => {
+    const source = new OpenSeadragon.GeoTIFFTileSource(base(), { overviews: ovr() });
+    await source.promises.ready.promise;
+    expect(source.levels.map((level) => level.width)).toEqual([64, 128, 256]);
+  });
+
+  it("ignores missing overviews it looked for and sources with planes", async () => {
+    const dataset = await OpenSeadragon.GeoTIFFTileSource.openDataset(base(), { overviews: true });
+    expect(dataset.main[0].tileSource.levels).toHaveLength(1);
+
+    const stack = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+      new File([fixturePlaneStack()], "stack.tif")
+    );
+    const source = stack.main[0].tileSource;
+    const levels = source.levels.length;
+    expect(
+      source.addOverviews(await OpenSeadragon.GeoTIFFTileSource.readOverviews(null, ovr()))
+    ).toBe(0);
+    expect(source.levels).toHaveLength(levels);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, expect, it, vi } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { parsePerkinElmerDescription } from "../src/formats/perkinElmer.js";
+import { fixtureQPTIFF } from "./data/tiff-fixtures.js";
+import { openDataset } from "./helpers/open-dataset.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+describe("PerkinElmer QPTIFF", () => {
+  it("parses a page description", () => {
+    const info = parsePerkinElmerDescription(`<?xml version="1.0"?>
+<PerkinElmer-QPI-ImageDescription>
+  <ImageType>FullResolution</ImageType>
+  <Name>Opal 570</Name>
+  <Color>255,255,0</Color>
+  <Biomarker>PD-L1</Biomarker>
+  <ExposureTime>12000</ExposureTime>
+  <Filter>Opal 570</Filter>
+  <Objective>20x</Objective>
+</PerkinElmer-QPI-ImageDescription>\0`);
+    expect(info).toMatchObject({
+      imageType: "FullResolution",
+      name: "Opal 570",
+      color: [255, 255, 0],
+      biomarker: "PD-L1",
+      exposureTime: 12000,
+      filter: "Opal 570",
+      objective: "20x",
+    });
+    expect(parsePerkinElmerDescription("Aperio Image Library")).toBe(null);
+  });
+
+  it("models channels and associated images", async () => {
+    const dataset = await openDataset(fixtureQPTIFF());
+    const { qptiff } = dataset.metadata;
+    expect(qptiff).toMatchObject({
+      slideId: "S-1",
+      barcode: "1234",
+      objective: "20x",
+      descriptionVersion: "2",
+    });
+    expect(qptiff.channels.map((c) => [c.name, c.biomarker, c.exposureTime, c.filter])).toEqual([
+      ["DAPI", "Nuclei", 2500, "DAPI"],
+      ["FITC", "CD8", 8000, "FITC"],
+    ]);
+    expect(Object.keys(qptiff.associated).sort()).toEqual(["label", "macro", "thumbnail"]);
+
+    expect(dataset.main.map((entry) => entry.channel.name)).toEqual(["DAPI", "FITC"]);
+    // the thumbnail has the slide aspect ratio but is not a pyramid level
+    expect(dataset.main[0].tileSource.levels.map((l) => l.width)).toEqual([32, 64]);
+    expect(dataset.associated.macro.width).toBe(40);
+    expect(dataset.associated.thumbnail.width).toBe(16);
+    expect(dataset.main[1].metadata.qptiff).toBe(qptiff);
+  });
+
+  it("reuses the parsed model for every tile", async () => {
+    OpenSeadragon.GeoTIFFTileSource.sharedPool = null;
+    const dataset = await openDataset(fixtureQPTIFF());
+    const tileSource = dataset.main[1].tileSource;
+    const level = tileSource.levels[1];
+
+    const parse = vi.spyOn(DOMParser.prototype, "parseFromString");
+    const rasters = [
+      await tileSource.regionToTiffRaster(level, 0, 0),
+      await tileSource.regionToTiffRaster(level, 0, 0),
+    ];
+    expect(parse).not.toHaveBeenCalled();
+    parse.mockRestore();
+    expect(rasters[0].hints.tintRGB).toEqual([0, 255, 0]);
+  });
+});
@@ -0,0 +1,49 @@
+import { describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { parsePhilipsPixelSpacing } from "../src/formats/philips.js";
+import { fixturePhilips } from "./data/tiff-fixtures.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+describe("Philips TIFF", () => {
+  it("parses DICOM pixel spacing (row, column) in mm", () => {
+    expect(parsePhilipsPixelSpacing('"0.000227273" "0.000250000"')).toEqual({
+      x: 0.00025,
+      y: 0.000227273,
+    });
+    expect(parsePhilipsPixelSpacing("")).toBe(null);
+  });
+
+  it("builds the pyramid from the XML pixel spacing", async () => {
+    const dataset = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+      new File([fixturePhilips()], "slide.tiff")
+    );
+    expect(dataset.format).toBe("philips");
+    expect(dataset.metadata.philips.properties.DICOM_MANUFACTURER).toBe("PHILIPS");
+    expect(dataset.metadata.philips.mpp).toEqual({ x: 0.25, y: 0.25 });
+    expect(dataset.metadata.philips.pixelSpacing.length).toBe(3);
+
+    // the padded 16x16 level is part of the pyramid, cropped to its true size
+    expect(dataset.main.length).toBe(1);
+    const { levels } = dataset.main[0].tileSource;
+    expect(levels.map((l) => [l.width, l.height])).toEqual([
+      [16, 8],
+      [32, 16],
+      [64, 32],
+    ]);
+    expect(Object.keys(dataset.associated).sort()).toEqual(["label", "macro"]);
+    expect(dataset.associated.macro.width).toBe(40);
+  });
+
+  it("reads pixels of cropped levels", async () => {
+    OpenSeadragon.GeoTIFFTileSource.sharedPool = null;
+    const dataset = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+      new File([fixturePhilips()], "slide.tiff")
+    );
+    const raster = await dataset.main[0].tileSource.readImage({ as: "tiffRaster", maxSize: 16 });
+    expect([raster.width, raster.height]).toEqual([16, 8]);
+    // fixture pattern (x + 10y) & 255 of the 16x16 page
+    expect(raster.bands[0][2 * 16 + 5]).toBe(25);
+  });
+});
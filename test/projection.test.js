@@ -0,0 +1,98 @@
+import { describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { getProjection, transformCoordinates } from "../src/formats/projection.js";
+import { fixtureGeoTIFF } from "./data/tiff-fixtures.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+// meridian arc length from the equator to 45° on the WGS84 ellipsoid
+const MERIDIAN_45 = 4984944.378;
+
+describe("Reprojection", () => {
+  it("projects to UTM zones of both hemispheres", () => {
+    const north = transformCoordinates({ x: 15, y: 45 }, 4326, 32633);
+    expect(north.x).toBeCloseTo(500000, 3);
+    expect(north.y).toBeCloseTo(0.9996 * MERIDIAN_45, 2);
+
+    const south = transformCoordinates({ x: 15, y: -45 }, "EPSG:4326", "EPSG:32733");
+    expect(south.y).toBeCloseTo(10000000 - 0.9996 * MERIDIAN_45, 2);
+
+    // symmetric about the central meridian
+    const east = transformCoordinates({ x: 18, y: 45 }, 4326, 32633);
+    const west = transformCoordinates({ x: 12, y: 45 }, 4326, 32633);
+    expect(east.x - 500000).toBeCloseTo(500000 - west.x, 6);
+    expect(east.y).toBeCloseTo(west.y, 6);
+  });
+
+  it("round trips at the edges of UTM zones", () => {
+    for (const [code, lon, lat] of [
+      [32601, -177.5, 70],
+      [32633, 12.01, 0.5],
+      [32760, 179.9, -60],
+      [25832, 6.01, 55],
+      [26918, -76, 40],
+    ]) {
+      const projected = transformCoordinates({ x: lon, y: lat }, 4326, code);
+      const back = transformCoordinates(projected, code, 4326);
+      expect(back.x).toBeCloseTo(lon, 9);
+      expect(back.y).toBeCloseTo(lat, 9);
+    }
+  });
+
+  it("projects to Web Mercator and MODIS sinusoidal", () => {
+    const corner = transformCoordinates({ x: 180, y: 85.0511287798066 }, 4326, 3857);
+    expect(corner.x).toBeCloseTo(20037508.342789, 5);
+    expect(corner.y).toBeCloseTo(20037508.342789, 3);
+    expect(transformCoordinates({ x: 20037508.342789, y: 0 }, 900913, 4326).x).toBeCloseTo(180, 9);
+
+    const modis = {
+      epsg: null,
+      type: "projected",
+      geoKeys: { ProjCoordTransGeoKey: 24, GeogSemiMajorAxisGeoKey: 6371007.181 },
+    };
+    expect(transformCoordinates({ x: -180, y: 0 }, 4326, modis).x).toBeCloseTo(-20015109.354, 2);
+    const tile = transformCoordinates({ x: -140, y: 50 }, 4326, modis);
+    expect(tile.y).toBeCloseTo(5559752.598, 2);
+    expect(transformCoordinates(tile, modis, 4326).x).toBeCloseTo(-140, 9);
+    expect(getProjection(2157)).toBe(null);
+    expect(() => transformCoordinates({ x: 0, y: 0 }, 2157, 4326)).toThrow(/EPSG|2157/);
+  });
+
+  it("projects to the British National Grid and Lambert-93", () => {
+    // reference values of proj4 with the same datum shift
+    for (const [code, lon, lat, x, y] of [
+      [27700, -0.1276, 51.5072, 530043.195, 180358.208],
+      [27700, -3.1883, 55.9533, 325897.218, 674001.201],
+      [2154, 2.3522, 48.8566, 652469.023, 6862035.259],
+      [2154, 5.3698, 43.2965, 892390.222, 6247035.257],
+    ]) {
+      const projected = transformCoordinates({ x: lon, y: lat }, 4326, code);
+      expect(projected.x).toBeCloseTo(x, 1);
+      expect(projected.y).toBeCloseTo(y, 1);
+      const back = transformCoordinates(projected, code, 4326);
+      expect(back.x).toBeCloseTo(lon, 6);
+      expect(back.y).toBeCloseTo(lat, 6);
+    }
+    expect(getProjection("EPSG:27700").name).toBe("OSGB36 / British National Grid");
+  });
+
+  it("converts pixels of a UTM GeoTIFF to longitude and latitude", async () => {
+    const dataset = await OpenSeadragon.GeoTIFFTileSource.openDataset(
+      new File([fixtureGeoTIFF()], "utm.tif")
+    );
+    const source = dataset.main[0].tileSource;
+
+    const origin = source.imageToLonLat(new OpenSeadragon.Point(0, 0));
+    expect(origin.x).toBeCloseTo(15, 9); // easting 500000 is the central meridian of zone 33
+    expect(origin.y).toBeGreaterThan(37);
+    expect(origin.y).toBeLessThan(37.1);
+
+    const pixel = source.lonLatToImage(source.imageToLonLat({ x: 10, y: 20 }));
+    expect(pixel.x).toBeCloseTo(10, 6);
+    expect(pixel.y).toBeCloseTo(20, 6);
+
+    const mercator = source.imageToWorld({ x: 0, y: 0 }, source.maxLevel, 3857);
+    expect(mercator.x).toBeCloseTo(15 * 111319.49079327357, 3);
+  });
+});
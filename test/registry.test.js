@@ -0,0 +1,130 @@
+import { afterEach, describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { getFormatReaders } from "../src/formats/registry.js";
+import {
+  fixtureIFDPyramid,
+  fixtureLeicaSCN,
+  fixturePhilips,
+  fixtureQPTIFF,
+  fixtureSlideWithAssociated,
+} from "./data/tiff-fixtures.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+const { GeoTIFFTileSource } = OpenSeadragon;
+
+describe("format readers", () => {
+  afterEach(() => {
+    GeoTIFFTileSource.unregisterFormatReader("acme");
+    GeoTIFFTileSource.unregisterFormatReader("svs");
+  });
+
+  it("recognizes formats from the content, not the file name", async () => {
+    const qptiff = await GeoTIFFTileSource.openDataset(
+      new File([fixtureQPTIFF()], "download?id=42")
+    );
+    expect(qptiff.format).toBe("qptiff");
+    expect(qptiff.channels.map((c) => [c.name, c.color])).toEqual([
+      ["DAPI", [0, 0, 255]],
+      ["FITC", [0, 255, 0]],
+    ]);
+
+    const svs = await GeoTIFFTileSource.openDataset(new Blob([fixtureSlideWithAssociated()]));
+    expect(svs.format).toBe("svs");
+
+    const tiff = await GeoTIFFTileSource.openDataset(
+      new File([fixtureIFDPyramid()], "slide.qptiff")
+    );
+    expect(tiff.format).toBe("tiff");
+  });
+
+  it("opens Blobs passed to the tile source", async () => {
+    const source = new GeoTIFFTileSource(new Blob([fixtureIFDPyramid()]));
+    await source.promises.ready.promise;
+    expect(source.levels.length).toBeGreaterThan(1);
+  });
+
+  it("asks registered readers first and falls back to the generic TIFF reader last", () => {
+    GeoTIFFTileSource.registerFormatReader({ name: "acme", detect: () => false, open: () => null });
+    const names = getFormatReaders().map((reader) => reader.name);
+    expect(names[0]).toBe("ndpi");
+    expect(names[1]).toBe("acme");
+    expect(names[names.length - 1]).toBe("tiff");
+  });
+
+  it("parses the OME-XML once, in detect", async () => {
+    const ome = getFormatReaders().find((reader) => reader.name === "ome");
+    const description = `<?xml version="1.0"?><OME xmlns="http://www.openmicroscopy.org/Schemas/OME/2016-06">
+      <Image ID="Image:0"><Pixels ID="Pixels:0" DimensionOrder="XYZCT" Type="uint8" SizeX="64" SizeY="64"
+        SizeC="1" SizeZ="1" SizeT="1"><TiffData IFD="0" PlaneCount="1"/></Pixels></Image></OME>`;
+    const context = {
+      firstImage: { fileDirectory: { ImageDescription: description } },
+      // open must not parse the description again
+      getImages: async () => [{ fileDirectory: {} }],
+      TileSource: { openOmeDataset: (tiff, images, parsed) => parsed },
+      detected: {},
+    };
+    expect(await ome.detect(context)).toBe(true);
+    const parsed = await ome.open(context);
+    expect(parsed).toBe(context.detected.ome);
+    expect(parsed.series).toHaveLength(1);
+  });
+
+  it.each([
+    ["philips", fixturePhilips, "openPhilipsDataset"],
+    ["scn", fixtureLeicaSCN, "openLeicaDataset"],
+  ])("parses the %s XML description once, in detect", async (name, fixture, openDataset) => {
+    const reader = getFormatReaders().find((candidate) => candidate.name === name);
+    const { fromArrayBuffer } = await import("geotiff");
+    const firstImage = await (await fromArrayBuffer(fixture())).getImage(0);
+    const context = {
+      firstImage,
+      getImages: async () => [firstImage],
+      TileSource: { [openDataset]: (tiff, images, parsed) => parsed },
+      detected: {},
+    };
+    expect(await reader.detect(context)).toBe(true);
+    // open must not parse the description again
+    firstImage.fileDirectory = { ...firstImage.fileDirectory, ImageDescription: "" };
+    const parsed = await reader.open(context);
+    expect(parsed).not.toBe(null);
+    expect(parsed).toBe(context.detected[name]);
+  });
+
+  it("opens files with a registered reader", async () => {
+    GeoTIFFTileSource.registerFormatReader({
+      name: "acme",
+      detect: ({ firstImage }) => firstImage.getWidth() === 64,
+      open: async ({ tiff, getImages, opts, TileSource }) =>
+        TileSource.openTiffDataset(tiff, await getImages(), opts, {
+          format: "acme",
+          metadata: { acme: true },
+        }),
+    });
+    const dataset = await GeoTIFFTileSource.openDataset(
+      new File([fixtureIFDPyramid()], "slide.tif")
+    );
+    expect(dataset.format).toBe("acme");
+    expect(dataset.main[0].metadata).toEqual({ acme: true });
+  });
+
+  it("replaces built-in readers registered under the same name", async () => {
+    GeoTIFFTileSource.registerFormatReader({
+      name: "svs",
+      detect: ({ description }) => description.startsWith("Aperio"),
+      open: ({ TileSource }) => ({ format: "custom-svs", TileSource }),
+    });
+    expect(getFormatReaders().filter((reader) => reader.name === "svs").length).toBe(1);
+    const dataset = await GeoTIFFTileSource.openDataset(
+      new File([fixtureSlideWithAssociated()], "slide.svs")
+    );
+    expect(dataset.format).toBe("custom-svs");
+  });
+
+  it("rejects incomplete readers", () => {
+    expect(() => GeoTIFFTileSource.registerFormatReader({ name: "acme" })).toThrow(
+      /detect function/
+    );
+  });
+});
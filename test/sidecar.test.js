@@ -0,0 +1,123 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import {
+  getSidecarUrls,
+  parseAuxXml,
+  parseWorldFile,
+  parseWktCrs,
+  readSidecars,
+} from "../src/formats/sidecar.js";
+import { buildMultiPageTIFF, fixtureSlideWithAssociated } from "./data/tiff-fixtures.js";
+import { openDataset } from "./helpers/open-dataset.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+// 10 m pixels, the center of the top left pixel at (500005, 4099995)
+const TFW = "10.0\n0.0\n0.0\n-10.0\n500005.0\n4099995.0\n";
+
+const AUX_XML = `<PAMDataset>
+  <SRS dataAxisToSRSAxisMapping="1,2">PROJCS["WGS 84 / UTM zone 33N",GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563]],UNIT["degree",0.0174532925199433],AUTHORITY["EPSG","4326"]],PROJECTION["Transverse_Mercator"],UNIT["metre",1],AUTHORITY["EPSG","32633"]]</SRS>
+  <GeoTransform>  6.0000000000000000e+05,  3.0000000000000000e+01,  0.0000000000000000e+00,  4.2000000000000000e+06,  0.0000000000000000e+00, -3.0000000000000000e+01</GeoTransform>
+  <Metadata>
+    <MDI key="AREA_OR_POINT">Area</MDI>
+  </Metadata>
+  <Metadata domain="IMAGE_STRUCTURE">
+    <MDI key="INTERLEAVE">BAND</MDI>
+  </Metadata>
+  <PAMRasterBand band="1">
+    <Description>Elevation</Description>
+    <NoDataValue>-9999</NoDataValue>
+    <Scale>0.1</Scale>
+    <Metadata>
+      <MDI key="STATISTICS_MAXIMUM">4810</MDI>
+      <MDI key="STATISTICS_MEAN">812.5</MDI>
+      <MDI key="STATISTICS_MINIMUM">-12</MDI>
+      <MDI key="STATISTICS_STDDEV">340.25</MDI>
+      <MDI key="UNITS">m</MDI>
+    </Metadata>
+  </PAMRasterBand>
+</PAMDataset>`;
+
+describe("Sidecar files", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it("parses world files to the corner of the top left pixel", () => {
+    expect(parseWorldFile(TFW)).toEqual([500000, 10, 0, 4100000, 0, -10]);
+    expect(parseWorldFile("10 0 0 -10")).toBe(null);
+  });
+
+  it("parses the SRS, geotransform, NoData, descriptions and statistics of .aux.xml files", () => {
+    const sidecar = parseAuxXml(AUX_XML);
+    expect(sidecar.geoTransform).toEqual([600000, 30, 0, 4200000, 0, -30]);
+    expect(sidecar.crs).toMatchObject({
+      epsg: 32633,
+      type: "projected",
+      name: "WGS 84 / UTM zone 33N",
+      unit: "m",
+    });
+    expect(sidecar.noData).toBe(-9999);
+    expect(sidecar.metadata).toEqual({ AREA_OR_POINT: "Area" });
+    expect(sidecar.bands).toEqual([
+      {
+        band: 1,
+        description: "Elevation",
+        unit: null,
+        noData: -9999,
+        scale: 0.1,
+        offset: null,
+        statistics: { min: -12, max: 4810, mean: 812.5, stdDev: 340.25 },
+        metadata: { UNITS: "m" },
+      },
+    ]);
+    expect(parseAuxXml("<GDALMetadata/>")).toBe(null);
+    expect(
+      parseWktCrs('GEOGCRS["WGS 84",ANGLEUNIT["degree",0.0174532925199433],ID["EPSG",4326]]')
+    ).toMatchObject({
+      epsg: 4326,
+      type: "geographic",
+      unit: "deg",
+    });
+  });
+
+  it("derives sidecar urls from the image url and fetches the ones that exist", async () => {
+    expect(getSidecarUrls("https://example.com/dem.tif?token=1")).toEqual({
+      worldFile: [
+        "https://example.com/dem.tfw?token=1",
+        "https://example.com/dem.tifw?token=1",
+        "https://example.com/dem.wld?token=1",
+      ],
+      auxXml: ["https://example.com/dem.tif.aux.xml?token=1"],
+    });
+
+    const fetch = vi.fn(async (url) =>
+      url.endsWith(".tifw") ? new Response(TFW) : new Response("", { status: 404 })
+    );
+    vi.stubGlobal("fetch", fetch);
+    const sidecar = await readSidecars("https://example.com/dem.tif", true);
+    expect(sidecar.geoTransform).toEqual([500000, 10, 0, 4100000, 0, -10]);
+    expect(sidecar.files).toEqual(["https://example.com/dem.tifw"]);
+    expect(await readSidecars(new File([], "dem.tif"), true)).toBe(null);
+  });
+
+  it("georeferences the main images of a dataset from sidecar files", async () => {
+    const dataset = await openDataset(buildMultiPageTIFF([{ width: 16, height: 16 }]), {
+      sidecars: [new File([TFW], "image.tfw"), new File([AUX_XML], "image.tif.aux.xml")],
+    });
+    const source = dataset.main[0].tileSource;
+    // the .aux.xml geotransform wins over the world file
+    expect(source.getGeoTransform()).toEqual([600000, 30, 0, 4200000, 0, -30]);
+    expect(source.getCoordinateReferenceSystem().epsg).toBe(32633);
+    expect(source.getPixelSpacing()).toMatchObject({ x: 30, unit: "m", source: "geotiff" });
+    expect(source.metadata.sidecar.files).toEqual(["image.tif.aux.xml", "image.tfw"]);
+    expect(dataset.main[0].metadata.sidecar.noData).toBe(-9999);
+
+    const slide = await openDataset(fixtureSlideWithAssociated(), {
+      sidecars: { worldFile: new Blob([TFW]) },
+    });
+    expect(slide.main[0].tileSource.getGeoTransform()).toEqual([500000, 10, 0, 4100000, 0, -10]);
+    expect(slide.associated.label.tileSource.getGeoTransform()).toBe(null);
+  });
+});
@@ -0,0 +1,224 @@
+import { describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { convertLength, getVendorSpacing, normalizeUnit } from "../src/formats/spacing.js";
+import {
+  buildMultiPageTIFF,
+  FIXTURE_TYPE,
+  fixtureImageJHyperstack,
+  fixtureSlideWithAssociated,
+} from "./data/tiff-fixtures.js";
+import { openDataset } from "./helpers/open-dataset.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+describe("Pixel spacing", () => {
+  it("normalizes and converts length units", () => {
+    expect(["um", "micron", "Microns", "μm", "µm"].map(normalizeUnit)).toEqual([
+      "µm",
+      "µm",
+      "µm",
+      "µm",
+      "µm",
+    ]);
+    expect(normalizeUnit("Millimeter")).toBe("mm");
+    expect(normalizeUnit("pixel")).toBe(null);
+    expect(convertLength(1500, "µm", "mm")).toBeCloseTo(1.5);
+    expect(convertLength(1, "in", "cm")).toBeCloseTo(2.54);
+    expect(convertLength(1e6, "µm", "mm", 2)).toBeCloseTo(1);
+    expect(() => convertLength(1, "deg", "m")).toThrow(/not a length unit/);
+  });
+
+  it("reads OME physical sizes of the series of the source", () => {
+    const ome = {
+      series: [
+        { physicalSize: { x: 0.5, y: 0.5, unitX: "µm", unitY: "µm" } },
+        { physicalSize: { x: 1, y: 0.002, unitX: "µm", unitY: "mm" } },
+      ],
+    };
+    const spacing = getVendorSpacing({ ome }, { series: 1 });
+    expect(spacing).toMatchObject({ x: 1, unit: "µm", source: "ome" });
+    expect(spacing.y).toBeCloseTo(2);
+  });
+
+  it("prefers vendor metadata, associated images do not inherit the slide MPP", async () => {
+    const dataset = await openDataset(fixtureSlideWithAssociated());
+    const source = dataset.main[0].tileSource;
+    expect(source.getPixelSpacing()).toEqual({ x: 0.499, y: 0.499, unit: "µm", source: "aperio" });
+    expect(source.getPixelSpacing("mm").x).toBeCloseTo(0.000499);
+    expect(dataset.associated.label.tileSource.getPixelSpacing()).toBe(null);
+
+    const imagej = await openDataset(fixtureImageJHyperstack());
+    expect(imagej.main[0].tileSource.getPixelSpacing()).toEqual({
+      x: 0.25,
+      y: 0.25,
+      unit: "µm",
+      source: "imagej",
+    });
+  });
+
+  it("falls back to the GeoTIFF pixel scale, then the resolution tags", async () => {
+    const geotiff = await openDataset(
+      buildMultiPageTIFF([
+        {
+          width: 16,
+          height: 16,
+          tags: [
+            { tag: 33550, type: FIXTURE_TYPE.DOUBLE, values: [30, 30, 0] },
+            { tag: 33922, type: FIXTURE_TYPE.DOUBLE, values: [0, 0, 0, 1000, 2000, 0] },
+            // projected model, linear unit: US survey foot
+            {
+              tag: 34735,
+              type: FIXTURE_TYPE.SHORT,
+              values: [1, 1, 0, 2, 1024, 0, 1, 1, 3076, 0, 1, 9003],
+            },
+          ],
+        },
+      ])
+    );
+    const spacing = geotiff.main[0].tileSource.getPixelSpacing();
+    expect(spacing).toMatchObject({ x: 30, y: 30, unit: "ft-us", source: "geotiff" });
+
+    const resolution = await openDataset(
+      buildMultiPageTIFF([
+        {
+          width: 16,
+          height: 16,
+          tags: [
+            { tag: 282, type: FIXTURE_TYPE.RATIONAL, values: [[1000, 1]] },
+            { tag: 283, type: FIXTURE_TYPE.RATIONAL, values: [[500, 1]] },
+            { tag: 296, type: FIXTURE_TYPE.SHORT, values: [3] },
+          ],
+        },
+      ])
+    );
+    const pixel = resolution.main[0].tileSource.getPixelSpacing("µm");
+    expect(pixel.x).toBeCloseTo(10);
+    expect(pixel.y).toBeCloseTo(20);
+    expect(pixel.source).toBe("resolution");
+
+    const plain = await openDataset(buildMultiPageTIFF([{ width: 16, height: 16 }]));
+    expect(plain.main[0].tileSource.getPixelSpacing()).toBe(null);
+  });
+
+  it("ignores placeholder resolutions and resolutions without unit", async () => {
+    const withResolution = (dpi, unit) =>
+      openDataset(
+        buildMultiPageTIFF([
+          {
+            width: 16,
+            height: 16,
+            tags: [
+              { tag: 282, type: FIXTURE_TYPE.RATIONAL, values: [[dpi, 1]] },
+              { tag: 283, type: FIXTURE_TYPE.RATIONAL, values: [[dpi, 1]] },
+              ...(unit ? [{ tag: 296, type: FIXTURE_TYPE.SHORT, values: [unit] }] : []),
+            ],
+          },
+        ])
+      );
+    for (const [dpi, unit] of [
+      [72, 2],
+      [96, 2],
+      [300, null],
+    ]) {
+      const source = (await withResolution(dpi, unit)).main[0].tileSource;
+      expect(source.getPixelSpacing()).toBe(null);
+      expect(
+        source.measureLength([
+          { x: 0, y: 0 },
+          { x: 3, y: 4 },
+        ])
+      ).toEqual({ value: 5, unit: "px" });
+    }
+    const scanned = (await withResolution(300, 2)).main[0].tileSource;
+    expect(scanned.getPixelSpacing()).toMatchObject({ unit: "in", source: "resolution" });
+  });
+
+  it("measures geographic rasters in meters on the sphere", async () => {
+    // EPSG:4326, 0.001 degree pixels from 15 E, 60.008 N: the center is at 60 N
+    const dataset = await openDataset(
+      buildMultiPageTIFF([
+        {
+          width: 16,
+          height: 16,
+          tags: [
+            { tag: 33550, type: FIXTURE_TYPE.DOUBLE, values: [0.001, 0.001, 0] },
+            { tag: 33922, type: FIXTURE_TYPE.DOUBLE, values: [0, 0, 0, 15, 60.008, 0] },
+            // geographic model, GeographicTypeGeoKey 4326
+            {
+              tag: 34735,
+              type: FIXTURE_TYPE.SHORT,
+              values: [1, 1, 0, 2, 1024, 0, 1, 2, 2048, 0, 1, 4326],
+            },
+          ],
+        },
+      ])
+    );
+    const source = dataset.main[0].tileSource;
+    const spacing = source.getPixelSpacing();
+    expect(spacing).toMatchObject({ unit: "m", source: "geotiff" });
+    // a degree of latitude is 111.2 km, half of it in longitude at 60 N
+    expect(spacing.x).toBeCloseTo(55.6, 1);
+    expect(spacing.y).toBeCloseTo(111.2, 1);
+    expect(source.getPixelSpacing("km").x).toBeCloseTo(0.0556, 4);
+
+    const line = source.measureLength([
+      { x: 0, y: 8 },
+      { x: 10, y: 8 },
+    ]);
+    expect(line.unit).toBe("m");
+    expect(line.value).toBeCloseTo(556, 0);
+    expect(
+      source.measureLength(
+        [
+          { x: 0, y: 0 },
+          { x: 0, y: 10 },
+        ],
+        { unit: "km" }
+      ).value
+    ).toBeCloseTo(1.112, 3);
+    const square = [
+      { x: 0, y: 3 },
+      { x: 10, y: 3 },
+      { x: 10, y: 13 },
+      { x: 0, y: 13 },
+    ];
+    const area = source.measureArea(square, { unit: "km" });
+    expect(area.unit).toBe("km²");
+    expect(area.value).toBeCloseTo(0.556 * 1.112, 3);
+  });
+
+  it("measures lengths and areas in physical units", async () => {
+    const dataset = await openDataset(fixtureSlideWithAssociated());
+    const source = dataset.main[0].tileSource;
+    const square = [
+      { x: 0, y: 0 },
+      { x: 10, y: 0 },
+      { x: 10, y: 10 },
+      { x: 0, y: 10 },
+    ];
+    expect(source.measureLength(square.slice(0, 3)).value).toBeCloseTo(9.98);
+    expect(source.measureLength(square.slice(0, 2)).unit).toBe("µm");
+    const area = source.measureArea(square, { unit: "mm" });
+    expect(area.value).toBeCloseTo(100 * 0.000499 * 0.000499, 12);
+    expect(area.unit).toBe("mm²");
+
+    // viewport coordinates of a tiled image twice as wide as the viewport
+    const tiledImage = {
+      viewportToImageCoordinates: (point) => new OpenSeadragon.Point(point.x * 2, point.y * 2),
+    };
+    expect(
+      source.measureLength(
+        [
+          { x: 0, y: 0 },
+          { x: 5, y: 0 },
+        ],
+        { tiledImage }
+      ).value
+    ).toBeCloseTo(4.99);
+
+    const label = dataset.associated.label.tileSource;
+    expect(label.measureArea(square)).toEqual({ value: 100, unit: "px²" });
+    expect(() => label.measureLength(square, { unit: "mm" })).toThrow(/physical size/);
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, expect, it } from "vitest";
+import { fromArrayBuffer } from "geotiff";
+import { getSubIFDOffsets, readSubIFDPyramid } from "../src/formats/subifd.js";
+import { fixtureSubIFDPyramid } from "./data/tiff-fixtures.js";
+
+describe("SubIFD reader", () => {
+  it("resolves SubIFD offsets into readable pyramid levels", async () => {
+    const tiff = await fromArrayBuffer(fixtureSubIFDPyramid());
+    expect(await tiff.getImageCount()).toBe(2);
+
+    const base = await tiff.getImage(0);
+    expect(getSubIFDOffsets(base).length).toBe(2);
+
+    const levels = await readSubIFDPyramid(tiff, base);
+    expect(levels.map((im) => im.getWidth())).toEqual([64, 32, 16]);
+
+    // (x=3, y=2) of the smallest level: v = x + 10*y
+    const [band] = await levels[2].readRasters({ interleave: false });
+    expect(band[2 * 16 + 3]).toBe(23);
+  });
+
+  it("returns only the image itself when there are no SubIFDs", async () => {
+    const tiff = await fromArrayBuffer(fixtureSubIFDPyramid());
+    const second = await tiff.getImage(1);
+    expect(await readSubIFDPyramid(tiff, second)).toEqual([second]);
+  });
+});
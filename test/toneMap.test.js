@@ -0,0 +1,137 @@
+import { describe, expect, it } from "vitest";
+import OpenSeadragon from "openseadragon";
+import { enableGeoTIFFTileSource } from "../src/main.js";
+import { computeClipRanges, resolveBandToneMap, toneMapBand } from "../src/formats/toneMap.js";
+import { buildMultiPageTIFF } from "./data/tiff-fixtures.js";
+import { decodeOnMainThread } from "./helpers/main-thread.js";
+import { renderInWorker } from "./helpers/worker-render.js";
+
+enableGeoTIFFTileSource(OpenSeadragon);
+
+const gray16 = (values, extra = {}) =>
+  new OpenSeadragon.RawTiffPlugin.TiffRaster({
+    width: values.length,
+    height: 1,
+    bands: [new Uint16Array(values)],
+    samplesPerPixel: 1,
+    bitsPerSample: [16],
+    photometricInterpretation: 1,
+    fileDirectory: {},
+    ...extra,
+  });
+
+const red = (rgba) => Array.from(rgba.filter((_, i) => i % 4 === 0));
+
+describe("tone mapping", () => {
+  decodeOnMainThread(OpenSeadragon);
+
+  it("windows values and applies curves", () => {
+    const raster = gray16([0, 250, 500, 1000]);
+    const linear = resolveBandToneMap({ min: 0, max: 1000 }, raster, 0);
+    expect(linear).toEqual({ curve: "linear", min: 0, max: 1000, gamma: 1 });
+    expect(Array.from(toneMapBand(raster.bands[0], linear))).toEqual([0, 64, 128, 255]);
+
+    const sqrt = { ...linear, curve: "sqrt" };
+    expect(Array.from(toneMapBand(raster.bands[0], sqrt))).toEqual([0, 128, 180, 255]);
+    const gamma = { ...linear, curve: "gamma", gamma: 2 };
+    expect(Array.from(toneMapBand(raster.bands[0], gamma))).toEqual([0, 128, 180, 255]);
+    const log = Array.from(toneMapBand(raster.bands[0], { ...linear, curve: "log" }));
+    expect(log[1]).toBeGreaterThan(200);
+    expect(Array.from(toneMapBand(new Float32Array([NaN, 2]), linear))).toEqual([0, 1]);
+  });
+
+  it("clips percentiles of the image values, NoData excluded", () => {
+    const values = [0, ...Array.from({ length: 100 }, (_, i) => 100 + i), 60000];
+    const raster = gray16(values);
+    const clipRanges = computeClipRanges({ clip: [1, 99] }, raster.bands, [0]);
+    expect(clipRanges).toEqual([{ min: 101, max: 199 }]);
+    const settings = resolveBandToneMap({ clip: [1, 99] }, raster, 0, clipRanges);
+    expect([settings.min, settings.max]).toEqual([101, 199]);
+    // band settings win over global ones
+    const band = resolveBandToneMap(
+      { clip: [1, 99], bands: { 0: { clip: null, max: 10 } } },
+      raster,
+      0,
+      clipRanges
+    );
+    expect([band.min, band.max]).toEqual([0, 10]);
+    expect(computeClipRanges({ bands: { 0: { clip: null } } }, raster.bands)).toBe(null);
+    // tiles are not stretched on their own values
+    const tile = resolveBandToneMap({ clip: [1, 99] }, gray16([500, 600]), 0);
+    expect([tile.min, tile.max]).toEqual([0, 65535]);
+  });
+
+  it("stretches every tile of a source on the percentiles of its lowest level", async () => {
+    const row = Array.from({ length: 64 }, (_, x) => x * 2);
+    const file = new File(
+      [
+        buildMultiPageTIFF([
+          { width: 64, height: 64, pixelBytes: Array.from({ length: 64 }, () => row).flat() },
+        ]),
+      ],
+      "gradient.tif"
+    );
+    const source = new OpenSeadragon.GeoTIFFTileSource(file, {
+      format: { toneMap: { clip: [0, 100] } },
+      tileWidth: 32,
+      tileHeight: 32,
+    });
+    await source.promises.ready.promise;
+    const level = source.levels[source.maxLevel];
+    const [left, right] = await Promise.all([
+      source.regionToTiffRaster(level, 0, 0),
+      source.regionToTiffRaster(level, 1, 0),
+    ]);
+    expect(left.hints.clipRanges).toEqual([{ min: 0, max: 126 }]);
+    expect(right.hints.clipRanges).toEqual(left.hints.clipRanges);
+  });
+
+  it("renders gray and RGB images with format.toneMap on the main thread", () => {
+    const api = OpenSeadragon.RawTiffPlugin;
+    const raster = gray16([100, 200, 300], {
+      hints: { format: { toneMap: { min: 100, max: 300 } } },
+    });
+    expect(red(api.rasterToRGBA8(raster))).toEqual([0, 128, 255]);
+
+    raster.photometricInterpretation = 0;
+    expect(red(api.rasterToRGBA8(raster))).toEqual([255, 127, 0]);
+
+    const rgb = new api.TiffRaster({
+      width: 1,
+      height: 1,
+      bands: [new Uint16Array([100]), new Uint16Array([200]), new Uint16Array([300])],
+      samplesPerPixel: 3,
+      bitsPerSample: [16, 16, 16],
+      photometricInterpretation: 2,
+      hints: { format: { toneMap: { min: 100, max: 300, bands: [null, null, { max: 500 }] } } },
+    });
+    expect(Array.from(api.rasterToRGBA8(rgb))).toEqual([0, 128, 128, 255]);
+
+    // palette indices are not tone mapped
+    const palette = new api.TiffRaster({
+      width: 1,
+      height: 1,
+      bands: [new Uint8Array([1])],
+      samplesPerPixel: 1,
+      bitsPerSample: [8],
+      photometricInterpretation: 3,
+      colorMap: new Uint16Array(768).fill(65535),
+      hints: { format: { toneMap: { min: 0, max: 1000 } } },
+    });
+    expect(Array.from(api.rasterToRGBA8(palette))).toEqual([255, 255, 255, 255]);
+  });
+
+  it("renders the same image in the worker", async () => {
+    const api = OpenSeadragon.RawTiffPlugin;
+    const format = {
+      interpretation: "image",
+      gpu: { preferRGBA8: true },
+      toneMap: { curve: "gamma", gamma: 2.2, clip: [2, 98] },
+    };
+    const values = Array.from({ length: 64 }, (_, i) => (i * 997) % 4096);
+    const hints = { clipRanges: computeClipRanges(format.toneMap, [new Uint16Array(values)]) };
+    const main = api.rasterToRGBA8(gray16(values, { hints: { ...hints, format } }));
+    const worker = await renderInWorker(gray16(values, { hints }), format);
+    expect(Array.from(worker)).toEqual(Array.from(main));
+  });
+});